@@ -0,0 +1,274 @@
+/**
+* Edge Case Specification Table
+*
+* Maps each registered function to a list of cases (see `lib/spec/load.js`
+* for the case format and `lib/spec/modes.js` for the comparison modes).
+* Cases whose `reference` is a C99 Annex F or IEEE 754-2019 clause encode
+* results required by those standards; `clauses` gives the text of each
+* referenced clause (see `lib/conformance.js`).
+*
+* Custom specifications passed on the command line (`--spec`) are plain
+* JSON files with the same structure.
+*/
+
+(function factory(root) {
+    'use strict';
+
+    // MAIN //
+
+    var spec = {
+        'clauses': {
+            'C99 F.9.1.4': 'atan2(±0, -0) returns ±π; atan2(±0, +0) returns ±0; atan2(±0, x) returns ±π for x < 0 and ±0 for x > 0; atan2(y, ±0) returns -π/2 for y < 0 and π/2 for y > 0; atan2(±y, -∞) returns ±π and atan2(±y, +∞) returns ±0 for finite y > 0; atan2(±∞, x) returns ±π/2 for finite x; atan2(±∞, -∞) returns ±3π/4; atan2(±∞, +∞) returns ±π/4.',
+            'C99 F.9.1.5': 'cos(±0) returns 1; cos(±∞) returns a NaN and raises the invalid floating-point exception.',
+            'C99 F.9.1.6': 'sin(±0) returns ±0; sin(±∞) returns a NaN and raises the invalid floating-point exception.',
+            'C99 F.9.1.7': 'tan(±0) returns ±0; tan(±∞) returns a NaN and raises the invalid floating-point exception.',
+            'C99 F.9.3.1': 'exp(±0) returns 1; exp(-∞) returns +0; exp(+∞) returns +∞; results which overflow or underflow are rounded as for any arithmetic operation.',
+            'C99 F.9.3.2': 'exp2(±0) returns 1; exp2(-∞) returns +0; exp2(+∞) returns +∞.',
+            'C99 F.9.3.3': 'expm1(±0) returns ±0; expm1(+∞) returns +∞; expm1(-∞) returns -1.',
+            'C99 F.9.3.7': 'log(±0) returns -∞ and raises the divide-by-zero floating-point exception; log(1) returns +0; log(x) returns a NaN and raises the invalid floating-point exception for x < 0; log(+∞) returns +∞.',
+            'C99 F.9.3.8': 'log10(±0) returns -∞ and raises the divide-by-zero floating-point exception; log10(1) returns +0; log10(x) returns a NaN and raises the invalid floating-point exception for x < 0; log10(+∞) returns +∞.',
+            'C99 F.9.3.9': 'log1p(±0) returns ±0; log1p(-1) returns -∞ and raises the divide-by-zero floating-point exception; log1p(x) returns a NaN and raises the invalid floating-point exception for x < -1; log1p(+∞) returns +∞.',
+            'C99 F.9.3.10': 'log2(±0) returns -∞ and raises the divide-by-zero floating-point exception; log2(1) returns +0; log2(x) returns a NaN and raises the invalid floating-point exception for x < 0; log2(+∞) returns +∞.',
+            'C99 F.9.4.1': 'cbrt(±0) returns ±0; cbrt(±∞) returns ±∞.',
+            'C99 F.9.4.3': 'hypot(x, y), hypot(y, x) and hypot(x, -y) are equivalent; hypot(x, ±0) is equivalent to fabs(x); hypot(±∞, y) returns +∞, even if y is a NaN.',
+            'C99 F.9.4.4': 'pow(±0, y) returns ±∞ for y an odd integer < 0, +∞ for y < 0 and not an odd integer, ±0 for y an odd integer > 0, and +0 for y > 0 and not an odd integer; pow(-1, ±∞) returns 1; pow(+1, y) returns 1 for any y, even a NaN; pow(x, ±0) returns 1 for any x, even a NaN; pow(x, y) returns a NaN for finite x < 0 and finite non-integer y; pow(x, -∞) returns +∞ for |x| < 1 and +0 for |x| > 1; pow(x, +∞) returns +0 for |x| < 1 and +∞ for |x| > 1; pow(-∞, y) returns -0 for y an odd integer < 0, +0 for y < 0 and not an odd integer, -∞ for y an odd integer > 0, and +∞ for y > 0 and not an odd integer; pow(+∞, y) returns +0 for y < 0 and +∞ for y > 0.',
+            'C99 F.9.4.5': 'sqrt is fully specified as a basic arithmetic operation in IEEE 754 (sqrt(+∞) returns +∞).',
+            'C99 F.9.5.1': 'erf(±0) returns ±0; erf(±∞) returns ±1.',
+            'C99 F.9.5.2': 'erfc(-∞) returns 2; erfc(+∞) returns +0.',
+            'IEEE 754-2019 §5.4.1': 'squareRoot is correctly rounded, and squareRoot(-0) is -0.',
+            'IEEE 754-2019 §6.2': 'An operation with a quiet NaN input delivers a quiet NaN result.',
+            'IEEE 754-2019 §7.2': 'The invalid operation exception is signaled, and a quiet NaN delivered, for squareRoot of an operand less than zero.'
+        },
+        'functions': {
+            'exp': [
+                { 'x': 0, 'expected': 1, 'mode': 'exact', 'label': 'exp(0) = 1', 'reference': 'C99 F.9.3.1' },
+                { 'x': '-0', 'expected': 1, 'mode': 'exact', 'reference': 'C99 F.9.3.1' },
+                { 'x': 1, 'expected': 'E', 'mode': 'ulps', 'ulps': 2, 'label': 'exp(1) ≈ e ≈ 2.71828...', 'reference': 'Mathematical identity' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' },
+                { 'x': 'Infinity', 'expected': 'Infinity', 'mode': 'exact', 'reference': 'C99 F.9.3.1' },
+                { 'x': '-Infinity', 'expected': 0, 'mode': 'signed-zero', 'reference': 'C99 F.9.3.1' },
+                { 'x': 710, 'expected': 'Infinity', 'mode': 'exact', 'label': 'exp(710) overflows to +∞', 'note': 'overflow', 'reference': 'C99 F.9.3.1' },
+                { 'x': -746, 'expected': 0, 'mode': 'signed-zero', 'label': 'exp(-746) underflows to +0', 'note': 'underflow', 'reference': 'C99 F.9.3.1' },
+                { 'x': -745, 'expected': 'FLOAT64_SMALLEST_SUBNORMAL', 'mode': 'ulps', 'ulps': 1, 'label': 'exp(-745) ≈ 5e-324 (gradual underflow)', 'reference': 'Correctly rounded result' },
+                { 'x': 1e-20, 'expected': 1, 'mode': 'exact', 'label': 'exp(1e-20) = 1 (tiny input)', 'note': '1 + 1e-20 rounds to 1', 'reference': 'Correctly rounded result' }
+            ],
+            'exp2': [
+                { 'x': 0, 'expected': 1, 'mode': 'exact', 'reference': 'C99 F.9.3.2' },
+                { 'x': '-0', 'expected': 1, 'mode': 'exact', 'reference': 'C99 F.9.3.2' },
+                { 'x': 10, 'expected': 1024, 'mode': 'exact', 'reference': 'Exact power of two' },
+                { 'x': -1074, 'expected': 'FLOAT64_SMALLEST_SUBNORMAL', 'mode': 'exact', 'reference': 'Exact power of two', 'known': 'stdlib `exp2` underflows to +0 instead of returning the smallest subnormal' },
+                { 'x': 'Infinity', 'expected': 'Infinity', 'mode': 'exact', 'reference': 'C99 F.9.3.2' },
+                { 'x': '-Infinity', 'expected': 0, 'mode': 'signed-zero', 'reference': 'C99 F.9.3.2' },
+                { 'x': 1024, 'expected': 'Infinity', 'mode': 'exact', 'label': 'exp2(1024) overflows to +∞', 'note': 'overflow', 'reference': 'C99 F.9.3.2' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' }
+            ],
+            'expm1': [
+                { 'x': 0, 'expected': 0, 'mode': 'signed-zero', 'reference': 'C99 F.9.3.3' },
+                { 'x': '-0', 'expected': '-0', 'mode': 'signed-zero', 'reference': 'C99 F.9.3.3' },
+                { 'x': 1e-300, 'expected': 1e-300, 'mode': 'exact', 'label': 'expm1(1e-300) = 1e-300 (no cancellation)', 'reference': 'Correctly rounded result' },
+                { 'x': 'Infinity', 'expected': 'Infinity', 'mode': 'exact', 'reference': 'C99 F.9.3.3' },
+                { 'x': '-Infinity', 'expected': -1, 'mode': 'exact', 'reference': 'C99 F.9.3.3' },
+                { 'x': 710, 'expected': 'Infinity', 'mode': 'exact', 'label': 'expm1(710) overflows to +∞', 'note': 'overflow', 'reference': 'C99 F.9.3.3' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' }
+            ],
+            'ln': [
+                { 'x': 1, 'expected': 0, 'mode': 'signed-zero', 'label': 'ln(1) = +0', 'reference': 'C99 F.9.3.7' },
+                { 'x': 'E', 'expected': 1, 'mode': 'ulps', 'ulps': 2, 'label': 'ln(e) ≈ 1', 'reference': 'Mathematical identity' },
+                { 'x': 0, 'expected': '-Infinity', 'mode': 'exact', 'label': 'ln(0) = -∞', 'note': 'divide-by-zero', 'reference': 'C99 F.9.3.7' },
+                { 'x': '-0', 'expected': '-Infinity', 'mode': 'exact', 'note': 'divide-by-zero', 'reference': 'C99 F.9.3.7' },
+                { 'x': -1, 'mode': 'nan', 'label': 'ln(-1) = NaN (not in real domain)', 'note': 'invalid', 'reference': 'C99 F.9.3.7' },
+                { 'x': '-Infinity', 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.3.7' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' },
+                { 'x': 'Infinity', 'expected': 'Infinity', 'mode': 'exact', 'reference': 'C99 F.9.3.7' },
+                { 'x': 'FLOAT64_SMALLEST_SUBNORMAL', 'mode': 'predicate', 'predicate': 'between', 'args': [-745, -744], 'label': 'ln(5e-324) handles subnormal input', 'note': '≈ -744.44', 'reference': 'Mathematical identity' },
+                { 'x': 'FLOAT64_SMALLEST_SUBNORMAL', 'expected': -744.4400719213812, 'mode': 'ulps', 'ulps': 1, 'label': 'ln(5e-324) ≈ -1074 ln 2', 'reference': 'Correctly rounded result' }
+            ],
+            'log2': [
+                { 'x': 1, 'expected': 0, 'mode': 'signed-zero', 'reference': 'C99 F.9.3.10' },
+                { 'x': 1024, 'expected': 10, 'mode': 'exact', 'reference': 'Exact power of two' },
+                { 'x': 'FLOAT64_SMALLEST_SUBNORMAL', 'expected': -1074, 'mode': 'exact', 'reference': 'Exact power of two' },
+                { 'x': 0, 'expected': '-Infinity', 'mode': 'exact', 'note': 'divide-by-zero', 'reference': 'C99 F.9.3.10' },
+                { 'x': '-0', 'expected': '-Infinity', 'mode': 'exact', 'note': 'divide-by-zero', 'reference': 'C99 F.9.3.10', 'known': 'stdlib `log2` returns -0 for -0' },
+                { 'x': -1, 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.3.10' },
+                { 'x': '-Infinity', 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.3.10' },
+                { 'x': 'Infinity', 'expected': 'Infinity', 'mode': 'exact', 'reference': 'C99 F.9.3.10' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' }
+            ],
+            'log10': [
+                { 'x': 1, 'expected': 0, 'mode': 'signed-zero', 'reference': 'C99 F.9.3.8' },
+                { 'x': 100, 'expected': 2, 'mode': 'exact', 'reference': 'Exact power of ten' },
+                { 'x': 1e-300, 'expected': -300, 'mode': 'exact', 'reference': 'Correctly rounded result' },
+                { 'x': 0, 'expected': '-Infinity', 'mode': 'exact', 'note': 'divide-by-zero', 'reference': 'C99 F.9.3.8' },
+                { 'x': '-0', 'expected': '-Infinity', 'mode': 'exact', 'note': 'divide-by-zero', 'reference': 'C99 F.9.3.8', 'known': 'stdlib `log10` returns -0 for -0' },
+                { 'x': -1, 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.3.8' },
+                { 'x': '-Infinity', 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.3.8' },
+                { 'x': 'Infinity', 'expected': 'Infinity', 'mode': 'exact', 'reference': 'C99 F.9.3.8' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' }
+            ],
+            'log1p': [
+                { 'x': 0, 'expected': 0, 'mode': 'signed-zero', 'reference': 'C99 F.9.3.9' },
+                { 'x': '-0', 'expected': '-0', 'mode': 'signed-zero', 'reference': 'C99 F.9.3.9' },
+                { 'x': 1e-300, 'expected': 1e-300, 'mode': 'exact', 'label': 'log1p(1e-300) = 1e-300 (no cancellation)', 'reference': 'Correctly rounded result' },
+                { 'x': -1, 'expected': '-Infinity', 'mode': 'exact', 'note': 'divide-by-zero', 'reference': 'C99 F.9.3.9' },
+                { 'x': -2, 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.3.9' },
+                { 'x': '-Infinity', 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.3.9' },
+                { 'x': 'Infinity', 'expected': 'Infinity', 'mode': 'exact', 'reference': 'C99 F.9.3.9' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' }
+            ],
+            'sqrt': [
+                { 'x': 4, 'expected': 2, 'mode': 'exact', 'label': 'sqrt(4) = 2', 'reference': 'IEEE 754-2019 §5.4.1' },
+                { 'x': 0, 'expected': 0, 'mode': 'signed-zero', 'label': 'sqrt(0) = +0', 'reference': 'IEEE 754-2019 §5.4.1' },
+                { 'x': '-0', 'expected': '-0', 'mode': 'signed-zero', 'label': 'sqrt(-0) = -0 (IEEE 754)', 'reference': 'IEEE 754-2019 §5.4.1' },
+                { 'x': -1, 'mode': 'nan', 'label': 'sqrt(-1) = NaN', 'note': 'invalid', 'reference': 'IEEE 754-2019 §7.2' },
+                { 'x': '-Infinity', 'mode': 'nan', 'note': 'invalid', 'reference': 'IEEE 754-2019 §7.2' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' },
+                { 'x': 'Infinity', 'expected': 'Infinity', 'mode': 'exact', 'reference': 'C99 F.9.4.5' },
+                { 'x': 'FLOAT64_MAX', 'expected': 1.3407807929942596e+154, 'mode': 'exact', 'label': 'sqrt(MAX_FLOAT64) does not overflow', 'note': 'correctly rounded', 'reference': 'IEEE 754-2019 §5.4.1' },
+                { 'x': 'FLOAT64_SMALLEST_NORMAL', 'expected': 1.4916681462400413e-154, 'mode': 'exact', 'label': 'sqrt(SMALLEST_NORMAL) = 2^-511', 'reference': 'IEEE 754-2019 §5.4.1' },
+                { 'x': 'FLOAT64_SMALLEST_SUBNORMAL', 'expected': 2.2227587494850775e-162, 'mode': 'exact', 'label': 'sqrt(5e-324) handles subnormal input', 'note': 'correctly rounded', 'reference': 'IEEE 754-2019 §5.4.1' }
+            ],
+            'cbrt': [
+                { 'x': 0, 'expected': 0, 'mode': 'signed-zero', 'reference': 'C99 F.9.4.1' },
+                { 'x': '-0', 'expected': '-0', 'mode': 'signed-zero', 'reference': 'C99 F.9.4.1' },
+                { 'x': 27, 'expected': 3, 'mode': 'exact', 'reference': 'Exact cube' },
+                { 'x': -8, 'expected': -2, 'mode': 'exact', 'reference': 'Exact cube' },
+                { 'x': 'Infinity', 'expected': 'Infinity', 'mode': 'exact', 'reference': 'C99 F.9.4.1' },
+                { 'x': '-Infinity', 'expected': '-Infinity', 'mode': 'exact', 'reference': 'C99 F.9.4.1' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' }
+            ],
+            'pow': [
+                { 'x': 2, 'y': 10, 'expected': 1024, 'mode': 'exact', 'reference': 'Exact power' },
+                { 'x': 3, 'y': -2, 'expected': 0.1111111111111111, 'mode': 'exact', 'label': 'pow(3, -2) = 1/9 (correctly rounded)', 'reference': 'Correctly rounded result' },
+                { 'x': 2, 'y': 0.5, 'expected': 1.4142135623730951, 'mode': 'ulps', 'ulps': 1, 'label': 'pow(2, 0.5) ≈ √2', 'reference': 'Mathematical identity' },
+                { 'x': 'NaN', 'y': 0, 'expected': 1, 'mode': 'exact', 'label': 'pow(NaN, 0) = 1', 'reference': 'C99 F.9.4.4', 'known': 'stdlib `pow` returns NaN for any NaN argument, unlike C99 and `Math.pow(NaN, 0)`' },
+                { 'x': 1, 'y': 'NaN', 'expected': 1, 'mode': 'exact', 'label': 'pow(1, NaN) = 1', 'note': 'ECMAScript returns NaN', 'reference': 'C99 F.9.4.4', 'known': 'stdlib `pow` follows ECMAScript' },
+                { 'x': -1, 'y': 'Infinity', 'expected': 1, 'mode': 'exact', 'label': 'pow(-1, +∞) = 1', 'note': 'ECMAScript returns NaN', 'reference': 'C99 F.9.4.4', 'known': 'stdlib `pow` follows ECMAScript' },
+                { 'x': '-0', 'y': -3, 'expected': '-Infinity', 'mode': 'exact', 'reference': 'C99 F.9.4.4' },
+                { 'x': 0, 'y': -2, 'expected': 'Infinity', 'mode': 'exact', 'reference': 'C99 F.9.4.4' },
+                { 'x': '-0', 'y': 3, 'expected': '-0', 'mode': 'signed-zero', 'reference': 'C99 F.9.4.4' },
+                { 'x': -2, 'y': 0.5, 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.4.4' },
+                { 'x': 0.5, 'y': '-Infinity', 'expected': 'Infinity', 'mode': 'exact', 'reference': 'C99 F.9.4.4' },
+                { 'x': 2, 'y': '-Infinity', 'expected': 0, 'mode': 'signed-zero', 'reference': 'C99 F.9.4.4' },
+                { 'x': '-Infinity', 'y': -3, 'expected': '-0', 'mode': 'signed-zero', 'reference': 'C99 F.9.4.4' },
+                { 'x': '-Infinity', 'y': 3, 'expected': '-Infinity', 'mode': 'exact', 'reference': 'C99 F.9.4.4' },
+                { 'x': 'Infinity', 'y': -1, 'expected': 0, 'mode': 'signed-zero', 'reference': 'C99 F.9.4.4' },
+                { 'x': 2, 'y': 1024, 'expected': 'Infinity', 'mode': 'exact', 'label': 'pow(2, 1024) overflows to +∞', 'note': 'overflow', 'reference': 'Correctly rounded result' },
+                { 'x': 2, 'y': -1074, 'expected': 'FLOAT64_SMALLEST_SUBNORMAL', 'mode': 'exact', 'label': 'pow(2, -1074) = 5e-324 (subnormal power of two)', 'reference': 'Exact power' }
+            ],
+            'hypot': [
+                { 'x': 3, 'y': 4, 'expected': 5, 'mode': 'exact', 'reference': 'Exact result' },
+                { 'x': -3, 'y': 0, 'expected': 3, 'mode': 'exact', 'label': 'hypot(-3, 0) = |-3|', 'reference': 'C99 F.9.4.3' },
+                { 'x': 'Infinity', 'y': 'NaN', 'expected': 'Infinity', 'mode': 'exact', 'reference': 'C99 F.9.4.3', 'known': 'stdlib `hypot` returns NaN if either argument is NaN' },
+                { 'x': 'NaN', 'y': '-Infinity', 'expected': 'Infinity', 'mode': 'exact', 'reference': 'C99 F.9.4.3', 'known': 'stdlib `hypot` returns NaN if either argument is NaN' },
+                { 'x': 'NaN', 'y': 1, 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' },
+                { 'x': 1e308, 'y': 1e308, 'expected': 1.4142135623730951e+308, 'mode': 'ulps', 'ulps': 1, 'label': 'hypot(1e308, 1e308) does not overflow', 'reference': 'Correctly rounded result' },
+                { 'x': 'FLOAT64_SMALLEST_SUBNORMAL', 'y': 'FLOAT64_SMALLEST_SUBNORMAL', 'expected': 'FLOAT64_SMALLEST_SUBNORMAL', 'mode': 'exact', 'label': 'hypot(5e-324, 5e-324) = 5e-324 (no underflow to 0)', 'reference': 'Correctly rounded result' }
+            ],
+            'sin': [
+                { 'x': 0, 'expected': 0, 'mode': 'signed-zero', 'reference': 'C99 F.9.1.6' },
+                { 'x': '-0', 'expected': '-0', 'mode': 'signed-zero', 'reference': 'C99 F.9.1.6' },
+                { 'x': 'FLOAT64_SMALLEST_SUBNORMAL', 'expected': 'FLOAT64_SMALLEST_SUBNORMAL', 'mode': 'exact', 'label': 'sin(5e-324) = 5e-324 (sin x ≈ x)', 'reference': 'Correctly rounded result' },
+                { 'x': 'Infinity', 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.1.6' },
+                { 'x': '-Infinity', 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.1.6' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' },
+                { 'x': 1e300, 'mode': 'predicate', 'predicate': 'between', 'args': [-1, 1], 'label': 'sin(1e300) in [-1, 1] (huge argument reduction)', 'reference': 'Mathematical identity' }
+            ],
+            'cos': [
+                { 'x': 0, 'expected': 1, 'mode': 'exact', 'reference': 'C99 F.9.1.5' },
+                { 'x': '-0', 'expected': 1, 'mode': 'exact', 'reference': 'C99 F.9.1.5' },
+                { 'x': 'Infinity', 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.1.5' },
+                { 'x': '-Infinity', 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.1.5' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' },
+                { 'x': 1e300, 'mode': 'predicate', 'predicate': 'between', 'args': [-1, 1], 'label': 'cos(1e300) in [-1, 1] (huge argument reduction)', 'reference': 'Mathematical identity' }
+            ],
+            'tan': [
+                { 'x': 0, 'expected': 0, 'mode': 'signed-zero', 'reference': 'C99 F.9.1.7' },
+                { 'x': '-0', 'expected': '-0', 'mode': 'signed-zero', 'reference': 'C99 F.9.1.7' },
+                { 'x': 'Infinity', 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.1.7' },
+                { 'x': '-Infinity', 'mode': 'nan', 'note': 'invalid', 'reference': 'C99 F.9.1.7' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' },
+                { 'x': 'PI', 'mode': 'predicate', 'predicate': 'near', 'args': [0, 1e-15], 'label': 'tan(π) ≈ 0 (π is not exactly representable)', 'reference': 'Mathematical identity' }
+            ],
+            'atan2': [
+                { 'x': 1, 'y': 1, 'expected': 0.7853981633974483, 'mode': 'exact', 'label': 'atan2(1, 1) = π/4', 'reference': 'Correctly rounded result' },
+                { 'x': 0, 'y': '-0', 'expected': 'PI', 'mode': 'exact', 'label': 'atan2(+0, -0) = +π', 'reference': 'C99 F.9.1.4' },
+                { 'x': '-0', 'y': '-0', 'expected': '-PI', 'mode': 'exact', 'label': 'atan2(-0, -0) = -π', 'reference': 'C99 F.9.1.4' },
+                { 'x': 0, 'y': 0, 'expected': 0, 'mode': 'signed-zero', 'label': 'atan2(+0, +0) = +0', 'reference': 'C99 F.9.1.4' },
+                { 'x': '-0', 'y': 1, 'expected': '-0', 'mode': 'signed-zero', 'reference': 'C99 F.9.1.4' },
+                { 'x': -1, 'y': 0, 'expected': -1.5707963267948966, 'mode': 'exact', 'label': 'atan2(-1, 0) = -π/2', 'reference': 'C99 F.9.1.4' },
+                { 'x': 1, 'y': '-Infinity', 'expected': 'PI', 'mode': 'exact', 'label': 'atan2(1, -∞) = +π', 'reference': 'C99 F.9.1.4' },
+                { 'x': -1, 'y': 'Infinity', 'expected': '-0', 'mode': 'signed-zero', 'reference': 'C99 F.9.1.4' },
+                { 'x': 'Infinity', 'y': 3, 'expected': 1.5707963267948966, 'mode': 'exact', 'label': 'atan2(+∞, 3) = π/2', 'reference': 'C99 F.9.1.4' },
+                { 'x': '-Infinity', 'y': '-Infinity', 'expected': -2.356194490192345, 'mode': 'exact', 'label': 'atan2(-∞, -∞) = -3π/4', 'reference': 'C99 F.9.1.4' },
+                { 'x': 'Infinity', 'y': 'Infinity', 'expected': 0.7853981633974483, 'mode': 'exact', 'label': 'atan2(+∞, +∞) = π/4', 'reference': 'C99 F.9.1.4' },
+                { 'x': 'NaN', 'y': 1, 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' }
+            ],
+            'sigmoid': [
+                { 'x': 0, 'expected': 0.5, 'mode': 'exact', 'reference': 'Definition' },
+                { 'x': 'Infinity', 'expected': 1, 'mode': 'exact', 'reference': 'Limit' },
+                { 'x': '-Infinity', 'expected': 0, 'mode': 'signed-zero', 'reference': 'Limit' },
+                { 'x': 800, 'expected': 1, 'mode': 'exact', 'label': 'sigmoid(800) = 1 (exp(-x) underflows)', 'reference': 'Correctly rounded result' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' }
+            ],
+            'gaussian': [
+                { 'x': 0, 'expected': 1, 'mode': 'exact', 'label': 'gaussian(0) = 1 (peak)', 'reference': 'Definition' },
+                { 'x': 'Infinity', 'expected': 0, 'mode': 'signed-zero', 'reference': 'Limit' },
+                { 'x': '-Infinity', 'expected': 0, 'mode': 'signed-zero', 'reference': 'Limit' },
+                { 'x': 30, 'expected': 0, 'mode': 'signed-zero', 'label': 'gaussian(30) underflows to +0', 'note': 'underflow', 'reference': 'Correctly rounded result' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' }
+            ],
+            'sinc': [
+                { 'x': 0, 'expected': 1, 'mode': 'exact', 'label': 'sinc(0) = 1 (removable singularity)', 'reference': 'Definition' },
+                { 'x': 1, 'mode': 'predicate', 'predicate': 'near', 'args': [0, 1e-15], 'label': 'sinc(1) ≈ 0', 'reference': 'Mathematical identity' },
+                { 'x': 'Infinity', 'expected': 0, 'mode': 'exact', 'reference': 'Limit' },
+                { 'x': '-Infinity', 'expected': 0, 'mode': 'exact', 'reference': 'Limit' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' }
+            ],
+            'erf': [
+                { 'x': 0, 'expected': 0, 'mode': 'signed-zero', 'label': 'erf(0) = +0', 'reference': 'C99 F.9.5.1' },
+                { 'x': '-0', 'expected': '-0', 'mode': 'signed-zero', 'reference': 'C99 F.9.5.1' },
+                { 'x': 'Infinity', 'expected': 1, 'mode': 'exact', 'label': 'erf(+∞) = 1', 'reference': 'C99 F.9.5.1' },
+                { 'x': '-Infinity', 'expected': -1, 'mode': 'exact', 'label': 'erf(-∞) = -1', 'reference': 'C99 F.9.5.1' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' },
+                { 'x': 4, 'mode': 'predicate', 'predicate': 'near', 'args': [1, 1e-7], 'label': 'erf(4) ≈ 0.99999998...', 'reference': 'Mathematical identity' },
+                { 'x': 4, 'expected': 0.9999999845827421, 'mode': 'ulps', 'ulps': 1, 'label': 'erf(4) ≈ 0.9999999845827421', 'reference': 'Correctly rounded result' },
+                { 'x': 6, 'expected': 1, 'mode': 'exact', 'label': 'erf(6) = 1 (saturates)', 'reference': 'Correctly rounded result' }
+            ],
+            'erfc': [
+                { 'x': 0, 'expected': 1, 'mode': 'exact', 'reference': 'Definition' },
+                { 'x': '-0', 'expected': 1, 'mode': 'exact', 'reference': 'Definition' },
+                { 'x': 'Infinity', 'expected': 0, 'mode': 'signed-zero', 'reference': 'C99 F.9.5.2' },
+                { 'x': '-Infinity', 'expected': 2, 'mode': 'exact', 'reference': 'C99 F.9.5.2' },
+                { 'x': 30, 'mode': 'predicate', 'predicate': 'between', 'args': [0, 'FLOAT64_SMALLEST_NORMAL'], 'label': 'erfc(30) is tiny but not negative', 'reference': 'Mathematical identity' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' }
+            ],
+            'beta': [
+                { 'x': 1, 'y': 1, 'expected': 1, 'mode': 'exact', 'reference': 'Mathematical identity' },
+                { 'x': 2, 'y': 3, 'expected': 0.08333333333333333, 'mode': 'exact', 'label': 'beta(2, 3) = 1/12', 'reference': 'Correctly rounded result' },
+                { 'x': 0.5, 'y': 0.5, 'expected': 'PI', 'mode': 'exact', 'label': 'beta(0.5, 0.5) = π', 'reference': 'Correctly rounded result', 'known': 'stdlib `beta` is 1 ULP below the correctly rounded result' },
+                { 'x': 0, 'y': 2, 'expected': 'Infinity', 'mode': 'exact', 'label': 'beta(0, 2) = +∞ (pole)', 'reference': 'Limit' },
+                { 'x': 'Infinity', 'y': 2, 'expected': 0, 'mode': 'signed-zero', 'label': 'beta(+∞, 2) = +0', 'reference': 'Limit', 'known': 'stdlib `beta` returns NaN for an infinite argument' },
+                { 'x': -1, 'y': 2, 'mode': 'nan', 'label': 'beta(-1, 2) = NaN (outside the domain)', 'reference': 'Domain' },
+                { 'x': 'NaN', 'y': 1, 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' }
+            ],
+            'heaviside': [
+                { 'x': -1, 'expected': 0, 'mode': 'exact', 'reference': 'Definition' },
+                { 'x': 0, 'expected': 0.5, 'mode': 'exact', 'label': 'heaviside(0) = 0.5 (half-maximum)', 'reference': 'Definition' },
+                { 'x': '-0', 'expected': 0.5, 'mode': 'exact', 'reference': 'Definition' },
+                { 'x': 1, 'expected': 1, 'mode': 'exact', 'reference': 'Definition' },
+                { 'x': '-Infinity', 'expected': 0, 'mode': 'exact', 'reference': 'Definition' },
+                { 'x': 'Infinity', 'expected': 1, 'mode': 'exact', 'reference': 'Definition' },
+                { 'x': 'NaN', 'mode': 'nan', 'reference': 'IEEE 754-2019 §6.2' }
+            ]
+        }
+    };
+
+    // EXPORTS //
+
+    if (typeof module === 'object' && typeof module.exports === 'object') {
+        module.exports = spec;
+    } else {
+        root.mathExplorer = root.mathExplorer || {};
+        root.mathExplorer.edgeCases = spec;
+    }
+})(this);
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+* Example user-supplied implementation: a truncated Taylor polynomial of the
+* exponential function after range reduction (`x = k ln(2) + r`, where
+* `|r| <= ln(2)/2`).
+*
+* Exports a single function, so it must be compared as one function:
+*
+* ```bash
+* stdlib-explorer compare --fn exp --impl ./examples/implementations/exp_poly.js
+* ```
+*/
+
+var round = require('@stdlib/math/base/special/round');
+var ldexp = require('@stdlib/math/base/special/ldexp');
+var LN2 = require('@stdlib/constants/float64/ln-two');
+
+// VARIABLES //
+
+// Taylor coefficients 1/n! for n = 0, ..., 11 (Horner order)...
+var COEFFICIENTS = (function coefficients() {
+    var out = [1.0];
+    var i;
+    for (i = 1; i <= 11; i++) {
+        out.push(out[i-1] / i);
+    }
+    return out.reverse();
+})();
+
+// MAIN //
+
+/**
+* Evaluates the exponential function.
+*
+* @param {number} x - input value
+* @returns {number} function value
+*
+* @example
+* var v = exp(1.0);
+* // returns ~2.718
+*/
+function exp(x) {
+    var k;
+    var r;
+    var p;
+    var i;
+
+    if (x !== x) {
+        return NaN;
+    }
+    if (x > 709.8) {
+        return Infinity;
+    }
+    if (x < -745.2) {
+        return 0.0;
+    }
+    k = round(x / LN2);
+    r = x - (k * LN2);
+    p = 0.0;
+    for (i = 0; i < COEFFICIENTS.length; i++) {
+        p = (p * r) + COEFFICIENTS[i];
+    }
+    return ldexp(p, k);
+}
+
+// EXPORTS //
+
+module.exports = exp;
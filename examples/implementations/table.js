@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+* Example user-supplied implementations: lookup tables with linear
+* interpolation, the kind of fast approximation sometimes used in hot loops.
+*
+* Exports an object mapping registered function names to implementations,
+* so every covered function can be compared in one run:
+*
+* ```bash
+* stdlib-explorer compare --fn exp,sqrt --impl ./examples/implementations/table.js
+* ```
+*/
+
+var floor = require('@stdlib/math/base/special/floor');
+var ldexp = require('@stdlib/math/base/special/ldexp');
+var frexp = require('@stdlib/math/base/special/frexp');
+var pow = require('@stdlib/math/base/special/pow');
+var LOG2E = require('@stdlib/constants/float64/log2-e');
+
+// VARIABLES //
+
+/**
+* Number of table intervals.
+*
+* @private
+* @type {PositiveInteger}
+*/
+var N = 1024;
+
+// Table of 2^(i/N), i = 0, ..., N...
+var EXP2 = tabulate(function exp2(t) {
+    return pow(2.0, t);
+});
+
+// Table of sqrt(t), t in [0.25, 1]...
+var SQRT = tabulate(function sqrt(t) {
+    return pow(0.25 + (0.75 * t), 0.5);
+});
+
+// FUNCTIONS //
+
+/**
+* Tabulates a function on `N+1` equally spaced points in `[0, 1]`.
+*
+* @private
+* @param {Function} f - function
+* @returns {Float64Array} table
+*/
+function tabulate(f) {
+    var out = new Float64Array(N + 1);
+    var i;
+    for (i = 0; i <= N; i++) {
+        out[i] = f(i / N);
+    }
+    return out;
+}
+
+/**
+* Linearly interpolates a table at `t` in `[0, 1]`.
+*
+* @private
+* @param {Float64Array} table - table
+* @param {number} t - position
+* @returns {number} interpolated value
+*/
+function interpolate(table, t) {
+    var i = floor(t * N);
+    var w;
+    if (i >= N) {
+        return table[N];
+    }
+    w = (t * N) - i;
+    return table[i] + (w * (table[i+1] - table[i]));
+}
+
+// MAIN //
+
+/**
+* Evaluates the exponential function as `2^k * 2^t`, where `x/ln(2) = k + t` and `t` in `[0, 1)`.
+*
+* @private
+* @param {number} x - input value
+* @returns {number} function value
+*/
+function exp(x) {
+    var y;
+    var k;
+    if (x !== x) {
+        return NaN;
+    }
+    y = x * LOG2E;
+    if (y >= 1024.0) {
+        return Infinity;
+    }
+    if (y < -1075.0) {
+        return 0.0;
+    }
+    k = floor(y);
+    return ldexp(interpolate(EXP2, y - k), k);
+}
+
+/**
+* Evaluates the square root as `2^k * sqrt(m)`, where `x = 4^k * m` and `m` in `[0.25, 1)`.
+*
+* @private
+* @param {number} x - input value
+* @returns {number} function value
+*/
+function sqrt(x) {
+    var parts;
+    var m;
+    var e;
+    if (x !== x || x < 0.0) {
+        return NaN;
+    }
+    if (x === 0.0 || x === Infinity) {
+        return x;
+    }
+    parts = frexp(x); // x = m * 2^e, m in [0.5, 1)
+    m = parts[0];
+    e = parts[1];
+    if (e % 2 !== 0) {
+        m *= 0.5;
+        e += 1;
+    }
+    return ldexp(interpolate(SQRT, (m - 0.25) / 0.75), e / 2);
+}
+
+// EXPORTS //
+
+module.exports = {
+    'exp': exp,
+    'sqrt': sqrt
+};
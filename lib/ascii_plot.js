@@ -6,56 +6,346 @@
 * Generates simple ASCII art visualizations of mathematical functions
 * using stdlib. This demonstrates stdlib's array utilities and
 * special functions in a visual, intuitive way.
+*
+* Functions of two arguments are sampled on a grid (one sample per
+* character cell) and rendered as heatmaps of their values. Functions of
+* one argument are sampled once per column, or twice for renderers which
+* draw two pixels per column (`braille`). Several implementations of a
+* function of one argument (stdlib, native `Math` and the single-precision
+* variant) can be overlaid, optionally with the ULP error of each with
+* respect to the first. Vertical asymptotes of functions of one argument
+* (e.g., tan near π/2, or ln near 0 where it is undefined for negative
+* inputs) are located by bisection between samples, so that they can be
+* marked rather than stretching the y range towards infinity.
+*
+* Returns the sampled plot data; see `lib/render/plot.js` for the text
+* rendering.
 */
 
-var exp = require('@stdlib/math/base/special/exp');
-var ln = require('@stdlib/math/base/special/ln');
-var sqrt = require('@stdlib/math/base/special/sqrt');
-var erf = require('@stdlib/math/base/special/erf');
-var abs = require('@stdlib/math/base/special/abs');
-var floor = require('@stdlib/math/base/special/floor');
-var round = require('@stdlib/math/base/special/round');
-var max = require('@stdlib/math/base/special/max');
-var min = require('@stdlib/math/base/special/min');
 var isnan = require('@stdlib/math/base/assert/is-nan');
 var isinfinite = require('@stdlib/math/base/assert/is-infinite');
+var abs = require('@stdlib/math/base/special/abs');
+var max = require('@stdlib/math/base/special/max');
+var round = require('@stdlib/math/base/special/round');
+var floor = require('@stdlib/math/base/special/floor');
+var log10 = require('@stdlib/math/base/special/log10');
+var pow = require('@stdlib/math/base/special/pow');
 var linspace = require('@stdlib/array/linspace');
+var setReadOnly = require('@stdlib/utils/define-nonenumerable-read-only-property');
+var impl = require('./implementations.js');
+var ulp = require('./ulp.js');
 
-// Plot dimensions...
+// Default plot dimensions (in character cells of the text rendering)...
 var PLOT_WIDTH = 60;
 var PLOT_HEIGHT = 18;
 
+// Samples per column of each renderer of functions of one argument (see `lib/render/canvas.js`)...
+var RESOLUTION = {
+    'dots': 1,
+    'line': 1,
+    'block': 1,
+    'braille': 2
+};
+
+// Implementations which can be plotted as series of functions of one argument...
+var SERIES = ['stdlib', 'native', 'float32'];
+
+// Maximum number of bisections locating a vertical asymptote between two samples...
+var BISECTIONS = 64;
+
+// Factor by which values must grow towards a point between two samples for it to be a vertical asymptote...
+var DIVERGENCE = 10.0;
+
+// FUNCTIONS //
+
+/**
+* Returns an implementation of a function of one argument to plot as a series.
+*
+* @private
+* @param {Object} entry - registry entry
+* @param {string} id - implementation identifier (see `SERIES`)
+* @returns {Object} identifier (`id`), label (`label`) and implementation (`fn`)
+*/
+function implementation(entry, id) {
+    var f;
+    if (id === 'native') {
+        return {
+            'id': id,
+            'label': entry.nativeLabel,
+            'fn': entry.native
+        };
+    }
+    if (id === 'float32') {
+        f = impl.float32(entry.name);
+        return {
+            'id': id,
+            'label': f.label,
+            'fn': f.fn
+        };
+    }
+    return {
+        'id': 'stdlib',
+        'label': (typeof entry.stdlib === 'string') ? entry.stdlib : entry.stdlib.deps.join(', '),
+        'fn': impl.stdlib(entry.name)
+    };
+}
+
+/**
+* Returns the absolute ULP error of a value with respect to a reference value.
+*
+* @private
+* @param {number} v - value
+* @param {number} ref - reference value
+* @returns {number} ULP error (`0` for the same values, including both NaN; `NaN` where undefined)
+*/
+function ulpError(v, ref) {
+    if (v === ref || (isnan(v) && isnan(ref))) {
+        return 0;
+    }
+    return abs(ulp.distance(v, ref));
+}
+
+/**
+* Returns the smallest magnitude of two values, ignoring `NaN`.
+*
+* @private
+* @param {number} a - first value
+* @param {number} b - second value
+* @returns {number} smallest magnitude
+*/
+function magnitude(a, b) {
+    if (isnan(a)) {
+        return abs(b);
+    }
+    if (isnan(b)) {
+        return abs(a);
+    }
+    return (abs(a) < abs(b)) ? abs(a) : abs(b);
+}
+
+/**
+* Returns a boolean indicating whether a value is positive.
+*
+* @private
+* @param {number} v - value
+* @returns {boolean} boolean indicating whether the value is positive
+*/
+function isPositive(v) {
+    return v > 0.0;
+}
+
+/**
+* Locates a vertical asymptote between two samples.
+*
+* ## Notes
+*
+* -   The interval is bisected, keeping the half across which the samples still differ by the given property (e.g., their sign), until its bounds are adjacent floating-point numbers. Near a vertical asymptote, the values at the bounds grow without limit (or reach infinity); near a root or a jump, they do not.
+*
+* @private
+* @param {Function} fn - function
+* @param {number} a - first input
+* @param {number} b - second input
+* @param {number} ya - function value at `a`
+* @param {number} yb - function value at `b`
+* @param {Function} side - function returning the property by which the samples differ
+* @returns {number} position of the vertical asymptote, or `NaN` if there is none
+*/
+function pole(fn, a, b, ya, yb, side) {
+    var start;
+    var m;
+    var y;
+    var i;
+
+    start = magnitude(ya, yb);
+    for (i = 0; i < BISECTIONS; i++) {
+        m = a + ((b - a) / 2.0);
+        if (m === a || m === b) {
+            break;
+        }
+        y = fn(m);
+        if (isinfinite(y)) {
+            return m;
+        }
+        if (side(y) === side(ya)) {
+            a = m;
+            ya = y;
+        } else {
+            b = m;
+            yb = y;
+        }
+    }
+    return (magnitude(ya, yb) > DIVERGENCE * max(1.0, start)) ? a + ((b - a) / 2.0) : NaN;
+}
+
+/**
+* Snaps the position of a vertical asymptote to a known hazard of the function, or else to a round number, within one sample step.
+*
+* ## Notes
+*
+* -   Bisection locates an asymptote only to within the precision at which the function's values stop growing (e.g., ln near 0 at `x ≈ 2e-21`), so the position is rounded to the hazard it approximates (e.g., a multiple of π/2 for tan) or to the coarsest decimal within a step (e.g., 0 for ln).
+*
+* @private
+* @param {number} p - position
+* @param {PositiveNumber} step - sample step
+* @param {(Object|void)} hazards - hazards of the function (see `lib/registry.js`)
+* @returns {number} snapped position
+*/
+function snap(p, step, hazards) {
+    var h;
+    var e;
+    var f;
+    var i;
+
+    if (hazards && hazards.multiples) {
+        h = round(p / hazards.multiples) * hazards.multiples;
+        if (abs(h - p) <= step) {
+            return h;
+        }
+    }
+    for (i = 0; hazards && hazards.points && i < hazards.points.length; i++) {
+        if (abs(hazards.points[i] - p) <= step) {
+            return hazards.points[i];
+        }
+    }
+    // Round to the multiples of the largest power of ten not exceeding the step (dividing by an exact power of ten for steps less than one, so that the result is the float64 nearest a short decimal):
+    e = floor(log10(step));
+    if (e < 0) {
+        f = pow(10.0, -e);
+        return round(p * f) / f;
+    }
+    f = pow(10.0, e);
+    return round(p / f) * f;
+}
+
+/**
+* Locates the vertical asymptotes of a sampled function.
+*
+* ## Notes
+*
+* -   Asymptotes are looked for between consecutive samples of opposite signs (e.g., tan near π/2), and between a sample at which the function is undefined (`NaN`) and one at which it is not (e.g., ln near 0). An infinite sample is an asymptote if its neighbors are finite (or it is at the edge of the range), but not if it belongs to a run of infinite samples (e.g., exp overflowing).
+*
+* @private
+* @param {Function} fn - function
+* @param {Collection<number>} x - inputs (evenly spaced)
+* @param {Collection<number>} y - function values
+* @param {(Object|void)} hazards - hazards of the function, to which the positions are snapped (see `snap`)
+* @returns {Array<number>} positions of the vertical asymptotes
+*/
+function asymptotes(fn, x, y, hazards) {
+    var step;
+    var out;
+    var n;
+    var p;
+    var i;
+
+    n = x.length;
+    step = (n > 1) ? (x[n-1] - x[0]) / (n - 1) : 0.0;
+    out = [];
+    for (i = 0; i < n; i++) {
+        if (isinfinite(y[i])) {
+            if ((i === 0 || !isinfinite(y[i-1])) && (i === n-1 || !isinfinite(y[i+1]))) {
+                out.push(snap(x[i], step, hazards));
+            }
+            continue;
+        }
+        if (i === 0 || isinfinite(y[i-1])) {
+            continue;
+        }
+        p = NaN;
+        if (y[i-1] * y[i] < 0.0) {
+            p = pole(fn, x[i-1], x[i], y[i-1], y[i], isPositive);
+        } else if (isnan(y[i-1]) !== isnan(y[i])) {
+            p = pole(fn, x[i-1], x[i], y[i-1], y[i], isnan);
+        }
+        if (!isnan(p)) {
+            out.push(snap(p, step, hazards));
+        }
+    }
+    return out;
+}
+
 /**
-* Renders an ASCII plot of a mathematical function.
+* Returns a boolean indicating whether a value is within a distance of any of a list of positions.
+*
+* @private
+* @param {number} v - value
+* @param {Array<number>} positions - positions
+* @param {number} d - distance
+* @returns {boolean} boolean indicating whether the value is near a position
+*/
+function isNear(v, positions, d) {
+    var i;
+    for (i = 0; i < positions.length; i++) {
+        if (abs(v - positions[i]) < d) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+* Samples a mathematical function for plotting.
+*
+* ## Notes
+*
+* -   `y` holds the values of the first implementation. Overlays of several implementations also list every implementation's values (`series`: `id`, `label` and `y`), and `errors` holds the ULP errors of the other implementations with respect to the first (`id`, `label` and `ulp`).
+* -   The y range covers the finite values of every implementation which the scale can draw (positive values, on a logarithmic scale), except samples within a column of a vertical asymptote (`asymptotes`, located in the first implementation), which would stretch the range towards infinity.
 *
 * @private
 * @param {string} title - plot title
-* @param {Function} fn - function to plot
+* @param {Array<Object>} fns - implementations to plot (`id`, `label` and `fn`)
 * @param {number} xmin - minimum x value
 * @param {number} xmax - maximum x value
 * @param {string} description - description of the function
+* @param {PositiveInteger} width - number of plot columns
+* @param {PositiveInteger} height - number of plot rows
+* @param {PositiveInteger} resolution - number of samples per column
+* @param {boolean} error - boolean indicating whether to compute ULP errors
+* @param {string} scale - y scale (`'linear'`, `'log'` or `'symlog'`)
+* @param {(Object|void)} hazards - hazards of the function, to which the positions of vertical asymptotes are snapped
+* @returns {Object} plot data
 */
-function plotFunction(title, fn, xmin, xmax, description) {
+function plotFunction(title, fns, xmin, xmax, description, width, height, resolution, error, scale, hazards) {
+    var n = width * resolution;
+    var poles;
+    var series;
+    var errors;
+    var plot;
     var ymin;
     var ymax;
-    var grid;
-    var line;
-    var col;
-    var row;
+    var e;
     var x;
     var y;
     var i;
-    var j;
+    var k;
 
     // Compute function values...
-    x = linspace(xmin, xmax, PLOT_WIDTH);
-    y = new Float64Array(PLOT_WIDTH);
+    x = linspace(xmin, xmax, n);
+    series = [];
+    for (k = 0; k < fns.length; k++) {
+        y = new Float64Array(n);
+        for (i = 0; i < n; i++) {
+            y[i] = fns[k].fn(x[i]);
+        }
+        series.push({
+            'id': fns[k].id,
+            'label': fns[k].label,
+            'y': y
+        });
+    }
+    poles = asymptotes(fns[0].fn, x, series[0].y, hazards);
+
     ymin = Infinity;
     ymax = -Infinity;
-
-    for (i = 0; i < PLOT_WIDTH; i++) {
-        y[i] = fn(x[i]);
-        if (!isnan(y[i]) && !isinfinite(y[i])) {
+    for (k = 0; k < series.length; k++) {
+        y = series[k].y;
+        for (i = 0; i < n; i++) {
+            if (isnan(y[i]) || isinfinite(y[i]) || (scale === 'log' && y[i] <= 0.0)) {
+                continue;
+            }
+            if (poles.length && isNear(x[i], poles, (xmax - xmin) / width)) {
+                continue;
+            }
             if (y[i] < ymin) {
                 ymin = y[i];
             }
@@ -65,150 +355,233 @@ function plotFunction(title, fn, xmin, xmax, description) {
         }
     }
 
-    // Handle edge case where all values are the same...
-    if (ymin === ymax) {
-        ymin -= 1.0;
-        ymax += 1.0;
+    // Handle edge cases where there are no values to draw, or all values are the same...
+    if (ymin > ymax) {
+        ymin = (scale === 'log') ? 1.0 : 0.0;
+        ymax = ymin;
     }
-
-    // Initialize grid with spaces...
-    grid = [];
-    for (j = 0; j < PLOT_HEIGHT; j++) {
-        grid.push([]);
-        for (i = 0; i < PLOT_WIDTH; i++) {
-            grid[j].push(' ');
+    if (ymin === ymax) {
+        if (scale === 'log') {
+            ymin /= 10.0;
+            ymax *= 10.0;
+        } else {
+            ymin -= 1.0;
+            ymax += 1.0;
         }
     }
 
-    // Plot each point...
-    for (i = 0; i < PLOT_WIDTH; i++) {
-        if (!isnan(y[i]) && !isinfinite(y[i])) {
-            row = round(
-                (1.0 - (y[i] - ymin) / (ymax - ymin)) *
-                (PLOT_HEIGHT - 1)
-            );
-            // Clamp row to valid range...
-            row = floor(max(0, min(PLOT_HEIGHT - 1, row)));
-            grid[row][i] = '●';
-        }
+    plot = {
+        'title': title,
+        'description': description,
+        'xmin': xmin,
+        'xmax': xmax,
+        'ymin': ymin,
+        'ymax': ymax,
+        'width': width,
+        'height': height,
+        'x': x,
+        'y': series[0].y,
+        'asymptotes': poles
+    };
+    if (series.length > 1) {
+        plot.series = series;
     }
-
-    // Draw the zero line if it's in range...
-    if (ymin <= 0.0 && ymax >= 0.0) {
-        row = round(
-            (1.0 - (0.0 - ymin) / (ymax - ymin)) *
-            (PLOT_HEIGHT - 1)
-        );
-        row = floor(max(0, min(PLOT_HEIGHT - 1, row)));
-        for (i = 0; i < PLOT_WIDTH; i++) {
-            if (grid[row][i] === ' ') {
-                grid[row][i] = '·';
+    if (error) {
+        errors = [];
+        for (k = 1; k < series.length; k++) {
+            e = new Float64Array(n);
+            for (i = 0; i < n; i++) {
+                e[i] = ulpError(series[k].y[i], series[0].y[i]);
             }
+            errors.push({
+                'id': series[k].id,
+                'label': series[k].label,
+                'ulp': e
+            });
         }
+        plot.errors = errors;
     }
-
-    // Print the plot...
-    console.log('');
-    console.log('  ┌─ ' + title + ' ' +
-        new Array(max(1, PLOT_WIDTH - title.length - 3)).join('─') +
-        '┐');
-    console.log('  │  ' + description);
-    console.log('  │  x ∈ [' + xmin + ', ' + xmax + ']' +
-        '  y ∈ [' + ymin.toFixed(2) + ', ' + ymax.toFixed(2) + ']');
-    console.log('  │');
-
-    for (j = 0; j < PLOT_HEIGHT; j++) {
-        line = '';
-        if (j === 0) {
-            line = (ymax.toFixed(1) + '     ').slice(0, 7);
-        } else if (j === PLOT_HEIGHT - 1) {
-            line = (ymin.toFixed(1) + '     ').slice(0, 7);
-        } else {
-            line = '       ';
-        }
-        console.log('  │' + line + '│' +
-            grid[j].join('') + '│');
-    }
-
-    console.log('  │       └' +
-        new Array(PLOT_WIDTH + 1).join('─') + '┘');
-    console.log('  │        ' +
-        (xmin.toFixed(1) + '     ').slice(0, 7) +
-        new Array(max(1, PLOT_WIDTH - 13)).join(' ') +
-        (xmax.toFixed(1)));
-    console.log('  └' +
-        new Array(PLOT_WIDTH + 10).join('─') + '┘');
+    return plot;
 }
 
 /**
-* The sigmoid function: 1 / (1 + exp(-x))
+* Samples a mathematical function of two arguments on a grid for plotting.
+*
+* ## Notes
+*
+* -   Rows are ordered from the largest to the smallest value of the second argument (i.e., as displayed), and `z` holds the function values in row-major order.
 *
 * @private
-* @param {number} x - input
-* @returns {number} sigmoid value
+* @param {string} title - plot title
+* @param {Function} fn - function to plot
+* @param {Array<number>} xrange - range `[min, max]` of the first argument
+* @param {Array<number>} yrange - range `[min, max]` of the second argument
+* @param {string} description - description of the function
+* @param {Array<string>} args - argument names
+* @param {PositiveInteger} width - number of samples of the first argument (plot columns)
+* @param {PositiveInteger} height - number of samples of the second argument (plot rows)
+* @returns {Object} plot data
 */
-function sigmoid(x) {
-    return 1.0 / (1.0 + exp(-x));
+function plotSurface(title, fn, xrange, yrange, description, args, width, height) {
+    var zmin;
+    var zmax;
+    var x;
+    var y;
+    var z;
+    var v;
+    var i;
+    var j;
+
+    x = linspace(xrange[0], xrange[1], width);
+    y = linspace(yrange[1], yrange[0], height);
+    z = new Float64Array(width * height);
+    zmin = Infinity;
+    zmax = -Infinity;
+    for (j = 0; j < height; j++) {
+        for (i = 0; i < width; i++) {
+            v = fn(x[i], y[j]);
+            z[(j*width)+i] = v;
+            if (!isnan(v) && !isinfinite(v)) {
+                if (v < zmin) {
+                    zmin = v;
+                }
+                if (v > zmax) {
+                    zmax = v;
+                }
+            }
+        }
+    }
+    if (zmin === zmax) {
+        zmin -= 1.0;
+        zmax += 1.0;
+    }
+    return {
+        'title': title,
+        'description': description,
+        'args': args,
+        'xmin': xrange[0],
+        'xmax': xrange[1],
+        'ymin': yrange[0],
+        'ymax': yrange[1],
+        'zmin': zmin,
+        'zmax': zmax,
+        'height': height,
+        'x': x,
+        'y': y,
+        'z': z
+    };
 }
 
 /**
-* The Gaussian function: exp(-x^2)
+* Samples a registered function for plotting.
 *
-* @private
-* @param {number} x - input
-* @returns {number} Gaussian value
+* @param {string} name - function name
+* @param {Options} [options] - options
+* @param {Array<number>} [options.range] - custom x range `[min, max]` (of the first argument, for functions of two arguments)
+* @param {Array<number>} [options.yrange] - custom range `[min, max]` of the second argument of functions of two arguments
+* @param {PositiveInteger} [options.width=60] - plot width (in columns)
+* @param {PositiveInteger} [options.height=18] - plot height (in rows)
+* @param {string} [options.renderer='dots'] - renderer of functions of one argument (see `lib/render/canvas.js`), which determines the number of samples per column
+* @param {Array<string>} [options.series=['stdlib']] - implementations of a function of one argument to overlay: `'stdlib'`, `'native'` and/or `'float32'`
+* @param {boolean} [options.error=false] - boolean indicating whether to compute the ULP errors of the overlaid implementations with respect to the first
+* @param {string} [options.scale='linear'] - y scale of functions of one argument, which determines the values spanned by the y range (`'linear'`, `'log'` or `'symlog'`)
+* @returns {Object} plot data
 */
-function gaussian(x) {
-    return exp(-(x * x));
-}
+function sample(name, options) {
+    var p = impl.entry(name);
+    var range;
+    var fns;
+    var ids;
+    var i;
 
-/**
-* Main ASCII plot function - visualizes several math functions.
-*/
-function asciiPlot() {
-    console.log('  Visualizing stdlib math functions with ASCII art:');
-
-    plotFunction(
-        'exp(x)',
-        exp,
-        -2.0, 3.0,
-        'Exponential growth - foundation of calculus'
+    options = options || {};
+    range = options.range || p.plotRange;
+    if (impl.arity(p.name) === 2) {
+        return plotSurface(
+            p.label,
+            impl.stdlib(p.name),
+            range,
+            options.yrange || p.plotRangeY,
+            p.summary,
+            p.args,
+            options.width || PLOT_WIDTH,
+            options.height || PLOT_HEIGHT
+        );
+    }
+    ids = options.series || ['stdlib'];
+    fns = [];
+    for (i = 0; i < ids.length; i++) {
+        fns.push(implementation(p, ids[i]));
+    }
+    return plotFunction(
+        p.label,
+        fns,
+        range[0], range[1],
+        p.summary,
+        options.width || PLOT_WIDTH,
+        options.height || PLOT_HEIGHT,
+        RESOLUTION[options.renderer || 'dots'],
+        Boolean(options.error),
+        options.scale || 'linear',
+        p.hazards
     );
+}
 
-    plotFunction(
-        'ln(x)',
-        ln,
-        0.1, 10.0,
-        'Natural logarithm - inverse of exp'
-    );
+// VARIABLES //
 
-    plotFunction(
-        'sqrt(x)',
-        sqrt,
-        0.0, 16.0,
-        'Square root - concave increasing function'
-    );
+// Functions plotted by default...
+var DEFAULTS = impl.list(function isFeatured(entry) {
+    return entry.featured;
+});
 
-    plotFunction(
-        'sigmoid(x) = 1/(1+exp(-x))',
-        sigmoid,
-        -6.0, 6.0,
-        'S-curve used in machine learning'
-    );
+// MAIN //
 
-    plotFunction(
-        'gaussian(x) = exp(-x²)',
-        gaussian,
-        -3.0, 3.0,
-        'Bell curve - heart of normal distribution'
-    );
+/**
+* Main ASCII plot function - samples several math functions for visualization.
+*
+* @param {Options} [options] - options
+* @param {Array<string>} [options.fn] - names of the functions to plot (default: featured functions)
+* @param {Array<number>} [options.range] - custom x range `[min, max]` (of the first argument, for functions of two arguments)
+* @param {Array<number>} [options.yrange] - custom range `[min, max]` of the second argument of functions of two arguments
+* @param {PositiveInteger} [options.width=60] - plot width (in columns)
+* @param {PositiveInteger} [options.height=18] - plot height (in rows)
+* @param {string} [options.renderer='dots'] - renderer of functions of one argument: `'dots'`, `'line'`, `'block'` (half blocks) or `'braille'`
+* @param {boolean} [options.color=false] - boolean indicating whether to color the plots with ANSI escapes
+* @param {boolean} [options.ascii=false] - boolean indicating whether to only draw ASCII characters
+* @param {Array<string>} [options.series=['stdlib']] - implementations of functions of one argument to overlay: `'stdlib'`, `'native'` and/or `'float32'`
+* @param {boolean} [options.error=false] - boolean indicating whether to add a panel plotting the ULP errors of the overlaid implementations with respect to the first
+* @param {string} [options.scale='linear'] - y scale of functions of one argument: `'linear'`, `'log'` or `'symlog'`
+* @param {PositiveInteger} [options.precision] - number of significant digits of axis labels (default: as many as the tick spacing requires)
+* @param {string} [options.notation='auto'] - notation of axis labels: `'auto'` (scientific for large and small magnitudes), `'fixed'` or `'scientific'`
+* @returns {Object} plot report
+*/
+function asciiPlot(options) {
+    var plots;
+    var names;
+    var i;
 
-    plotFunction(
-        'erf(x) — Error function',
-        erf,
-        -3.0, 3.0,
-        'Probability integral — foundation of stats'
-    );
+    options = options || {};
+    names = options.fn || DEFAULTS;
+    plots = [];
+    for (i = 0; i < names.length; i++) {
+        plots.push(sample(names[i], options));
+    }
+    return {
+        'type': 'plot',
+        'renderer': options.renderer || 'dots',
+        'color': Boolean(options.color),
+        'ascii': Boolean(options.ascii),
+        'scale': options.scale || 'linear',
+        'precision': options.precision || null,
+        'notation': options.notation || 'auto',
+        'plots': plots
+    };
 }
 
+setReadOnly(asciiPlot, 'functions', impl.list());
+setReadOnly(asciiPlot, 'defaults', DEFAULTS);
+setReadOnly(asciiPlot, 'sample', sample);
+setReadOnly(asciiPlot, 'renderers', Object.keys(RESOLUTION));
+setReadOnly(asciiPlot, 'series', SERIES);
+
 module.exports = asciiPlot;
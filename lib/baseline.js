@@ -0,0 +1,412 @@
+'use strict';
+
+/**
+* Accuracy Baselines
+*
+* A baseline is a JSON snapshot of a comparison report: for each function
+* and test range, the number of measured test points, the number of `NaN`
+* results, the error statistics and worst case of the stdlib
+* implementation, together with the options which generated the test points
+* and the stdlib and Node.js versions. Comparing a later report against a
+* baseline flags the ranges whose accuracy regressed beyond configurable
+* thresholds (e.g., after upgrading `@stdlib/stdlib`).
+*
+* Since test points are deterministic, a report generated with the
+* baseline's options evaluates exactly the same inputs, so any change in
+* the statistics is due to the implementations.
+*/
+
+var fs = require('fs');
+var hasOwnProp = require('@stdlib/assert/has-own-property');
+var isNonNegativeInteger = require('@stdlib/assert/is-nonnegative-integer').isPrimitive;
+var decode = require('./spec/decode.js');
+var encode = require('./format/encode.js');
+var STDLIB_VERSION = require('@stdlib/stdlib/package.json').version;
+
+// VARIABLES //
+
+/**
+* Baseline file format version.
+*
+* @private
+* @type {PositiveInteger}
+*/
+var VERSION = 1;
+
+/**
+* Default regression thresholds.
+*
+* @private
+* @type {Object}
+*/
+var THRESHOLDS = {
+    'max': 0.0,
+    'mean': 0.0,
+    'correctlyRounded': 0.0
+};
+
+// Statistics recorded for each range...
+var FIELDS = ['max', 'mean', 'correctlyRounded', 'faithfullyRounded'];
+
+// Counts recorded for each range (optional in baselines saved before they were recorded)...
+var COUNTS = ['n', 'nNaN'];
+
+// FUNCTIONS //
+
+/**
+* Returns a baseline error.
+*
+* @private
+* @param {string} path - baseline file path
+* @param {string} msg - error message
+* @returns {Error} error
+*/
+function baselineError(path, msg) {
+    return new Error('invalid baseline file. `' + path + '`: ' + msg);
+}
+
+/**
+* Returns the difference between two statistics.
+*
+* @private
+* @param {number} a - current value
+* @param {number} b - baseline value
+* @returns {number} difference (`0` if both values are equal, including infinite values)
+*/
+function delta(a, b) {
+    return (a === b) ? 0.0 : a - b;
+}
+
+/**
+* Compares the statistics of a range against its baseline.
+*
+* ## Notes
+*
+* -   Fewer measured test points or more `NaN` results than in the baseline are regressions regardless of the thresholds, as the error statistics do not cover the test points which are no longer measured.
+*
+* @private
+* @param {Object} cur - current statistics
+* @param {Object} base - baseline statistics
+* @param {Object} thresholds - regression thresholds
+* @returns {Object} deltas, violated thresholds and status
+*/
+function compareStats(cur, base, thresholds) {
+    var violations;
+    var deltas;
+    var better;
+
+    deltas = {
+        'max': delta(cur.max, base.max),
+        'mean': delta(cur.mean, base.mean),
+        'correctlyRounded': delta(cur.correctlyRounded, base.correctlyRounded),
+        'n': (base.n === void 0) ? 0 : cur.n - base.n,
+        'nNaN': (base.nNaN === void 0) ? 0 : cur.nNaN - base.nNaN
+    };
+    violations = [];
+    if (deltas.n < 0) {
+        violations.push('n');
+    }
+    if (deltas.nNaN > 0) {
+        violations.push('nNaN');
+    }
+    if (deltas.max > thresholds.max) {
+        violations.push('max');
+    }
+    if (deltas.mean > thresholds.mean) {
+        violations.push('mean');
+    }
+    // The correctly rounded threshold is given in percentage points:
+    if (-100.0 * deltas.correctlyRounded > thresholds.correctlyRounded) {
+        violations.push('correctlyRounded');
+    }
+    better = (deltas.max < 0.0 || deltas.mean < 0.0 || deltas.correctlyRounded > 0.0 || deltas.n > 0 || deltas.nNaN < 0);
+    return {
+        'deltas': deltas,
+        'violations': violations,
+        'status': (violations.length) ? 'regressed' : ((better) ? 'improved' : 'unchanged')
+    };
+}
+
+// MAIN //
+
+/**
+* Returns a baseline snapshot of a comparison report.
+*
+* @param {Object} report - comparison report
+* @param {Options} options - comparison options
+* @param {Array<string>} [options.fn] - compared functions
+* @param {Array<number>} [options.range] - custom test range
+* @param {Array<number>} [options.yrange] - custom test range of the second argument of functions of two arguments
+* @param {PositiveInteger} [options.n] - number of test points per range
+* @param {(string|Array<string>)} [options.generator] - test point generator(s)
+* @returns {Object} baseline
+*/
+function snapshot(report, options) {
+    var functions;
+    var names;
+    var stats;
+    var out;
+    var f;
+    var c;
+    var i;
+    var j;
+    var k;
+
+    functions = {};
+    names = [];
+    for (i = 0; i < report.functions.length; i++) {
+        f = report.functions[i];
+        names.push(f.name);
+        out = {
+            'implementation': f.stdlib,
+            'ranges': {}
+        };
+        for (j = 0; j < f.comparisons.length; j++) {
+            c = f.comparisons[j];
+            stats = {
+                'points': c.points
+            };
+            for (k = 0; k < COUNTS.length; k++) {
+                stats[COUNTS[k]] = c.errors.stdlib[COUNTS[k]];
+            }
+            for (k = 0; k < FIELDS.length; k++) {
+                stats[FIELDS[k]] = c.errors.stdlib[FIELDS[k]];
+            }
+            stats.percentiles = c.errors.stdlib.percentiles;
+            stats.worst = c.errors.stdlib.worst;
+            out.ranges[c.label] = stats;
+        }
+        functions[f.name] = out;
+    }
+    return {
+        'version': VERSION,
+        'created': new Date().toISOString(),
+        'stdlib': STDLIB_VERSION,
+        'node': process.version,
+        'options': {
+            'fn': names,
+            'range': options.range || null,
+            'yrange': options.yrange || null,
+            'n': options.n || null,
+            'generator': options.generator || null,
+            'seed': report.seed
+        },
+        'functions': functions
+    };
+}
+
+/**
+* Writes a baseline file.
+*
+* @param {string} path - file path
+* @param {Object} baseline - baseline
+*/
+function write(path, baseline) {
+    fs.writeFileSync(path, JSON.stringify(encode(baseline), null, 2) + '\n');
+}
+
+/**
+* Reads and validates a baseline file.
+*
+* @param {string} path - file path
+* @throws {Error} must be a valid baseline file
+* @returns {Object} baseline
+*/
+function read(path) {
+    var baseline;
+    var ranges;
+    var names;
+    var keys;
+    var s;
+    var i;
+    var j;
+    var k;
+
+    try {
+        baseline = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (err) {
+        throw baselineError(path, err.message);
+    }
+    if (baseline === null || typeof baseline !== 'object' || baseline.version !== VERSION) {
+        throw baselineError(path, 'not a baseline file (version ' + VERSION + ').');
+    }
+    if (typeof baseline.functions !== 'object' || baseline.functions === null || typeof baseline.options !== 'object' || baseline.options === null) {
+        throw baselineError(path, 'missing `options` or `functions`.');
+    }
+    names = Object.keys(baseline.functions);
+    for (i = 0; i < names.length; i++) {
+        ranges = baseline.functions[names[i]].ranges || {};
+        keys = Object.keys(ranges);
+        for (j = 0; j < keys.length; j++) {
+            s = ranges[keys[j]];
+            for (k = 0; k < COUNTS.length; k++) {
+                if (s[COUNTS[k]] !== void 0 && !isNonNegativeInteger(s[COUNTS[k]])) {
+                    throw baselineError(path, names[i] + ' / ' + keys[j] + ': `' + COUNTS[k] + '` must be a nonnegative integer.');
+                }
+            }
+            for (k = 0; k < FIELDS.length; k++) {
+                try {
+                    s[FIELDS[k]] = decode(s[FIELDS[k]]);
+                } catch (err) {
+                    throw baselineError(path, names[i] + ' / ' + keys[j] + ': `' + FIELDS[k] + '` must be a number.');
+                }
+            }
+        }
+        baseline.functions[names[i]].ranges = ranges;
+    }
+    return baseline;
+}
+
+/**
+* Returns comparison options defaulting to the options which generated a baseline.
+*
+* @param {Options} options - comparison options
+* @param {Object} baseline - baseline
+* @returns {Options} options
+*/
+function defaults(options, baseline) {
+    var out;
+    var key;
+
+    out = {};
+    for (key in options) {
+        if (hasOwnProp(options, key)) {
+            out[key] = options[key];
+        }
+    }
+    if (out.fn === void 0) {
+        out.fn = baseline.options.fn;
+    }
+    if (out.range === void 0 && out.yrange === void 0 && out.n === void 0 && out.generator === void 0 && out.seed === void 0) {
+        if (baseline.options.range) {
+            out.range = baseline.options.range;
+        }
+        if (baseline.options.yrange) {
+            out.yrange = baseline.options.yrange;
+        }
+        if (baseline.options.n) {
+            out.n = baseline.options.n;
+        }
+        if (baseline.options.generator) {
+            out.generator = baseline.options.generator;
+        }
+        if (baseline.options.seed) {
+            out.seed = baseline.options.seed;
+        }
+    }
+    return out;
+}
+
+/**
+* Compares a comparison report against a baseline.
+*
+* @param {Object} report - comparison report
+* @param {Object} baseline - baseline
+* @param {Options} [options] - options
+* @param {string} [options.file] - baseline file path (for reports)
+* @param {NonNegativeNumber} [options.max=0] - maximum allowed increase of the maximum error (in ULPs)
+* @param {NonNegativeNumber} [options.mean=0] - maximum allowed increase of the mean error (in ULPs)
+* @param {NonNegativeNumber} [options.correctlyRounded=0] - maximum allowed decrease of the fraction of correctly rounded results (in percentage points)
+* @returns {Object} baseline comparison report
+*/
+function diff(report, baseline, options) {
+    var thresholds;
+    var entries;
+    var ranges;
+    var names;
+    var base;
+    var cur;
+    var cmp;
+    var f;
+    var c;
+    var n;
+    var i;
+    var j;
+
+    options = options || {};
+    thresholds = {
+        'max': (options.max === void 0) ? THRESHOLDS.max : options.max,
+        'mean': (options.mean === void 0) ? THRESHOLDS.mean : options.mean,
+        'correctlyRounded': (options.correctlyRounded === void 0) ? THRESHOLDS.correctlyRounded : options.correctlyRounded
+    };
+    entries = [];
+    n = 0;
+    for (i = 0; i < report.functions.length; i++) {
+        f = report.functions[i];
+        ranges = (hasOwnProp(baseline.functions, f.name)) ? baseline.functions[f.name].ranges : {};
+        names = [];
+        for (j = 0; j < f.comparisons.length; j++) {
+            c = f.comparisons[j];
+            cur = c.errors.stdlib;
+            names.push(c.label);
+            if (!hasOwnProp(ranges, c.label)) {
+                entries.push({
+                    'function': f.name,
+                    'range': c.label,
+                    'status': 'new',
+                    'current': cur,
+                    'baseline': null
+                });
+                continue;
+            }
+            base = ranges[c.label];
+            if (base.points !== c.points) {
+                entries.push({
+                    'function': f.name,
+                    'range': c.label,
+                    'status': 'incomparable',
+                    'note': 'baseline has ' + base.points + ' test points, current run ' + c.points,
+                    'current': cur,
+                    'baseline': base
+                });
+                continue;
+            }
+            cmp = compareStats(cur, base, thresholds);
+            if (cmp.status === 'regressed') {
+                n += 1;
+            }
+            entries.push({
+                'function': f.name,
+                'range': c.label,
+                'status': cmp.status,
+                'current': cur,
+                'baseline': base,
+                'deltas': cmp.deltas,
+                'violations': cmp.violations
+            });
+        }
+        for (c in ranges) {
+            if (hasOwnProp(ranges, c) && names.indexOf(c) < 0) {
+                entries.push({
+                    'function': f.name,
+                    'range': c,
+                    'status': 'missing',
+                    'current': null,
+                    'baseline': ranges[c]
+                });
+            }
+        }
+    }
+    return {
+        'type': 'baseline',
+        'file': options.file || null,
+        'versions': {
+            'baseline': baseline.stdlib,
+            'current': STDLIB_VERSION
+        },
+        'created': baseline.created,
+        'thresholds': thresholds,
+        'entries': entries,
+        'regressions': n
+    };
+}
+
+// EXPORTS //
+
+module.exports = {
+    'snapshot': snapshot,
+    'write': write,
+    'read': read,
+    'defaults': defaults,
+    'diff': diff
+};
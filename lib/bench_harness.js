@@ -0,0 +1,442 @@
+/**
+* Benchmark Harness
+*
+* Times two implementations of a function (stdlib and native) on the same
+* randomized inputs and tells whether their speeds differ significantly:
+*
+* -   Inputs are drawn uniformly from the function's first test range (see
+*     `lib/registry.js`), so that implementations are timed on the inputs
+*     they are tested on rather than on a few easy ones.
+* -   Each implementation is warmed up, then calibrated: the number of passes
+*     over the inputs is doubled until a sample lasts long enough for the
+*     timer's resolution to be negligible.
+* -   Samples of the two implementations are interleaved (alternating which
+*     goes first), so that drifts in clock speed or background load affect
+*     both alike.
+* -   Samples are summarized by robust statistics (median, median absolute
+*     deviation and a distribution-free confidence interval of the median),
+*     and compared with a two-sided Mann-Whitney U test.
+*
+* The results of every call are summed and the sums kept, so that engines
+* cannot eliminate the calls as dead code.
+*
+* Clocks and pseudorandom number generators are supplied by the caller.
+*/
+
+(function factory(root) {
+    'use strict';
+
+    // VARIABLES //
+
+    /**
+    * Default options.
+    *
+    * @private
+    * @type {Object}
+    */
+    var DEFAULTS = {
+        'samples': 20,
+        'sampleTime': 10,
+        'warmup': 50,
+        'alpha': 0.05
+    };
+
+    // Standard normal quantile of the 95% confidence intervals...
+    var Z95 = 1.959963984540054;
+
+    // Largest number of passes over the inputs per sample...
+    var MAX_REPS = 1073741824;
+
+    // Sum of the results of all timed calls (see `measure`)...
+    var sink = 0;
+
+    // FUNCTIONS //
+
+    /**
+    * Returns the bounds of the inputs of a function.
+    *
+    * ## Notes
+    *
+    * -   Inputs are drawn from the function's first test range (or, for functions without test ranges, its plot range).
+    *
+    * @private
+    * @param {Object} entry - registry entry
+    * @returns {Object} bounds of the first argument (`x`) and, for functions of two arguments, of the second argument (`y`)
+    */
+    function bounds(entry) {
+        var range = (entry.ranges) ? entry.ranges[0] : null;
+        if (entry.arity === 2) {
+            return {
+                'x': (range) ? range.x.slice() : entry.plotRange.slice(),
+                'y': (range) ? range.y.slice() : entry.plotRangeY.slice()
+            };
+        }
+        return {
+            'x': (range) ? [range.min, range.max] : entry.plotRange.slice()
+        };
+    }
+
+    /**
+    * Returns uniformly distributed inputs of a function.
+    *
+    * @private
+    * @param {Object} entry - registry entry
+    * @param {PositiveInteger} n - number of inputs
+    * @param {Function} rand - pseudorandom number generator returning numbers on `[0, 1)`
+    * @returns {Object} inputs (`x` and, for functions of two arguments, `y`; see `bounds`)
+    */
+    function inputs(entry, n, rand) {
+        var b = bounds(entry);
+        var out = {};
+
+        out.x = uniform(b.x[0], b.x[1], n, rand);
+        if (b.y) {
+            out.y = uniform(b.y[0], b.y[1], n, rand);
+        }
+        return out;
+    }
+
+    /**
+    * Returns uniformly distributed values.
+    *
+    * @private
+    * @param {number} min - lower bound
+    * @param {number} max - upper bound
+    * @param {PositiveInteger} n - number of values
+    * @param {Function} rand - pseudorandom number generator
+    * @returns {Float64Array} values
+    */
+    function uniform(min, max, n, rand) {
+        var out = new Float64Array(n);
+        var u;
+        var i;
+        for (i = 0; i < n; i++) {
+            // Interpolate without computing `max - min`, which may overflow...
+            u = rand();
+            out[i] = ((1.0 - u) * min) + (u * max);
+        }
+        return out;
+    }
+
+    /**
+    * Times passes of an implementation over the inputs.
+    *
+    * @private
+    * @param {Function} fn - implementation
+    * @param {Object} input - inputs (see `inputs`)
+    * @param {PositiveInteger} reps - number of passes
+    * @param {Function} now - clock returning milliseconds
+    * @returns {Object} elapsed time in milliseconds (`elapsed`), time per call in nanoseconds (`time`) and the sum of the results (`sum`)
+    */
+    function measure(fn, input, reps, now) {
+        var x = input.x;
+        var y = input.y;
+        var n = x.length;
+        var sum = 0;
+        var t;
+        var r;
+        var i;
+
+        t = now();
+        if (y) {
+            for (r = 0; r < reps; r++) {
+                for (i = 0; i < n; i++) {
+                    sum += fn(x[i], y[i]);
+                }
+            }
+        } else {
+            for (r = 0; r < reps; r++) {
+                for (i = 0; i < n; i++) {
+                    sum += fn(x[i]);
+                }
+            }
+        }
+        t = now() - t;
+        sink += sum;
+        return {
+            'elapsed': t,
+            'time': (t * 1.0e6) / (reps * n),
+            'sum': sum
+        };
+    }
+
+    /**
+    * Warms up an implementation and returns the number of passes over the inputs per sample.
+    *
+    * @private
+    * @param {Function} fn - implementation
+    * @param {Object} input - inputs
+    * @param {Object} opts - options (`now`, `warmup` and `sampleTime`, in milliseconds)
+    * @returns {Object} number of passes (`reps`) and the sum of the results of one pass (`checksum`)
+    */
+    function calibrate(fn, input, opts) {
+        var checksum;
+        var reps;
+        var end;
+        var m;
+
+        checksum = measure(fn, input, 1, opts.now).sum;
+        end = opts.now() + opts.warmup;
+        while (opts.now() < end) {
+            measure(fn, input, 1, opts.now);
+        }
+        reps = 1;
+        m = measure(fn, input, reps, opts.now);
+        while (m.elapsed < opts.sampleTime && reps < MAX_REPS) {
+            reps *= 2;
+            m = measure(fn, input, reps, opts.now);
+        }
+        return {
+            'reps': reps,
+            'checksum': checksum
+        };
+    }
+
+    /**
+    * Returns the median of sorted values.
+    *
+    * @private
+    * @param {Array<number>} v - sorted values
+    * @returns {number} median
+    */
+    function median(v) {
+        var k = v.length >> 1;
+        return (v.length % 2) ? v[k] : (v[k - 1] + v[k]) / 2.0;
+    }
+
+    /**
+    * Sorts numbers in ascending order.
+    *
+    * @private
+    * @param {Array<number>} v - values
+    * @returns {Array<number>} sorted copy
+    */
+    function sorted(v) {
+        return v.slice().sort(function cmp(a, b) {
+            return a - b;
+        });
+    }
+
+    /**
+    * Summarizes timing samples.
+    *
+    * ## Notes
+    *
+    * -   The confidence interval of the median is distribution-free: its bounds are the order statistics whose ranks bracket the median with 95% probability (using the normal approximation of the binomial distribution), so that it holds for the skewed, outlier-prone distributions of timings.
+    *
+    * @private
+    * @param {Array<number>} times - times per call (in nanoseconds)
+    * @returns {Object} summary: number of samples (`n`), `median`, median absolute deviation (`mad`), `mean`, `min`, `max`, 95% confidence interval of the median (`ci`) and calls per second at the median (`ops`)
+    */
+    function summarize(times) {
+        var dev = [];
+        var sum = 0;
+        var med;
+        var lo;
+        var hi;
+        var n;
+        var s;
+        var i;
+
+        s = sorted(times);
+        n = s.length;
+        med = median(s);
+        for (i = 0; i < n; i++) {
+            dev.push(Math.abs(s[i] - med));
+            sum += s[i];
+        }
+        lo = Math.floor((n - (Z95 * Math.sqrt(n))) / 2.0);
+        hi = Math.ceil(1 + ((n + (Z95 * Math.sqrt(n))) / 2.0));
+        return {
+            'n': n,
+            'median': med,
+            'mad': median(sorted(dev)),
+            'mean': sum / n,
+            'min': s[0],
+            'max': s[n - 1],
+            'ci': [s[Math.max(lo, 1) - 1], s[Math.min(hi, n) - 1]],
+            'ops': 1.0e9 / med
+        };
+    }
+
+    /**
+    * Evaluates the standard normal cumulative distribution function.
+    *
+    * ## Notes
+    *
+    * -   Uses the Abramowitz and Stegun 7.1.26 approximation of `erfc`, whose absolute error (below `1.5e-7`) is negligible for p-values.
+    *
+    * @private
+    * @param {number} z - value
+    * @returns {number} probability
+    */
+    function normalCdf(z) {
+        var x = Math.abs(z) / Math.SQRT2;
+        var t = 1.0 / (1.0 + (0.3275911 * x));
+        var erfc = t * (0.254829592 + (t * (-0.284496736 + (t * (1.421413741 + (t * (-1.453152027 + (t * 1.061405429)))))))) * Math.exp(-x * x);
+        return (z < 0) ? erfc / 2.0 : 1.0 - (erfc / 2.0);
+    }
+
+    /**
+    * Compares two sets of timing samples with a two-sided Mann-Whitney U test.
+    *
+    * ## Notes
+    *
+    * -   Uses the normal approximation of the U statistic, with a correction for ties, which is accurate from about ten samples per set.
+    *
+    * @private
+    * @param {Array<number>} a - times of the first implementation
+    * @param {Array<number>} b - times of the second implementation
+    * @param {number} alpha - significance level
+    * @returns {Object} comparison: ratio of the median times (`ratio`, `b / a`, i.e., how many times faster `a` is), p-value (`p`), whether the difference is `significant` and which implementation is faster (`faster`: `'a'`, `'b'`, or `null` if the difference is not significant)
+    */
+    function compare(a, b, alpha) {
+        var ranks = [];
+        var ties = 0;
+        var all = [];
+        var na = a.length;
+        var nb = b.length;
+        var ratio;
+        var sum;
+        var mu;
+        var sd;
+        var n;
+        var u;
+        var p;
+        var i;
+        var j;
+        var k;
+
+        for (i = 0; i < na; i++) {
+            all.push({ 'v': a[i], 'a': true });
+        }
+        for (i = 0; i < nb; i++) {
+            all.push({ 'v': b[i], 'a': false });
+        }
+        all.sort(function cmp(x, y) {
+            return x.v - y.v;
+        });
+        n = all.length;
+
+        // Assign mid-ranks to ties...
+        for (i = 0; i < n; i = j) {
+            j = i + 1;
+            while (j < n && all[j].v === all[i].v) {
+                j += 1;
+            }
+            for (k = i; k < j; k++) {
+                ranks[k] = (i + j + 1) / 2.0;
+            }
+            ties += ((j - i) * (j - i) * (j - i)) - (j - i);
+        }
+        sum = 0;
+        for (i = 0; i < n; i++) {
+            if (all[i].a) {
+                sum += ranks[i];
+            }
+        }
+        u = sum - ((na * (na + 1)) / 2.0);
+        mu = (na * nb) / 2.0;
+        sd = Math.sqrt(((na * nb) / 12.0) * ((n + 1) - (ties / (n * (n - 1)))));
+        p = (sd > 0) ? 2.0 * (1.0 - normalCdf((Math.abs(u - mu) - 0.5) / sd)) : 1.0;
+        p = Math.min(Math.max(p, 0.0), 1.0);
+        ratio = median(sorted(b)) / median(sorted(a));
+        return {
+            'ratio': ratio,
+            'p': p,
+            'significant': p < alpha,
+            'faster': (p < alpha) ? ((ratio > 1.0) ? 'a' : 'b') : null
+        };
+    }
+
+    /**
+    * Benchmarks two implementations of a function on the same inputs.
+    *
+    * @private
+    * @param {Function} a - first implementation (e.g., stdlib)
+    * @param {Function} b - second implementation (e.g., native)
+    * @param {Object} input - inputs (see `inputs`)
+    * @param {Object} options - options
+    * @param {Function} options.now - clock returning milliseconds
+    * @param {PositiveInteger} [options.samples=20] - number of samples per implementation
+    * @param {number} [options.sampleTime=10] - smallest duration of a sample (in milliseconds)
+    * @param {number} [options.warmup=50] - warm-up time per implementation (in milliseconds)
+    * @param {number} [options.alpha=0.05] - significance level
+    * @returns {Object} results: summaries of both implementations (`a`, `b`, with the passes per sample `reps` and the sum of the results of one pass `checksum`) and their comparison (`comparison`)
+    */
+    function run(a, b, input, options) {
+        var opts = {};
+        var ca;
+        var cb;
+        var ta;
+        var tb;
+        var sa;
+        var sb;
+        var i;
+        var k;
+
+        for (k in DEFAULTS) {
+            if (DEFAULTS.hasOwnProperty(k)) {
+                opts[k] = (options[k] === void 0) ? DEFAULTS[k] : options[k];
+            }
+        }
+        opts.now = options.now;
+        ca = calibrate(a, input, opts);
+        cb = calibrate(b, input, opts);
+        ta = [];
+        tb = [];
+        for (i = 0; i < opts.samples; i++) {
+            if (i % 2) {
+                tb.push(measure(b, input, cb.reps, opts.now).time);
+                ta.push(measure(a, input, ca.reps, opts.now).time);
+            } else {
+                ta.push(measure(a, input, ca.reps, opts.now).time);
+                tb.push(measure(b, input, cb.reps, opts.now).time);
+            }
+        }
+        sa = summarize(ta);
+        sa.reps = ca.reps;
+        sa.checksum = ca.checksum;
+        sb = summarize(tb);
+        sb.reps = cb.reps;
+        sb.checksum = cb.checksum;
+        return {
+            'a': sa,
+            'b': sb,
+            'comparison': compare(ta, tb, opts.alpha)
+        };
+    }
+
+    /**
+    * Returns the sum of the results of all timed calls.
+    *
+    * @private
+    * @returns {number} sum
+    */
+    function total() {
+        return sink;
+    }
+
+    // MAIN //
+
+    var bench = {
+        'DEFAULTS': DEFAULTS,
+        'bounds': bounds,
+        'inputs': inputs,
+        'measure': measure,
+        'calibrate': calibrate,
+        'summarize': summarize,
+        'compare': compare,
+        'run': run,
+        'sink': total
+    };
+
+    // EXPORTS //
+
+    if (typeof module === 'object' && typeof module.exports === 'object') {
+        module.exports = bench;
+    } else {
+        root.mathExplorer = root.mathExplorer || {};
+        root.mathExplorer.bench = bench;
+    }
+})(this);
@@ -0,0 +1,322 @@
+'use strict';
+
+/**
+* Throughput Benchmark Module
+*
+* Times the stdlib and native implementations of registered functions in
+* Node.js, with the harness shared with the web demo
+* (`lib/bench_harness.js`), on batches of seeded random inputs
+* (`Float64Array`s of one million inputs by default) drawn from each
+* function's first test range.
+*
+* ## Notes
+*
+* -   Reports record the Node.js and V8 versions and the machine (platform, architecture and CPU), and the sum of each implementation's results over one batch (`checksum`). Reports written with `--format json` can therefore be compared across Node.js versions and machines (`--against-bench`): the same seed and batch size draw the same inputs everywhere, so differing checksums show that an implementation's results changed, not only its speed.
+* -   A change in speed between two reports is only reported where the 95% confidence intervals of the medians do not overlap.
+*
+* Returns a structured report; see `lib/render/bench.js` for the text
+* rendering.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var randu = require('@stdlib/random/base/randu');
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var setReadOnly = require('@stdlib/utils/define-nonenumerable-read-only-property');
+var bench = require('./bench_harness.js');
+var impl = require('./implementations.js');
+var manifest = require('./manifest.js');
+var decode = require('./spec/decode.js');
+
+// VARIABLES //
+
+/**
+* Default number of inputs per batch.
+*
+* @private
+* @type {PositiveInteger}
+*/
+var SIZE = 1000000;
+
+// Default seed of the random inputs (as for comparisons)...
+var SEED = 20240101;
+
+// Implementations timed for every function...
+var IMPLEMENTATIONS = ['stdlib', 'native'];
+
+// Fields of each implementation's results...
+var FIELDS = ['median', 'mad', 'mean', 'min', 'max', 'ops', 'checksum'];
+
+/**
+* Names of the benchmarked functions.
+*
+* @private
+* @type {Array<string>}
+*/
+var NAMES = impl.list();
+
+// Origin of the clock (see `now`)...
+var T0 = process.hrtime.bigint();
+
+// FUNCTIONS //
+
+/**
+* Returns the time elapsed since the module was loaded.
+*
+* ## Notes
+*
+* -   Subtracting the origin before converting to a number keeps the clock's nanosecond resolution.
+*
+* @private
+* @returns {number} time (in milliseconds)
+*/
+function now() {
+    return Number(process.hrtime.bigint() - T0) / 1.0e6;
+}
+
+/**
+* Returns a description of the machine running the benchmarks.
+*
+* @private
+* @returns {Object} platform, architecture, CPU model and number of CPUs
+*/
+function machine() {
+    var cpus = os.cpus();
+    return {
+        'platform': process.platform,
+        'arch': process.arch,
+        'cpu': (cpus.length) ? cpus[0].model.trim() : 'unknown',
+        'cpus': cpus.length
+    };
+}
+
+/**
+* Benchmarks the implementations of a function.
+*
+* @private
+* @param {string} name - function name
+* @param {Object} options - options
+* @returns {Object} function results
+*/
+function benchFunction(name, options) {
+    var entry = impl.entry(name);
+    var input;
+    var r;
+
+    input = bench.inputs(entry, options.size, randu.factory({
+        'seed': options.seed
+    }));
+    r = bench.run(impl.stdlib(name), entry.native, input, {
+        'now': now,
+        'samples': options.samples
+    });
+    return {
+        'name': name,
+        'title': entry.title,
+        'bounds': bench.bounds(entry),
+        'stdlib': r.a,
+        'native': r.b,
+        'comparison': r.comparison
+    };
+}
+
+/**
+* Reads a benchmark report written with `--format json`.
+*
+* @param {string} path - file path
+* @throws {Error} must be a JSON document containing a benchmark report
+* @returns {Object} benchmark report
+*/
+function read(path) {
+    var report;
+    var doc;
+    var f;
+    var i;
+    var j;
+    var k;
+
+    try {
+        doc = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (err) {
+        throw new Error('invalid benchmark file. `' + path + '`: ' + err.message);
+    }
+    report = null;
+    for (i = 0; doc && Array.isArray(doc.reports) && i < doc.reports.length; i++) {
+        if (doc.reports[i] && doc.reports[i].type === 'bench' && Array.isArray(doc.reports[i].functions)) {
+            report = doc.reports[i];
+            break;
+        }
+    }
+    if (report === null) {
+        throw new Error('invalid benchmark file. `' + path + '`: no benchmark report. Write one with `stdlib-explorer bench --format json`.');
+    }
+    for (i = 0; i < report.functions.length; i++) {
+        f = report.functions[i];
+        for (j = 0; j < IMPLEMENTATIONS.length; j++) {
+            if (!f[IMPLEMENTATIONS[j]] || !Array.isArray(f[IMPLEMENTATIONS[j]].ci)) {
+                throw new Error('invalid benchmark file. `' + path + '`: missing `' + IMPLEMENTATIONS[j] + '` results of `' + f.name + '`.');
+            }
+            for (k = 0; k < FIELDS.length; k++) {
+                f[IMPLEMENTATIONS[j]][FIELDS[k]] = decode(f[IMPLEMENTATIONS[j]][FIELDS[k]]);
+            }
+        }
+    }
+    return report;
+}
+
+/**
+* Returns a boolean indicating whether two numbers are the same (NaNs are the same).
+*
+* @private
+* @param {number} a - first number
+* @param {number} b - second number
+* @returns {boolean} boolean indicating whether the numbers are the same
+*/
+function same(a, b) {
+    return (a === b || (isnan(a) && isnan(b)));
+}
+
+/**
+* Compares a benchmark report with a recorded one.
+*
+* ## Notes
+*
+* -   An implementation is `faster` or `slower` if the confidence intervals of its current and recorded medians do not overlap, and otherwise `unchanged`.
+* -   Checksums are only compared if both reports drew the same inputs (same seed and batch size).
+*
+* @param {Object} report - benchmark report
+* @param {Object} recorded - recorded benchmark report (see `read`)
+* @param {Object} options - options
+* @param {string} options.file - path of the recorded report
+* @returns {Object} comparison report
+*/
+function diff(report, recorded, options) {
+    var comparable;
+    var entries;
+    var found;
+    var cur;
+    var rec;
+    var r;
+    var c;
+    var i;
+    var j;
+
+    comparable = (report.seed === recorded.seed && report.size === recorded.size);
+    found = {};
+    for (i = 0; i < recorded.functions.length; i++) {
+        found[recorded.functions[i].name] = recorded.functions[i];
+    }
+    entries = [];
+    for (i = 0; i < report.functions.length; i++) {
+        r = found[report.functions[i].name];
+        for (j = 0; j < IMPLEMENTATIONS.length; j++) {
+            cur = report.functions[i][IMPLEMENTATIONS[j]];
+            if (!r) {
+                entries.push({
+                    'function': report.functions[i].name,
+                    'title': report.functions[i].title,
+                    'implementation': IMPLEMENTATIONS[j],
+                    'status': 'new',
+                    'recorded': null,
+                    'current': cur.median,
+                    'ratio': null,
+                    'results': null
+                });
+                continue;
+            }
+            rec = r[IMPLEMENTATIONS[j]];
+            if (cur.ci[1] < rec.ci[0]) {
+                c = 'faster';
+            } else if (cur.ci[0] > rec.ci[1]) {
+                c = 'slower';
+            } else {
+                c = 'unchanged';
+            }
+            entries.push({
+                'function': report.functions[i].name,
+                'title': report.functions[i].title,
+                'implementation': IMPLEMENTATIONS[j],
+                'status': c,
+                'recorded': rec.median,
+                'current': cur.median,
+                'ratio': rec.median / cur.median,
+                'results': (comparable) ? ((same(cur.checksum, rec.checksum)) ? 'same' : 'different') : null
+            });
+        }
+    }
+    return {
+        'type': 'bench-diff',
+        'file': options.file,
+        'created': recorded.created || null,
+        'comparable': comparable,
+        'versions': {
+            'recorded': recorded.versions || {},
+            'current': report.versions
+        },
+        'machines': {
+            'recorded': recorded.machine || {},
+            'current': report.machine
+        },
+        'entries': entries
+    };
+}
+
+// MAIN //
+
+/**
+* Benchmarks the stdlib and native implementations of functions.
+*
+* @param {Options} [options] - options
+* @param {Array<string>} [options.fn] - names of the functions to benchmark (default: all)
+* @param {PositiveInteger} [options.size=1000000] - number of inputs per batch
+* @param {PositiveInteger} [options.samples=20] - number of samples per implementation
+* @param {PositiveInteger} [options.seed=20240101] - seed of the random inputs
+* @param {Function} [options.onProgress] - callback invoked after each function
+* @returns {Object} benchmark report
+*/
+function benchmark(options) {
+    var functions;
+    var names;
+    var start;
+    var opts;
+    var i;
+
+    options = options || {};
+    names = options.fn || NAMES;
+    opts = {
+        'size': options.size || SIZE,
+        'samples': options.samples || bench.DEFAULTS.samples,
+        'seed': options.seed || SEED
+    };
+    start = Date.now();
+    functions = [];
+    for (i = 0; i < names.length; i++) {
+        functions.push(benchFunction(names[i], opts));
+        if (options.onProgress) {
+            options.onProgress({
+                'name': names[i],
+                'chunk': i + 1,
+                'chunks': names.length,
+                'unit': 'function',
+                'resumed': 0,
+                'elapsed': Date.now() - start
+            });
+        }
+    }
+    return {
+        'type': 'bench',
+        'created': new Date().toISOString(),
+        'versions': manifest.versions(),
+        'machine': machine(),
+        'seed': opts.seed,
+        'size': opts.size,
+        'samples': opts.samples,
+        'functions': functions
+    };
+}
+
+setReadOnly(benchmark, 'functions', NAMES);
+setReadOnly(benchmark, 'read', read);
+setReadOnly(benchmark, 'diff', diff);
+
+module.exports = benchmark;
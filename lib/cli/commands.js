@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+* Command-line subcommands.
+*
+* Each command lists the options it accepts, the functions it can be run
+* for, and a `run` function which invokes a callback with the command's
+* reports together with an exit code (`1` if any check failed).
+*/
+
+var compare = require('./../compare.js');
+var edgeCases = require('./../edge_cases.js');
+var conformance = require('./../conformance.js');
+var sweep = require('./../sweep.js');
+var baseline = require('./../baseline.js');
+var manifest = require('./../manifest.js');
+var asciiPlot = require('./../ascii_plot.js');
+var benchmark = require('./../benchmark.js');
+var progress = require('./progress.js');
+var tui = require('./tui.js');
+
+// FUNCTIONS //
+
+/**
+* Returns the exit code for an edge case or conformance report.
+*
+* @private
+* @param {Object} report - edge case or conformance report
+* @returns {NonNegativeInteger} exit code
+*/
+function failedCode(report) {
+    return (report.failed > 0) ? 1 : 0;
+}
+
+// MAIN //
+
+var COMMANDS = {
+    'all': {
+        'name': 'stdlib-explorer',
+        'options': ['workers', 'format'],
+        'functions': [],
+        'run': function run(opts, clbk) {
+            compare({
+                'workers': opts.workers
+            }, onCompare);
+
+            /**
+            * Callback invoked upon completing the comparison.
+            *
+            * @private
+            * @param {(Error|null)} error - error object
+            * @param {Object} report - comparison report
+            * @returns {void}
+            */
+            function onCompare(error, report) {
+                var reports;
+                if (error) {
+                    return clbk(error);
+                }
+                reports = [report, edgeCases(), asciiPlot()];
+                clbk(null, {
+                    'reports': reports,
+                    'code': failedCode(reports[1])
+                });
+            }
+        }
+    },
+    'compare': {
+        'name': 'compare',
+        'options': ['fn', 'range', 'yrange', 'n', 'generator', 'seed', 'search', 'radius', 'workers', 'impl', 'save-baseline', 'against', 'max-increase', 'mean-increase', 'cr-decrease', 'save-manifest', 'replay', 'format'],
+        'functions': compare.functions,
+        'run': function run(opts, clbk) {
+            compare(opts, onCompare);
+
+            /**
+            * Callback invoked upon completing the comparison.
+            *
+            * @private
+            * @param {(Error|null)} error - error object
+            * @param {Object} report - comparison report
+            * @returns {void}
+            */
+            function onCompare(error, report) {
+                var reports;
+                var replay;
+                var diff;
+                if (error) {
+                    return clbk(error);
+                }
+                reports = [report];
+                if (opts.replay) {
+                    replay = manifest.diff(report, opts.manifest, {
+                        'file': opts.replay
+                    });
+                    reports.push(replay);
+                }
+                if (opts.against) {
+                    diff = baseline.diff(report, opts.baseline, {
+                        'file': opts.against,
+                        'max': opts.thresholds.max,
+                        'mean': opts.thresholds.mean,
+                        'correctlyRounded': opts.thresholds.correctlyRounded
+                    });
+                    reports.push(diff);
+                }
+                if (opts.saveBaseline) {
+                    try {
+                        baseline.write(opts.saveBaseline, baseline.snapshot(report, opts));
+                    } catch (err) {
+                        return clbk(err);
+                    }
+                }
+                if (opts.saveManifest) {
+                    try {
+                        manifest.write(opts.saveManifest, manifest.create(report, opts));
+                    } catch (err) {
+                        return clbk(err);
+                    }
+                }
+                clbk(null, {
+                    'reports': reports,
+                    'code': ((diff && diff.regressions > 0) || (replay && !replay.reproduced)) ? 1 : 0
+                });
+            }
+        }
+    },
+    'edge-cases': {
+        'name': 'edge-cases',
+        'options': ['fn', 'spec', 'format'],
+        'functions': edgeCases.functions,
+        'run': function run(opts, clbk) {
+            var report = edgeCases(opts);
+            clbk(null, {
+                'reports': [report],
+                'code': failedCode(report)
+            });
+        }
+    },
+    'conformance': {
+        'name': 'conformance',
+        'options': ['fn', 'spec', 'format'],
+        'functions': conformance.functions,
+        'run': function run(opts, clbk) {
+            var report = conformance(opts);
+            clbk(null, {
+                'reports': [report],
+                'code': failedCode(report)
+            });
+        }
+    },
+    'sweep': {
+        'name': 'sweep',
+        'options': ['fn', 'range', 'chunk-size', 'max-failures', 'state', 'format'],
+        'functions': sweep.functions,
+        'run': function run(opts, clbk) {
+            opts.onProgress = progress(process.stderr);
+            clbk(null, {
+                'reports': [sweep(opts)],
+                'code': 0
+            });
+        }
+    },
+    'bench': {
+        'name': 'bench',
+        'options': ['fn', 'samples', 'size', 'seed', 'against-bench', 'format'],
+        'functions': benchmark.functions,
+        'run': function run(opts, clbk) {
+            var reports;
+            opts.onProgress = progress(process.stderr);
+            reports = [benchmark(opts)];
+            if (opts.againstBench) {
+                reports.push(benchmark.diff(reports[0], opts.benchmark, {
+                    'file': opts.againstBench
+                }));
+            }
+            clbk(null, {
+                'reports': reports,
+                'code': 0
+            });
+        }
+    },
+    'plot': {
+        'name': 'plot',
+        'options': ['fn', 'range', 'yrange', 'width', 'height', 'renderer', 'series', 'error', 'scale', 'precision', 'notation', 'color', 'ascii', 'interactive', 'format'],
+        'functions': asciiPlot.functions,
+        'run': function run(opts, clbk) {
+            if (opts.interactive) {
+                return tui(opts, onQuit);
+            }
+            clbk(null, {
+                'reports': [asciiPlot(opts)],
+                'code': 0
+            });
+
+            /**
+            * Callback invoked when the user quits the interactive plot.
+            *
+            * @private
+            * @param {(Error|null)} error - error object
+            * @returns {void}
+            */
+            function onQuit(error) {
+                if (error) {
+                    return clbk(error);
+                }
+                clbk(null, {
+                    'reports': [],
+                    'code': 0
+                });
+            }
+        }
+    }
+};
+
+// EXPORTS //
+
+module.exports = COMMANDS;
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+* Command-Line Interface
+*
+* Dispatches `stdlib-explorer [command] [options]` to the compare,
+* edge-cases, conformance, sweep, plot and bench commands and writes their
+* reports in the requested format. Without a command, runs the compare,
+* edge-cases and plot commands.
+*
+* Exit codes: `0` on success, `1` if any check failed, and `2` for an
+* invalid command or invalid arguments.
+*/
+
+var resolve = require('path').resolve;
+var readFileSync = require('fs').readFileSync;
+var CLI = require('@stdlib/cli/ctor');
+var pkg = require('./../../package.json');
+var opts = require('./../../etc/cli_opts.json');
+var format = require('./../format');
+var normalize = require('./normalize_argv.js');
+var validate = require('./validate.js');
+var COMMANDS = require('./commands.js');
+
+// VARIABLES //
+
+var USAGE_DIR = resolve(__dirname, '..', '..', 'docs', 'usage');
+
+// Maximum width of generated usage text...
+var WIDTH = 78;
+
+// Exit code for invalid commands and arguments...
+var USAGE_ERROR = 2;
+
+// FUNCTIONS //
+
+/**
+* Wraps a list of names into indented lines.
+*
+* @private
+* @param {Array<string>} names - names
+* @returns {string} wrapped list
+*/
+function wrap(names) {
+    var lines;
+    var line;
+    var i;
+
+    lines = [];
+    line = ' ';
+    for (i = 0; i < names.length; i++) {
+        if (line.length + names[i].length + 2 > WIDTH) {
+            lines.push(line);
+            line = ' ';
+        }
+        line += ' ' + names[i] + ((i < names.length - 1) ? ',' : '');
+    }
+    lines.push(line);
+    return lines.join('\n');
+}
+
+/**
+* Returns the usage text of a command.
+*
+* @private
+* @param {string} name - command name
+* @returns {string} usage text
+*/
+function usage(name) {
+    var file = (name === 'all') ? 'main' : name;
+    var text = readFileSync(resolve(USAGE_DIR, file + '.txt'), 'utf8');
+    return text.replace('{{functions}}', wrap(COMMANDS[name].functions));
+}
+
+// MAIN //
+
+/**
+* Runs the command-line interface.
+*
+* @param {Array<string>} argv - process arguments (including the executable and script paths)
+*/
+function main(argv) {
+    var command;
+    var options;
+    var flags;
+    var args;
+    var name;
+    var cli;
+
+    args = argv.slice(2);
+    name = 'all';
+    if (args.length > 0 && args[0].charAt(0) !== '-') {
+        name = args.shift();
+    }
+    command = COMMANDS[name];
+    cli = new CLI({
+        'pkg': pkg,
+        'help': usage((command) ? name : 'all'),
+        'title': false,
+        'updates': false,
+        'options': opts,
+        'argv': argv.slice(0, 2).concat(normalize(args, opts.string))
+    });
+    flags = cli.flags();
+    if (flags.help || flags.version) {
+        return;
+    }
+    if (!command) {
+        return cli.error(new Error('invalid argument. Unknown command: `' + name + '`. Run `stdlib-explorer --help` for the list of commands.'), USAGE_ERROR);
+    }
+    try {
+        options = validate(command, flags, cli.args());
+    } catch (err) {
+        return cli.error(err, USAGE_ERROR);
+    }
+    command.run(options, done);
+
+    /**
+    * Callback invoked upon running a command.
+    *
+    * @private
+    * @param {(Error|null)} error - error object
+    * @param {Object} result - reports and exit code
+    * @returns {void}
+    */
+    function done(error, result) {
+        if (error) {
+            return cli.error(error);
+        }
+        // Interactive commands write no reports:
+        if (result.reports.length > 0) {
+            console.log(format(result.reports, options.format));
+        }
+        if (result.code !== 0) {
+            cli.close(result.code);
+        }
+    }
+}
+
+// EXPORTS //
+
+module.exports = main;
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+* Command-line argument normalization.
+*/
+
+// VARIABLES //
+
+// Matches arguments which begin with a negative number (e.g., `-700:700`, `-.5:1` or `-Infinity:5`)...
+var RE_DASH_VALUE = /^-(?:\d|\.\d|inf)/i;
+
+// MAIN //
+
+/**
+* Joins string options with values beginning with a minus sign into a single `--option=value` argument.
+*
+* ## Notes
+*
+* -   The argument parser treats a value such as `-700:700` as a group of short flags, so `--range -700:700` would otherwise lose its value.
+* -   Only arguments which begin with a negative number (including `-Infinity`, e.g. `--range -Infinity:5`, so that the option's own validation reports what is wrong with it) are taken as values, so that short flags following a string option (e.g., `--fn -h`) keep their meaning.
+*
+* @param {Array<string>} args - command-line arguments
+* @param {Array<string>} names - names of options which take a value
+* @returns {Array<string>} normalized arguments
+*
+* @example
+* var args = normalize(['--range', '-700:700'], ['range']);
+* // returns ['--range=-700:700']
+*/
+function normalize(args, names) {
+    var out;
+    var arg;
+    var i;
+
+    out = [];
+    for (i = 0; i < args.length; i++) {
+        arg = args[i];
+        if (
+            arg.slice(0, 2) === '--' &&
+            names.indexOf(arg.slice(2)) >= 0 &&
+            i + 1 < args.length &&
+            RE_DASH_VALUE.test(args[i + 1])
+        ) {
+            out.push(arg + '=' + args[i + 1]);
+            i += 1;
+        } else {
+            out.push(arg);
+        }
+    }
+    return out;
+}
+
+// EXPORTS //
+
+module.exports = normalize;
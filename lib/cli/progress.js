@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+* Progress reporting for long-running commands.
+*
+* On a terminal, a single status line is updated in place; otherwise (e.g.,
+* when stderr is redirected to a log file), a line is written at most every
+* `INTERVAL` milliseconds and when a function completes.
+*/
+
+var floor = require('@stdlib/math/base/special/floor');
+
+// VARIABLES //
+
+// Minimum time between progress lines when not writing to a terminal (in milliseconds)...
+var INTERVAL = 10000;
+
+// FUNCTIONS //
+
+/**
+* Formats a duration.
+*
+* @private
+* @param {NonNegativeNumber} ms - duration (in milliseconds)
+* @returns {string} formatted duration (e.g., `1h02m`, `3m05s` or `42s`)
+*/
+function duration(ms) {
+    var s = floor(ms / 1000);
+    if (s >= 3600) {
+        return floor(s / 3600) + 'h' + ('0' + floor((s % 3600) / 60)).slice(-2) + 'm';
+    }
+    if (s >= 60) {
+        return floor(s / 60) + 'm' + ('0' + (s % 60)).slice(-2) + 's';
+    }
+    return s + 's';
+}
+
+// MAIN //
+
+/**
+* Returns a progress callback writing to a stream.
+*
+* @param {WritableStream} stream - output stream
+* @returns {Function} callback
+*/
+function progress(stream) {
+    var last = 0;
+    return onProgress;
+
+    /**
+    * Writes a progress update.
+    *
+    * @private
+    * @param {Object} info - progress information
+    * @param {string} info.name - name of the function in progress
+    * @param {PositiveInteger} info.chunk - number of completed chunks
+    * @param {PositiveInteger} info.chunks - total number of chunks
+    * @param {string} [info.unit] - name of the chunks, for commands whose chunks are not chunks of inputs (e.g., `'function'`)
+    * @param {NonNegativeInteger} [info.tested] - number of tested inputs
+    * @param {NonNegativeInteger} [info.inputs] - total number of inputs
+    * @param {NonNegativeInteger} info.resumed - number of chunks completed before this run
+    * @param {NonNegativeNumber} info.elapsed - time spent in this run (in milliseconds)
+    */
+    function onProgress(info) {
+        var done;
+        var line;
+        var eta;
+        var now;
+
+        done = info.chunk === info.chunks;
+        now = Date.now();
+        if (!stream.isTTY && !done && now - last < INTERVAL) {
+            return;
+        }
+        last = now;
+        if (info.unit) {
+            line = info.name + ': ' + info.unit + ' ' + info.chunk + '/' + info.chunks + ' (' +
+                (100.0 * info.chunk / info.chunks).toFixed(1) + '%)';
+        } else {
+            line = info.name + ': chunk ' + info.chunk + '/' + info.chunks + ' (' +
+                (100.0 * info.tested / info.inputs).toFixed(1) + '%, ' +
+                info.tested + '/' + info.inputs + ' inputs)';
+        }
+        if (done) {
+            line += ' done in ' + duration(info.elapsed);
+        } else {
+            eta = info.elapsed / (info.chunk - info.resumed) * (info.chunks - info.chunk);
+            line += ' ETA ' + duration(eta);
+        }
+        if (stream.isTTY) {
+            stream.write('\r\u001b[K' + line + ((done) ? '\n' : ''));
+        } else {
+            stream.write(line + '\n');
+        }
+    }
+}
+
+// EXPORTS //
+
+module.exports = progress;
@@ -0,0 +1,551 @@
+'use strict';
+
+/**
+* Interactive terminal UI for the ASCII plotter (`plot --interactive`).
+*
+* Draws one function at a time on the terminal's alternate screen, sized to
+* the terminal and redrawn when it is resized. Keys (read from stdin in raw
+* mode):
+*
+* -   `←`/`→`: pan the x range; `↑`/`↓`: pan the y range (the second argument of functions of two arguments).
+* -   `+`/`-`: zoom in/out around the cursor.
+* -   `h`/`l` (`H`/`L`: by a tenth of the width) and, for functions of two arguments, `k`/`j`: move the cursor, whose x and function value are read out below the plot.
+* -   `Tab`/`Shift+Tab`: next/previous function.
+* -   `a`: fit the y range to the function's values again; `r`: reset the view.
+* -   `q`, `Esc` or `Ctrl+C`: quit.
+*
+* ## Notes
+*
+* -   The y range of a function of one argument fits its values until it is panned (or zoomed while panned).
+* -   Every frame re-samples the function at one point per column (or character cell), so zooming in resolves details rather than magnifying samples.
+*/
+
+var floor = require('@stdlib/math/base/special/floor');
+var round = require('@stdlib/math/base/special/round');
+var max = require('@stdlib/math/base/special/max');
+var min = require('@stdlib/math/base/special/min');
+var abs = require('@stdlib/math/base/special/abs');
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var isinfinite = require('@stdlib/math/base/assert/is-infinite');
+var asciiPlot = require('./../ascii_plot.js');
+var impl = require('./../implementations.js');
+var canvas = require('./../render/canvas.js');
+
+// VARIABLES //
+
+// Escape sequences entering and leaving the alternate screen (with a hidden cursor)...
+var ENTER = '\u001b[?1049h\u001b[?25l';
+var LEAVE = '\u001b[?25h\u001b[?1049l';
+
+// Escape sequences moving to the top left corner, clearing to the end of a line and clearing the rest of the screen...
+var HOME = '\u001b[H';
+var CLEAR_LINE = '\u001b[K';
+var CLEAR_BELOW = '\u001b[J';
+
+// ANSI styles (SGR parameters) of the cursor...
+var REVERSE = '7';
+var DIM = '2';
+
+// Keys, as read from a raw terminal (escape sequences, or single characters)...
+var KEYS = /\u001b\[[0-9;]*[A-Za-z~]|\u001bO[A-Za-z]|[\s\S]/g;
+
+// Heatmap shades, from the smallest to the largest value (as `lib/render/plot.js`)...
+var RAMP = '.:-=+*#%@';
+
+// Fraction of the range panned per key press...
+var PAN = 0.1;
+
+// Factor by which a key press zooms...
+var ZOOM = 2.0;
+
+// Width of the y axis labels...
+var LABEL_WIDTH = 10;
+
+// Number of lines around the plot (title, description, ranges, axis, x labels, readout, key help and a spare last line)...
+var CHROME = 8;
+
+// Smallest plot dimensions...
+var MIN_WIDTH = 10;
+var MIN_HEIGHT = 3;
+
+// Key help...
+var HELP = '←→↑↓ pan  +/- zoom  h/l j/k cursor  Tab function  a fit y  r reset  q quit';
+
+// FUNCTIONS //
+
+/**
+* Formats a number for an axis label or a range.
+*
+* @private
+* @param {number} v - number
+* @returns {string} formatted number
+*/
+function label(v) {
+    return String(Number(v.toPrecision(6)));
+}
+
+/**
+* Right-aligns a string to a given width.
+*
+* @private
+* @param {string} str - string
+* @param {NonNegativeInteger} width - width
+* @returns {string} padded string
+*/
+function pad(str, width) {
+    while (str.length < width) {
+        str = ' ' + str;
+    }
+    return str;
+}
+
+/**
+* Returns the initial view of a function.
+*
+* @private
+* @param {string} name - function name
+* @param {Object} options - plot options
+* @returns {Object} view (`x` and `y` ranges, and the cursor position `cx` and `cy` as fractions of the plot)
+*/
+function initialView(name, options) {
+    var entry = impl.entry(name);
+    var pairs = (impl.arity(name) === 2);
+    return {
+        'x': (options.range || entry.plotRange).slice(),
+        'y': (pairs) ? (options.yrange || entry.plotRangeY).slice() : null,
+        'cx': 0.5,
+        'cy': 0.5
+    };
+}
+
+/**
+* Shifts a range by a fraction of its span.
+*
+* @private
+* @param {Array<number>} range - range
+* @param {number} f - fraction
+* @returns {Array<number>} shifted range
+*/
+function shift(range, f) {
+    var d = (range[1] - range[0]) * f;
+    return [range[0] + d, range[1] + d];
+}
+
+/**
+* Scales a range around a point.
+*
+* ## Notes
+*
+* -   The point stays at the same fraction of the range. Ranges which would become too narrow to resolve, or overflow, are returned unchanged.
+*
+* @private
+* @param {Array<number>} range - range
+* @param {number} f - fraction of the range at which the point lies
+* @param {number} factor - scale factor (less than one zooms in)
+* @returns {Array<number>} scaled range
+*/
+function scale(range, f, factor) {
+    var span = (range[1] - range[0]) * factor;
+    var c = range[0] + ((range[1] - range[0]) * f);
+    var lo = c - (f * span);
+    var hi = lo + span;
+    if (!(span > 1.0e-12 * max(abs(lo), abs(hi))) || isinfinite(lo) || isinfinite(hi)) {
+        return range;
+    }
+    return [lo, hi];
+}
+
+/**
+* Moves the cursor along an axis by a number of cells.
+*
+* ## Notes
+*
+* -   The returned position is the fraction of a cell (`k / (cells-1)`), so that the cursor moves by exactly one cell per step.
+*
+* @private
+* @param {number} f - cursor position (as a fraction of the axis)
+* @param {PositiveInteger} cells - number of cells along the axis
+* @param {integer} steps - number of cells to move by
+* @returns {number} new cursor position
+*/
+function move(f, cells, steps) {
+    var k = round(f * (cells - 1)) + steps;
+    return min(cells - 1, max(0, k)) / (cells - 1);
+}
+
+/**
+* Renders the grid of a function of one argument.
+*
+* @private
+* @param {Object} plot - plot data
+* @param {Array<number>} yr - y range
+* @param {NonNegativeInteger} cursor - cursor column
+* @param {Object} c - canvas (see `lib/render/canvas.js`)
+* @returns {Array<string>} rows
+*/
+function curveRows(plot, yr, cursor, c) {
+    var j;
+    var k;
+
+    if (plot.series) {
+        for (k = 0; k < plot.series.length; k++) {
+            c.series(plot.series[k].y, yr[0], yr[1], k);
+        }
+    } else {
+        c.series(plot.y, yr[0], yr[1], 0);
+    }
+    for (k = 0; k < plot.asymptotes.length; k++) {
+        c.column(min(plot.width - 1, floor((plot.asymptotes[k] - plot.xmin) / (plot.xmax - plot.xmin) * plot.width)));
+    }
+    c.axis(0.0, yr[0], yr[1]);
+    for (j = 0; j < plot.height; j++) {
+        if (c.filled(cursor, j)) {
+            c.style(cursor, j, REVERSE);
+        } else {
+            c.mark(cursor, j, '┊');
+            c.style(cursor, j, DIM);
+        }
+    }
+    return c.lines();
+}
+
+/**
+* Returns the values of overlaid implementations at a sample, each after its legend glyph.
+*
+* @private
+* @param {Array<Object>} series - overlaid implementations (`id` and `y`)
+* @param {NonNegativeInteger} k - sample index
+* @param {Object} c - canvas on which the implementations are drawn
+* @returns {string} readout
+*/
+function readout(series, k, c) {
+    var out = '';
+    var i;
+    for (i = 0; i < series.length; i++) {
+        out += '  ' + c.legend(i) + ' ' + series[i].id + ' = ' + series[i].y[k];
+    }
+    return out;
+}
+
+/**
+* Renders the grid of a function of two arguments as a heatmap.
+*
+* @private
+* @param {Object} plot - plot data
+* @param {NonNegativeInteger} cursor - cursor column
+* @param {NonNegativeInteger} crow - cursor row
+* @returns {Array<string>} rows
+*/
+function surfaceRows(plot, cursor, crow) {
+    var width;
+    var line;
+    var out;
+    var ch;
+    var k;
+    var v;
+    var i;
+    var j;
+
+    width = plot.x.length;
+    out = [];
+    for (j = 0; j < plot.y.length; j++) {
+        line = '';
+        for (i = 0; i < width; i++) {
+            v = plot.z[(j*width)+i];
+            if (isnan(v)) {
+                ch = ' ';
+            } else if (isinfinite(v)) {
+                ch = '∞';
+            } else {
+                k = floor((v - plot.zmin) / (plot.zmax - plot.zmin) * RAMP.length);
+                ch = RAMP.charAt(min(RAMP.length - 1, max(0, k)));
+            }
+            line += (i === cursor && j === crow) ? '\u001b[' + REVERSE + 'm' + ch + '\u001b[0m' : ch;
+        }
+        out.push(line);
+    }
+    return out;
+}
+
+/**
+* Renders a frame of the interactive plot.
+*
+* @private
+* @param {Object} state - UI state
+* @param {PositiveInteger} columns - terminal width
+* @param {PositiveInteger} rows - terminal height
+* @returns {Array<string>} lines
+*/
+function frame(state, columns, rows) {
+    var cursor;
+    var height;
+    var width;
+    var entry;
+    var pairs;
+    var plot;
+    var view;
+    var name;
+    var crow;
+    var grid;
+    var out;
+    var c;
+    var yr;
+    var lo;
+    var hi;
+    var j;
+    var k;
+
+    name = state.names[state.index];
+    entry = impl.entry(name);
+    pairs = (impl.arity(name) === 2);
+    view = state.views[name];
+    width = max(MIN_WIDTH, columns - LABEL_WIDTH - 5);
+    height = max(MIN_HEIGHT, rows - CHROME);
+    state.width = width;
+    state.height = height;
+
+    plot = asciiPlot.sample(name, {
+        'range': view.x,
+        'yrange': view.y,
+        'width': width,
+        'height': height,
+        'renderer': state.options.renderer,
+        'series': state.options.series
+    });
+    cursor = round(view.cx * (width - 1));
+    crow = (height - 1) - round(view.cy * (height - 1));
+    yr = (pairs) ? [plot.ymin, plot.ymax] : (view.y || [plot.ymin, plot.ymax]);
+
+    out = [];
+    out.push(' ' + plot.title + '  [' + (state.index + 1) + '/' + state.names.length + ']');
+    out.push(' ' + plot.description);
+    if (pairs) {
+        out.push(' ' + plot.args[0] + ' ∈ [' + label(view.x[0]) + ', ' + label(view.x[1]) + ']  ' +
+            plot.args[1] + ' ∈ [' + label(view.y[0]) + ', ' + label(view.y[1]) + ']  shades ' +
+            RAMP.charAt(0) + ' ' + label(plot.zmin) + ' … ' + RAMP.charAt(RAMP.length-1) + ' ' + label(plot.zmax));
+        grid = surfaceRows(plot, cursor, crow);
+    } else {
+        out.push(' x ∈ [' + label(view.x[0]) + ', ' + label(view.x[1]) + ']  y ∈ [' +
+            label(yr[0]) + ', ' + label(yr[1]) + ']' + ((view.y) ? '' : ' (fit)'));
+        c = canvas(plot.width, plot.height, {
+            'renderer': state.options.renderer,
+            'color': state.options.color,
+            'ascii': state.options.ascii
+        });
+        grid = curveRows(plot, yr, cursor, c);
+    }
+    hi = label(yr[1]);
+    lo = label(yr[0]);
+    for (j = 0; j < height; j++) {
+        if (j === 0) {
+            out.push(' ' + pad(hi, LABEL_WIDTH) + ' │' + grid[j] + '│');
+        } else if (j === height - 1) {
+            out.push(' ' + pad(lo, LABEL_WIDTH) + ' │' + grid[j] + '│');
+        } else {
+            out.push(' ' + pad('', LABEL_WIDTH) + ' │' + grid[j] + '│');
+        }
+    }
+    out.push(' ' + pad('', LABEL_WIDTH) + ' └' + new Array(width + 1).join('─') + '┘');
+    hi = label(view.x[1]);
+    out.push(' ' + pad('', LABEL_WIDTH) + '  ' + (label(view.x[0]) + new Array(width + 1).join(' ')).slice(0, max(0, width - hi.length)) + hi);
+    if (pairs) {
+        out.push(' ' + plot.args[0] + ' = ' + plot.x[cursor] + '  ' + plot.args[1] + ' = ' + plot.y[crow] +
+            '  ' + entry.title + ' = ' + plot.z[(crow*width)+cursor]);
+    } else {
+        // Read out the first sample of the cursor's column (renderers may sample several per column):
+        k = cursor * (plot.x.length / width);
+        if (plot.series) {
+            out.push(' x = ' + plot.x[k] + readout(plot.series, k, c));
+        } else {
+            out.push(' x = ' + plot.x[k] + '  ' + entry.title + ' = ' + plot.y[k]);
+        }
+    }
+    out.push(' \u001b[' + DIM + 'm' + HELP + '\u001b[0m');
+    state.plot = plot;
+    if (state.options.ascii) {
+        for (j = 0; j < out.length; j++) {
+            out[j] = canvas.transliterate(out[j]);
+        }
+    }
+    return out;
+}
+
+/**
+* Updates the UI state upon a key press.
+*
+* @private
+* @param {Object} state - UI state
+* @param {string} key - key
+* @returns {boolean} boolean indicating whether to quit
+*/
+function press(state, key) {
+    var name = state.names[state.index];
+    var view = state.views[name];
+    var pairs = (impl.arity(name) === 2);
+    var big = (key === 'H' || key === 'L' || key === 'J' || key === 'K');
+    var dx = (big) ? max(1, round(PAN * state.width)) : 1;
+    var dy = (big) ? max(1, round(PAN * state.height)) : 1;
+
+    switch (key) {
+    case 'q':
+    case 'Q':
+    case '\u0003':
+    case '\u001b':
+        return true;
+    case '\u001b[D':
+    case '\u001bOD':
+        view.x = shift(view.x, -PAN);
+        break;
+    case '\u001b[C':
+    case '\u001bOC':
+        view.x = shift(view.x, PAN);
+        break;
+    case '\u001b[A':
+    case '\u001bOA':
+        view.y = shift(view.y || [state.plot.ymin, state.plot.ymax], PAN);
+        break;
+    case '\u001b[B':
+    case '\u001bOB':
+        view.y = shift(view.y || [state.plot.ymin, state.plot.ymax], -PAN);
+        break;
+    case '+':
+    case '=':
+        view.x = scale(view.x, view.cx, 1.0 / ZOOM);
+        if (view.y) {
+            view.y = scale(view.y, (pairs) ? view.cy : 0.5, 1.0 / ZOOM);
+        }
+        break;
+    case '-':
+    case '_':
+        view.x = scale(view.x, view.cx, ZOOM);
+        if (view.y) {
+            view.y = scale(view.y, (pairs) ? view.cy : 0.5, ZOOM);
+        }
+        break;
+    case 'h':
+    case 'H':
+        view.cx = move(view.cx, state.width, -dx);
+        break;
+    case 'l':
+    case 'L':
+        view.cx = move(view.cx, state.width, dx);
+        break;
+    case 'k':
+    case 'K':
+        view.cy = move(view.cy, state.height, dy);
+        break;
+    case 'j':
+    case 'J':
+        view.cy = move(view.cy, state.height, -dy);
+        break;
+    case '\t':
+        state.index = (state.index + 1) % state.names.length;
+        break;
+    case '\u001b[Z':
+        state.index = (state.index + state.names.length - 1) % state.names.length;
+        break;
+    case 'a':
+        if (!pairs) {
+            view.y = null;
+        }
+        break;
+    case 'r':
+        state.views[name] = initialView(name, state.options);
+        break;
+    default:
+        break;
+    }
+    return false;
+}
+
+// MAIN //
+
+/**
+* Runs the interactive plot until the user quits.
+*
+* @param {Options} options - options
+* @param {Array<string>} [options.fn] - names of the functions to plot (default: featured functions)
+* @param {Array<number>} [options.range] - initial x range `[min, max]`
+* @param {Array<number>} [options.yrange] - initial range `[min, max]` of the second argument of functions of two arguments
+* @param {ReadableStream} [options.stdin=process.stdin] - terminal input
+* @param {WritableStream} [options.stdout=process.stdout] - terminal output
+* @param {Callback} clbk - callback invoked when the user quits
+*/
+function tui(options, clbk) {
+    var stdout = options.stdout || process.stdout;
+    var stdin = options.stdin || process.stdin;
+    var state;
+    var i;
+
+    state = {
+        'names': options.fn || asciiPlot.defaults,
+        'index': 0,
+        'views': {},
+        'options': options,
+        'width': MIN_WIDTH,
+        'height': MIN_HEIGHT,
+        'plot': null
+    };
+    for (i = 0; i < state.names.length; i++) {
+        state.views[state.names[i]] = initialView(state.names[i], options);
+    }
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.on('data', onData);
+    stdout.on('resize', draw);
+    stdin.resume();
+    stdout.write(ENTER);
+    draw();
+
+    /**
+    * Draws the current frame.
+    *
+    * @private
+    */
+    function draw() {
+        var lines = frame(state, stdout.columns || 80, stdout.rows || 24);
+        stdout.write(HOME + lines.join(CLEAR_LINE + '\r\n') + CLEAR_LINE + CLEAR_BELOW);
+    }
+
+    /**
+    * Callback invoked upon receiving terminal input.
+    *
+    * @private
+    * @param {string} chunk - input
+    * @returns {void}
+    */
+    function onData(chunk) {
+        var keys = chunk.match(KEYS) || [];
+        var i;
+        try {
+            for (i = 0; i < keys.length; i++) {
+                if (press(state, keys[i])) {
+                    return quit(null);
+                }
+            }
+            draw();
+        } catch (err) {
+            // Restore the terminal before reporting the error:
+            quit(err);
+        }
+    }
+
+    /**
+    * Restores the terminal and invokes the callback.
+    *
+    * @private
+    * @param {(Error|null)} error - error object
+    */
+    function quit(error) {
+        stdin.removeListener('data', onData);
+        stdout.removeListener('resize', draw);
+        stdin.setRawMode(false);
+        stdin.pause();
+        stdout.write(LEAVE);
+        clbk(error);
+    }
+}
+
+// EXPORTS //
+
+module.exports = tui;
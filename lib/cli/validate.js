@@ -0,0 +1,617 @@
+'use strict';
+
+/**
+* Validation of command-line options.
+*/
+
+var isPositiveInteger = require('@stdlib/assert/is-positive-integer').isPrimitive;
+var isfinite = require('@stdlib/math/base/assert/is-finite');
+var format = require('./../format');
+var loadSpec = require('./../spec/load.js');
+var sweep = require('./../sweep.js');
+var baseline = require('./../baseline.js');
+var manifest = require('./../manifest.js');
+var benchmark = require('./../benchmark.js');
+var asciiPlot = require('./../ascii_plot.js');
+var canvas = require('./../render/canvas.js');
+var axis = require('./../render/axis.js');
+var impl = require('./../implementations.js');
+var generators = require('./../generators.js');
+var compare = require('./../compare.js');
+
+// VARIABLES //
+
+// Largest seed of the pseudorandom number generator...
+var MAX_SEED = 4294967295;
+
+// Smallest number of benchmark samples per implementation...
+var MIN_SAMPLES = 5;
+
+// Options which do not apply to the interactive plot (which is sized to the terminal and writes no report)...
+var NON_INTERACTIVE_OPTIONS = ['width', 'height', 'format'];
+
+// Options of the axes of static plots (the interactive plot labels its linear axes at full precision)...
+var AXIS_OPTIONS = ['scale', 'precision', 'notation'];
+
+// Smallest plot width and height (in characters), which leave room for the axis labels and ticks...
+var MIN_WIDTH = 20;
+var MIN_HEIGHT = 5;
+
+// Largest number of significant digits of axis labels...
+var MAX_PRECISION = 17;
+
+// Generator specification selecting a single range (e.g., `2=hazard`)...
+var RE_RANGE_GENERATOR = /^(\d+)=(.*)$/;
+
+// Options which select test points, and which are therefore recorded in manifests...
+var TEST_POINT_OPTIONS = ['fn', 'range', 'yrange', 'n', 'generator', 'seed', 'search', 'radius', 'impl'];
+
+// FUNCTIONS //
+
+/**
+* Returns the list of values of an option which may be repeated and/or comma-separated.
+*
+* @private
+* @param {(string|Array<string>)} value - option value(s)
+* @returns {Array<string>} values
+*/
+function list(value) {
+    var out;
+    var i;
+
+    value = [].concat(value).join(',').split(',');
+    out = [];
+    for (i = 0; i < value.length; i++) {
+        if (value[i] !== '' && out.indexOf(value[i]) < 0) {
+            out.push(value[i]);
+        }
+    }
+    return out;
+}
+
+/**
+* Parses a `min:max` range.
+*
+* @private
+* @param {string} name - option name
+* @param {string} value - option value
+* @throws {Error} must be a valid range
+* @returns {Array<number>} range
+*/
+function parseRange(name, value) {
+    var parts;
+    var min;
+    var max;
+
+    parts = String(value).split(':');
+    if (parts.length === 2 && parts[0] !== '' && parts[1] !== '') {
+        min = Number(parts[0]);
+        max = Number(parts[1]);
+    }
+    if (!isfinite(min) || !isfinite(max) || min >= max) {
+        throw new Error('invalid option. `--' + name + '` must be of the form `min:max`, where `min` and `max` are finite numbers and `min < max`. Value: `' + value + '`.');
+    }
+    return [min, max];
+}
+
+/**
+* Returns a boolean indicating whether a list of functions includes a function of two arguments.
+*
+* @private
+* @param {Array<string>} fns - function names
+* @returns {boolean} boolean indicating whether the list includes a function of two arguments
+*/
+function hasPairs(fns) {
+    var i;
+    for (i = 0; i < fns.length; i++) {
+        if (impl.arity(fns[i]) === 2) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+* Returns a boolean indicating whether a list of functions includes a function of one argument.
+*
+* @private
+* @param {Array<string>} fns - function names
+* @returns {boolean} boolean indicating whether the list includes a function of one argument
+*/
+function hasSingles(fns) {
+    var i;
+    for (i = 0; i < fns.length; i++) {
+        if (impl.arity(fns[i]) === 1) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+* Parses a positive integer option.
+*
+* @private
+* @param {string} name - option name
+* @param {string} value - option value
+* @throws {Error} must be a positive integer
+* @returns {PositiveInteger} parsed value
+*/
+function parseCount(name, value) {
+    var n = Number(value);
+    if (String(value).trim() === '' || !isPositiveInteger(n)) {
+        throw new Error('invalid option. `--' + name + '` must be a positive integer. Value: `' + value + '`.');
+    }
+    return n;
+}
+
+/**
+* Parses a test point generator option.
+*
+* @private
+* @param {string} value - option value
+* @param {Array<string>} fns - compared functions
+* @throws {Error} must be a valid generator specification applying to every compared function
+* @returns {string} generator specification
+*/
+function parseGenerator(value, fns) {
+    var missing;
+    var name;
+    var i;
+
+    try {
+        name = generators.parse(value).name;
+    } catch (err) {
+        throw new Error('invalid option. `--generator` must be a valid generator specification. ' + err.message.replace('invalid generator. ', ''));
+    }
+    if (!generators.isBivariate(value) && hasPairs(fns)) {
+        throw new Error('invalid option. `--generator ' + name + '` only applies to functions of one argument.');
+    }
+    if (name === 'hazard') {
+        missing = [];
+        for (i = 0; i < fns.length; i++) {
+            if (!impl.entry(fns[i]).hazards) {
+                missing.push(fns[i]);
+            }
+        }
+        if (missing.length) {
+            throw new Error('invalid option. `--generator hazard` requires functions with known hazards. Functions without: ' + missing.join(', ') + '.');
+        }
+    }
+    return value;
+}
+
+/**
+* Parses the test point generator options.
+*
+* ## Notes
+*
+* -   `--generator spec` replaces the generators of all ranges, and `--generator k=spec` the generator of the `k`-th range of each function (numbered from 1, in the order in which ranges are reported). The option may be repeated, e.g. to select a generator for all ranges but one.
+* -   A single generator for all ranges is returned as a string; otherwise, the list of generator specifications is returned.
+*
+* @private
+* @param {(string|Array<string>)} value - option value(s)
+* @param {Array<string>} fns - compared functions
+* @param {boolean} custom - boolean indicating whether a custom range replaces the default ranges
+* @throws {Error} must be valid generator specifications applying to the functions of the selected ranges
+* @returns {(string|Array<string>)} generator specification(s)
+*/
+function parseGenerators(value, fns, custom) {
+    var missing;
+    var values;
+    var seen;
+    var all;
+    var out;
+    var m;
+    var k;
+    var i;
+    var j;
+
+    values = [].concat(value);
+    out = [];
+    seen = [];
+    all = false;
+    for (i = 0; i < values.length; i++) {
+        m = RE_RANGE_GENERATOR.exec(values[i]);
+        if (m === null) {
+            if (all) {
+                throw new Error('invalid option. `--generator` may specify only one generator for all ranges. Select the generator of a single range as `k=spec` (e.g., `2=hazard`).');
+            }
+            all = true;
+            out.push(parseGenerator(values[i], fns));
+            continue;
+        }
+        k = Number(m[1]);
+        if (k < 1) {
+            throw new Error('invalid option. `--generator` ranges are numbered from 1. Value: `' + values[i] + '`.');
+        }
+        if (seen.indexOf(k) >= 0) {
+            throw new Error('invalid option. `--generator` specifies more than one generator for range ' + k + '.');
+        }
+        seen.push(k);
+        missing = [];
+        for (j = 0; j < fns.length; j++) {
+            if (k > ((custom) ? 1 : impl.entry(fns[j]).ranges.length)) {
+                missing.push(fns[j]);
+            }
+        }
+        if (missing.length) {
+            throw new Error('invalid option. `--generator ' + values[i] + '` selects range ' + k + ', but the following functions have fewer ranges: ' + missing.join(', ') + '.');
+        }
+        out.push(k + '=' + parseGenerator(m[2], fns));
+    }
+    return (out.length === 1 && all) ? out[0] : out;
+}
+
+/**
+* Checks that the test ranges drawn by the `log` generator only contain positive values.
+*
+* ## Notes
+*
+* -   Ranges are resolved as by `compare` (see `compare.ranges`), so that both custom ranges and the default ranges of the compared functions are checked.
+*
+* @private
+* @param {Array<string>} fns - compared functions
+* @param {Options} opts - parsed options (`range`, `yrange` and `generator`)
+* @throws {Error} ranges drawn by the `log` generator must only contain positive values
+*/
+function checkLogRanges(fns, opts) {
+    var list;
+    var bad;
+    var r;
+    var i;
+    var j;
+
+    bad = [];
+    for (i = 0; i < fns.length; i++) {
+        list = compare.ranges(impl.entry(fns[i]), opts);
+        for (j = 0; j < list.length; j++) {
+            r = list[j];
+            if (generators.parse(r.generator).name !== 'log') {
+                continue;
+            }
+            if (r.x && !(r.x[0] > 0.0 && r.y[0] > 0.0)) {
+                bad.push(fns[i] + ' on [' + r.x[0] + ', ' + r.x[1] + '] x [' + r.y[0] + ', ' + r.y[1] + ']');
+            } else if (!r.x && !(r.min > 0.0)) {
+                bad.push(fns[i] + ' on [' + r.min + ', ' + r.max + ']');
+            }
+        }
+    }
+    if (bad.length) {
+        throw new Error('invalid option. `--generator log` requires ranges of positive values. Ranges with zero or negative values: ' + bad.join(', ') + '.');
+    }
+}
+
+/**
+* Parses a nonnegative number option.
+*
+* @private
+* @param {string} name - option name
+* @param {string} value - option value
+* @throws {Error} must be a nonnegative number
+* @returns {NonNegativeNumber} parsed value
+*/
+function parseTolerance(name, value) {
+    var v = Number(value);
+    if (String(value).trim() === '' || !isfinite(v) || v < 0.0) {
+        throw new Error('invalid option. `--' + name + '` must be a nonnegative number. Value: `' + value + '`.');
+    }
+    return v;
+}
+
+/**
+* Loads user-supplied implementation modules.
+*
+* @private
+* @param {Array<string>} files - module paths
+* @param {Array<string>} fns - compared functions
+* @throws {Error} must provide loadable modules implementing at least one of the compared functions
+* @returns {Array<Object>} implementation descriptions
+*/
+function parseImplementations(files, fns) {
+    var spec;
+    var out;
+    var i;
+    var j;
+
+    if (files.length === 0) {
+        throw new Error('invalid option. `--impl` must specify at least one module.');
+    }
+    out = [];
+    for (i = 0; i < files.length; i++) {
+        spec = impl.load(files[i]);
+        if (spec.functions === null) {
+            // A module exporting a single function does not say which function it implements:
+            if (fns.length !== 1) {
+                throw new Error('invalid option. `--impl` module `' + files[i] + '` exports a single function, which requires selecting exactly one function via `--fn`.');
+            }
+        } else {
+            for (j = 0; j < spec.functions.length; j++) {
+                if (fns.indexOf(spec.functions[j]) >= 0) {
+                    break;
+                }
+            }
+            if (j === spec.functions.length) {
+                throw new Error('invalid option. `--impl` module `' + files[i] + '` does not implement any of the compared functions: ' + fns.join(', ') + '.');
+            }
+        }
+        out.push(spec);
+    }
+    return out;
+}
+
+// MAIN //
+
+/**
+* Validates the flags and arguments of a command and converts them to module options.
+*
+* @param {Object} command - command description
+* @param {Object} flags - parsed flags
+* @param {Array<string>} args - positional arguments
+* @throws {Error} must provide valid options
+* @returns {Object} options
+*/
+function validate(command, flags, args) {
+    var opts;
+    var keys;
+    var fns;
+    var ids;
+    var i;
+
+    if (args.length > 0) {
+        throw new Error('invalid argument. Unexpected argument: `' + args[0] + '`.');
+    }
+    keys = Object.keys(flags);
+    for (i = 0; i < keys.length; i++) {
+        // Boolean flags default to `false` for every command...
+        if (flags[keys[i]] === false) {
+            continue;
+        }
+        if (
+            keys[i] !== 'help' && keys[i] !== 'h' &&
+            keys[i] !== 'version' && keys[i] !== 'V' &&
+            keys[i] !== 'i' &&
+            command.options.indexOf(keys[i]) < 0
+        ) {
+            throw new Error('invalid option. Unrecognized option for `' + command.name + '`: `' + ((keys[i].length > 1) ? '--' : '-') + keys[i] + '`.');
+        }
+    }
+    opts = {};
+    if (flags.format !== void 0) {
+        if (format.FORMATS.indexOf(flags.format) < 0) {
+            throw new Error('invalid option. `--format` must be one of the following: "' + format.FORMATS.join('", "') + '". Value: `' + flags.format + '`.');
+        }
+    }
+    opts.format = flags.format || 'text';
+    if (flags.fn !== void 0) {
+        fns = list(flags.fn);
+        if (fns.length === 0) {
+            throw new Error('invalid option. `--fn` must specify at least one function.');
+        }
+        for (i = 0; i < fns.length; i++) {
+            if (command.functions.indexOf(fns[i]) < 0) {
+                throw new Error('invalid option. Unknown function for `' + command.name + '`: `' + fns[i] + '`. Available functions: ' + command.functions.join(', ') + '.');
+            }
+        }
+        opts.fn = fns;
+    }
+    if (flags.range !== void 0) {
+        opts.range = parseRange('range', flags.range);
+    }
+    if (flags.yrange !== void 0) {
+        opts.yrange = parseRange('yrange', flags.yrange);
+        if (!hasPairs(opts.fn || command.functions)) {
+            throw new Error('invalid option. `--yrange` only applies to functions of two arguments (e.g., pow).');
+        }
+    }
+    if (flags.n !== void 0) {
+        opts.n = parseCount('n', flags.n);
+    }
+    if (flags.generator !== void 0) {
+        opts.generator = parseGenerators(flags.generator, opts.fn || command.functions, opts.range !== void 0 || opts.yrange !== void 0);
+        checkLogRanges(opts.fn || command.functions, opts);
+    }
+    if (flags.seed !== void 0) {
+        opts.seed = parseCount('seed', flags.seed);
+        if (opts.seed > MAX_SEED) {
+            throw new Error('invalid option. `--seed` must be at most ' + MAX_SEED + '. Value: `' + flags.seed + '`.');
+        }
+    }
+    if (flags.width !== void 0) {
+        opts.width = parseCount('width', flags.width);
+        if (opts.width < MIN_WIDTH) {
+            throw new Error('invalid option. `--width` must be at least ' + MIN_WIDTH + '. Value: `' + flags.width + '`.');
+        }
+    }
+    if (flags.height !== void 0) {
+        opts.height = parseCount('height', flags.height);
+        if (opts.height < MIN_HEIGHT) {
+            throw new Error('invalid option. `--height` must be at least ' + MIN_HEIGHT + '. Value: `' + flags.height + '`.');
+        }
+    }
+    if (flags.renderer !== void 0) {
+        if (asciiPlot.renderers.indexOf(flags.renderer) < 0) {
+            throw new Error('invalid option. `--renderer` must be one of the following: "' + asciiPlot.renderers.join('", "') + '". Value: `' + flags.renderer + '`.');
+        }
+        opts.renderer = flags.renderer;
+    }
+    if (flags.series !== void 0) {
+        ids = list(flags.series);
+        if (ids.length === 0) {
+            throw new Error('invalid option. `--series` must specify at least one implementation.');
+        }
+        for (i = 0; i < ids.length; i++) {
+            if (asciiPlot.series.indexOf(ids[i]) < 0) {
+                throw new Error('invalid option. `--series` must be a list of the following implementations: "' + asciiPlot.series.join('", "') + '". Value: `' + ids[i] + '`.');
+            }
+        }
+        if (!hasSingles(opts.fn || asciiPlot.defaults)) {
+            throw new Error('invalid option. `--series` only applies to functions of one argument (e.g., erf).');
+        }
+        opts.series = ids;
+    }
+    if (flags.error) {
+        if (!opts.series || opts.series.length < 2) {
+            throw new Error('invalid option. `--error` compares overlaid implementations, so it requires `--series` with at least two implementations (e.g., `--series stdlib,native`).');
+        }
+        if (flags.interactive) {
+            throw new Error('invalid option. `--error` cannot be combined with `--interactive`.');
+        }
+        opts.error = true;
+    }
+    if (flags.scale !== void 0) {
+        if (axis.scales.indexOf(flags.scale) < 0) {
+            throw new Error('invalid option. `--scale` must be one of the following: "' + axis.scales.join('", "') + '". Value: `' + flags.scale + '`.');
+        }
+        if (!hasSingles(opts.fn || asciiPlot.defaults)) {
+            throw new Error('invalid option. `--scale` only applies to functions of one argument (e.g., exp).');
+        }
+        opts.scale = flags.scale;
+    }
+    if (flags.precision !== void 0) {
+        opts.precision = parseCount('precision', flags.precision);
+        if (opts.precision > MAX_PRECISION) {
+            throw new Error('invalid option. `--precision` must be at most ' + MAX_PRECISION + '. Value: `' + flags.precision + '`.');
+        }
+    }
+    if (flags.notation !== void 0) {
+        if (axis.notations.indexOf(flags.notation) < 0) {
+            throw new Error('invalid option. `--notation` must be one of the following: "' + axis.notations.join('", "') + '". Value: `' + flags.notation + '`.');
+        }
+        opts.notation = flags.notation;
+    }
+    if (flags.color) {
+        opts.color = true;
+    }
+    if (flags.ascii) {
+        if (opts.renderer && canvas.ASCII_RENDERERS.indexOf(opts.renderer) < 0) {
+            throw new Error('invalid option. `--renderer ' + opts.renderer + '` draws Unicode characters and cannot be combined with `--ascii`. Use one of the following renderers: "' + canvas.ASCII_RENDERERS.join('", "') + '".');
+        }
+        opts.ascii = true;
+    }
+    if (flags.interactive) {
+        for (i = 0; i < NON_INTERACTIVE_OPTIONS.length; i++) {
+            if (flags[NON_INTERACTIVE_OPTIONS[i]] !== void 0) {
+                throw new Error('invalid option. `--interactive` sizes the plot to the terminal and writes no report, so it cannot be combined with `--' + NON_INTERACTIVE_OPTIONS[i] + '`.');
+            }
+        }
+        for (i = 0; i < AXIS_OPTIONS.length; i++) {
+            if (flags[AXIS_OPTIONS[i]] !== void 0) {
+                throw new Error('invalid option. `--interactive` draws linear axes labeled at full precision, so it cannot be combined with `--' + AXIS_OPTIONS[i] + '`.');
+            }
+        }
+        if (!process.stdin.isTTY || !process.stdout.isTTY) {
+            throw new Error('invalid option. `--interactive` requires a terminal (stdin and stdout must not be redirected).');
+        }
+        opts.interactive = true;
+    }
+    if (flags.search) {
+        opts.search = true;
+    }
+    if (flags.radius !== void 0) {
+        if (!flags.search) {
+            throw new Error('invalid option. `--radius` requires `--search`.');
+        }
+        opts.radius = parseCount('radius', flags.radius);
+    }
+    if (flags.workers !== void 0) {
+        opts.workers = parseCount('workers', flags.workers);
+    }
+    if (flags['save-baseline'] !== void 0) {
+        if (String(flags['save-baseline']).trim() === '') {
+            throw new Error('invalid option. `--save-baseline` must be a file path.');
+        }
+        opts.saveBaseline = flags['save-baseline'];
+    }
+    if (flags['save-manifest'] !== void 0) {
+        if (String(flags['save-manifest']).trim() === '') {
+            throw new Error('invalid option. `--save-manifest` must be a file path.');
+        }
+        opts.saveManifest = flags['save-manifest'];
+    }
+    if (flags.replay !== void 0) {
+        for (i = 0; i < TEST_POINT_OPTIONS.length; i++) {
+            if (flags[TEST_POINT_OPTIONS[i]] !== void 0 && flags[TEST_POINT_OPTIONS[i]] !== false) {
+                throw new Error('invalid option. `--replay` reproduces the recorded test points and cannot be combined with `--' + TEST_POINT_OPTIONS[i] + '`.');
+            }
+        }
+        // Fail early (as a usage error) on unreadable or invalid manifest files:
+        opts.replay = flags.replay;
+        opts.manifest = manifest.read(flags.replay);
+        opts = manifest.defaults(opts, opts.manifest);
+        for (i = 0; i < opts.fn.length; i++) {
+            if (command.functions.indexOf(opts.fn[i]) < 0) {
+                throw new Error('invalid manifest file. `' + flags.replay + '` contains results for an unknown function: `' + opts.fn[i] + '`.');
+            }
+        }
+        if (opts.manifest.options.impl && opts.manifest.options.impl.length) {
+            opts.impl = parseImplementations(opts.manifest.options.impl, opts.fn);
+        }
+    }
+    if (flags.against !== void 0) {
+        // Fail early (as a usage error) on unreadable or invalid baseline files:
+        opts.against = flags.against;
+        opts.baseline = baseline.read(flags.against);
+
+        // Evaluate the baseline's test points unless told otherwise:
+        opts = baseline.defaults(opts, opts.baseline);
+        for (i = 0; i < opts.fn.length; i++) {
+            if (command.functions.indexOf(opts.fn[i]) < 0) {
+                throw new Error('invalid baseline file. `' + flags.against + '` contains results for an unknown function: `' + opts.fn[i] + '`.');
+            }
+        }
+        opts.thresholds = {};
+        if (flags['max-increase'] !== void 0) {
+            opts.thresholds.max = parseTolerance('max-increase', flags['max-increase']);
+        }
+        if (flags['mean-increase'] !== void 0) {
+            opts.thresholds.mean = parseTolerance('mean-increase', flags['mean-increase']);
+        }
+        if (flags['cr-decrease'] !== void 0) {
+            opts.thresholds.correctlyRounded = parseTolerance('cr-decrease', flags['cr-decrease']);
+        }
+    } else if (flags['max-increase'] !== void 0 || flags['mean-increase'] !== void 0 || flags['cr-decrease'] !== void 0) {
+        throw new Error('invalid option. Regression thresholds require `--against`.');
+    }
+    if (flags.impl !== void 0) {
+        opts.impl = parseImplementations(list(flags.impl), opts.fn || command.functions);
+    }
+    if (flags.spec !== void 0) {
+        // Fail early (as a usage error) on unreadable or invalid specification files:
+        loadSpec(flags.spec);
+        opts.spec = flags.spec;
+    }
+    if (flags['chunk-size'] !== void 0) {
+        opts.chunkSize = parseCount('chunk-size', flags['chunk-size']);
+    }
+    if (flags['max-failures'] !== void 0) {
+        opts.maxFailures = parseCount('max-failures', flags['max-failures']);
+    }
+    if (flags.samples !== void 0) {
+        opts.samples = parseCount('samples', flags.samples);
+        if (opts.samples < MIN_SAMPLES) {
+            throw new Error('invalid option. `--samples` must be at least ' + MIN_SAMPLES + ', so that the samples can be compared. Value: `' + flags.samples + '`.');
+        }
+    }
+    if (flags.size !== void 0) {
+        opts.size = parseCount('size', flags.size);
+    }
+    if (flags['against-bench'] !== void 0) {
+        // Fail early (as a usage error) on unreadable or invalid benchmark files:
+        opts.againstBench = flags['against-bench'];
+        opts.benchmark = benchmark.read(flags['against-bench']);
+    }
+    if (flags.state !== void 0) {
+        if (String(flags.state).trim() === '') {
+            throw new Error('invalid option. `--state` must be a file path.');
+        }
+        // Fail early on state files which cannot be resumed with the given options:
+        sweep.validateState(flags.state, opts);
+        opts.state = flags.state;
+    }
+    return opts;
+}
+
+// EXPORTS //
+
+module.exports = validate;
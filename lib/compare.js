@@ -5,236 +5,696 @@
 *
 * Compares stdlib's math functions against native JavaScript Math
 * implementations across a range of inputs to highlight accuracy
-* differences, especially near boundaries and extreme values.
+* differences, especially near boundaries and extreme values. Both
+* implementations are also measured against a high-precision reference
+* oracle (see `lib/oracle`), which tells which of them is correct.
+*
+* Any number of user-supplied implementations (see `implementations.load`)
+* can be measured alongside them; each range then ranks all implementations
+* by their error against the reference.
+*
+* Test points are drawn by the generator of each range (evenly spaced by
+* default; see `lib/generators.js`), which can be overridden for all ranges
+* or for selected ranges. Random generators are seeded, so that every run
+* with the same seed tests the same points.
+*
+* Functions of two arguments (e.g., `pow`, `atan2`) are tested on a regular
+* grid or on random pairs over a rectangle, and each comparison also includes
+* an error heatmap over the rectangle (the maximum error of each
+* implementation per cell).
+*
+* Returns a structured report (per-range statistics, error distributions
+* and worst cases); see `lib/render/compare.js` for the text rendering.
 */
 
-var exp = require('@stdlib/math/base/special/exp');
-var ln = require('@stdlib/math/base/special/ln');
-var sqrt = require('@stdlib/math/base/special/sqrt');
-var erf = require('@stdlib/math/base/special/erf');
-var abs = require('@stdlib/math/base/special/abs');
-var floor = require('@stdlib/math/base/special/floor');
+var createHash = require('crypto').createHash;
 var isnan = require('@stdlib/math/base/assert/is-nan');
-var isinfinite = require('@stdlib/math/base/assert/is-infinite');
-var FLOAT64_EPS = require('@stdlib/constants/float64/eps');
-var FLOAT64_MAX = require('@stdlib/constants/float64/max');
-var FLOAT64_MIN_SAFE_INTEGER = require('@stdlib/constants/float64/min-safe-integer');
-var FLOAT64_MAX_SAFE_INTEGER = require('@stdlib/constants/float64/max-safe-integer');
-var linspace = require('@stdlib/array/linspace');
+var floor = require('@stdlib/math/base/special/floor');
+var randu = require('@stdlib/random/base/randu');
+var setReadOnly = require('@stdlib/utils/define-nonenumerable-read-only-property');
+var impl = require('./implementations.js');
+var search = require('./search.js');
+var generators = require('./generators.js');
+var histogram = require('./histogram.js');
+var run = require('./parallel');
+
+// VARIABLES //
+
+// Functions which can be compared (i.e., which have a reference oracle and default test ranges)...
+var NAMES = impl.list(function isComparable(entry) {
+    return entry.reference !== null && entry.ranges !== void 0;
+});
+
+// Built-in implementations, in the order in which they are evaluated...
+var BUILTINS = [
+    {
+        'id': 'stdlib'
+    },
+    {
+        'id': 'native'
+    }
+];
+
+// Generator specification selecting a single range (e.g., `2=hazard`)...
+var RE_RANGE_GENERATOR = /^(\d+)=(.*)$/;
+
+// Default seed of the random test points, so that reports are reproducible:
+var SEED = 20240101;
+
+// Heatmap dimensions (cells) of functions of two arguments...
+var HEATMAP_COLS = 48;
+var HEATMAP_ROWS = 12;
+
+// FUNCTIONS //
 
 /**
-* Computes the number of ULPs (units in the last place) difference
-* between two floating-point numbers.
+* Returns the inputs of a test point.
 *
 * @private
-* @param {number} a - first value
-* @param {number} b - second value
-* @returns {number} ULP difference
+* @param {Float64Array} points - test points (interleaved pairs for functions of two arguments)
+* @param {PositiveInteger} arity - number of arguments
+* @param {integer} i - test point index (`-1` if none)
+* @returns {Object} inputs (`x` and, for functions of two arguments, `y`)
 */
-function ulpDiff(a, b) {
-    var diff;
-    if (a === b) {
-        return 0.0;
+function inputs(points, arity, i) {
+    if (i < 0) {
+        return (arity === 2) ? { 'x': 0.0, 'y': 0.0 } : { 'x': 0.0 };
     }
-    if (isnan(a) || isnan(b)) {
-        return NaN;
+    if (arity === 2) {
+        return {
+            'x': points[2*i],
+            'y': points[(2*i)+1]
+        };
     }
-    if (isinfinite(a) || isinfinite(b)) {
-        return Infinity;
+    return {
+        'x': points[i]
+    };
+}
+
+/**
+* Summarizes an error accumulator.
+*
+* ## Notes
+*
+* -   Results are correctly rounded if their error is at most 0.5 ULP, and faithfully rounded (one of the two floating-point numbers bracketing the exact value) if it is at most 1 ULP; faithfully rounded results include the correctly rounded ones.
+* -   The coverage is the fraction of the test points whose error was measured (errors are undefined where the exact result is `NaN` and the result is not). Without any measured error, the error statistics are `NaN`.
+*
+* @private
+* @param {Object} stats - accumulator
+* @param {Float64Array} errors - absolute ULP errors of the test points
+* @param {Float64Array} points - test points
+* @param {PositiveInteger} arity - number of arguments
+* @returns {Object} summary
+*/
+function summarizeErrorStats(stats, errors, points, arity) {
+    var worst = inputs(points, arity, stats.worstIndex);
+    var n = stats.n;
+    worst.error = stats.worstError;
+    return {
+        'n': n,
+        'nNaN': stats.nNaN,
+        'coverage': n / (points.length / arity),
+        'max': (n > 0) ? stats.max : NaN,
+        'mean': (n > 0) ? stats.sum / n : NaN,
+        'correctlyRounded': (n > 0) ? stats.nCorrect / n : NaN,
+        'faithfullyRounded': (n > 0) ? stats.nFaithful / n : NaN,
+        'nCorrectlyRounded': stats.nCorrect,
+        'nFaithfullyRounded': stats.nFaithful,
+        'percentiles': histogram.percentiles(errors),
+        'histogram': histogram.bins(stats.histogram),
+        'worst': worst
+    };
+}
+
+/**
+* Returns the maximum error of each implementation per cell of a rectangle.
+*
+* ## Notes
+*
+* -   Cells are stored in row-major order, starting with the row of the largest `y` values (i.e., as displayed). Cells without test points (or with only undefined errors) are `null`.
+*
+* @private
+* @param {Float64Array} points - test points (interleaved pairs)
+* @param {Array<Object>} impls - implementation descriptions
+* @param {Object} errors - absolute ULP errors of the test points, keyed by implementation identifier
+* @param {Object} range - range description
+* @returns {Object} heatmap
+*/
+function heatmap(points, impls, errors, range) {
+    var cells;
+    var out;
+    var col;
+    var row;
+    var err;
+    var dx;
+    var dy;
+    var id;
+    var k;
+    var i;
+    var j;
+
+    dx = (range.x[1] - range.x[0]) / HEATMAP_COLS;
+    dy = (range.y[1] - range.y[0]) / HEATMAP_ROWS;
+    out = {
+        'cols': HEATMAP_COLS,
+        'rows': HEATMAP_ROWS,
+        'x': range.x.slice(),
+        'y': range.y.slice(),
+        'cells': {}
+    };
+    for (k = 0; k < impls.length; k++) {
+        id = impls[k].id;
+        cells = [];
+        for (j = 0; j < HEATMAP_COLS * HEATMAP_ROWS; j++) {
+            cells.push(null);
+        }
+        for (i = 0; i < errors[id].length; i++) {
+            err = errors[id][i];
+            if (isnan(err)) {
+                continue;
+            }
+            col = floor((points[2*i] - range.x[0]) / dx);
+            row = HEATMAP_ROWS - 1 - floor((points[(2*i)+1] - range.y[0]) / dy);
+            col = (col >= HEATMAP_COLS) ? HEATMAP_COLS - 1 : ((col < 0) ? 0 : col);
+            row = (row >= HEATMAP_ROWS) ? HEATMAP_ROWS - 1 : ((row < 0) ? 0 : row);
+            j = (row * HEATMAP_COLS) + col;
+            if (cells[j] === null || err > cells[j]) {
+                cells[j] = err;
+            }
+        }
+        out.cells[id] = cells;
     }
-    if (a === 0.0) {
-        diff = abs(b) / (FLOAT64_EPS / 2.0);
-        return diff;
+    return out;
+}
+
+/**
+* Ranks implementations by their error against the reference.
+*
+* ## Notes
+*
+* -   Implementations are ordered by decreasing coverage (so that an implementation whose errors are undefined at some test points cannot outrank one measured at every point), then by maximum error, then by mean error; ties keep the evaluation order (stdlib, native, then user-supplied implementations).
+*
+* @private
+* @param {Array<Object>} impls - implementation descriptions
+* @param {Object} errors - error summaries keyed by implementation identifier
+* @returns {Array<Object>} ranking
+*/
+function rank(impls, errors) {
+    var out;
+    var e;
+    var i;
+
+    out = [];
+    for (i = 0; i < impls.length; i++) {
+        e = errors[impls[i].id];
+        out.push({
+            'id': impls[i].id,
+            'coverage': e.coverage,
+            'max': e.max,
+            'mean': e.mean,
+            'correctlyRounded': e.correctlyRounded,
+            'order': i
+        });
+    }
+    out.sort(compareErrors);
+    for (i = 0; i < out.length; i++) {
+        out[i].rank = i + 1;
+        delete out[i].order;
+    }
+    return out;
+
+    /**
+    * Comparator ordering implementations by increasing error.
+    *
+    * @private
+    * @param {Object} a - first implementation
+    * @param {Object} b - second implementation
+    * @returns {number} comparison result
+    */
+    function compareErrors(a, b) {
+        if (a.coverage !== b.coverage) {
+            return (a.coverage > b.coverage) ? -1 : 1;
+        }
+        if (a.coverage === 0.0) {
+            // Nothing measured, so there are no errors to compare...
+            return a.order - b.order;
+        }
+        if (a.max !== b.max) {
+            return (a.max < b.max) ? -1 : 1;
+        }
+        if (a.mean !== b.mean) {
+            return (a.mean < b.mean) ? -1 : 1;
+        }
+        return a.order - b.order;
     }
-    diff = abs(a - b) / (abs(a) * FLOAT64_EPS);
-    return diff;
 }
 
 /**
-* Runs an accuracy comparison between a stdlib function and a
-* native JavaScript function over a given range.
+* Returns a fingerprint of test points.
+*
+* ## Notes
+*
+* -   The fingerprint is the SHA-256 digest of the points' bits, so that runs can check that they evaluated exactly the same inputs (see `lib/manifest.js`).
 *
 * @private
-* @param {string} name - comparison name
-* @param {Function} stdlibFn - stdlib function
-* @param {Function} nativeFn - native JS function
-* @param {Float64Array} testPoints - array of test points
-*/
-function runComparison(name, stdlibFn, nativeFn, testPoints) {
-    var maxUlpDiff;
-    var totalDiff;
-    var worstCase;
-    var stdlibVal;
-    var nativeVal;
-    var nAgree;
-    var nTotal;
-    var diff;
+* @param {Float64Array} points - test points
+* @returns {string} hexadecimal digest
+*/
+function fingerprint(points) {
+    return createHash('sha256').update(new Uint8Array(points.buffer, points.byteOffset, points.byteLength)).digest('hex');
+}
+
+/**
+* Summarizes the comparison of the implementations of a function over a given range.
+*
+* ## Notes
+*
+* -   The agreement statistics compare the stdlib and native JavaScript implementations.
+*
+* @private
+* @param {Object} job - job (comparison `label`, function `name`, implementation descriptions `impls`, test `points`, number of arguments `arity` and `range` description)
+* @param {Function} reference - reference oracle
+* @param {Object} result - merged statistics (`stats`) and absolute errors (`errors`) of the test points (see `lib/parallel`)
+* @param {(Object|null)} searchOpts - worst-case search options (`null` to only sample the test points)
+* @returns {Object} comparison results
+*/
+function summarize(job, reference, result, searchOpts) {
+    var stdlibFn;
+    var nativeFn;
+    var impls;
+    var stats;
+    var out;
+    var id;
+    var w;
     var i;
 
-    maxUlpDiff = 0.0;
-    totalDiff = 0.0;
-    worstCase = 0.0;
-    nAgree = 0;
-    nTotal = 0;
+    impls = job.impls;
+    stats = result.stats;
+    stdlibFn = impl.resolve(impls[0], job.name);
+    nativeFn = impl.resolve(impls[1], job.name);
+    out = {
+        'label': job.label,
+        'points': job.points.length / job.arity,
+        'generator': job.range.generator,
+        'digest': fingerprint(job.points),
+        'compared': stats.nTotal,
+        'agree': stats.nAgree,
+        'maxUlpDiff': stats.maxUlpDiff,
+        'meanUlpDiff': (stats.nTotal > stats.nAgree) ? stats.totalDiff / (stats.nTotal - stats.nAgree) : 0.0,
+        'worstCase': null,
+        'errors': {}
+    };
+    if (stats.maxUlpDiff > 0) {
+        w = inputs(job.points, job.arity, stats.worstIndex);
+        w.ulp = stats.worstDiff;
+        if (job.arity === 2) {
+            w.stdlib = stdlibFn(w.x, w.y);
+            w.native = nativeFn(w.x, w.y);
+        } else {
+            w.stdlib = stdlibFn(w.x);
+            w.native = nativeFn(w.x);
+        }
+        out.worstCase = w;
+    }
+    for (i = 0; i < impls.length; i++) {
+        id = impls[i].id;
+        out.errors[id] = summarizeErrorStats(stats.errors[id], result.errors[id], job.points, job.arity);
+    }
+    out.ranking = rank(impls, out.errors);
+    if (job.arity === 2) {
+        out.heatmap = heatmap(job.points, impls, result.errors, job.range);
+    }
+    if (searchOpts) {
+        // Refine the sampled worst cases into local maxima...
+        out.search = {};
+        for (i = 0; i < impls.length; i++) {
+            id = impls[i].id;
+            out.search[id] = search(impl.resolve(impls[i], job.name), reference, job.points, result.errors[id], searchOpts);
+        }
+    }
+    return out;
+}
+
+/**
+* Generates the test points for a range.
+*
+* ## Notes
+*
+* -   Random generators draw from a pseudorandom number generator seeded anew for every range, so that a range's test points do not depend on the other tested ranges.
+*
+* @private
+* @param {Object} range - range description
+* @param {Object} entry - registry entry
+* @param {PositiveInteger} seed - pseudorandom number generator seed
+* @throws {Error} range generator must apply to the function
+* @returns {Float64Array} test points (interleaved pairs for functions of two arguments)
+*/
+function testPoints(range, entry, seed) {
+    var opts = {
+        'rand': randu.factory({
+            'seed': seed
+        }),
+        'hazards': entry.hazards
+    };
+    if (impl.arity(entry.name) === 2) {
+        return generators.pairs(range.generator, range, opts);
+    }
+    return generators.points(range.generator, range, opts);
+}
+
+/**
+* Returns the label of a function's stdlib implementation.
+*
+* @private
+* @param {Object} entry - registry entry
+* @returns {string} label
+*/
+function stdlibLabel(entry) {
+    if (typeof entry.stdlib === 'string') {
+        return entry.stdlib;
+    }
+    return entry.stdlib.deps.join(', ');
+}
 
-    for (i = 0; i < testPoints.length; i++) {
-        stdlibVal = stdlibFn(testPoints[i]);
-        nativeVal = nativeFn(testPoints[i]);
+/**
+* Returns user-supplied implementation descriptions with unique identifiers.
+*
+* ## Notes
+*
+* -   Identifiers are derived from file names, so two modules may share one, or clash with a built-in identifier (`stdlib`, `native`); later duplicates get a numeric suffix (e.g., `exp_2`).
+*
+* @private
+* @param {Array<Object>} specs - implementation descriptions (see `implementations.load`)
+* @returns {Array<Object>} implementation descriptions
+*/
+function uniqueIds(specs) {
+    var used;
+    var out;
+    var id;
+    var k;
+    var i;
 
-        // Skip cases where both return non-finite values...
-        if (isnan(stdlibVal) && isnan(nativeVal)) {
-            continue;
+    used = {
+        'stdlib': true,
+        'native': true
+    };
+    out = [];
+    for (i = 0; i < specs.length; i++) {
+        id = specs[i].id;
+        k = 2;
+        while (used[id] === true) {
+            id = specs[i].id + '_' + k;
+            k += 1;
         }
-        if (isinfinite(stdlibVal) && isinfinite(nativeVal)) {
-            if (stdlibVal === nativeVal) {
-                continue;
-            }
+        used[id] = true;
+        out.push({
+            'id': id,
+            'label': specs[i].label,
+            'path': specs[i].path,
+            'functions': specs[i].functions
+        });
+    }
+    return out;
+}
+
+/**
+* Returns the implementations of a function to evaluate.
+*
+* @private
+* @param {string} name - function name
+* @param {Array<Object>} custom - user-supplied implementation descriptions
+* @returns {Array<Object>} implementation descriptions
+*/
+function implementations(name, custom) {
+    var out;
+    var i;
+
+    out = BUILTINS.slice();
+    for (i = 0; i < custom.length; i++) {
+        if (custom[i].functions === null || custom[i].functions.indexOf(name) >= 0) {
+            out.push(custom[i]);
         }
+    }
+    return out;
+}
 
-        nTotal += 1;
+/**
+* Returns the identifiers and labels of the implementations of a function.
+*
+* @private
+* @param {Array<Object>} impls - implementation descriptions
+* @param {Object} entry - registry entry
+* @returns {Array<Object>} identifiers (`id`) and labels (`label`)
+*/
+function implementationLabels(impls, entry) {
+    var out;
+    var i;
 
-        if (stdlibVal === nativeVal) {
-            nAgree += 1;
-            continue;
+    out = [
+        {
+            'id': 'stdlib',
+            'label': stdlibLabel(entry)
+        },
+        {
+            'id': 'native',
+            'label': entry.nativeLabel
         }
+    ];
+    for (i = BUILTINS.length; i < impls.length; i++) {
+        out.push({
+            'id': impls[i].id,
+            'label': impls[i].label
+        });
+    }
+    return out;
+}
 
-        diff = ulpDiff(stdlibVal, nativeVal);
-        if (!isnan(diff) && !isinfinite(diff)) {
-            totalDiff += diff;
-            if (diff > maxUlpDiff) {
-                maxUlpDiff = diff;
-                worstCase = testPoints[i];
-            }
+/**
+* Returns the label of a range.
+*
+* @private
+* @param {string} title - function title
+* @param {Object} range - range description
+* @returns {string} label
+*/
+function rangeLabel(title, range) {
+    var desc;
+    if (range.label) {
+        return range.label;
+    }
+    desc = generators.describe(range.generator);
+    if (range.x) {
+        return title + ' on [' + range.x[0] + ', ' + range.x[1] + '] × [' + range.y[0] + ', ' + range.y[1] + ']' +
+            ((desc) ? ' ' + desc : '') +
+            ((range.note) ? ' ' + range.note : '');
+    }
+    return title + ' on [' + range.min + ', ' + range.max + ']' +
+        ((desc) ? ' ' + desc : '') +
+        ((range.note) ? ' ' + range.note : '');
+}
+
+/**
+* Returns the generator selected for a range, if any.
+*
+* @private
+* @param {(string|Array<string>|void)} generator - generator specification(s): `spec` for all ranges, or `k=spec` for the `k`-th range
+* @param {PositiveInteger} k - range number (numbered from 1)
+* @returns {(string|null)} generator specification
+*/
+function selectGenerator(generator, k) {
+    var all;
+    var m;
+    var i;
+
+    if (!generator) {
+        return null;
+    }
+    generator = [].concat(generator);
+    all = null;
+    for (i = 0; i < generator.length; i++) {
+        m = RE_RANGE_GENERATOR.exec(generator[i]);
+        if (m === null) {
+            all = generator[i];
+        } else if (Number(m[1]) === k) {
+            return m[2];
         }
     }
+    return all;
+}
 
-    console.log('  ┌─ ' + name);
-    console.log('  │  Points tested:       ' + testPoints.length);
-    console.log('  │  Exact agreement:      ' + nAgree + '/' + nTotal +
-        ' (' + (100.0 * nAgree / nTotal).toFixed(1) + '%)');
-    if (maxUlpDiff > 0) {
-        console.log('  │  Max ULP difference:  ' + maxUlpDiff.toFixed(2));
-        console.log('  │  Avg ULP difference:  ' +
-            (totalDiff / (nTotal - nAgree)).toFixed(4));
-        console.log('  │  Worst case at x =    ' + worstCase);
-        console.log('  │  stdlib(' + worstCase + ') = ' +
-            stdlibFn(worstCase));
-        console.log('  │  native(' + worstCase + ') = ' +
-            nativeFn(worstCase));
+/**
+* Returns the test ranges of a function.
+*
+* ## Notes
+*
+* -   A custom range replaces the default ranges. For functions of two arguments, `options.range` and `options.yrange` replace the ranges of the first and second arguments of the first default range, respectively.
+* -   A custom generator replaces the generators of all ranges, or of the selected range (see `selectGenerator`). As the default labels of ranges do not describe their generators, ranges with a custom generator are labeled by their bounds.
+*
+* @param {Object} entry - registry entry
+* @param {Options} options - comparison options
+* @returns {Array<Object>} range descriptions
+*/
+function ranges(entry, options) {
+    var list;
+    var out;
+    var g;
+    var r;
+    var i;
+
+    if (impl.arity(entry.name) === 2 && (options.range || options.yrange)) {
+        r = entry.ranges[0];
+        out = [{
+            'x': options.range || r.x,
+            'y': options.yrange || r.y,
+            'n': 5000,
+            'generator': r.generator
+        }];
+    } else if (options.range) {
+        out = [{
+            'min': options.range[0],
+            'max': options.range[1],
+            'n': 5000
+        }];
     } else {
-        console.log('  │  ✓ Perfect agreement across all test points!');
+        out = entry.ranges;
+    }
+    list = [];
+    for (i = 0; i < out.length; i++) {
+        r = out[i];
+        g = selectGenerator(options.generator, i+1);
+        list.push({
+            'min': r.min,
+            'max': r.max,
+            'x': r.x,
+            'y': r.y,
+            'n': options.n || r.n,
+            'generator': g || r.generator || 'linear',
+            'label': (g) ? void 0 : r.label,
+            'note': r.note
+        });
     }
-    console.log('  └──────────────────────────────────────────');
-    console.log('');
+    return list;
 }
 
+// MAIN //
+
 /**
 * Main comparison function.
+*
+* @param {Options} [options] - options
+* @param {Array<string>} [options.fn] - names of the functions to compare (default: all)
+* @param {Array<number>} [options.range] - custom test range `[min, max]` replacing the default ranges (of the first argument, for functions of two arguments)
+* @param {Array<number>} [options.yrange] - custom test range `[min, max]` of the second argument of functions of two arguments
+* @param {PositiveInteger} [options.n] - number of test points per range (default: per-range defaults)
+* @param {(string|Array<string>)} [options.generator] - test point generator replacing the generators of all ranges (see `lib/generators.js`; default: per-range defaults), or list of generators, each either replacing the generators of all ranges (`spec`) or of the `k`-th range (`k=spec`, numbered from 1)
+* @param {PositiveInteger} [options.seed=20240101] - seed of the random test points
+* @param {boolean} [options.search=false] - boolean indicating whether to search for the worst-case inputs after sampling (see `lib/search.js`)
+* @param {PositiveInteger} [options.radius] - perturbation radius of the search (in ULPs)
+* @param {PositiveInteger} [options.workers=1] - number of worker threads evaluating the test points (see `lib/parallel`); the report does not depend on it
+* @param {Array<Object>} [options.impl] - user-supplied implementations to measure alongside stdlib and native `Math` (see `implementations.load`)
+* @param {Callback} clbk - callback invoked with an error, if any, and the comparison report
+* @returns {void}
 */
-function compare() {
-    var tinyPositivePoints;
-    var largePoints;
-    var points;
-
-    // Generate test points for different ranges...
-
-    // Standard range: [-10, 10]
-    points = linspace(-10.0, 10.0, 5000);
-
-    // Large range: [-700, 700] (near exp overflow/underflow)
-    largePoints = linspace(-700.0, 700.0, 5000);
-
-    // Tiny positive values near zero: [1e-300, 1e-1]
-    tinyPositivePoints = new Float64Array(1000);
-    (function generateTinyPoints() {
-        var i;
-        for (i = 0; i < 1000; i++) {
-            tinyPositivePoints[i] = Math.pow(10, -300 + (i * 299 / 999));
-        }
-    })();
-
-    // Compare exp...
-    console.log('  Comparing: exp(x)');
-    console.log('  stdlib: @stdlib/math/base/special/exp');
-    console.log('  native: Math.exp');
-    console.log('');
-
-    runComparison(
-        'exp(x) on [-10, 10]',
-        exp,
-        Math.exp,
-        points
-    );
-
-    runComparison(
-        'exp(x) on [-700, 700] (near overflow/underflow)',
-        exp,
-        Math.exp,
-        largePoints
-    );
-
-    // Compare ln...
-    console.log('  Comparing: ln(x)');
-    console.log('  stdlib: @stdlib/math/base/special/ln');
-    console.log('  native: Math.log');
-    console.log('');
-
-    runComparison(
-        'ln(x) on tiny positives [1e-300, 0.1]',
-        ln,
-        Math.log,
-        tinyPositivePoints
-    );
-
-    runComparison(
-        'ln(x) on [0.001, 10]',
-        ln,
-        Math.log,
-        linspace(0.001, 10.0, 5000)
-    );
-
-    // Compare sqrt...
-    console.log('  Comparing: sqrt(x)');
-    console.log('  stdlib: @stdlib/math/base/special/sqrt');
-    console.log('  native: Math.sqrt');
-    console.log('');
-
-    runComparison(
-        'sqrt(x) on [0, 1000]',
-        sqrt,
-        Math.sqrt,
-        linspace(0.0, 1000.0, 5000)
-    );
-
-    // Compare erf...
-    console.log('  Comparing: erf(x)');
-    console.log('  stdlib: @stdlib/math/base/special/erf');
-    console.log('  native: n/a (using rational approximation mock)');
-    console.log('');
-
-    runComparison(
-        'erf(x) on [-3, 3]',
-        erf,
-        function nativeErf(x) {
-            // Mock native behavior for comparison since JS Math has no erf
-            var a = 0.254829592;
-            var b = -0.284496736;
-            var c = 1.421413741;
-            var d = -1.453152027;
-            var e = 1.061405429;
-            var p = 0.3275911;
-            var t = 1.0 / (1.0 + p * Math.abs(x));
-            var y = 1.0 - (((((e * t + d) * t) + c) * t + b) * t + a) * t * Math.exp(-x * x);
-            return (x < 0) ? -y : y;
-        },
-        linspace(-3.0, 3.0, 5000)
-    );
-
-    // Summary
-    console.log('  Summary: stdlib provides carefully implemented');
-    console.log('  mathematical functions that match or exceed the');
-    console.log('  accuracy of native JavaScript Math functions,');
-    console.log('  especially near boundary conditions.');
+function compare(options, clbk) {
+    var searchOpts;
+    var custom;
+    var impls;
+    var names;
+    var list;
+    var jobs;
+    var seed;
+    var f;
+    var i;
+    var j;
+
+    options = options || {};
+    names = options.fn || NAMES;
+    seed = options.seed || SEED;
+    searchOpts = (options.search) ? { 'radius': options.radius } : null;
+    custom = uniqueIds(options.impl || []);
+    jobs = [];
+    try {
+        for (i = 0; i < names.length; i++) {
+            f = impl.entry(names[i]);
+            impls = implementations(f.name, custom);
+            list = ranges(f, options);
+            for (j = 0; j < list.length; j++) {
+                jobs.push({
+                    'name': f.name,
+                    'label': rangeLabel(f.title, list[j]),
+                    'impls': impls,
+                    'arity': impl.arity(f.name),
+                    'range': list[j],
+                    'points': testPoints(list[j], f, seed)
+                });
+            }
+        }
+    } catch (err) {
+        return clbk(err);
+    }
+    run(jobs, options, onResults);
+
+    /**
+    * Callback invoked upon evaluating the test points.
+    *
+    * @private
+    * @param {(Error|null)} error - error object
+    * @param {Array<Object>} results - results of each range
+    * @returns {void}
+    */
+    function onResults(error, results) {
+        var functions;
+        var job;
+        var k;
+
+        if (error) {
+            return clbk(error);
+        }
+        functions = [];
+        try {
+            summarizeAll();
+        } catch (err) {
+            // E.g., a user-supplied implementation throwing during a worst-case search:
+            return clbk(err);
+        }
+        clbk(null, {
+            'type': 'compare',
+            'seed': seed,
+            'functions': functions
+        });
+
+        /**
+        * Summarizes the results of each range.
+        *
+        * @private
+        */
+        function summarizeAll() {
+            for (k = 0; k < jobs.length; k++) {
+                job = jobs[k];
+                if (k === 0 || jobs[k-1].name !== job.name) {
+                    f = impl.entry(job.name);
+                    functions.push({
+                        'name': f.name,
+                        'title': f.title,
+                        'args': f.args || ['x'],
+                        'stdlib': stdlibLabel(f),
+                        'native': f.nativeLabel,
+                        'implementations': implementationLabels(job.impls, f),
+                        'comparisons': []
+                    });
+                }
+                functions[functions.length-1].comparisons.push(summarize(
+                    job,
+                    impl.reference(f.name),
+                    results[k],
+                    searchOpts
+                ));
+            }
+        }
+    }
 }
 
+setReadOnly(compare, 'functions', NAMES);
+setReadOnly(compare, 'ranges', ranges);
+
 module.exports = compare;
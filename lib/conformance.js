@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+* Standards Conformance Module
+*
+* Scores each registered function against the results required by C99
+* Annex F and IEEE 754-2019 for special values (±0, ±∞, NaN, overflow,
+* underflow and invalid operations).
+*
+* The required results are the specification table cases whose `reference`
+* is a standard clause (e.g., `C99 F.9.3.1` or `IEEE 754-2019 §6.2`); the
+* remaining cases (mathematical identities, limits, ...) are only checked by
+* the edge case module. A function's score is the fraction of its required
+* results which are met, and each violated clause is reported together with
+* the offending cases.
+*
+* Returns a structured report; see `lib/render/conformance.js` for the text
+* rendering.
+*/
+
+var setReadOnly = require('@stdlib/utils/define-nonenumerable-read-only-property');
+var impl = require('./implementations.js');
+var edgeCases = require('./edge_cases.js');
+var loadSpec = require('./spec/load.js');
+var DEFAULT_SPEC = require('./../data/edge_cases.js');
+
+// VARIABLES //
+
+// Matches references to a clause of C99 Annex F or IEEE 754...
+var RE_CLAUSE = /^(?:C99 F\.|IEEE 754)/;
+
+// FUNCTIONS //
+
+/**
+* Scores the results of a single function.
+*
+* @private
+* @param {string} name - function name
+* @param {(Object|void)} results - edge case results for the function
+* @param {Object} clauses - clause texts
+* @returns {Object} conformance results
+*/
+function score(name, results, clauses) {
+    var violations;
+    var violated;
+    var nFailed;
+    var nPassed;
+    var cases;
+    var refs;
+    var c;
+    var i;
+
+    refs = [];
+    violations = [];
+    violated = {};
+    cases = (results) ? results.cases : [];
+    nPassed = 0;
+    nFailed = 0;
+    for (i = 0; i < cases.length; i++) {
+        c = cases[i];
+        if (!c.reference || !RE_CLAUSE.test(c.reference)) {
+            continue;
+        }
+        if (refs.indexOf(c.reference) < 0) {
+            refs.push(c.reference);
+        }
+        if (c.passed) {
+            nPassed += 1;
+            continue;
+        }
+        nFailed += 1;
+        if (violated[c.reference] === void 0) {
+            violated[c.reference] = {
+                'clause': c.reference,
+                'text': clauses[c.reference] || null,
+                'cases': []
+            };
+            violations.push(violated[c.reference]);
+        }
+        violated[c.reference].cases.push({
+            'label': c.label,
+            'x': c.x,
+            'y': c.y,
+            'actual': c.actual,
+            'expected': c.expected
+        });
+    }
+    return {
+        'name': name,
+        'title': impl.entry(name).title,
+        'clauses': refs,
+        'total': nPassed + nFailed,
+        'passed': nPassed,
+        'score': (refs.length) ? nPassed / (nPassed + nFailed) : null,
+        'violations': violations
+    };
+}
+
+// MAIN //
+
+/**
+* Main conformance function.
+*
+* @param {Options} [options] - options
+* @param {Array<string>} [options.fn] - names of the functions to score (default: all registered functions)
+* @param {(Object|string)} [options.spec] - specification or path to a JSON specification file (default: `data/edge_cases.js`)
+* @throws {Error} must provide a valid specification
+* @returns {Object} conformance report
+*/
+function conformance(options) {
+    var functions;
+    var clauses;
+    var results;
+    var report;
+    var names;
+    var total;
+    var n;
+    var i;
+
+    options = options || {};
+    clauses = loadSpec(options.spec || DEFAULT_SPEC).clauses;
+    report = edgeCases(options);
+    results = {};
+    for (i = 0; i < report.functions.length; i++) {
+        results[report.functions[i].name] = report.functions[i];
+    }
+    names = options.fn || impl.list();
+    functions = [];
+    total = 0;
+    n = 0;
+    for (i = 0; i < names.length; i++) {
+        functions.push(score(names[i], results[names[i]], clauses));
+        total += functions[i].total;
+        n += functions[i].passed;
+    }
+    return {
+        'type': 'conformance',
+        'functions': functions,
+        'total': total,
+        'passed': n,
+        'failed': total - n,
+        'score': (total) ? n / total : null
+    };
+}
+
+setReadOnly(conformance, 'functions', impl.list());
+
+module.exports = conformance;
@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+* CSV output format.
+*/
+
+var encode = require('./encode.js');
+var records = require('./records.js');
+
+// VARIABLES //
+
+var RE_QUOTE = /[",\r\n]/;
+
+// FUNCTIONS //
+
+/**
+* Formats a single CSV field.
+*
+* @private
+* @param {*} value - field value
+* @returns {string} field
+*/
+function field(value) {
+    var str;
+    if (value === null || value === void 0) {
+        return '';
+    }
+    str = String(encode(value));
+    if (RE_QUOTE.test(str)) {
+        return '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+}
+
+/**
+* Serializes a list of records as a CSV table with a header row.
+*
+* @private
+* @param {Array<Object>} recs - records
+* @returns {string} table
+*/
+function table(recs) {
+    var lines;
+    var cols;
+    var row;
+    var i;
+    var j;
+
+    if (recs.length === 0) {
+        return '';
+    }
+    cols = Object.keys(recs[0]);
+    lines = [cols.join(',')];
+    for (i = 0; i < recs.length; i++) {
+        row = [];
+        for (j = 0; j < cols.length; j++) {
+            row.push(field(recs[i][cols[j]]));
+        }
+        lines.push(row.join(','));
+    }
+    return lines.join('\n');
+}
+
+// MAIN //
+
+/**
+* Serializes reports as CSV.
+*
+* ## Notes
+*
+* -   Each report becomes a separate table with its own header row; tables are separated by a blank line.
+*
+* @param {Array<Object>} reports - reports
+* @returns {string} output
+*/
+function csv(reports) {
+    var out = [];
+    var i;
+    for (i = 0; i < reports.length; i++) {
+        out.push(table(records(reports[i])));
+    }
+    return out.join('\n\n');
+}
+
+// EXPORTS //
+
+module.exports = csv;
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+* Encodes report values for machine-readable output.
+*
+* ## Notes
+*
+* -   JSON has no representation for `NaN`, `±∞` or `-0`, so these are encoded as the strings `'NaN'`, `'Infinity'`, `'-Infinity'` and `'-0'`.
+* -   Typed arrays are converted to plain arrays.
+*/
+
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var isNegativeZero = require('@stdlib/math/base/assert/is-negative-zero');
+var PINF = require('@stdlib/constants/float64/pinf');
+var NINF = require('@stdlib/constants/float64/ninf');
+
+// MAIN //
+
+/**
+* Recursively encodes a report value.
+*
+* @param {*} value - value to encode
+* @returns {*} encoded value
+*
+* @example
+* var v = encode([1.0, NaN, -0.0]);
+* // returns [1.0, 'NaN', '-0']
+*/
+function encode(value) {
+    var out;
+    var key;
+    var i;
+    if (typeof value === 'number') {
+        if (isnan(value)) {
+            return 'NaN';
+        }
+        if (value === PINF) {
+            return 'Infinity';
+        }
+        if (value === NINF) {
+            return '-Infinity';
+        }
+        if (isNegativeZero(value)) {
+            return '-0';
+        }
+        return value;
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (typeof value.length === 'number') {
+        out = [];
+        for (i = 0; i < value.length; i++) {
+            out.push(encode(value[i]));
+        }
+        return out;
+    }
+    out = {};
+    for (key in value) {
+        if (Object.prototype.hasOwnProperty.call(value, key)) {
+            out[key] = encode(value[key]);
+        }
+    }
+    return out;
+}
+
+// EXPORTS //
+
+module.exports = encode;
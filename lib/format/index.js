@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+* Output Formats
+*
+* Serializes structured reports (as returned by `compare`, `edgeCases` and
+* `asciiPlot`) in one of several output formats.
+*/
+
+// VARIABLES //
+
+var format = {
+    'text': require('./text.js'),
+    'json': require('./json.js'),
+    'csv': require('./csv.js'),
+    'ndjson': require('./ndjson.js')
+};
+var FORMATS = Object.keys(format);
+
+// MAIN //
+
+/**
+* Serializes reports in a specified output format.
+*
+* @param {Array<Object>} reports - reports
+* @param {string} fmt - output format
+* @throws {TypeError} second argument must be a supported format
+* @returns {string} output
+*/
+function serialize(reports, fmt) {
+    if (!format.hasOwnProperty(fmt)) {
+        throw new TypeError('invalid argument. Output format must be one of the following: "' + FORMATS.join('", "') + '". Value: `' + fmt + '`.');
+    }
+    return format[fmt](reports);
+}
+
+// EXPORTS //
+
+module.exports = serialize;
+module.exports.FORMATS = FORMATS;
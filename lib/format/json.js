@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+* JSON output format.
+*/
+
+var encode = require('./encode.js');
+
+// MAIN //
+
+/**
+* Serializes reports as a JSON document.
+*
+* @param {Array<Object>} reports - reports
+* @returns {string} output
+*/
+function json(reports) {
+    return JSON.stringify({
+        'reports': encode(reports)
+    }, null, 2);
+}
+
+// EXPORTS //
+
+module.exports = json;
@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+* Newline-delimited JSON output format.
+*/
+
+var encode = require('./encode.js');
+var records = require('./records.js');
+
+// MAIN //
+
+/**
+* Serializes reports as newline-delimited JSON, one record per line.
+*
+* ## Notes
+*
+* -   Each record includes a `type` field identifying the report it belongs to.
+*
+* @param {Array<Object>} reports - reports
+* @returns {string} output
+*/
+function ndjson(reports) {
+    var out;
+    var rec;
+    var key;
+    var r;
+    var i;
+    var j;
+
+    out = [];
+    for (i = 0; i < reports.length; i++) {
+        r = records(reports[i]);
+        for (j = 0; j < r.length; j++) {
+            rec = {
+                'type': reports[i].type
+            };
+            r[j] = encode(r[j]);
+            for (key in r[j]) {
+                if (Object.prototype.hasOwnProperty.call(r[j], key)) {
+                    rec[key] = r[j][key];
+                }
+            }
+            out.push(JSON.stringify(rec));
+        }
+    }
+    return out.join('\n');
+}
+
+// EXPORTS //
+
+module.exports = ndjson;
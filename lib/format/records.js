@@ -0,0 +1,528 @@
+'use strict';
+
+/**
+* Flattens reports into tabular records (used by the CSV and NDJSON formats).
+*/
+
+// FUNCTIONS //
+
+/**
+* Returns the rank of an implementation in a comparison.
+*
+* @private
+* @param {Array<Object>} ranking - ranking
+* @param {string} id - implementation identifier
+* @returns {(PositiveInteger|null)} rank
+*/
+function rankOf(ranking, id) {
+    var i;
+    for (i = 0; i < ranking.length; i++) {
+        if (ranking[i].id === id) {
+            return ranking[i].rank;
+        }
+    }
+    return null;
+}
+
+/**
+* Returns a boolean indicating whether a comparison or plot report includes functions of two arguments.
+*
+* ## Notes
+*
+* -   Records of such reports all have the fields of the second argument (`null` for functions of one argument), so that tabular formats have the same columns for every record.
+*
+* @private
+* @param {Array<Object>} list - functions or plots
+* @returns {boolean} boolean indicating whether the report includes functions of two arguments
+*/
+function hasPairs(list) {
+    var i;
+    for (i = 0; i < list.length; i++) {
+        if ((list[i].args && list[i].args.length === 2) || list[i].z) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+* Flattens a comparison report into one record per function, range and implementation.
+*
+* @private
+* @param {Object} report - comparison report
+* @returns {Array<Object>} records
+*/
+function compareRecords(report) {
+    var pairs;
+    var impls;
+    var out;
+    var r;
+    var f;
+    var c;
+    var e;
+    var s;
+    var i;
+    var j;
+    var k;
+
+    pairs = hasPairs(report.functions);
+    out = [];
+    for (i = 0; i < report.functions.length; i++) {
+        f = report.functions[i];
+        for (j = 0; j < f.comparisons.length; j++) {
+            c = f.comparisons[j];
+            impls = Object.keys(c.errors);
+            for (k = 0; k < impls.length; k++) {
+                e = c.errors[impls[k]];
+                r = {
+                    'function': f.name,
+                    'range': c.label,
+                    'generator': c.generator,
+                    'points': c.points,
+                    'agree': c.agree,
+                    'compared': c.compared,
+                    'maxUlpDiff': c.maxUlpDiff,
+                    'meanUlpDiff': c.meanUlpDiff,
+                    'implementation': impls[k],
+                    'rank': rankOf(c.ranking, impls[k]),
+                    'measured': e.n,
+                    'coverage': e.coverage,
+                    'maxError': e.max,
+                    'meanError': e.mean,
+                    'correctlyRounded': e.correctlyRounded,
+                    'faithfullyRounded': e.faithfullyRounded,
+                    'p50': (e.percentiles) ? e.percentiles.p50 : null,
+                    'p90': (e.percentiles) ? e.percentiles.p90 : null,
+                    'p99': (e.percentiles) ? e.percentiles.p99 : null,
+                    'p99.9': (e.percentiles) ? e.percentiles['p99.9'] : null,
+                    'worstX': e.worst.x
+                };
+                if (pairs) {
+                    r.worstY = (e.worst.y === void 0) ? null : e.worst.y;
+                }
+                r.worstError = e.worst.error;
+                if (c.search) {
+                    s = c.search[impls[k]] || {};
+                    r.searchX = (s.x === void 0) ? null : s.x;
+                    if (pairs) {
+                        r.searchY = (s.y === void 0) ? null : s.y;
+                    }
+                    r.searchBits = s.bits || null;
+                    if (pairs) {
+                        r.searchYBits = s.ybits || null;
+                    }
+                    r.searchError = (s.error === void 0) ? null : s.error;
+                }
+                out.push(r);
+            }
+        }
+    }
+    return out;
+}
+
+/**
+* Flattens a baseline comparison report into one record per function and range.
+*
+* @private
+* @param {Object} report - baseline comparison report
+* @returns {Array<Object>} records
+*/
+function baselineRecords(report) {
+    var out;
+    var e;
+    var b;
+    var c;
+    var i;
+
+    out = [];
+    for (i = 0; i < report.entries.length; i++) {
+        e = report.entries[i];
+        b = e.baseline || {};
+        c = e.current || {};
+        out.push({
+            'function': e.function,
+            'range': e.range,
+            'status': e.status,
+            'baselineMeasured': (b.n === void 0) ? null : b.n,
+            'currentMeasured': (c.n === void 0) ? null : c.n,
+            'baselineNaN': (b.nNaN === void 0) ? null : b.nNaN,
+            'currentNaN': (c.nNaN === void 0) ? null : c.nNaN,
+            'baselineMax': (b.max === void 0) ? null : b.max,
+            'currentMax': (c.max === void 0) ? null : c.max,
+            'baselineMean': (b.mean === void 0) ? null : b.mean,
+            'currentMean': (c.mean === void 0) ? null : c.mean,
+            'baselineCorrectlyRounded': (b.correctlyRounded === void 0) ? null : b.correctlyRounded,
+            'currentCorrectlyRounded': (c.correctlyRounded === void 0) ? null : c.correctlyRounded,
+            'violations': (e.violations) ? e.violations.join('; ') : ''
+        });
+    }
+    return out;
+}
+
+/**
+* Flattens a manifest replay report into one record per range and changed implementation.
+*
+* ## Notes
+*
+* -   Ranges without changed results have a single record, whose `implementation` is `null`.
+*
+* @private
+* @param {Object} report - replay report
+* @returns {Array<Object>} records
+*/
+function replayRecords(report) {
+    var impls;
+    var out;
+    var e;
+    var i;
+    var j;
+
+    out = [];
+    for (i = 0; i < report.entries.length; i++) {
+        e = report.entries[i];
+        impls = (e.implementations && e.implementations.length) ? e.implementations : [null];
+        for (j = 0; j < impls.length; j++) {
+            out.push({
+                'function': e.function,
+                'range': e.range,
+                'status': e.status,
+                'points': e.points,
+                'digest': e.digest,
+                'recordedDigest': e.recordedDigest,
+                'implementation': (impls[j]) ? impls[j].id : null,
+                'changes': (impls[j]) ? impls[j].changes.join('; ') : ''
+            });
+        }
+    }
+    return out;
+}
+
+/**
+* Flattens an edge case report into one record per test.
+*
+* ## Notes
+*
+* -   If any test has a second argument, all records have a `y` field (`null` for functions of one argument).
+*
+* @private
+* @param {Object} report - edge case report
+* @returns {Array<Object>} records
+*/
+function edgeCaseRecords(report) {
+    var pairs;
+    var out;
+    var r;
+    var f;
+    var c;
+    var i;
+    var j;
+
+    pairs = false;
+    for (i = 0; i < report.functions.length; i++) {
+        for (j = 0; j < report.functions[i].cases.length; j++) {
+            pairs = pairs || (report.functions[i].cases[j].y !== void 0);
+        }
+    }
+    out = [];
+    for (i = 0; i < report.functions.length; i++) {
+        f = report.functions[i];
+        for (j = 0; j < f.cases.length; j++) {
+            c = f.cases[j];
+            r = {
+                'function': f.name,
+                'label': c.label,
+                'x': c.x
+            };
+            if (pairs) {
+                r.y = (c.y === void 0) ? null : c.y;
+            }
+            r.actual = c.actual;
+            r.expected = c.expected;
+            r.mode = c.mode;
+            r.reference = c.reference;
+            r.passed = c.passed;
+            r.known = c.known;
+            out.push(r);
+        }
+    }
+    return out;
+}
+
+/**
+* Flattens a conformance report into one record per function.
+*
+* @private
+* @param {Object} report - conformance report
+* @returns {Array<Object>} records
+*/
+function conformanceRecords(report) {
+    var violated;
+    var out;
+    var f;
+    var i;
+    var j;
+
+    out = [];
+    for (i = 0; i < report.functions.length; i++) {
+        f = report.functions[i];
+        violated = [];
+        for (j = 0; j < f.violations.length; j++) {
+            violated.push(f.violations[j].clause);
+        }
+        out.push({
+            'function': f.name,
+            'score': f.score,
+            'passed': f.passed,
+            'total': f.total,
+            'clauses': f.clauses.join('; '),
+            'violated': violated.join('; ')
+        });
+    }
+    return out;
+}
+
+/**
+* Flattens a sweep report into one record per input with an error above 0.5 ULP.
+*
+* @private
+* @param {Object} report - sweep report
+* @returns {Array<Object>} records
+*/
+function sweepRecords(report) {
+    var out;
+    var f;
+    var x;
+    var i;
+    var j;
+
+    out = [];
+    for (i = 0; i < report.functions.length; i++) {
+        f = report.functions[i];
+        for (j = 0; j < f.failures.length; j++) {
+            x = f.failures[j];
+            out.push({
+                'function': f.name,
+                'implementation': f.implementation,
+                'bits': x.bits,
+                'x': x.x,
+                'actual': x.y,
+                'expected': x.expected,
+                'error': x.error
+            });
+        }
+    }
+    return out;
+}
+
+/**
+* Returns the columns of the overlaid implementations and ULP errors of a list of plots.
+*
+* @private
+* @param {Array<Object>} plots - plot data
+* @returns {Array<string>} column names
+*/
+function overlayColumns(plots) {
+    var out;
+    var i;
+    var k;
+
+    out = [];
+    for (i = 0; i < plots.length; i++) {
+        for (k = 1; plots[i].series && k < plots[i].series.length; k++) {
+            if (out.indexOf(plots[i].series[k].id) < 0) {
+                out.push(plots[i].series[k].id);
+            }
+        }
+        for (k = 0; plots[i].errors && k < plots[i].errors.length; k++) {
+            if (out.indexOf('ulp_' + plots[i].errors[k].id) < 0) {
+                out.push('ulp_' + plots[i].errors[k].id);
+            }
+        }
+    }
+    return out;
+}
+
+/**
+* Adds the values of the overlaid implementations and their ULP errors to a plot record.
+*
+* ## Notes
+*
+* -   Every record gets every column (`null` where a plot lacks it), so that CSV rows line up with the header.
+*
+* @private
+* @param {Object} rec - record
+* @param {Object} plot - plot data
+* @param {Array<string>} columns - column names (see `overlayColumns`)
+* @param {integer} j - sample index (`-1` for samples of functions of two arguments)
+* @returns {Object} record
+*/
+function overlay(rec, plot, columns, j) {
+    var k;
+    for (k = 0; k < columns.length; k++) {
+        rec[columns[k]] = null;
+    }
+    if (j < 0) {
+        return rec;
+    }
+    for (k = 1; plot.series && k < plot.series.length; k++) {
+        rec[plot.series[k].id] = plot.series[k].y[j];
+    }
+    for (k = 0; plot.errors && k < plot.errors.length; k++) {
+        rec['ulp_' + plot.errors[k].id] = plot.errors[k].ulp[j];
+    }
+    return rec;
+}
+
+/**
+* Flattens a plot report into one record per sample.
+*
+* ## Notes
+*
+* -   Samples of functions of two arguments are `(x, y, z)` triples, where `z = f(x, y)`.
+* -   Where several implementations are overlaid, `y` holds the values of the first, and each other implementation adds a column of its values (named after it, e.g. `native`) and, if ULP errors were computed, a column of its errors (e.g. `ulp_native`).
+*
+* @private
+* @param {Object} report - plot report
+* @returns {Array<Object>} records
+*/
+function plotRecords(report) {
+    var columns;
+    var pairs;
+    var out;
+    var rec;
+    var p;
+    var i;
+    var j;
+    var k;
+
+    pairs = hasPairs(report.plots);
+    columns = overlayColumns(report.plots);
+    out = [];
+    for (i = 0; i < report.plots.length; i++) {
+        p = report.plots[i];
+        if (p.z) {
+            // One record per grid point (row-major, from the largest `y`)...
+            for (j = 0; j < p.y.length; j++) {
+                for (k = 0; k < p.x.length; k++) {
+                    rec = {
+                        'title': p.title,
+                        'x': p.x[k],
+                        'y': p.y[j],
+                        'z': p.z[(j*p.x.length)+k]
+                    };
+                    out.push(overlay(rec, p, columns, -1));
+                }
+            }
+            continue;
+        }
+        for (j = 0; j < p.x.length; j++) {
+            rec = {
+                'title': p.title,
+                'x': p.x[j],
+                'y': p.y[j]
+            };
+            if (pairs) {
+                rec.z = null;
+            }
+            out.push(overlay(rec, p, columns, j));
+        }
+    }
+    return out;
+}
+
+/**
+* Flattens a benchmark report into one record per function and implementation.
+*
+* @private
+* @param {Object} report - benchmark report
+* @returns {Array<Object>} records
+*/
+function benchRecords(report) {
+    var names;
+    var out;
+    var f;
+    var s;
+    var i;
+    var j;
+
+    names = ['stdlib', 'native'];
+    out = [];
+    for (i = 0; i < report.functions.length; i++) {
+        f = report.functions[i];
+        for (j = 0; j < names.length; j++) {
+            s = f[names[j]];
+            out.push({
+                'function': f.name,
+                'implementation': names[j],
+                'median_ns': s.median,
+                'mad_ns': s.mad,
+                'ci_low_ns': s.ci[0],
+                'ci_high_ns': s.ci[1],
+                'ops': s.ops,
+                'checksum': s.checksum,
+                'ratio': f.comparison.ratio,
+                'p': f.comparison.p,
+                'faster': (f.comparison.faster === 'a') ? 'stdlib' : ((f.comparison.faster === 'b') ? 'native' : null)
+            });
+        }
+    }
+    return out;
+}
+
+/**
+* Flattens a benchmark comparison report into one record per function and implementation.
+*
+* @private
+* @param {Object} report - benchmark comparison report
+* @returns {Array<Object>} records
+*/
+function benchDiffRecords(report) {
+    var out;
+    var e;
+    var i;
+
+    out = [];
+    for (i = 0; i < report.entries.length; i++) {
+        e = report.entries[i];
+        out.push({
+            'function': e['function'],
+            'implementation': e.implementation,
+            'status': e.status,
+            'recorded_ns': e.recorded,
+            'current_ns': e.current,
+            'ratio': e.ratio,
+            'results': e.results
+        });
+    }
+    return out;
+}
+
+// VARIABLES //
+
+var FLATTEN = {
+    'compare': compareRecords,
+    'baseline': baselineRecords,
+    'replay': replayRecords,
+    'edge-cases': edgeCaseRecords,
+    'conformance': conformanceRecords,
+    'sweep': sweepRecords,
+    'plot': plotRecords,
+    'bench': benchRecords,
+    'bench-diff': benchDiffRecords
+};
+
+// MAIN //
+
+/**
+* Flattens a report into an array of records.
+*
+* @param {Object} report - report
+* @returns {Array<Object>} records
+*/
+function records(report) {
+    return FLATTEN[report.type](report);
+}
+
+// EXPORTS //
+
+module.exports = records;
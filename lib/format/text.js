@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+* Human-readable text output format.
+*/
+
+var renderCompare = require('./../render/compare.js');
+var renderBaseline = require('./../render/baseline.js');
+var renderReplay = require('./../render/replay.js');
+var renderEdgeCases = require('./../render/edge_cases.js');
+var renderConformance = require('./../render/conformance.js');
+var renderSweep = require('./../render/sweep.js');
+var renderPlot = require('./../render/plot.js');
+var renderBench = require('./../render/bench.js');
+var renderBenchDiff = require('./../render/bench_diff.js');
+
+// VARIABLES //
+
+var SECTIONS = {
+    'compare': {
+        'title': 'Accuracy Comparison (stdlib vs native Math)',
+        'render': renderCompare
+    },
+    'baseline': {
+        'title': 'Regression Check (against baseline)',
+        'render': renderBaseline
+    },
+    'replay': {
+        'title': 'Replay (against run manifest)',
+        'render': renderReplay
+    },
+    'edge-cases': {
+        'title': 'Edge Case Handling',
+        'render': renderEdgeCases
+    },
+    'conformance': {
+        'title': 'C99 Annex F / IEEE 754 Conformance',
+        'render': renderConformance
+    },
+    'sweep': {
+        'title': 'Exhaustive Float32 Sweep',
+        'render': renderSweep
+    },
+    'plot': {
+        'title': 'Function Visualization (ASCII Plots)',
+        'render': renderPlot
+    },
+    'bench': {
+        'title': 'Throughput Benchmark (stdlib vs native Math)',
+        'render': renderBench
+    },
+    'bench-diff': {
+        'title': 'Benchmark Comparison (against recorded report)',
+        'render': renderBenchDiff
+    }
+};
+
+var RULE = '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━';
+
+// MAIN //
+
+/**
+* Renders reports as text, including the demo banner and section headers.
+*
+* @param {Array<Object>} reports - reports
+* @returns {string} output
+*/
+function text(reports) {
+    var section;
+    var out;
+    var i;
+
+    out = [
+        '',
+        '╔══════════════════════════════════════════════════════════╗',
+        '║         stdlib Numerical Accuracy Explorer              ║',
+        '║   Demonstrating precision in numerical computing       ║',
+        '╚══════════════════════════════════════════════════════════╝',
+        ''
+    ];
+    for (i = 0; i < reports.length; i++) {
+        section = SECTIONS[reports[i].type];
+        if (i > 0) {
+            out.push('');
+        }
+        out.push(RULE);
+        out.push('  PART ' + (i + 1) + ': ' + section.title);
+        out.push(RULE);
+        out.push('');
+        out = out.concat(section.render(reports[i]));
+    }
+    out.push('');
+    out.push('══════════════════════════════════════════════════════════');
+    out.push('  Demo complete! See README.md for more details.');
+    out.push('══════════════════════════════════════════════════════════');
+    out.push('');
+    return out.join('\n');
+}
+
+// EXPORTS //
+
+module.exports = text;
@@ -0,0 +1,739 @@
+/**
+* Test Point Generators
+*
+* Generators of accuracy test points over a range `[min, max]`:
+*
+* -   `linear`: `n` evenly spaced points (default).
+* -   `log`: `n` logarithmically spaced points (ranges of positive values only).
+* -   `uniform`: `n` uniformly distributed random points.
+* -   `log-uniform`: `n` random points whose logarithms are uniformly distributed, so that every decade of the range is tested equally.
+* -   `bits[:emin:emax]`: `n` random float64 bit patterns, with a uniformly distributed sign, binary exponent (`floor(log2(|x|))`, from `emin` to `emax` if given) and significand.
+* -   `hazard`: `n` random points clustered near the known hazards of a function (e.g., multiples of π/2 for trigonometric functions), at log-uniformly distributed distances from one ULP up to a width.
+* -   `neighborhood[:p1,p2,...]`: every float64 in the range within `±k` ULPs of the given points (default: the range endpoints), with the radius `k` chosen so that there are at most `n` points.
+*
+* Generators are specified by strings of the form `name[:params]` (e.g.,
+* `bits:-20:10` or `neighborhood:PI,0x3ff0000000000000`; points are
+* decoded as in specification files). Random generators draw from a
+* pseudorandom number generator `rand` supplied by the caller, which
+* returns uniformly distributed numbers on `[0, 1)` with at least 32
+* random bits; seeding it makes the test points reproducible.
+*
+* Points are returned in increasing order (see `lib/search.js`). Test
+* points of functions of two arguments are interleaved `(x, y)` pairs:
+* `linear` and `log` span a grid of `floor(sqrt(n))` points per axis, and
+* the random generators draw both arguments independently.
+*/
+
+(function factory(root) {
+    'use strict';
+
+    // VARIABLES //
+
+    var isNode = (typeof module === 'object' && typeof module.exports === 'object');
+    var ulp = (isNode) ? require('./ulp.js') : root.mathExplorer.ulp;
+    var decode = (isNode) ? require('./spec/decode.js') : root.mathExplorer.spec.decode;
+
+    var FLOAT64_EPS = 2.220446049250313e-16;
+    var FLOAT64_SMALLEST_NORMAL = 2.2250738585072014e-308;
+    var TWO_20 = 1048576;
+    var TWO_32 = 4294967296;
+
+    // Smallest and largest binary exponents of finite float64 values (subnormals included)...
+    var MIN_EXPONENT = -1074;
+    var MAX_EXPONENT = 1023;
+
+    // Generator names, in menu order...
+    var NAMES = ['linear', 'log', 'uniform', 'log-uniform', 'bits', 'hazard', 'neighborhood'];
+
+    // Generators of random points (which require a pseudorandom number generator)...
+    var RANDOM = ['uniform', 'log-uniform', 'bits', 'hazard'];
+
+    // Generators which do not apply to functions of two arguments...
+    var UNARY = ['hazard', 'neighborhood'];
+
+    // FUNCTIONS //
+
+    /**
+    * Returns an array of evenly spaced values (as `@stdlib/array/linspace`).
+    *
+    * @private
+    * @param {number} start - first value
+    * @param {number} stop - last value
+    * @param {NonNegativeInteger} n - number of values
+    * @returns {Float64Array} values
+    */
+    function linspace(start, stop, n) {
+        var out;
+        var d;
+        var i;
+
+        out = new Float64Array(n);
+        if (n === 0) {
+            return out;
+        }
+        if (n === 1) {
+            out[0] = stop;
+            return out;
+        }
+        d = (stop - start) / (n - 1);
+        out[0] = start;
+        for (i = 1; i < n - 1; i++) {
+            out[i] = start + (d * i);
+        }
+        out[n - 1] = stop;
+        return out;
+    }
+
+    /**
+    * Returns the binary exponent of a finite nonzero number (`floor(log2(|x|))`).
+    *
+    * @private
+    * @param {number} x - input value
+    * @returns {integer} exponent
+    */
+    function exponent(x) {
+        var e;
+        x = Math.abs(x);
+        e = Math.floor(Math.log2(x));
+
+        // Correct rounding errors of `log2` near powers of two...
+        if (Math.pow(2, e) > x) {
+            e -= 1;
+        } else if (e < MAX_EXPONENT && Math.pow(2, e + 1) <= x) {
+            e += 1;
+        }
+        return e;
+    }
+
+    /**
+    * Returns a function which maps the unit interval onto a range such that equal steps cover equal ratios.
+    *
+    * ## Notes
+    *
+    * -   As `@stdlib/array/logspace`, the map raises 10 to evenly spaced exponents.
+    *
+    * @private
+    * @param {PositiveNumber} min - lower bound
+    * @param {PositiveNumber} max - upper bound
+    * @returns {Function} function mapping `[0, 1]` onto `[min, max]`
+    */
+    function logMap(min, max) {
+        var lo = Math.log10(min);
+        var d = Math.log10(max) - lo;
+        return function map(t) {
+            return Math.min(Math.max(Math.pow(10.0, lo + (t * d)), min), max);
+        };
+    }
+
+    /**
+    * Returns the binades of a range whose exponents lie in an interval.
+    *
+    * ## Notes
+    *
+    * -   Each binade is described by its smallest and largest values within the range (`lo` and `hi`, as magnitudes), the spacing of its float64 values (`ulp`), and its sign.
+    *
+    * @private
+    * @param {number} min - lower bound
+    * @param {number} max - upper bound
+    * @param {integer} emin - smallest exponent
+    * @param {integer} emax - largest exponent
+    * @returns {Array<Object>} binades
+    */
+    function binades(min, max, emin, emax) {
+        var out = [];
+        if (max > 0.0) {
+            side(Math.max(min, 0.0), max, 1);
+        }
+        if (min < 0.0) {
+            side(Math.max(-max, 0.0), -min, -1);
+        }
+        return out;
+
+        /**
+        * Appends the binades of the magnitudes `[a, b]` of one sign.
+        *
+        * @private
+        * @param {number} a - smallest magnitude
+        * @param {number} b - largest magnitude
+        * @param {integer} sign - sign
+        */
+        function side(a, b, sign) {
+            var lo;
+            var hi;
+            var e;
+            var k;
+            for (e = Math.max(emin, (a === 0.0) ? MIN_EXPONENT : exponent(a)); e <= Math.min(emax, exponent(b)); e++) {
+                lo = Math.max(Math.pow(2, e), a);
+                hi = (e < MAX_EXPONENT) ? Math.min(ulp.step(Math.pow(2, e + 1), -1), b) : b;
+                k = Math.max(e - 52, MIN_EXPONENT);
+                out.push({
+                    'lo': lo,
+                    'hi': hi,
+                    'ulp': Math.pow(2, k),
+                    'sign': sign
+                });
+            }
+        }
+    }
+
+    /**
+    * Returns the hazards of a function in a range.
+    *
+    * ## Notes
+    *
+    * -   If no hazard lies in the range, the range endpoint nearest to a hazard is used instead.
+    *
+    * @private
+    * @param {Object} hazards - hazards (`multiples`: spacing of periodic hazards, `points`: isolated hazards, `width`: largest distance of test points from a hazard)
+    * @param {number} min - lower bound
+    * @param {number} max - upper bound
+    * @returns {Object} multiples `k*c` of the spacing `c` for `k` from `kmin` to `kmax` (empty if `kmin > kmax`) and points in the range
+    */
+    function hazardsIn(hazards, min, max) {
+        var nearest;
+        var points;
+        var kmin;
+        var kmax;
+        var c;
+        var d;
+        var i;
+
+        c = hazards.multiples || 0.0;
+        kmin = (c) ? Math.ceil(min / c) : 1;
+        kmax = (c) ? Math.floor(max / c) : 0;
+        points = [];
+        for (i = 0; hazards.points && i < hazards.points.length; i++) {
+            if (hazards.points[i] >= min && hazards.points[i] <= max) {
+                points.push(hazards.points[i]);
+            }
+        }
+        if (kmin > kmax && points.length === 0) {
+            // Move the hazard nearest to the range onto the range...
+            nearest = (c) ? [kmax * c, kmin * c] : [];
+            nearest = nearest.concat(hazards.points || []);
+            d = Infinity;
+            for (i = 0; i < nearest.length; i++) {
+                if (Math.max(min - nearest[i], nearest[i] - max) < d) {
+                    d = Math.max(min - nearest[i], nearest[i] - max);
+                    points = [Math.min(Math.max(nearest[i], min), max)];
+                }
+            }
+        }
+        return {
+            'spacing': c,
+            'kmin': kmin,
+            'kmax': kmax,
+            'points': points
+        };
+    }
+
+    /**
+    * Returns a uniformly distributed random number on `[0, 1)` with 52 random bits.
+    *
+    * @private
+    * @param {Function} rand - pseudorandom number generator
+    * @returns {number} random number
+    */
+    function rand52(rand) {
+        return (Math.floor(rand() * TWO_20) + (Math.floor(rand() * TWO_32) / TWO_32)) / TWO_20;
+    }
+
+    /**
+    * Draws a random float64 value from a binade.
+    *
+    * @private
+    * @param {Object} b - binade (see `binades`)
+    * @param {Function} rand - pseudorandom number generator
+    * @returns {number} value with a uniformly distributed significand among the binade's values
+    */
+    function draw(b, rand) {
+        var k = Math.floor(rand52(rand) * (((b.hi - b.lo) / b.ulp) + 1.0));
+        return b.sign * Math.min(b.lo + (k * b.ulp), b.hi);
+    }
+
+    /**
+    * Sorts test points in increasing order.
+    *
+    * @private
+    * @param {Float64Array} x - test points
+    * @returns {Float64Array} sorted test points
+    */
+    function sort(x) {
+        return Array.prototype.sort.call(x, function cmp(a, b) {
+            return a - b;
+        });
+    }
+
+    /**
+    * Generates evenly spaced test points.
+    *
+    * @private
+    * @param {number} min - lower bound
+    * @param {number} max - upper bound
+    * @param {PositiveInteger} n - number of points
+    * @returns {Float64Array} test points
+    */
+    function linear(min, max, n) {
+        return linspace(min, max, n);
+    }
+
+    /**
+    * Generates logarithmically spaced test points.
+    *
+    * @private
+    * @param {number} min - lower bound
+    * @param {number} max - upper bound
+    * @param {PositiveInteger} n - number of points
+    * @throws {RangeError} range must only contain positive values
+    * @returns {Float64Array} test points
+    */
+    function log(min, max, n) {
+        var map;
+        var out;
+        var i;
+        if (!(min > 0.0)) {
+            throw new RangeError('invalid argument. `log` generator requires a range of positive values. Range: [' + min + ', ' + max + '].');
+        }
+        map = logMap(min, max);
+        out = new Float64Array(n);
+        for (i = 0; i < n; i++) {
+            out[i] = (n > 1) ? map(i / (n - 1)) : max;
+        }
+        out[0] = (n > 1) ? min : max;
+        out[n - 1] = max;
+        return out;
+    }
+
+    /**
+    * Generates uniformly distributed random test points.
+    *
+    * @private
+    * @param {number} min - lower bound
+    * @param {number} max - upper bound
+    * @param {PositiveInteger} n - number of points
+    * @param {Function} rand - pseudorandom number generator
+    * @returns {Float64Array} test points
+    */
+    function uniform(min, max, n, rand) {
+        var out = new Float64Array(n);
+        var u;
+        var i;
+        for (i = 0; i < n; i++) {
+            // Interpolate without computing `max - min`, which may overflow...
+            u = rand52(rand);
+            out[i] = Math.min(((1.0 - u) * min) + (u * max), max);
+        }
+        return out;
+    }
+
+    /**
+    * Generates random test points with log-uniformly distributed magnitudes.
+    *
+    * ## Notes
+    *
+    * -   Points are drawn from binades with probabilities proportional to the binary logarithms of their extents, and uniformly within a binade. Drawing the bits of the significand, rather than computing powers of random exponents, avoids test points whose logarithms are (nearly) floating-point numbers, which would hide the rounding errors of logarithms.
+    * -   Ranges which contain zero are restricted to magnitudes of at least `FLOAT64_SMALLEST_NORMAL`.
+    *
+    * @private
+    * @param {number} min - lower bound
+    * @param {number} max - upper bound
+    * @param {PositiveInteger} n - number of points
+    * @param {Function} rand - pseudorandom number generator
+    * @returns {Float64Array} test points
+    */
+    function logUniform(min, max, n, rand) {
+        var weights;
+        var total;
+        var list;
+        var out;
+        var lo;
+        var hi;
+        var u;
+        var m;
+        var i;
+
+        list = binades(min, max, exponent(FLOAT64_SMALLEST_NORMAL), MAX_EXPONENT);
+        if (list.length === 0) {
+            // Ranges of subnormal numbers only...
+            list = binades(min, max, MIN_EXPONENT, MAX_EXPONENT);
+        }
+        weights = [];
+        total = 0.0;
+        for (i = 0; i < list.length; i++) {
+            total += Math.max(Math.log2(ulp.step(list[i].hi, 1) / list[i].lo), FLOAT64_EPS);
+            weights.push(total);
+        }
+        out = new Float64Array(n);
+        for (i = 0; i < n; i++) {
+            // Find the first binade whose cumulative weight exceeds a random fraction of the total...
+            u = rand52(rand) * total;
+            lo = 0;
+            hi = list.length - 1;
+            while (lo < hi) {
+                m = Math.floor((lo + hi) / 2);
+                if (weights[m] <= u) {
+                    lo = m + 1;
+                } else {
+                    hi = m;
+                }
+            }
+            out[i] = draw(list[lo], rand);
+        }
+        return out;
+    }
+
+    /**
+    * Generates random float64 bit patterns.
+    *
+    * @private
+    * @param {number} min - lower bound
+    * @param {number} max - upper bound
+    * @param {PositiveInteger} n - number of points
+    * @param {Function} rand - pseudorandom number generator
+    * @param {Array<integer>} args - smallest and largest exponents (empty for all exponents)
+    * @throws {RangeError} range must contain values with exponents in `[emin, emax]`
+    * @returns {Float64Array} test points
+    */
+    function bits(min, max, n, rand, args) {
+        var list;
+        var out;
+        var i;
+
+        list = binades(min, max, (args.length) ? args[0] : MIN_EXPONENT, (args.length) ? args[1] : MAX_EXPONENT);
+        if (list.length === 0) {
+            throw new RangeError('invalid argument. No float64 values with exponents in [' + args[0] + ', ' + args[1] + '] lie in [' + min + ', ' + max + '].');
+        }
+        out = new Float64Array(n);
+        for (i = 0; i < n; i++) {
+            out[i] = draw(list[Math.floor(rand() * list.length)], rand);
+        }
+        return out;
+    }
+
+    /**
+    * Generates random test points clustered near hazards.
+    *
+    * @private
+    * @param {number} min - lower bound
+    * @param {number} max - upper bound
+    * @param {PositiveInteger} n - number of points
+    * @param {Function} rand - pseudorandom number generator
+    * @param {Object} hazards - hazards of the function
+    * @returns {Float64Array} test points
+    */
+    function hazard(min, max, n, rand, hazards) {
+        var count;
+        var width;
+        var out;
+        var lo;
+        var h;
+        var H;
+        var d;
+        var j;
+        var x;
+        var i;
+
+        H = hazardsIn(hazards, min, max);
+        count = Math.max(H.kmax - H.kmin + 1, 0);
+        width = hazards.width || ((H.spacing) ? H.spacing / 2.0 : 1.0);
+        out = new Float64Array(n);
+        for (i = 0; i < n; i++) {
+            j = Math.floor(rand() * (count + H.points.length));
+            h = (j < count) ? (H.kmin + j) * H.spacing : H.points[j - count];
+
+            // Distance from the hazard, from about one ULP up to the width...
+            lo = (h === 0.0) ? FLOAT64_SMALLEST_NORMAL : Math.abs(h) * FLOAT64_EPS;
+            d = (width > lo) ? Math.exp(Math.log(lo) + (rand52(rand) * (Math.log(width) - Math.log(lo)))) : lo;
+            x = (rand() < 0.5) ? h - d : h + d;
+
+            // Reflect points beyond a range endpoint about the hazard...
+            if (x < min || x > max) {
+                x = (2.0 * h) - x;
+            }
+            out[i] = Math.min(Math.max(x, min), max);
+        }
+        return out;
+    }
+
+    /**
+    * Generates the ULP neighborhoods of points.
+    *
+    * @private
+    * @param {number} min - lower bound
+    * @param {number} max - upper bound
+    * @param {PositiveInteger} n - largest number of points
+    * @param {Array<number>} args - centers (empty for the range endpoints)
+    * @throws {RangeError} range must contain at least one center
+    * @returns {Float64Array} test points
+    */
+    function neighborhood(min, max, n, args) {
+        var centers;
+        var out;
+        var x;
+        var k;
+        var i;
+        var j;
+
+        centers = [];
+        for (i = 0; i < args.length; i++) {
+            if (args[i] >= min && args[i] <= max) {
+                centers.push(args[i]);
+            }
+        }
+        if (args.length === 0) {
+            centers = [min, max];
+        } else if (centers.length === 0) {
+            throw new RangeError('invalid argument. None of the neighborhood centers ' + args.join(', ') + ' lie in [' + min + ', ' + max + '].');
+        }
+        k = Math.max(Math.floor(((n / centers.length) - 1) / 2), 0);
+        out = [];
+        for (i = 0; i < centers.length; i++) {
+            for (j = -k; j <= k; j++) {
+                x = ulp.step(centers[i], j);
+
+                // Neighbors of points near an endpoint may lie outside the range (e.g., a function's domain)...
+                if (x >= min && x <= max) {
+                    out.push(x);
+                }
+            }
+        }
+        return new Float64Array(out);
+    }
+
+    /**
+    * Returns the points of one axis of a grid.
+    *
+    * @private
+    * @param {Object} g - parsed generator
+    * @param {Array<number>} range - axis range
+    * @param {PositiveInteger} n - number of points
+    * @returns {Float64Array} points
+    */
+    function axis(g, range, n) {
+        return (g.name === 'log') ? log(range[0], range[1], n) : linear(range[0], range[1], n);
+    }
+
+    // MAIN //
+
+    /**
+    * Parses a generator specification.
+    *
+    * @param {string} spec - generator specification (`name[:params]`)
+    * @throws {Error} must be a valid generator specification
+    * @returns {Object} generator name (`name`) and parameters (`args`)
+    *
+    * @example
+    * var g = parse('bits:-20:10');
+    * // returns { 'name': 'bits', 'args': [ -20, 10 ] }
+    */
+    function parse(spec) {
+        var parts;
+        var name;
+        var args;
+        var i;
+
+        spec = String(spec);
+        i = spec.indexOf(':');
+        name = (i < 0) ? spec : spec.slice(0, i);
+        if (NAMES.indexOf(name) < 0) {
+            throw new Error('invalid generator. Unknown test point generator: `' + name + '`. Generators: ' + NAMES.join(', ') + '.');
+        }
+        args = [];
+        if (i < 0) {
+            return {
+                'name': name,
+                'args': args
+            };
+        }
+        if (name === 'bits') {
+            parts = spec.slice(i + 1).split(':');
+            if (parts.length === 2 && /^-?\d+$/.test(parts[0]) && /^-?\d+$/.test(parts[1])) {
+                args = [parseInt(parts[0], 10), parseInt(parts[1], 10)];
+            }
+            if (args.length === 0 || args[0] > args[1] || args[0] < MIN_EXPONENT || args[1] > MAX_EXPONENT) {
+                throw new Error('invalid generator. `bits` parameters must be of the form `emin:emax`, where `emin` and `emax` are integers and `' + MIN_EXPONENT + ' <= emin <= emax <= ' + MAX_EXPONENT + '`. Value: `' + spec + '`.');
+            }
+        } else if (name === 'neighborhood') {
+            parts = spec.slice(i + 1).split(',');
+            for (i = 0; i < parts.length; i++) {
+                try {
+                    args.push(decode(parts[i]));
+                } catch (err) {
+                    args.push(NaN);
+                }
+                if (!isFinite(args[i])) {
+                    throw new Error('invalid generator. `neighborhood` parameters must be a comma-separated list of finite numbers. Value: `' + spec + '`.');
+                }
+            }
+        } else {
+            throw new Error('invalid generator. `' + name + '` does not take parameters. Value: `' + spec + '`.');
+        }
+        return {
+            'name': name,
+            'args': args
+        };
+    }
+
+    /**
+    * Returns a boolean indicating whether a generator draws random points.
+    *
+    * @param {string} spec - generator specification
+    * @returns {boolean} boolean indicating whether the generator draws random points
+    */
+    function isRandom(spec) {
+        return RANDOM.indexOf(parse(spec).name) >= 0;
+    }
+
+    /**
+    * Returns a boolean indicating whether a generator applies to functions of two arguments.
+    *
+    * @param {string} spec - generator specification
+    * @returns {boolean} boolean indicating whether the generator applies to functions of two arguments
+    */
+    function isBivariate(spec) {
+        return UNARY.indexOf(parse(spec).name) < 0;
+    }
+
+    /**
+    * Returns a short description of a generator for range labels.
+    *
+    * @param {string} spec - generator specification
+    * @returns {string} description (empty for the default `linear` generator)
+    *
+    * @example
+    * var s = describe('bits:-20:10');
+    * // returns '(random bits, exponents -20 to 10)'
+    */
+    function describe(spec) {
+        var g = parse(spec);
+        switch (g.name) {
+        case 'log':
+            return '(log-spaced)';
+        case 'uniform':
+            return '(uniform random)';
+        case 'log-uniform':
+            return '(log-uniform random)';
+        case 'bits':
+            return (g.args.length) ? '(random bits, exponents ' + g.args[0] + ' to ' + g.args[1] + ')' : '(random bits)';
+        case 'hazard':
+            return '(near hazards)';
+        case 'neighborhood':
+            return (g.args.length) ? '(ULP neighborhoods of ' + g.args.join(', ') + ')' : '(ULP neighborhoods of the endpoints)';
+        default:
+            return '';
+        }
+    }
+
+    /**
+    * Generates the test points of a function of one argument.
+    *
+    * @param {string} spec - generator specification
+    * @param {Object} range - range (`min`, `max` and number of points `n`)
+    * @param {Options} [options] - options
+    * @param {Function} [options.rand] - pseudorandom number generator returning numbers on `[0, 1)` (required by random generators)
+    * @param {Object} [options.hazards] - hazards of the function (required by `hazard`; see `lib/registry.js`)
+    * @throws {Error} must provide a valid generator specification and the options it requires
+    * @throws {RangeError} range must only contain positive values (`log`), and contain values with the requested exponents (`bits`) or a neighborhood center (`neighborhood`)
+    * @returns {Float64Array} test points, in increasing order
+    *
+    * @example
+    * var x = points('log', { 'min': 1.0e-10, 'max': 1.0, 'n': 11 });
+    * // returns <Float64Array>[ 1.0e-10, ~1.0e-9, ..., ~0.1, 1.0 ]
+    */
+    function points(spec, range, options) {
+        var g = parse(spec);
+        options = options || {};
+        if (RANDOM.indexOf(g.name) >= 0 && typeof options.rand !== 'function') {
+            throw new Error('invalid argument. `' + g.name + '` generator requires a pseudorandom number generator.');
+        }
+        switch (g.name) {
+        case 'log':
+            return log(range.min, range.max, range.n);
+        case 'uniform':
+            return sort(uniform(range.min, range.max, range.n, options.rand));
+        case 'log-uniform':
+            return sort(logUniform(range.min, range.max, range.n, options.rand));
+        case 'bits':
+            return sort(bits(range.min, range.max, range.n, options.rand, g.args));
+        case 'hazard':
+            if (!options.hazards) {
+                throw new Error('invalid argument. `hazard` generator requires the hazards of the function.');
+            }
+            return sort(hazard(range.min, range.max, range.n, options.rand, options.hazards));
+        case 'neighborhood':
+            return sort(neighborhood(range.min, range.max, range.n, g.args));
+        default:
+            return linear(range.min, range.max, range.n);
+        }
+    }
+
+    /**
+    * Generates the test points of a function of two arguments.
+    *
+    * @param {string} spec - generator specification
+    * @param {Object} range - range (`x` and `y` intervals and number of points `n`)
+    * @param {Options} [options] - options
+    * @param {Function} [options.rand] - pseudorandom number generator returning numbers on `[0, 1)` (required by random generators)
+    * @throws {Error} must provide a valid generator specification for functions of two arguments
+    * @throws {RangeError} ranges must only contain positive values (`log`), and contain values with the requested exponents (`bits`)
+    * @returns {Float64Array} interleaved `(x, y)` pairs (grids in row-major order, from the smallest `y`)
+    */
+    function pairs(spec, range, options) {
+        var out;
+        var xs;
+        var ys;
+        var g;
+        var k;
+        var i;
+        var j;
+
+        g = parse(spec);
+        if (UNARY.indexOf(g.name) >= 0) {
+            throw new Error('invalid generator. `' + g.name + '` does not apply to functions of two arguments.');
+        }
+        options = options || {};
+        if (g.name === 'linear' || g.name === 'log') {
+            k = Math.floor(Math.sqrt(range.n));
+            xs = axis(g, range.x, k);
+            ys = axis(g, range.y, k);
+            out = new Float64Array(2 * k * k);
+            for (i = 0; i < k; i++) {
+                for (j = 0; j < k; j++) {
+                    out[2 * ((i * k) + j)] = xs[j];
+                    out[(2 * ((i * k) + j)) + 1] = ys[i];
+                }
+            }
+            return out;
+        }
+        if (typeof options.rand !== 'function') {
+            throw new Error('invalid argument. `' + g.name + '` generator requires a pseudorandom number generator.');
+        }
+        out = new Float64Array(2 * range.n);
+        for (i = 0; i < range.n; i++) {
+            xs = points(spec, { 'min': range.x[0], 'max': range.x[1], 'n': 1 }, options);
+            ys = points(spec, { 'min': range.y[0], 'max': range.y[1], 'n': 1 }, options);
+            out[2 * i] = xs[0];
+            out[(2 * i) + 1] = ys[0];
+        }
+        return out;
+    }
+
+    var generators = {
+        'NAMES': NAMES,
+        'parse': parse,
+        'isRandom': isRandom,
+        'isBivariate': isBivariate,
+        'describe': describe,
+        'points': points,
+        'pairs': pairs
+    };
+
+    // EXPORTS //
+
+    if (isNode) {
+        module.exports = generators;
+    } else {
+        root.mathExplorer = root.mathExplorer || {};
+        root.mathExplorer.generators = generators;
+    }
+})(this);
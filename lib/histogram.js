@@ -0,0 +1,226 @@
+/**
+* ULP Error Distributions
+*
+* Counts absolute ULP errors in power-of-two bins: exact results (`0`),
+* correctly rounded results (`≤ 0.5`), faithfully rounded results (`≤ 1`),
+* then `≤ 2`, `≤ 4`, ... up to `≤ 2^20`, and a final bin for larger
+* (including infinite) errors. Histograms are plain objects of counts, so
+* they can be serialized (e.g., to resume a sweep) and merged.
+*
+* Also computes exact percentiles of a list of errors.
+*/
+
+(function factory(root) {
+    'use strict';
+
+    // VARIABLES //
+
+    /**
+    * Exponent of the largest finite bin edge.
+    *
+    * @private
+    * @type {PositiveInteger}
+    */
+    var MAX_EXP = 20;
+
+    /**
+    * Upper edges of the bins.
+    *
+    * @private
+    * @type {Array<number>}
+    */
+    var EDGES = (function edges() {
+        var out = [0.0, 0.5];
+        var v = 1.0;
+        var i;
+        for (i = 0; i <= MAX_EXP; i++) {
+            out.push(v);
+            v *= 2.0;
+        }
+        out.push(Infinity);
+        return out;
+    })();
+
+    /**
+    * Reported percentiles.
+    *
+    * @private
+    * @type {Array<Object>}
+    */
+    var PERCENTILES = [
+        { 'key': 'p50', 'p': 0.5 },
+        { 'key': 'p90', 'p': 0.9 },
+        { 'key': 'p99', 'p': 0.99 },
+        { 'key': 'p99.9', 'p': 0.999 }
+    ];
+
+    // FUNCTIONS //
+
+    /**
+    * Returns the label of a bin.
+    *
+    * @private
+    * @param {NonNegativeInteger} i - bin index
+    * @returns {string} label
+    */
+    function label(i) {
+        if (i === 0) {
+            return '0';
+        }
+        if (i === EDGES.length - 1) {
+            return '> 2^' + MAX_EXP;
+        }
+        if (EDGES[i] >= 1024) {
+            return '≤ 2^' + (i - 2);
+        }
+        return '≤ ' + EDGES[i];
+    }
+
+    /**
+    * Returns an empty histogram.
+    *
+    * @returns {Object} histogram
+    *
+    * @example
+    * var h = create();
+    * // returns { 'counts': [ 0, 0, ... ] }
+    */
+    function create() {
+        var counts = [];
+        var i;
+        for (i = 0; i < EDGES.length; i++) {
+            counts.push(0);
+        }
+        return {
+            'counts': counts
+        };
+    }
+
+    /**
+    * Returns the bin index of an absolute ULP error.
+    *
+    * @param {NonNegativeNumber} e - absolute ULP error
+    * @returns {NonNegativeInteger} bin index
+    *
+    * @example
+    * var i = bin(0.75);
+    * // returns 2
+    */
+    function bin(e) {
+        var i = 0;
+        while (e > EDGES[i]) {
+            i += 1;
+        }
+        return i;
+    }
+
+    /**
+    * Adds an absolute ULP error to a histogram.
+    *
+    * @param {Object} h - histogram
+    * @param {NonNegativeNumber} e - absolute ULP error
+    * @returns {Object} histogram
+    */
+    function add(h, e) {
+        h.counts[bin(e)] += 1;
+        return h;
+    }
+
+    /**
+    * Adds the counts of one histogram to another.
+    *
+    * @param {Object} h - histogram to update
+    * @param {Object} other - histogram to add
+    * @returns {Object} updated histogram
+    */
+    function merge(h, other) {
+        var i;
+        for (i = 0; i < h.counts.length; i++) {
+            h.counts[i] += other.counts[i];
+        }
+        return h;
+    }
+
+    /**
+    * Returns the bins of a histogram with their labels and upper edges.
+    *
+    * @param {Object} h - histogram
+    * @returns {Array<Object>} bins
+    */
+    function bins(h) {
+        var out = [];
+        var i;
+        for (i = 0; i < h.counts.length; i++) {
+            out.push({
+                'label': label(i),
+                'max': EDGES[i],
+                'count': h.counts[i]
+            });
+        }
+        return out;
+    }
+
+    /**
+    * Returns the p50, p90, p99 and p99.9 percentiles of a list of absolute ULP errors.
+    *
+    * ## Notes
+    *
+    * -   Percentiles use the nearest-rank definition (the smallest error such that at least the given fraction of the errors are less than or equal to it), so each percentile is one of the errors.
+    * -   `NaN` errors (e.g., where the error is undefined) are ignored.
+    *
+    * @param {Collection<number>} errors - absolute ULP errors
+    * @returns {Object} percentiles (`null` if there are no errors)
+    *
+    * @example
+    * var p = percentiles([0.0, 0.25, 0.5, 1.0]);
+    * // returns { 'p50': 0.25, 'p90': 1.0, 'p99': 1.0, 'p99.9': 1.0 }
+    */
+    function percentiles(errors) {
+        var sorted;
+        var out;
+        var n;
+        var k;
+        var i;
+
+        sorted = new Float64Array(errors.length);
+        n = 0;
+        for (i = 0; i < errors.length; i++) {
+            if (errors[i] === errors[i]) {
+                sorted[n] = errors[i];
+                n += 1;
+            }
+        }
+        if (n === 0) {
+            return null;
+        }
+        sorted = sorted.subarray(0, n).sort();
+        out = {};
+        for (i = 0; i < PERCENTILES.length; i++) {
+            k = Math.ceil(PERCENTILES[i].p * n) - 1;
+            out[PERCENTILES[i].key] = sorted[(k < 0) ? 0 : k];
+        }
+        return out;
+    }
+
+    // MAIN //
+
+    var histogram = {
+        'EDGES': EDGES,
+        'PERCENTILES': PERCENTILES,
+        'create': create,
+        'bin': bin,
+        'add': add,
+        'merge': merge,
+        'bins': bins,
+        'percentiles': percentiles
+    };
+
+    // EXPORTS //
+
+    if (typeof module === 'object' && typeof module.exports === 'object') {
+        module.exports = histogram;
+    } else {
+        root.mathExplorer = root.mathExplorer || {};
+        root.mathExplorer.histogram = histogram;
+    }
+})(this);
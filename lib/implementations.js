@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+* Function Implementations
+*
+* Resolves the implementations described by registry entries (see
+* `lib/registry.js`) in Node.js: stdlib package paths are loaded via
+* `require` and composed implementations are built from their
+* dependencies.
+*
+* Also loads user-supplied implementations (e.g., an in-house polynomial
+* approximation or a lookup table) from JavaScript modules, so that they can
+* be compared against stdlib and native `Math` (see `load`).
+*/
+
+var resolvePath = require('path').resolve;
+var basename = require('path').basename;
+var extname = require('path').extname;
+var hasOwnProp = require('@stdlib/assert/has-own-property');
+var fround = require('@stdlib/number/float64/base/to-float32');
+var registry = require('./registry.js');
+var oracle = require('./oracle');
+
+// VARIABLES //
+
+var CACHE = {};
+var CACHE_FLOAT32 = {};
+
+// FUNCTIONS //
+
+/**
+* Returns the registry entry for a function name.
+*
+* @private
+* @param {string} name - function name
+* @throws {Error} must be a registered function
+* @returns {Object} registry entry
+*/
+function entry(name) {
+    if (!hasOwnProp(registry, name)) {
+        throw new Error('invalid argument. Unknown function: `' + name + '`.');
+    }
+    return registry[name];
+}
+
+// MAIN //
+
+/**
+* Returns the stdlib implementation of a registered function.
+*
+* @param {string} name - function name
+* @throws {Error} must be a registered function
+* @returns {Function} implementation
+*
+* @example
+* var exp = stdlib('exp');
+* var v = exp(0.0);
+* // returns 1.0
+*/
+function stdlib(name) {
+    var spec;
+    var deps;
+    var i;
+
+    if (hasOwnProp(CACHE, name)) {
+        return CACHE[name];
+    }
+    spec = entry(name).stdlib;
+    if (typeof spec === 'string') {
+        CACHE[name] = require(spec);
+    } else {
+        deps = [];
+        for (i = 0; i < spec.deps.length; i++) {
+            deps.push(require(spec.deps[i]));
+        }
+        CACHE[name] = spec.factory.apply(null, deps);
+    }
+    return CACHE[name];
+}
+
+/**
+* Returns the single-precision stdlib implementation of a registered function.
+*
+* ## Notes
+*
+* -   Functions without a single-precision stdlib package are evaluated by rounding the input to single precision, applying the double-precision implementation and rounding the result (`fround(f(fround(x)))`).
+*
+* @param {string} name - function name
+* @throws {Error} must be a registered function
+* @returns {Object} implementation (`fn`) and its label (`label`)
+*
+* @example
+* var f = float32('ln');
+* // returns { 'fn': <Function>, 'label': '@stdlib/math/base/special/lnf' }
+*/
+function float32(name) {
+    var path;
+    var fn;
+    var f;
+
+    if (hasOwnProp(CACHE_FLOAT32, name)) {
+        return CACHE_FLOAT32[name];
+    }
+    path = entry(name).float32;
+    if (path) {
+        CACHE_FLOAT32[name] = {
+            'fn': require(path),
+            'label': path
+        };
+    } else {
+        f = stdlib(name);
+        fn = function fround32(x) {
+            return fround(f(fround(x)));
+        };
+        CACHE_FLOAT32[name] = {
+            'fn': fn,
+            'label': 'fround(' + ((typeof entry(name).stdlib === 'string') ? entry(name).stdlib : name) + ')'
+        };
+    }
+    return CACHE_FLOAT32[name];
+}
+
+/**
+* Returns the reference oracle of a registered function, or `null` if the function has none.
+*
+* @param {string} name - function name
+* @throws {Error} must be a registered function
+* @returns {(Function|null)} oracle
+*/
+function reference(name) {
+    var ref = entry(name).reference;
+    return (ref) ? oracle[ref] : null;
+}
+
+/**
+* Returns the number of arguments of a registered function.
+*
+* @param {string} name - function name
+* @throws {Error} must be a registered function
+* @returns {PositiveInteger} number of arguments
+*
+* @example
+* var n = arity('atan2');
+* // returns 2
+*/
+function arity(name) {
+    return entry(name).arity || 1;
+}
+
+/**
+* Returns the names of the registered functions, optionally filtered by a predicate applied to each entry.
+*
+* @param {Function} [predicate] - predicate function
+* @returns {Array<string>} function names
+*
+* @example
+* var names = list(function hasReference(e) {
+*     return e.reference !== null;
+* });
+* // returns ['exp', 'ln', 'sqrt', 'pow', 'hypot', 'sin', 'cos', 'tan', 'atan2', 'erf', 'beta']
+*/
+function list(predicate) {
+    var names;
+    var out;
+    var i;
+
+    names = Object.keys(registry);
+    if (!predicate) {
+        return names;
+    }
+    out = [];
+    for (i = 0; i < names.length; i++) {
+        if (predicate(registry[names[i]])) {
+            out.push(names[i]);
+        }
+    }
+    return out;
+}
+
+/**
+* Loads a module of user-supplied implementations.
+*
+* ## Notes
+*
+* -   A module may either export a single function, which implements whichever function it is compared as, or an object mapping registered function names (e.g., `exp`) to implementations.
+* -   Paths are resolved against the current working directory.
+*
+* @param {string} file - module path
+* @throws {Error} must be a loadable module
+* @throws {TypeError} module must export a function or an object mapping registered function names to functions
+* @returns {Object} implementation description (`id`, `label`, absolute `path` and implemented `functions`, which is `null` for a single function)
+*
+* @example
+* var spec = load('./my_exp.js');
+* // returns { 'id': 'my_exp', 'label': './my_exp.js', 'path': '/.../my_exp.js', 'functions': null }
+*/
+function load(file) {
+    var names;
+    var abs;
+    var mod;
+    var i;
+
+    abs = resolvePath(process.cwd(), file);
+    try {
+        mod = require(abs);
+    } catch (err) {
+        throw new Error('invalid argument. Unable to load implementation module `' + file + '`: ' + err.message.split('\n')[0]);
+    }
+    if (typeof mod === 'function') {
+        names = null;
+    } else if (mod !== null && typeof mod === 'object') {
+        names = Object.keys(mod);
+        if (names.length === 0) {
+            throw new TypeError('invalid argument. Implementation module `' + file + '` does not export any functions.');
+        }
+        for (i = 0; i < names.length; i++) {
+            if (!hasOwnProp(registry, names[i])) {
+                throw new TypeError('invalid argument. Implementation module `' + file + '` exports an unknown function: `' + names[i] + '`.');
+            }
+            if (typeof mod[names[i]] !== 'function') {
+                throw new TypeError('invalid argument. Implementation module `' + file + '` must export a function for `' + names[i] + '`.');
+            }
+        }
+    } else {
+        throw new TypeError('invalid argument. Implementation module `' + file + '` must export a function or an object of functions.');
+    }
+    return {
+        'id': basename(abs, extname(abs)),
+        'label': file,
+        'path': abs,
+        'functions': names
+    };
+}
+
+/**
+* Returns an implementation of a registered function from its description.
+*
+* ## Notes
+*
+* -   Descriptions are plain objects so that they can be passed to worker threads: `{ 'id': 'stdlib' }`, `{ 'id': 'native' }` or a user-supplied implementation returned by `load`.
+*
+* @param {Object} spec - implementation description
+* @param {string} name - function name
+* @throws {Error} must be a registered function
+* @returns {Function} implementation
+*/
+function resolve(spec, name) {
+    var mod;
+    if (!spec.path) {
+        if (spec.id === 'stdlib') {
+            return stdlib(name);
+        }
+        return entry(name).native;
+    }
+    mod = require(spec.path);
+    return (typeof mod === 'function') ? mod : mod[name];
+}
+
+// EXPORTS //
+
+module.exports = {
+    'entry': entry,
+    'stdlib': stdlib,
+    'float32': float32,
+    'reference': reference,
+    'arity': arity,
+    'list': list,
+    'load': load,
+    'resolve': resolve
+};
@@ -0,0 +1,479 @@
+'use strict';
+
+/**
+* Run Manifests
+*
+* A manifest records how a comparison was run, so that it can be reproduced
+* for a bug report: the seed and generator of each range's test points, the
+* number of points and a SHA-256 fingerprint of them, the options which
+* selected the ranges, the stdlib, Node.js and V8 versions, a timestamp,
+* and the results of every implementation.
+*
+* Replaying a manifest runs the comparison with the recorded options,
+* checks that every range evaluates exactly the recorded inputs (same
+* fingerprint), and lists the results which differ from the recorded ones
+* (e.g., after upgrading `@stdlib/stdlib` or Node.js).
+*/
+
+var fs = require('fs');
+var hasOwnProp = require('@stdlib/assert/has-own-property');
+var decode = require('./spec/decode.js');
+var encode = require('./format/encode.js');
+var STDLIB_VERSION = require('@stdlib/stdlib/package.json').version;
+var PKG_VERSION = require('./../package.json').version;
+
+// VARIABLES //
+
+/**
+* Manifest file format version.
+*
+* @private
+* @type {PositiveInteger}
+*/
+var VERSION = 1;
+
+// Results recorded for each range and implementation...
+var FIELDS = ['max', 'mean', 'correctlyRounded', 'faithfullyRounded'];
+
+// Fields of recorded test points (worst cases and search results)...
+var POINT_FIELDS = ['x', 'y', 'error'];
+
+// FUNCTIONS //
+
+/**
+* Returns a manifest error.
+*
+* @private
+* @param {string} path - manifest file path
+* @param {string} msg - error message
+* @returns {Error} error
+*/
+function manifestError(path, msg) {
+    return new Error('invalid manifest file. `' + path + '`: ' + msg);
+}
+
+/**
+* Returns the versions of the software evaluating a comparison.
+*
+* @returns {Object} versions
+*/
+function versions() {
+    return {
+        'explorer': PKG_VERSION,
+        'stdlib': STDLIB_VERSION,
+        'node': process.version,
+        'v8': process.versions.v8
+    };
+}
+
+/**
+* Returns the location of a recorded test point.
+*
+* @private
+* @param {(Object|null|undefined)} p - test point (`x`, optional `y` and `error`)
+* @returns {(Object|null)} test point
+*/
+function point(p) {
+    var out;
+    var i;
+    if (!p) {
+        return null;
+    }
+    out = {};
+    for (i = 0; i < POINT_FIELDS.length; i++) {
+        if (p[POINT_FIELDS[i]] !== void 0) {
+            out[POINT_FIELDS[i]] = p[POINT_FIELDS[i]];
+        }
+    }
+    return out;
+}
+
+/**
+* Returns the recorded results of an implementation over a range.
+*
+* @private
+* @param {Object} stats - error summary
+* @param {(Object|null|undefined)} found - worst-case search result
+* @returns {Object} results
+*/
+function results(stats, found) {
+    var out;
+    var i;
+
+    out = {};
+    for (i = 0; i < FIELDS.length; i++) {
+        out[FIELDS[i]] = stats[FIELDS[i]];
+    }
+    out.worst = point(stats.worst);
+    if (found !== void 0) {
+        out.search = point(found);
+    }
+    return out;
+}
+
+/**
+* Decodes the numeric values of a recorded test point in place.
+*
+* @private
+* @param {(Object|null)} p - test point
+* @throws {TypeError} values must be numbers or encoded numbers
+*/
+function decodePoint(p) {
+    var i;
+    if (!p) {
+        return;
+    }
+    for (i = 0; i < POINT_FIELDS.length; i++) {
+        if (p[POINT_FIELDS[i]] !== void 0) {
+            p[POINT_FIELDS[i]] = decode(p[POINT_FIELDS[i]]);
+        }
+    }
+}
+
+/**
+* Returns a boolean indicating whether two values are the same (including `NaN` and the sign of zero).
+*
+* @private
+* @param {*} a - first value
+* @param {*} b - second value
+* @returns {boolean} boolean indicating whether the values are the same
+*/
+function same(a, b) {
+    return JSON.stringify(encode(a)) === JSON.stringify(encode(b));
+}
+
+/**
+* Returns the differences between the recorded and current results of an implementation.
+*
+* @private
+* @param {Object} rec - recorded results
+* @param {Object} cur - current results
+* @returns {Array<string>} names of the differing results
+*/
+function changes(rec, cur) {
+    var out;
+    var i;
+
+    out = [];
+    for (i = 0; i < FIELDS.length; i++) {
+        if (!same(rec[FIELDS[i]], cur[FIELDS[i]])) {
+            out.push(FIELDS[i]);
+        }
+    }
+    if (!same(rec.worst, cur.worst)) {
+        out.push('worst');
+    }
+    if ((rec.search !== void 0 || cur.search !== void 0) && !same(rec.search, cur.search)) {
+        out.push('search');
+    }
+    return out;
+}
+
+// MAIN //
+
+/**
+* Returns the manifest of a comparison run.
+*
+* @param {Object} report - comparison report
+* @param {Options} options - comparison options
+* @param {Array<string>} [options.fn] - compared functions
+* @param {Array<number>} [options.range] - custom test range
+* @param {Array<number>} [options.yrange] - custom test range of the second argument of functions of two arguments
+* @param {PositiveInteger} [options.n] - number of test points per range
+* @param {(string|Array<string>)} [options.generator] - test point generator(s)
+* @param {boolean} [options.search] - boolean indicating whether the worst cases were searched for
+* @param {PositiveInteger} [options.radius] - perturbation radius of the search
+* @param {Array<Object>} [options.impl] - user-supplied implementations
+* @returns {Object} manifest
+*/
+function create(report, options) {
+    var generators;
+    var ranges;
+    var names;
+    var impls;
+    var res;
+    var ids;
+    var f;
+    var c;
+    var i;
+    var j;
+    var k;
+
+    ranges = [];
+    names = [];
+    generators = [];
+    for (i = 0; i < report.functions.length; i++) {
+        f = report.functions[i];
+        names.push(f.name);
+        for (j = 0; j < f.comparisons.length; j++) {
+            c = f.comparisons[j];
+            if (generators.indexOf(c.generator) < 0) {
+                generators.push(c.generator);
+            }
+            res = {};
+            ids = Object.keys(c.errors);
+            for (k = 0; k < ids.length; k++) {
+                res[ids[k]] = results(c.errors[ids[k]], (c.search) ? c.search[ids[k]] : void 0);
+            }
+            ranges.push({
+                'function': f.name,
+                'range': c.label,
+                'generator': c.generator,
+                'points': c.points,
+                'digest': c.digest,
+                'results': res
+            });
+        }
+    }
+    impls = [];
+    for (i = 0; options.impl && i < options.impl.length; i++) {
+        impls.push(options.impl[i].path);
+    }
+    return {
+        'version': VERSION,
+        'created': new Date().toISOString(),
+        'versions': versions(),
+        'seed': report.seed,
+        'generators': generators,
+        'options': {
+            'fn': names,
+            'range': options.range || null,
+            'yrange': options.yrange || null,
+            'n': options.n || null,
+            'generator': options.generator || null,
+            'seed': report.seed,
+            'search': Boolean(options.search),
+            'radius': options.radius || null,
+            'impl': impls
+        },
+        'ranges': ranges
+    };
+}
+
+/**
+* Writes a manifest file.
+*
+* @param {string} path - file path
+* @param {Object} manifest - manifest
+*/
+function write(path, manifest) {
+    fs.writeFileSync(path, JSON.stringify(encode(manifest), null, 2) + '\n');
+}
+
+/**
+* Reads and validates a manifest file.
+*
+* @param {string} path - file path
+* @throws {Error} must be a valid manifest file
+* @returns {Object} manifest
+*/
+function read(path) {
+    var manifest;
+    var ids;
+    var r;
+    var i;
+    var j;
+    var k;
+
+    try {
+        manifest = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (err) {
+        throw manifestError(path, err.message);
+    }
+    if (manifest === null || typeof manifest !== 'object' || manifest.version !== VERSION) {
+        throw manifestError(path, 'not a manifest file (version ' + VERSION + ').');
+    }
+    if (typeof manifest.options !== 'object' || manifest.options === null || !Array.isArray(manifest.ranges)) {
+        throw manifestError(path, 'missing `options` or `ranges`.');
+    }
+    for (i = 0; i < manifest.ranges.length; i++) {
+        r = manifest.ranges[i];
+        ids = Object.keys(r.results || {});
+        for (j = 0; j < ids.length; j++) {
+            try {
+                for (k = 0; k < FIELDS.length; k++) {
+                    r.results[ids[j]][FIELDS[k]] = decode(r.results[ids[j]][FIELDS[k]]);
+                }
+                decodePoint(r.results[ids[j]].worst);
+                decodePoint(r.results[ids[j]].search);
+            } catch (err) {
+                throw manifestError(path, r.range + ' / ' + ids[j] + ': results must be numbers.');
+            }
+        }
+        r.results = r.results || {};
+    }
+    return manifest;
+}
+
+/**
+* Returns comparison options reproducing the test points of a manifest.
+*
+* ## Notes
+*
+* -   The recorded options replace any test point options. User-supplied implementations are loaded by the caller (see `implementations.load`).
+*
+* @param {Options} options - comparison options
+* @param {Object} manifest - manifest
+* @returns {Options} options
+*/
+function defaults(options, manifest) {
+    var out;
+    var key;
+    var m;
+
+    out = {};
+    for (key in options) {
+        if (hasOwnProp(options, key)) {
+            out[key] = options[key];
+        }
+    }
+    m = manifest.options;
+    out.fn = m.fn;
+    out.seed = m.seed;
+    if (m.range) {
+        out.range = m.range;
+    }
+    if (m.yrange) {
+        out.yrange = m.yrange;
+    }
+    if (m.n) {
+        out.n = m.n;
+    }
+    if (m.generator) {
+        out.generator = m.generator;
+    }
+    if (m.search) {
+        out.search = true;
+        if (m.radius) {
+            out.radius = m.radius;
+        }
+    }
+    return out;
+}
+
+/**
+* Compares a comparison report with the run recorded in a manifest.
+*
+* ## Notes
+*
+* -   A range is reproduced if the current run evaluated exactly the recorded test points (same fingerprint). Its results are then either `identical` or `changed`; otherwise, its status is `inputs-differ`, `new` (not in the manifest) or `missing` (in the manifest but not run).
+*
+* @param {Object} report - comparison report
+* @param {Object} manifest - manifest
+* @param {Options} [options] - options
+* @param {string} [options.file] - manifest file path (for reports)
+* @returns {Object} replay report
+*/
+function diff(report, manifest, options) {
+    var recorded;
+    var entries;
+    var current;
+    var changed;
+    var failed;
+    var impls;
+    var found;
+    var cur;
+    var rec;
+    var ids;
+    var f;
+    var c;
+    var e;
+    var i;
+    var j;
+    var k;
+
+    options = options || {};
+    recorded = {};
+    for (i = 0; i < manifest.ranges.length; i++) {
+        recorded[manifest.ranges[i].function + '\u0000' + manifest.ranges[i].range] = manifest.ranges[i];
+    }
+    current = create(report, {});
+    entries = [];
+    found = {};
+    changed = 0;
+    failed = 0;
+    for (i = 0; i < current.ranges.length; i++) {
+        cur = current.ranges[i];
+        k = cur.function + '\u0000' + cur.range;
+        rec = (hasOwnProp(recorded, k)) ? recorded[k] : null;
+        found[k] = true;
+        e = {
+            'function': cur.function,
+            'range': cur.range,
+            'points': cur.points,
+            'digest': cur.digest,
+            'recordedDigest': (rec) ? rec.digest : null
+        };
+        entries.push(e);
+        if (rec === null) {
+            e.status = 'new';
+            failed += 1;
+            continue;
+        }
+        if (rec.digest !== cur.digest) {
+            e.status = 'inputs-differ';
+            if (rec.points !== cur.points) {
+                e.note = 'manifest has ' + rec.points + ' test points, current run ' + cur.points;
+            }
+            failed += 1;
+            continue;
+        }
+        impls = [];
+        ids = Object.keys(cur.results);
+        for (j = 0; j < ids.length; j++) {
+            f = (hasOwnProp(rec.results, ids[j])) ? changes(rec.results[ids[j]], cur.results[ids[j]]) : ['new'];
+            if (f.length) {
+                impls.push({
+                    'id': ids[j],
+                    'changes': f,
+                    'recorded': rec.results[ids[j]] || null,
+                    'current': cur.results[ids[j]]
+                });
+            }
+        }
+        e.status = (impls.length) ? 'changed' : 'identical';
+        e.implementations = impls;
+        if (impls.length) {
+            changed += 1;
+        }
+    }
+    for (i = 0; i < manifest.ranges.length; i++) {
+        c = manifest.ranges[i];
+        if (!found[c.function + '\u0000' + c.range]) {
+            entries.push({
+                'function': c.function,
+                'range': c.range,
+                'points': c.points,
+                'digest': null,
+                'recordedDigest': c.digest,
+                'status': 'missing'
+            });
+            failed += 1;
+        }
+    }
+    return {
+        'type': 'replay',
+        'file': options.file || null,
+        'created': manifest.created,
+        'seed': manifest.seed,
+        'versions': {
+            'recorded': manifest.versions || {},
+            'current': versions()
+        },
+        'entries': entries,
+        'reproduced': (failed === 0),
+        'irreproducible': failed,
+        'changed': changed
+    };
+}
+
+// EXPORTS //
+
+module.exports = {
+    'create': create,
+    'write': write,
+    'read': read,
+    'defaults': defaults,
+    'diff': diff,
+    'versions': versions
+};
@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+* High-precision evaluation of the two-argument arctangent.
+*/
+
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var isinfinite = require('@stdlib/math/base/assert/is-infinite');
+var isPositiveZero = require('@stdlib/math/base/assert/is-positive-zero');
+var PINF = require('@stdlib/constants/float64/pinf');
+var bigfloat = require('./bigfloat.js');
+var fixed = require('./fixed.js');
+
+// VARIABLES //
+
+var ZERO = BigInt(0);
+var ONE = BigInt(1);
+
+// Guard bits added to the requested precision:
+var GUARD = 16;
+
+// FUNCTIONS //
+
+/**
+* Returns `c π/4` as an approximation with at least `q` bits.
+*
+* @private
+* @param {integer} sign - sign (`-1` or `1`)
+* @param {PositiveInteger} c - multiple of `π/4`
+* @param {integer} q - fractional bits
+* @returns {Object} approximation
+*/
+function piOver4(sign, c, q) {
+    var C = BigInt(c);
+    return {
+        'sign': sign,
+        'm': C * fixed.pi(q),
+        'e': -q - 2,
+        'err': C
+    };
+}
+
+/**
+* Evaluates `atan(t)` in fixed-point arithmetic with `q` fractional bits, for `0 <= t <= 1`.
+*
+* ## Method
+*
+* 1.  If `t > √2 - 1`, use `atan(t) = π/4 - atan(u)`, where `u = (1-t)/(1+t) <= √2 - 1`.
+* 2.  Sum the alternating odd power series of `atan`.
+*
+* @private
+* @param {BigInt} T - fixed-point argument
+* @param {integer} q - fractional bits
+* @returns {Object} fixed-point result (`v`) and its error bound in units of `2^-q` (`err`)
+*/
+function atanFixed(T, q) {
+    var reduced;
+    var ONE_Q;
+    var term;
+    var sum;
+    var T2;
+    var Q;
+    var i;
+
+    Q = BigInt(q);
+    ONE_Q = ONE << Q;
+    reduced = (T > fixed.sqrt2(q) - ONE_Q);
+    if (reduced) {
+        T = ((ONE_Q - T) << Q) / (ONE_Q + T);
+    }
+    T2 = (T * T) >> Q;
+    term = T;
+    sum = T;
+    i = 3;
+    while (term !== ZERO) {
+        term = (term * T2) >> Q;
+        if ((i & 2) === 2) {
+            sum -= term / BigInt(i);
+        } else {
+            sum += term / BigInt(i);
+        }
+        i += 2;
+    }
+    if (reduced) {
+        sum = (fixed.pi(q) >> BigInt(2)) - sum;
+    }
+    return {
+        'v': sum,
+        'err': BigInt(i + 8)
+    };
+}
+
+/**
+* Returns the special value of `atan2(y, x)` for `NaN`, zero or infinite arguments.
+*
+* ## Notes
+*
+* -   Follows C99 F.9.1.4 and ECMAScript `Math.atan2`. Results which are nonzero multiples of `π/4` are returned as approximations.
+*
+* @private
+* @param {number} y - ordinate
+* @param {number} x - abscissa
+* @param {integer} q - fractional bits of approximations
+* @returns {(number|Object|null)} special value, or `null` if both arguments are finite and nonzero
+*/
+function special(y, x, q) {
+    var sign;
+    if (isnan(x) || isnan(y)) {
+        return NaN;
+    }
+    sign = (y < 0.0 || (y === 0.0 && 1.0 / y < 0.0)) ? -1 : 1;
+    if (y === 0.0) {
+        if (x > 0.0 || isPositiveZero(x)) {
+            return y;
+        }
+        return piOver4(sign, 4, q);
+    }
+    if (isinfinite(y)) {
+        if (x === PINF) {
+            return piOver4(sign, 1, q);
+        }
+        if (x === -PINF) {
+            return piOver4(sign, 3, q);
+        }
+        return piOver4(sign, 2, q);
+    }
+    if (x === 0.0) {
+        return piOver4(sign, 2, q);
+    }
+    if (x === PINF) {
+        return (sign < 0) ? -0.0 : 0.0;
+    }
+    if (x === -PINF) {
+        return piOver4(sign, 4, q);
+    }
+    return null;
+}
+
+// MAIN //
+
+/**
+* Evaluates `atan2(y, x)` to a working precision of at least `p` bits.
+*
+* ## Method
+*
+* 1.  Align the mantissas of `|y|` and `|x|` on a common exponent (`N` and `D`), so that `|y/x| = N/D` exactly.
+* 2.  If `|y| <= |x|`, compute `a = atan(N/D)`, with as many extra fractional bits as `N/D` has leading zeros, so that small results keep their relative precision, and return `a` if `x > 0` and `π - a` otherwise.
+* 3.  Otherwise, compute `b = atan(D/N)` and return `π/2 - b` if `x > 0` and `π/2 + b` otherwise.
+* 4.  Apply the sign of `y`.
+*
+* @private
+* @param {number} y - ordinate
+* @param {number} x - abscissa
+* @param {integer} p - precision (in bits)
+* @returns {(number|Object)} exact result or approximation
+*/
+function evaluate(y, x, p) {
+    var extra;
+    var sign;
+    var dx;
+    var dy;
+    var N;
+    var D;
+    var A;
+    var c;
+    var q;
+    var v;
+
+    q = p + GUARD;
+    v = special(y, x, q);
+    if (v !== null) {
+        return v;
+    }
+    sign = (y < 0.0) ? -1 : 1;
+    dy = bigfloat.decompose(y);
+    dx = bigfloat.decompose(x);
+    c = (dy.e < dx.e) ? dy.e : dx.e;
+    N = dy.m << BigInt(dy.e - c);
+    D = dx.m << BigInt(dx.e - c);
+    if (N <= D) {
+        extra = bigfloat.bitLength(D) - bigfloat.bitLength(N);
+        q += ((extra > 0) ? extra : 0) + 2;
+        A = atanFixed((N << BigInt(q)) / D, q);
+        if (x < 0.0) {
+            A.v = fixed.pi(q) - A.v;
+            A.err += ONE;
+        }
+    } else {
+        A = atanFixed((D << BigInt(q)) / N, q);
+        if (x < 0.0) {
+            A.v = (fixed.pi(q) >> ONE) + A.v;
+        } else {
+            A.v = (fixed.pi(q) >> ONE) - A.v;
+        }
+        A.err += BigInt(2);
+    }
+    return {
+        'sign': sign,
+        'm': A.v,
+        'e': -q,
+        'err': A.err + ONE
+    };
+}
+
+// EXPORTS //
+
+module.exports = evaluate;
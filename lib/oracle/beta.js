@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+* High-precision evaluation of the beta function.
+*/
+
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var isNegativeZero = require('@stdlib/math/base/assert/is-negative-zero');
+var PINF = require('@stdlib/constants/float64/pinf');
+var NINF = require('@stdlib/constants/float64/ninf');
+var bigfloat = require('./bigfloat.js');
+var expFixed = require('./exp.js').fixed;
+var lnGammaFixed = require('./lngamma.js');
+
+// VARIABLES //
+
+var TWO = BigInt(2);
+
+// Guard bits added to the requested precision:
+var GUARD = 16;
+
+// exp(710) > FLOAT64_MAX, and exp(-746) is less than half the smallest subnormal:
+var OVERFLOW = BigInt(710);
+var UNDERFLOW = BigInt(-746);
+
+// FUNCTIONS //
+
+/**
+* Returns the special value of `beta(a, b)` for `NaN`, negative, zero or infinite arguments.
+*
+* ## Notes
+*
+* -   The oracle covers the usual domain `a, b >= 0`; as in stdlib, negative arguments yield `NaN`.
+* -   At a zero argument, `beta(a, b) ~ 1/a + 1/b` has a pole whose sign follows the sign of the zero (e.g., `beta(-0, 1) = -∞`); opposite zeros yield `NaN`.
+* -   For an infinite argument, `beta(a, b)` tends to `+0`.
+*
+* @private
+* @param {number} a - first argument
+* @param {number} b - second argument
+* @returns {(number|null)} special value, or `null` if both arguments are finite and positive
+*/
+function special(a, b) {
+    var na;
+    var nb;
+    if (isnan(a) || isnan(b) || a < 0.0 || b < 0.0) {
+        return NaN;
+    }
+    if (a === 0.0 || b === 0.0) {
+        na = (a === 0.0 && isNegativeZero(a));
+        nb = (b === 0.0 && isNegativeZero(b));
+        if (a === 0.0 && b === 0.0 && na !== nb) {
+            return NaN;
+        }
+        return (na || nb) ? NINF : PINF;
+    }
+    if (a === PINF || b === PINF) {
+        return 0.0;
+    }
+    return null;
+}
+
+// MAIN //
+
+/**
+* Evaluates `beta(a, b)` to a working precision of at least `p` bits.
+*
+* ## Method
+*
+* 1.  Compute `L = ln Γ(a) + ln Γ(b) - ln Γ(a+b)` in fixed-point arithmetic (see `./lngamma.js`), where `a+b` is exact.
+* 2.  Return `exp(L)`.
+*
+* @private
+* @param {number} a - first argument
+* @param {number} b - second argument
+* @param {integer} p - precision (in bits)
+* @returns {(number|Object)} exact result or approximation
+*/
+function evaluate(a, b, p) {
+    var da;
+    var db;
+    var ga;
+    var gb;
+    var gs;
+    var L;
+    var c;
+    var q;
+    var v;
+
+    v = special(a, b);
+    if (v !== null) {
+        return v;
+    }
+    q = p + GUARD;
+    da = bigfloat.decompose(a);
+    db = bigfloat.decompose(b);
+    c = (da.e < db.e) ? da.e : db.e;
+
+    ga = lnGammaFixed(da.m, da.e, q);
+    gb = lnGammaFixed(db.m, db.e, q);
+    gs = lnGammaFixed((da.m << BigInt(da.e - c)) + (db.m << BigInt(db.e - c)), c, q);
+    L = ga.v + gb.v - gs.v;
+
+    if (L > (OVERFLOW << BigInt(q))) {
+        return PINF;
+    }
+    if (L < (UNDERFLOW << BigInt(q))) {
+        return 0.0;
+    }
+    v = expFixed(L, q);
+    return {
+        'sign': 1,
+        'm': v.m,
+        'e': v.e,
+        'err': v.err + (TWO * (ga.err + gb.err + gs.err))
+    };
+}
+
+// EXPORTS //
+
+module.exports = evaluate;
@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+* Arbitrary-Precision Binary Floating-Point Helpers
+*
+* An approximation produced by an oracle is a plain object
+* `{ sign, m, e, err }` representing the value `sign * m * 2^e`, where
+* `m` is a non-negative BigInt mantissa and `err` is a BigInt bound on the
+* absolute error expressed in units of `2^e` (i.e., the true value lies in
+* `sign * [m-err, m+err] * 2^e`).
+*
+* This module converts between such approximations and IEEE 754 binary
+* formats: exact decomposition of a float, correct rounding
+* (round-half-to-even, including the subnormal range and overflow) and
+* fractional ULP error measurement.
+*/
+
+var toWords = require('@stdlib/number/float64/base/to-words');
+var ldexp = require('@stdlib/math/base/special/ldexp');
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var isinfinite = require('@stdlib/math/base/assert/is-infinite');
+var PINF = require('@stdlib/constants/float64/pinf');
+var NINF = require('@stdlib/constants/float64/ninf');
+var ulp = require('./../ulp.js');
+
+// VARIABLES //
+
+var ZERO = BigInt(0);
+var ONE = BigInt(1);
+
+/**
+* IEEE 754 binary64 format description.
+*
+* @private
+* @type {Object}
+*/
+var FLOAT64 = {
+    'precision': 53,
+    'emin': -1022,
+    'emax': 1023
+};
+
+/**
+* IEEE 754 binary32 format description.
+*
+* @private
+* @type {Object}
+*/
+var FLOAT32 = {
+    'precision': 24,
+    'emin': -126,
+    'emax': 127
+};
+
+/**
+* Number of significant bits retained when converting a BigInt to a number.
+*
+* @private
+* @type {number}
+*/
+var NUMBER_BITS = 64;
+
+// FUNCTIONS //
+
+/**
+* Returns the number of bits needed to represent a non-negative BigInt.
+*
+* @private
+* @param {BigInt} m - non-negative integer
+* @returns {number} bit length
+*/
+function bitLength(m) {
+    if (m === ZERO) {
+        return 0;
+    }
+    return m.toString(2).length;
+}
+
+/**
+* Exactly decomposes a finite double-precision floating-point number into
+* `sign * m * 2^e`.
+*
+* @private
+* @param {number} x - finite input value
+* @returns {Object} decomposition
+*/
+function decompose(x) {
+    var words;
+    var frac;
+    var bits;
+    var hi;
+
+    words = toWords(x);
+    hi = words[0];
+    bits = (hi >>> 20) & 0x7ff;
+    frac = (BigInt(hi & 0xfffff) << BigInt(32)) | BigInt(words[1]);
+    if (bits === 0) {
+        // Zero or subnormal...
+        return {
+            'sign': (hi >>> 31) ? -1 : 1,
+            'm': frac,
+            'e': -1074
+        };
+    }
+    return {
+        'sign': (hi >>> 31) ? -1 : 1,
+        'm': frac | (ONE << BigInt(52)),
+        'e': bits - 1075
+    };
+}
+
+/**
+* Converts `m * 2^e` to the nearest number, for values whose magnitude is
+* only needed to double precision (e.g., error measurements).
+*
+* @private
+* @param {BigInt} m - integer (may be negative)
+* @param {number} e - binary exponent
+* @returns {number} result
+*/
+function toNumber(m, e) {
+    var neg;
+    var n;
+
+    neg = (m < ZERO);
+    if (neg) {
+        m = -m;
+    }
+    n = bitLength(m);
+    if (n > NUMBER_BITS) {
+        m >>= BigInt(n - NUMBER_BITS);
+        e += n - NUMBER_BITS;
+    }
+    m = ldexp(Number(m), e);
+    return (neg) ? -m : m;
+}
+
+/**
+* Correctly rounds `sign * m * 2^e` to a binary floating-point format using round-half-to-even.
+*
+* @private
+* @param {integer} sign - sign (`-1` or `1`)
+* @param {BigInt} m - non-negative mantissa
+* @param {integer} e - binary exponent
+* @param {Object} [fmt=FLOAT64] - target format
+* @returns {number} rounded value
+*/
+function round(sign, m, e, fmt) {
+    var shift;
+    var keep;
+    var half;
+    var rem;
+    var E;
+    var q;
+    var s;
+
+    fmt = fmt || FLOAT64;
+    if (m <= ZERO) {
+        return (sign < 0) ? -0.0 : 0.0;
+    }
+    // Exponent of the leading bit:
+    E = e + bitLength(m) - 1;
+
+    // Exponent of the last retained bit (fixed at the subnormal quantum below `emin`):
+    q = ((E > fmt.emin) ? E : fmt.emin) - (fmt.precision - 1);
+
+    shift = q - e;
+    if (shift > 0) {
+        s = BigInt(shift);
+        keep = m >> s;
+        rem = m - (keep << s);
+        half = ONE << (s - ONE);
+        if (rem > half || (rem === half && (keep & ONE) === ONE)) {
+            keep += ONE;
+        }
+    } else {
+        keep = m << BigInt(-shift);
+    }
+    if (q + bitLength(keep) - 1 > fmt.emax) {
+        return (sign < 0) ? NINF : PINF;
+    }
+    return sign * ldexp(Number(keep), q);
+}
+
+/**
+* Returns the signed error of `y`, in ULPs of the exact result, relative to an exact result or an approximation thereof.
+*
+* ## Notes
+*
+* -   When the exact result is a number (e.g., a special value such as `NaN`, `±∞` or an exact `1`), the error is the bit-exact ULP distance between `y` and that number.
+* -   When `y` is infinite and the approximation is not (after rounding), the error is infinite.
+* -   When `y` is `NaN` and the exact result is not, the error is `+∞`, so that a `NaN` result counts as the worst possible result rather than as an undefined error.
+*
+* @private
+* @param {number} y - computed value
+* @param {(number|Object)} v - exact result or approximation
+* @param {Object} [fmt=FLOAT64] - format defining the ULP spacing
+* @returns {number} signed ULP error
+*/
+function ulpError(y, v, fmt) {
+    var ulpExp;
+    var dy;
+    var D;
+    var E;
+    var c;
+
+    fmt = fmt || FLOAT64;
+    if (typeof v === 'number') {
+        if (isnan(y)) {
+            return (isnan(v)) ? 0.0 : PINF;
+        }
+        return ulp.distance(y, v);
+    }
+    if (isnan(y)) {
+        return PINF;
+    }
+    if (isinfinite(y)) {
+        if (round(v.sign, v.m, v.e, fmt) === y) {
+            return 0.0;
+        }
+        return y;
+    }
+    dy = decompose(y);
+    c = (dy.e < v.e) ? dy.e : v.e;
+    D = (BigInt(dy.sign) * (dy.m << BigInt(dy.e - c))) -
+        (BigInt(v.sign) * (v.m << BigInt(v.e - c)));
+
+    E = v.e + bitLength(v.m) - 1;
+    ulpExp = ((E > fmt.emin) ? E : fmt.emin) - (fmt.precision - 1);
+    return toNumber(D, c - ulpExp);
+}
+
+// EXPORTS //
+
+module.exports = {
+    'FLOAT64': FLOAT64,
+    'FLOAT32': FLOAT32,
+    'bitLength': bitLength,
+    'decompose': decompose,
+    'toNumber': toNumber,
+    'round': round,
+    'ulpError': ulpError
+};
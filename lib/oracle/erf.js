@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+* High-precision evaluation of the error function.
+*/
+
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var PINF = require('@stdlib/constants/float64/pinf');
+var NINF = require('@stdlib/constants/float64/ninf');
+var decompose = require('./bigfloat.js').decompose;
+var fixed = require('./fixed.js');
+var expFixed = require('./exp.js').fixed;
+
+// VARIABLES //
+
+var ZERO = BigInt(0);
+var ONE = BigInt(1);
+var TWO = BigInt(2);
+
+// Guard bits added to the requested precision:
+var GUARD = 16;
+
+// Beyond this cutoff, `1 - erf(|x|) = erfc(|x|) < erfc(9) < 2^-120`:
+var CUTOFF = 9.0;
+var TAIL_BITS = 120;
+
+// MAIN //
+
+/**
+* Evaluates `erf(x)` to a working precision of at least `p` bits.
+*
+* ## Method
+*
+* -   For `|x| < 9`, use the everywhere-positive series
+*
+*     ```tex
+*     \operatorname{erf}(x) = \frac{2x}{\sqrt{\pi}} e^{-x^2} \sum_{n=0}^{\infty} \frac{(2x^2)^n}{1 \cdot 3 \cdots (2n+1)}
+*     ```
+*
+*     which, unlike the alternating Maclaurin series, suffers no cancellation.
+*
+* -   For `|x| >= 9`, the result is `±1` to within `2^-120`.
+*
+* @private
+* @param {number} x - input value
+* @param {integer} p - precision (in bits)
+* @returns {(number|Object)} exact result or approximation
+*/
+function evaluate(x, p) {
+    var ONE_Q;
+    var term;
+    var sign;
+    var sum;
+    var X2;
+    var Ex;
+    var Q;
+    var F;
+    var d;
+    var m;
+    var n;
+    var q;
+
+    if (isnan(x)) {
+        return NaN;
+    }
+    if (x === 0.0) {
+        // Preserves the sign of zero:
+        return x;
+    }
+    if (x === PINF) {
+        return 1.0;
+    }
+    if (x === NINF) {
+        return -1.0;
+    }
+    q = p + GUARD;
+    Q = BigInt(q);
+    ONE_Q = ONE << Q;
+    sign = (x < 0.0) ? -1 : 1;
+
+    if (x >= CUTOFF || x <= -CUTOFF) {
+        return {
+            'sign': sign,
+            'm': ONE_Q,
+            'e': -q,
+            'err': ONE << BigInt(q - TAIL_BITS)
+        };
+    }
+    d = decompose(x);
+    X2 = fixed.fromFloat(1, d.m * d.m, 2 * d.e, q);
+    Ex = expFixed(-X2, q);
+
+    sum = ONE_Q;
+    term = ONE_Q;
+    n = 1;
+    while (term !== ZERO) {
+        term = ((term * TWO * X2) >> Q) / BigInt((2 * n) + 1);
+        sum += term;
+        n += 1;
+    }
+    F = (fixed.twoOverSqrtPi(q) * sum) >> Q;
+    m = F * Ex.m * d.m;
+    return {
+        'sign': sign,
+        'm': m,
+        'e': d.e + Ex.e - q,
+
+        // Relative error of `F` and `exp(-x^2)`, scaled by the result:
+        'err': ((m * (BigInt((2 * n) + 200) + Ex.err)) >> Q) + ONE
+    };
+}
+
+// EXPORTS //
+
+module.exports = evaluate;
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+* High-precision evaluation of the exponential function.
+*/
+
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var PINF = require('@stdlib/constants/float64/pinf');
+var NINF = require('@stdlib/constants/float64/ninf');
+var decompose = require('./bigfloat.js').decompose;
+var fixed = require('./fixed.js');
+
+// VARIABLES //
+
+var ZERO = BigInt(0);
+var ONE = BigInt(1);
+
+// Guard bits added to the requested precision:
+var GUARD = 16;
+
+// exp(710) > FLOAT64_MAX, and exp(-746) is less than half the smallest subnormal:
+var OVERFLOW = 710.0;
+var UNDERFLOW = -746.0;
+
+// FUNCTIONS //
+
+/**
+* Evaluates `exp(X)` for a fixed-point argument with `q` fractional bits.
+*
+* ## Method
+*
+* 1.  Reduce the argument: `X = k ln(2) + r`, where `|r| <= ln(2)/2`.
+* 2.  Sum the Taylor series of `exp(r)` until the terms vanish.
+* 3.  Return `exp(r) * 2^k` as a floating approximation, so that the relative precision is preserved for very large and very small results.
+*
+* @private
+* @param {BigInt} X - fixed-point argument
+* @param {integer} q - fractional bits
+* @returns {Object} approximation
+*/
+function expFixed(X, q) {
+    var term;
+    var half;
+    var sum;
+    var ONE_Q;
+    var Q;
+    var L;
+    var k;
+    var n;
+    var r;
+
+    Q = BigInt(q);
+    ONE_Q = ONE << Q;
+    L = fixed.ln2(q);
+    half = L >> ONE;
+
+    k = X / L;
+    r = X - (k * L);
+    if (r > half) {
+        r -= L;
+        k += ONE;
+    } else if (r < -half) {
+        r += L;
+        k -= ONE;
+    }
+    sum = ONE_Q;
+    term = ONE_Q;
+    n = 1;
+    while (term !== ZERO) {
+        term = ((term * r) >> Q) / BigInt(n);
+        sum += term;
+        n += 1;
+    }
+    return {
+        'sign': 1,
+        'm': sum,
+        'e': Number(k) - q,
+        'err': BigInt(2) * (((k < ZERO) ? -k : k) + BigInt(n + 2))
+    };
+}
+
+/**
+* Evaluates `exp(x)` to a working precision of at least `p` bits.
+*
+* @private
+* @param {number} x - input value
+* @param {integer} p - precision (in bits)
+* @returns {(number|Object)} exact result or approximation
+*/
+function evaluate(x, p) {
+    var d;
+    var q;
+    if (isnan(x)) {
+        return NaN;
+    }
+    if (x === 0.0) {
+        return 1.0;
+    }
+    if (x >= OVERFLOW) {
+        return PINF;
+    }
+    if (x === NINF || x <= UNDERFLOW) {
+        return 0.0;
+    }
+    q = p + GUARD;
+    d = decompose(x);
+    return expFixed(fixed.fromFloat(d.sign, d.m, d.e, q), q);
+}
+
+// EXPORTS //
+
+module.exports = evaluate;
+module.exports.fixed = expFixed;
@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+* Oracle factory.
+*/
+
+var setReadOnly = require('@stdlib/utils/define-nonenumerable-read-only-property');
+var bigfloat = require('./bigfloat.js');
+
+// VARIABLES //
+
+/**
+* Working precision (in bits) used for error measurements.
+*
+* @private
+* @type {number}
+*/
+var PRECISION = 128;
+
+/**
+* Maximum working precision (in bits) attempted when rounding.
+*
+* @private
+* @type {number}
+*/
+var MAX_PRECISION = 4096;
+
+// FUNCTIONS //
+
+/**
+* Returns the correctly rounded result of a function evaluated at increasing precision.
+*
+* ## Notes
+*
+* -   Uses Ziv's strategy: the function is evaluated at increasing precision until both ends of the error interval round to the same value.
+*
+* @private
+* @param {Function} approximate - function which evaluates the function to a requested precision and returns either an exact number or an approximation
+* @param {Object} [fmt] - target format (default: float64)
+* @returns {number} correctly rounded result
+*/
+function correctlyRounded(approximate, fmt) {
+    var lo;
+    var hi;
+    var a;
+    var p;
+
+    p = PRECISION;
+    while (true) {
+        a = approximate(p);
+        if (typeof a === 'number') {
+            return a;
+        }
+        if (a.err < a.m) {
+            lo = bigfloat.round(a.sign, a.m - a.err, a.e, fmt);
+            hi = bigfloat.round(a.sign, a.m + a.err, a.e, fmt);
+            if (lo === hi || p >= MAX_PRECISION) {
+                return lo;
+            }
+        }
+        p *= 2;
+    }
+}
+
+// MAIN //
+
+/**
+* Returns a reference oracle for a function of one or two arguments.
+*
+* ## Notes
+*
+* -   The returned function computes the correctly rounded float64 result (see `correctlyRounded`).
+* -   `oracle.error( x, y )` (or `oracle.error( x, y, v )` for functions of two arguments) returns the signed error, in ULPs of the exact result, of a computed value `y` (or `v`) as an approximation of `f(x)` (or `f(x, y)`). Because the error is measured against a 128-bit approximation rather than the rounded result, it is fractional (e.g., a correctly rounded result has an error of at most 0.5 ULP).
+* -   `oracle.approximate( x )` (or `oracle.approximate( x, y )`) returns the 128-bit approximation of `f(x)` (or `f(x, y)`) against which errors are measured, so that the errors of several computed values at the same point can be measured with `bigfloat.ulpError` while evaluating the function only once.
+* -   `oracle.arity` is the number of arguments.
+*
+* @private
+* @param {Function} evaluate - function which evaluates `f(x)` (or `f(x, y)`) to a requested precision, given as the last argument, and returns either an exact number or an approximation
+* @param {PositiveInteger} [arity=1] - number of arguments (`1` or `2`)
+* @returns {Function} oracle
+*/
+function createOracle(evaluate, arity) {
+    var oracle;
+    if (arity === 2) {
+        oracle = binary;
+        setReadOnly(oracle, 'error', binaryError);
+        setReadOnly(oracle, 'approximate', binaryApproximation);
+    } else {
+        oracle = unary;
+        setReadOnly(oracle, 'error', unaryError);
+        setReadOnly(oracle, 'approximate', unaryApproximation);
+    }
+    setReadOnly(oracle, 'arity', arity || 1);
+    setReadOnly(oracle, 'evaluate', evaluate);
+    return oracle;
+
+    /**
+    * Returns the correctly rounded value of `f(x)`.
+    *
+    * @private
+    * @param {number} x - input value
+    * @param {Object} [fmt] - target format (default: float64)
+    * @returns {number} correctly rounded result
+    */
+    function unary(x, fmt) {
+        return correctlyRounded(function approximate(p) {
+            return evaluate(x, p);
+        }, fmt);
+    }
+
+    /**
+    * Returns the correctly rounded value of `f(x, y)`.
+    *
+    * @private
+    * @param {number} x - first argument
+    * @param {number} y - second argument
+    * @param {Object} [fmt] - target format (default: float64)
+    * @returns {number} correctly rounded result
+    */
+    function binary(x, y, fmt) {
+        return correctlyRounded(function approximate(p) {
+            return evaluate(x, y, p);
+        }, fmt);
+    }
+
+    /**
+    * Returns the approximation of `f(x)` against which errors are measured.
+    *
+    * @private
+    * @param {number} x - input value
+    * @returns {(number|Object)} exact result or approximation
+    */
+    function unaryApproximation(x) {
+        return evaluate(x, PRECISION);
+    }
+
+    /**
+    * Returns the approximation of `f(x, y)` against which errors are measured.
+    *
+    * @private
+    * @param {number} x - first argument
+    * @param {number} y - second argument
+    * @returns {(number|Object)} exact result or approximation
+    */
+    function binaryApproximation(x, y) {
+        return evaluate(x, y, PRECISION);
+    }
+
+    /**
+    * Returns the signed error (in ULPs) of a computed value `y` as an approximation of `f(x)`.
+    *
+    * @private
+    * @param {number} x - input value
+    * @param {number} y - computed value
+    * @param {Object} [fmt] - format defining the ULP spacing (default: float64)
+    * @returns {number} signed ULP error
+    */
+    function unaryError(x, y, fmt) {
+        return bigfloat.ulpError(y, evaluate(x, PRECISION), fmt);
+    }
+
+    /**
+    * Returns the signed error (in ULPs) of a computed value `v` as an approximation of `f(x, y)`.
+    *
+    * @private
+    * @param {number} x - first argument
+    * @param {number} y - second argument
+    * @param {number} v - computed value
+    * @param {Object} [fmt] - format defining the ULP spacing (default: float64)
+    * @returns {number} signed ULP error
+    */
+    function binaryError(x, y, v, fmt) {
+        return bigfloat.ulpError(v, evaluate(x, y, PRECISION), fmt);
+    }
+}
+
+// EXPORTS //
+
+module.exports = createOracle;
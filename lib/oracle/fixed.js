@@ -0,0 +1,201 @@
+'use strict';
+
+/**
+* Fixed-Point BigInt Arithmetic
+*
+* Helpers for evaluating series in binary fixed-point arithmetic, where a
+* real number `v` is represented by the BigInt `floor(v * 2^q)` for a
+* working precision of `q` fractional bits. Also provides high-precision
+* mathematical constants, memoized per precision.
+*/
+
+var bitLength = require('./bigfloat.js').bitLength;
+
+// VARIABLES //
+
+var ZERO = BigInt(0);
+var ONE = BigInt(1);
+var TWO = BigInt(2);
+
+/**
+* Number of guard bits used when computing constants.
+*
+* @private
+* @type {number}
+*/
+var GUARD = 16;
+
+var CACHE = {
+    'ln2': {},
+    'pi': {},
+    'sqrt2': {},
+    'twoOverSqrtPi': {}
+};
+
+// FUNCTIONS //
+
+/**
+* Returns the integer square root `floor(sqrt(n))` of a non-negative BigInt.
+*
+* @private
+* @param {BigInt} n - non-negative integer
+* @returns {BigInt} integer square root
+*/
+function isqrt(n) {
+    var x;
+    var y;
+    if (n < TWO) {
+        return n;
+    }
+    // Start from a power of two which is known to be larger than the root:
+    x = ONE << BigInt((bitLength(n) >> 1) + 1);
+    while (true) {
+        y = (x + (n / x)) >> ONE;
+        if (y >= x) {
+            return x;
+        }
+        x = y;
+    }
+}
+
+/**
+* Converts `sign * m * 2^e` to a fixed-point value with `q` fractional bits (truncating toward zero).
+*
+* @private
+* @param {integer} sign - sign (`-1` or `1`)
+* @param {BigInt} m - non-negative mantissa
+* @param {integer} e - binary exponent
+* @param {integer} q - fractional bits
+* @returns {BigInt} fixed-point value
+*/
+function fromFloat(sign, m, e, q) {
+    var v;
+    if (e + q >= 0) {
+        v = m << BigInt(e + q);
+    } else {
+        v = m >> BigInt(-(e + q));
+    }
+    return (sign < 0) ? -v : v;
+}
+
+/**
+* Evaluates `atanh(1/k)` (`hyperbolic = true`) or `atan(1/k)` in fixed-point arithmetic.
+*
+* @private
+* @param {integer} k - reciprocal of the argument (`k > 1`)
+* @param {integer} q - fractional bits
+* @param {boolean} hyperbolic - boolean indicating whether to evaluate the hyperbolic variant
+* @returns {BigInt} result
+*/
+function arctanInv(k, q, hyperbolic) {
+    var term;
+    var sum;
+    var K2;
+    var n;
+    var t;
+
+    K2 = BigInt(k * k);
+    term = (ONE << BigInt(q)) / BigInt(k);
+    sum = term;
+    n = 1;
+    while (term !== ZERO) {
+        term /= K2;
+        n += 2;
+        t = term / BigInt(n);
+        if (hyperbolic || ((n >> 1) & 1) === 0) {
+            sum += t;
+        } else {
+            sum -= t;
+        }
+    }
+    return sum;
+}
+
+/**
+* Returns `ln(2)` with `q` fractional bits.
+*
+* ## Notes
+*
+* -   Uses `ln(2) = 2 atanh(1/3)`.
+*
+* @private
+* @param {integer} q - fractional bits
+* @returns {BigInt} fixed-point value
+*/
+function ln2(q) {
+    var v = CACHE.ln2[q];
+    if (v === void 0) {
+        v = (TWO * arctanInv(3, q + GUARD, true)) >> BigInt(GUARD);
+        CACHE.ln2[q] = v;
+    }
+    return v;
+}
+
+/**
+* Returns `π` with `q` fractional bits.
+*
+* ## Notes
+*
+* -   Uses Machin's formula `π = 16 atan(1/5) - 4 atan(1/239)`.
+*
+* @private
+* @param {integer} q - fractional bits
+* @returns {BigInt} fixed-point value
+*/
+function pi(q) {
+    var v = CACHE.pi[q];
+    if (v === void 0) {
+        v = (BigInt(16) * arctanInv(5, q + GUARD, false)) -
+            (BigInt(4) * arctanInv(239, q + GUARD, false));
+        v >>= BigInt(GUARD);
+        CACHE.pi[q] = v;
+    }
+    return v;
+}
+
+/**
+* Returns `√2` with `q` fractional bits.
+*
+* @private
+* @param {integer} q - fractional bits
+* @returns {BigInt} fixed-point value
+*/
+function sqrt2(q) {
+    var v = CACHE.sqrt2[q];
+    if (v === void 0) {
+        v = isqrt(TWO << BigInt(2 * q));
+        CACHE.sqrt2[q] = v;
+    }
+    return v;
+}
+
+/**
+* Returns `2/√π` with `q` fractional bits.
+*
+* @private
+* @param {integer} q - fractional bits
+* @returns {BigInt} fixed-point value
+*/
+function twoOverSqrtPi(q) {
+    var v = CACHE.twoOverSqrtPi[q];
+    var g;
+    if (v === void 0) {
+        g = q + GUARD;
+        v = TWO << BigInt(2 * g);
+        v /= isqrt(pi(g) << BigInt(g));
+        v >>= BigInt(GUARD);
+        CACHE.twoOverSqrtPi[q] = v;
+    }
+    return v;
+}
+
+// EXPORTS //
+
+module.exports = {
+    'isqrt': isqrt,
+    'fromFloat': fromFloat,
+    'ln2': ln2,
+    'pi': pi,
+    'sqrt2': sqrt2,
+    'twoOverSqrtPi': twoOverSqrtPi
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+* High-precision evaluation of the hypotenuse function.
+*/
+
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var isinfinite = require('@stdlib/math/base/assert/is-infinite');
+var PINF = require('@stdlib/constants/float64/pinf');
+var decompose = require('./bigfloat.js').decompose;
+var isqrt = require('./fixed.js').isqrt;
+
+// VARIABLES //
+
+var ZERO = BigInt(0);
+var ONE = BigInt(1);
+
+// MAIN //
+
+/**
+* Evaluates `hypot(x, y) = sqrt(x^2 + y^2)` to a precision of at least `p` bits.
+*
+* ## Notes
+*
+* -   An infinite argument yields `+∞`, even if the other argument is `NaN` (C99 F.9.4.3 and ECMAScript `Math.hypot`).
+* -   The sum of squares is computed exactly, and its square root as an integer square root of the scaled sum, so the result is exact whenever the remainder vanishes (e.g., `hypot(3, 4)`), and is otherwise known to lie strictly between two consecutive integers.
+*
+* @private
+* @param {number} x - first argument
+* @param {number} y - second argument
+* @param {integer} p - precision (in bits)
+* @returns {(number|Object)} exact result or approximation
+*/
+function evaluate(x, y, p) {
+    var dx;
+    var dy;
+    var X;
+    var Y;
+    var M;
+    var R;
+    var S;
+    var c;
+
+    if (isinfinite(x) || isinfinite(y)) {
+        return PINF;
+    }
+    if (isnan(x) || isnan(y)) {
+        return NaN;
+    }
+    if (x === 0.0 && y === 0.0) {
+        return 0.0;
+    }
+    dx = decompose(x);
+    dy = decompose(y);
+
+    // Align the squares on the smaller exponent: x^2 + y^2 = S * 2^(2c)...
+    c = (dx.e < dy.e) ? dx.e : dy.e;
+    X = dx.m << BigInt(dx.e - c);
+    Y = dy.m << BigInt(dy.e - c);
+    S = (X * X) + (Y * Y);
+
+    M = S << BigInt(2 * p);
+    R = isqrt(M);
+    return {
+        'sign': 1,
+        'm': R,
+        'e': c - p,
+        'err': (R * R === M) ? ZERO : ONE
+    };
+}
+
+// EXPORTS //
+
+module.exports = evaluate;
@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+* Reference Oracles
+*
+* High-precision reference implementations used to measure the true
+* accuracy of candidate implementations. Each oracle evaluates its function
+* in BigInt arithmetic to at least 128 bits and correctly rounds the result
+* to float64, so comparisons report each implementation's error against
+* the exact value rather than the disagreement between two
+* implementations.
+*
+* @example
+* var oracle = require('./lib/oracle');
+*
+* var v = oracle.exp(1.0);
+* // returns 2.718281828459045
+*
+* var err = oracle.exp.error(1.0, Math.exp(1.0));
+* // returns <number>
+*
+* v = oracle.hypot(3.0, 4.0);
+* // returns 5.0
+*/
+
+var createOracle = require('./factory.js');
+var trig = require('./trig.js');
+
+// MAIN //
+
+var oracles = {
+    'exp': createOracle(require('./exp.js')),
+    'ln': createOracle(require('./ln.js')),
+    'sqrt': createOracle(require('./sqrt.js')),
+    'erf': createOracle(require('./erf.js')),
+    'sin': createOracle(trig.sin),
+    'cos': createOracle(trig.cos),
+    'tan': createOracle(trig.tan),
+    'pow': createOracle(require('./pow.js'), 2),
+    'atan2': createOracle(require('./atan2.js'), 2),
+    'hypot': createOracle(require('./hypot.js'), 2),
+    'beta': createOracle(require('./beta.js'), 2)
+};
+
+// EXPORTS //
+
+module.exports = oracles;
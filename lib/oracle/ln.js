@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+* High-precision evaluation of the natural logarithm.
+*/
+
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var PINF = require('@stdlib/constants/float64/pinf');
+var NINF = require('@stdlib/constants/float64/ninf');
+var bigfloat = require('./bigfloat.js');
+var fixed = require('./fixed.js');
+
+// VARIABLES //
+
+var ZERO = BigInt(0);
+var ONE = BigInt(1);
+
+// Guard bits added to the requested precision:
+var GUARD = 16;
+
+// FUNCTIONS //
+
+/**
+* Evaluates `ln(m * 2^e)` for a positive BigInt mantissa `m` in fixed-point arithmetic with `q` fractional bits.
+*
+* ## Method
+*
+* 1.  Write `m * 2^e = y * 2^k`, where `y` is in `[√2/2, √2]`.
+* 2.  Compute `ln(y) = 2 atanh(t)`, where `t = (y-1)/(y+1)` and `|t| <= 0.172`, by summing the odd power series of `atanh`.
+* 3.  Return `k ln(2) + ln(y)`.
+*
+* @private
+* @param {BigInt} m - positive mantissa
+* @param {integer} e - binary exponent
+* @param {integer} q - fractional bits
+* @returns {Object} approximation
+*/
+function lnFixed(m, e, q) {
+    var ONE_Q;
+    var term;
+    var sum;
+    var T2;
+    var Q;
+    var S;
+    var T;
+    var Y;
+    var i;
+    var k;
+    var n;
+
+    Q = BigInt(q);
+    ONE_Q = ONE << Q;
+
+    n = bigfloat.bitLength(m);
+    k = e + n - 1;
+    if (n - 1 <= q) {
+        Y = m << BigInt(q - n + 1);
+    } else {
+        Y = m >> BigInt(n - 1 - q);
+    }
+    if (Y > fixed.sqrt2(q)) {
+        Y >>= ONE;
+        k += 1;
+    }
+    T = ((Y - ONE_Q) << Q) / (Y + ONE_Q);
+    T2 = (T * T) >> Q;
+
+    // Sum the series for `|t|` (right shifts of negative values round toward -∞ and would never reach zero)...
+    term = (T < ZERO) ? -T : T;
+    sum = term;
+    i = 3;
+    while (term !== ZERO) {
+        term = (term * T2) >> Q;
+        sum += term / BigInt(i);
+        i += 2;
+    }
+    if (T < ZERO) {
+        sum = -sum;
+    }
+    S = (BigInt(2) * sum) + (BigInt(k) * fixed.ln2(q));
+    return {
+        'sign': (S < ZERO) ? -1 : 1,
+        'm': (S < ZERO) ? -S : S,
+        'e': -q,
+        'err': BigInt(i + ((k < 0) ? -k : k) + 6)
+    };
+}
+
+// MAIN //
+
+/**
+* Evaluates `ln(x)` to a working precision of at least `p` bits.
+*
+* @private
+* @param {number} x - input value
+* @param {integer} p - precision (in bits)
+* @returns {(number|Object)} exact result or approximation
+*/
+function evaluate(x, p) {
+    var d;
+    if (isnan(x) || x < 0.0) {
+        return NaN;
+    }
+    if (x === 0.0) {
+        return NINF;
+    }
+    if (x === PINF) {
+        return PINF;
+    }
+    if (x === 1.0) {
+        return 0.0;
+    }
+    d = bigfloat.decompose(x);
+    return lnFixed(d.m, d.e, p + GUARD);
+}
+
+// EXPORTS //
+
+module.exports = evaluate;
+module.exports.fixed = lnFixed;
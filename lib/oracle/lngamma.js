@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+* High-precision evaluation of the natural logarithm of the gamma function for positive arguments, in fixed-point arithmetic.
+*
+* Used by the oracles of functions defined in terms of the gamma function (e.g., `beta`).
+*/
+
+var floor = require('@stdlib/math/base/special/floor');
+var bigfloat = require('./bigfloat.js');
+var fixed = require('./fixed.js');
+var lnFixed = require('./ln.js').fixed;
+
+// VARIABLES //
+
+var ZERO = BigInt(0);
+var ONE = BigInt(1);
+var TWO = BigInt(2);
+
+// Guard bits added to the requested precision:
+var GUARD = 8;
+
+// Tangent numbers `T_1, T_2, ...` (1, 2, 16, 272, ...), extended on demand:
+var TANGENT = [];
+
+// FUNCTIONS //
+
+/**
+* Returns the `k`-th tangent number (`k >= 1`).
+*
+* ## Notes
+*
+* -   Tangent numbers are computed with the algorithm of Brent and Harvey (see "Fast computation of Bernoulli, Tangent and Secant numbers", 2011) and cached.
+*
+* @private
+* @param {PositiveInteger} k - index
+* @returns {BigInt} tangent number
+*/
+function tangent(k) {
+    var n;
+    var i;
+    var j;
+
+    if (k <= TANGENT.length) {
+        return TANGENT[k-1];
+    }
+    n = 2 * k;
+    TANGENT = [ ONE ];
+    for (i = 1; i < n; i++) {
+        TANGENT.push(BigInt(i) * TANGENT[i-1]);
+    }
+    for (i = 1; i < n; i++) {
+        for (j = i; j < n; j++) {
+            TANGENT[j] = (BigInt(j-i) * TANGENT[j-1]) + (BigInt(j-i+2) * TANGENT[j]);
+        }
+    }
+    return TANGENT[k-1];
+}
+
+/**
+* Returns the exact sum `m * 2^e + n` as a mantissa and exponent.
+*
+* @private
+* @param {BigInt} m - non-negative mantissa
+* @param {integer} e - binary exponent
+* @param {NonNegativeInteger} n - integer
+* @returns {Array} mantissa and exponent
+*/
+function addInteger(m, e, n) {
+    if (e < 0) {
+        return [ m + (BigInt(n) << BigInt(-e)), e ];
+    }
+    return [ (m << BigInt(e)) + BigInt(n), 0 ];
+}
+
+/**
+* Converts `m * 2^e` to fixed point with `q` fractional bits (truncating).
+*
+* @private
+* @param {BigInt} m - non-negative mantissa
+* @param {integer} e - binary exponent
+* @param {integer} q - fractional bits
+* @returns {BigInt} fixed-point value
+*/
+function toFixed(m, e, q) {
+    if (e + q >= 0) {
+        return m << BigInt(e + q);
+    }
+    return m >> BigInt(-(e + q));
+}
+
+// MAIN //
+
+/**
+* Evaluates `ln Γ(z)` for a positive argument `z = m * 2^e` in fixed-point arithmetic with `q` fractional bits.
+*
+* ## Method
+*
+* 1.  Shift the argument to `w = z + n >= q`, where `n` is a non-negative integer, so that the Stirling series below converges to `q` bits before its terms start growing.
+*
+* 2.  Evaluate the Stirling series
+*
+*     ```tex
+*     \ln\Gamma(w) = (w - \tfrac{1}{2})\ln w - w + \tfrac{1}{2}\ln(2\pi) + \sum_{k \geq 1} \frac{(-1)^{k-1} T_k}{2^{2k}(2^{2k}-1)(2k-1)\,w^{2k-1}}
+*     ```
+*
+*     where `T_k` are the tangent numbers (i.e., `B_{2k}/(2k(2k-1))` written in terms of tangent numbers), until the terms vanish.
+*
+* 3.  Return `ln Γ(w) - ln(z (z+1) ... (z+n-1))`, where the product is exact.
+*
+* ## Notes
+*
+* -   Intermediate values carry as many extra bits as `w` has integer bits, so that the result has an absolute error of a few units of `2^-q` even when `ln Γ(z)` is large.
+*
+* @private
+* @param {BigInt} m - positive mantissa
+* @param {integer} e - binary exponent
+* @param {integer} q - fractional bits
+* @returns {Object} fixed-point result (`v`) and its error bound in units of `2^-q` (`err`)
+*/
+function lnGammaFixed(m, e, q) {
+    var ONE_Q;
+    var term;
+    var inv2;
+    var sum;
+    var err;
+    var den;
+    var inv;
+    var pw;
+    var qq;
+    var Q;
+    var W;
+    var L;
+    var P;
+    var z;
+    var w;
+    var n;
+    var k;
+    var j;
+
+    // Shift the argument...
+    z = bigfloat.toNumber(m, e);
+    n = (z < q) ? q - floor(z) : 0;
+    w = addInteger(m, e, n);
+
+    qq = q + GUARD + ((e + bigfloat.bitLength(m) > 0) ? e + bigfloat.bitLength(m) : 0) + bigfloat.bitLength(BigInt(n));
+    Q = BigInt(qq);
+    ONE_Q = ONE << Q;
+    W = toFixed(w[0], w[1], qq);
+
+    // (w - 1/2) ln(w) - w + ln(2π)/2...
+    L = lnFixed(w[0], w[1], qq);
+    sum = (((W - (ONE_Q >> ONE)) * BigInt(L.sign) * L.m) >> Q) - W;
+    sum += (fixed.ln2(qq) + lnFixed(fixed.pi(qq), -qq, qq).m) >> ONE;
+    err = L.err + BigInt(8);
+
+    // Stirling series...
+    inv = (ONE_Q << Q) / W;
+    inv2 = (inv * inv) >> Q;
+    pw = inv;
+    k = 1;
+    do {
+        den = (ONE << BigInt(2 * k)) * ((ONE << BigInt(2 * k)) - ONE) * BigInt((2 * k) - 1);
+        term = (tangent(k) * pw) / den;
+        if ((k & 1) === 1) {
+            sum += term;
+        } else {
+            sum -= term;
+        }
+        pw = (pw * inv2) >> Q;
+        k += 1;
+    } while (term !== ZERO);
+    err += BigInt(2 * k);
+
+    // Shift back: ln Γ(z) = ln Γ(z+n) - ln(z (z+1) ... (z+n-1))...
+    if (n > 0) {
+        P = ONE;
+        for (j = 0; j < n; j++) {
+            P *= addInteger(m, e, j)[0];
+        }
+        L = lnFixed(P, (e < 0) ? e * n : 0, qq);
+        sum -= BigInt(L.sign) * L.m;
+        err += L.err;
+    }
+    k = BigInt(qq - q);
+    return {
+        'v': sum >> k,
+        'err': (err >> k) + TWO
+    };
+}
+
+// EXPORTS //
+
+module.exports = lnGammaFixed;
@@ -0,0 +1,224 @@
+'use strict';
+
+/**
+* High-precision evaluation of the power function.
+*/
+
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var isinfinite = require('@stdlib/math/base/assert/is-infinite');
+var isInteger = require('@stdlib/math/base/assert/is-integer');
+var isOdd = require('@stdlib/math/base/assert/is-odd');
+var abs = require('@stdlib/math/base/special/abs');
+var PINF = require('@stdlib/constants/float64/pinf');
+var NINF = require('@stdlib/constants/float64/ninf');
+var bigfloat = require('./bigfloat.js');
+var expFixed = require('./exp.js').fixed;
+var lnFixed = require('./ln.js').fixed;
+
+// VARIABLES //
+
+var ZERO = BigInt(0);
+var ONE = BigInt(1);
+var TWO = BigInt(2);
+
+// Guard bits added to the requested precision:
+var GUARD = 16;
+
+// Largest integer exponent for which the power is computed exactly:
+var MAX_EXACT_EXPONENT = 1024;
+
+// exp(710) > FLOAT64_MAX, and exp(-746) is less than half the smallest subnormal:
+var OVERFLOW = BigInt(710);
+var UNDERFLOW = BigInt(-746);
+
+// FUNCTIONS //
+
+/**
+* Returns the special value of `pow(x, y)` for non-finite or zero arguments, and for `|x| = 1`.
+*
+* ## Notes
+*
+* -   Follows ECMAScript `Number::exponentiate`, which stdlib implements (e.g., `pow(1, NaN)` and `pow(-1, ±∞)` are `NaN`, whereas C99 F.9.4.4 requires `1`).
+*
+* @private
+* @param {number} x - base
+* @param {number} y - exponent
+* @returns {(number|null)} special value, or `null` if the arguments are finite and nonzero and `|x| ≠ 1`
+*/
+function special(x, y) {
+    var odd;
+    if (isnan(y)) {
+        return NaN;
+    }
+    if (y === 0.0) {
+        return 1.0;
+    }
+    if (isnan(x)) {
+        return NaN;
+    }
+    odd = isOdd(y);
+    if (x === PINF) {
+        return (y > 0.0) ? PINF : 0.0;
+    }
+    if (x === NINF) {
+        if (y > 0.0) {
+            return (odd) ? NINF : PINF;
+        }
+        return (odd) ? -0.0 : 0.0;
+    }
+    if (x === 0.0) {
+        if (1.0 / x > 0.0) {
+            return (y > 0.0) ? 0.0 : PINF;
+        }
+        if (y > 0.0) {
+            return (odd) ? -0.0 : 0.0;
+        }
+        return (odd) ? NINF : PINF;
+    }
+    if (isinfinite(y)) {
+        if (abs(x) === 1.0) {
+            return NaN;
+        }
+        if ((abs(x) > 1.0) === (y > 0.0)) {
+            return PINF;
+        }
+        return 0.0;
+    }
+    if (x < 0.0 && !isInteger(y)) {
+        return NaN;
+    }
+    if (x === 1.0) {
+        return 1.0;
+    }
+    if (x === -1.0) {
+        return (odd) ? -1.0 : 1.0;
+    }
+    return null;
+}
+
+/**
+* Evaluates `m^n * 2^(e*n)` for an integer exponent `n`.
+*
+* ## Notes
+*
+* -   Positive powers are exact. Negative powers are computed as a quotient, truncated to at least `q` significant bits.
+*
+* @private
+* @param {BigInt} m - positive mantissa
+* @param {integer} e - binary exponent
+* @param {integer} n - nonzero integer exponent
+* @param {integer} q - precision (in bits) of negative powers
+* @returns {Object} approximation (without sign)
+*/
+function integerPower(m, e, n, q) {
+    var M;
+    var b;
+    var k;
+
+    // Exponentiation by squaring...
+    k = (n < 0) ? -n : n;
+    M = ONE;
+    b = m;
+    while (k > 0) {
+        if (k % 2 === 1) {
+            M *= b;
+        }
+        k = (k - (k % 2)) / 2;
+        if (k > 0) {
+            b *= b;
+        }
+    }
+    if (n > 0) {
+        return {
+            'm': M,
+            'e': e * n,
+            'err': ZERO
+        };
+    }
+    k = bigfloat.bitLength(M) + q;
+    return {
+        'm': (ONE << BigInt(k)) / M,
+        'e': (e * n) - k,
+        'err': ONE
+    };
+}
+
+// MAIN //
+
+/**
+* Evaluates `pow(x, y)` to a working precision of at least `p` bits.
+*
+* ## Method
+*
+* 1.  Return special values for non-finite or zero arguments and for `|x| = 1` (see `special`).
+* 2.  For integer exponents `|y| <= 1024`, compute the power of the exact mantissa (see `integerPower`).
+* 3.  Otherwise, compute `y ln|x|` in fixed-point arithmetic, with enough fractional bits of `ln|x|` that the product is accurate to `p` fractional bits, and return `exp(y ln|x|)`, negated for negative bases and odd integer exponents.
+*
+* @private
+* @param {number} x - base
+* @param {number} y - exponent
+* @param {integer} p - precision (in bits)
+* @returns {(number|Object)} exact result or approximation
+*/
+function evaluate(x, y, p) {
+    var extra;
+    var sign;
+    var Xerr;
+    var ey;
+    var dx;
+    var dy;
+    var a;
+    var L;
+    var P;
+    var X;
+    var q;
+    var s;
+    var v;
+
+    v = special(x, y);
+    if (v !== null) {
+        return v;
+    }
+    sign = (x < 0.0 && isOdd(y)) ? -1 : 1;
+    dx = bigfloat.decompose(abs(x));
+    q = p + GUARD;
+    if (isInteger(y) && abs(y) <= MAX_EXACT_EXPONENT) {
+        a = integerPower(dx.m, dx.e, y, q);
+        return {
+            'sign': sign,
+            'm': a.m,
+            'e': a.e,
+            'err': a.err
+        };
+    }
+    dy = bigfloat.decompose(y);
+
+    // Number of integer bits of `y`, which scale the error of `ln|x|`:
+    ey = dy.e + bigfloat.bitLength(dy.m);
+    extra = ((ey > 0) ? ey : 0) + 2;
+    L = lnFixed(dx.m, dx.e, q + extra);
+
+    // X = y ln|x| with `q` fractional bits...
+    P = BigInt(dy.sign * L.sign) * dy.m * L.m;
+    s = dy.e - extra;
+    X = (s >= 0) ? P << BigInt(s) : P >> BigInt(-s);
+    Xerr = L.err + TWO;
+
+    if (X > (OVERFLOW << BigInt(q))) {
+        return (sign < 0) ? NINF : PINF;
+    }
+    if (X < (UNDERFLOW << BigInt(q))) {
+        return (sign < 0) ? -0.0 : 0.0;
+    }
+    a = expFixed(X, q);
+    return {
+        'sign': sign,
+        'm': a.m,
+        'e': a.e,
+        'err': a.err + (TWO * Xerr)
+    };
+}
+
+// EXPORTS //
+
+module.exports = evaluate;
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+* High-precision evaluation of the square root.
+*/
+
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var PINF = require('@stdlib/constants/float64/pinf');
+var decompose = require('./bigfloat.js').decompose;
+var isqrt = require('./fixed.js').isqrt;
+
+// VARIABLES //
+
+var ZERO = BigInt(0);
+var ONE = BigInt(1);
+
+// MAIN //
+
+/**
+* Evaluates `sqrt(x)` to a precision of at least `p` bits.
+*
+* ## Notes
+*
+* -   The square root is computed as an integer square root of the scaled mantissa, so the result is exact whenever the remainder vanishes (e.g., `sqrt(4)`), and is otherwise known to lie strictly between two consecutive integers.
+*
+* @private
+* @param {number} x - input value
+* @param {integer} p - precision (in bits)
+* @returns {(number|Object)} exact result or approximation
+*/
+function evaluate(x, p) {
+    var M;
+    var R;
+    var d;
+    var m;
+    var e;
+
+    if (isnan(x) || x < 0.0) {
+        return NaN;
+    }
+    if (x === 0.0 || x === PINF) {
+        // Preserves the sign of zero:
+        return x;
+    }
+    d = decompose(x);
+    m = d.m;
+    e = d.e;
+    if (e % 2 !== 0) {
+        m <<= ONE;
+        e -= 1;
+    }
+    M = m << BigInt(2 * p);
+    R = isqrt(M);
+    return {
+        'sign': 1,
+        'm': R,
+        'e': (e / 2) - p,
+        'err': (R * R === M) ? ZERO : ONE
+    };
+}
+
+// EXPORTS //
+
+module.exports = evaluate;
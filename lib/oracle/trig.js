@@ -0,0 +1,287 @@
+'use strict';
+
+/**
+* High-precision evaluation of the sine, cosine and tangent.
+*/
+
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var isinfinite = require('@stdlib/math/base/assert/is-infinite');
+var bigfloat = require('./bigfloat.js');
+var fixed = require('./fixed.js');
+
+// VARIABLES //
+
+var ZERO = BigInt(0);
+var ONE = BigInt(1);
+var TWO = BigInt(2);
+var THREE = BigInt(3);
+var FOUR = BigInt(4);
+
+// Guard bits added to the requested precision:
+var GUARD = 16;
+
+// FUNCTIONS //
+
+/**
+* Returns the absolute value of a BigInt.
+*
+* @private
+* @param {BigInt} v - value
+* @returns {BigInt} absolute value
+*/
+function babs(v) {
+    return (v < ZERO) ? -v : v;
+}
+
+/**
+* Reduces an argument modulo `π/2`.
+*
+* ## Method
+*
+* 1.  Compute `π/2` with as many fractional bits as the argument has integer bits, in addition to the working precision, so that the reduction of large arguments (up to `FLOAT64_MAX`, by multiples of `π/2` with up to 1024 bits) is accurate.
+* 2.  Compute `r = |x| - k π/2`, where `k` is the nearest integer to `|x| / (π/2)`, so that `|r| <= π/4`.
+* 3.  If `r` is so close to zero (i.e., `|x|` is close to a multiple of `π/2`) that the cancellation leaves fewer than `q` significant bits, repeat with more bits.
+*
+* @private
+* @param {BigInt} m - mantissa of `|x|`
+* @param {integer} e - exponent of `|x|`
+* @param {integer} q - number of significant bits
+* @returns {Object} reduced argument (`r`, with `w` fractional bits), its error bound in units of `2^-w` (`err`) and the quadrant (`k mod 4`)
+*/
+function reduce(m, e, q) {
+    var bits;
+    var err;
+    var H;
+    var X;
+    var k;
+    var r;
+    var w;
+
+    // Large arguments need as many more bits as they have integer bits, and small arguments as many as they have leading fractional zeros:
+    bits = e + bigfloat.bitLength(m);
+    w = q + GUARD + ((bits > 0) ? bits : -bits);
+    while (true) {
+        // `π/2` truncated to `w` bits is within two units of the exact value, so `r` is within `2 (k+1)` units:
+        H = fixed.pi(w) >> ONE;
+        X = fixed.fromFloat(1, m, e, w);
+        k = (X + (H >> ONE)) / H;
+        r = X - (k * H);
+        err = TWO * (k + ONE);
+        if (bigfloat.bitLength(babs(r)) - bigfloat.bitLength(err) >= q) {
+            return {
+                'r': r,
+                'w': w,
+                'err': err,
+                'quadrant': Number(k % FOUR)
+            };
+        }
+        w += q;
+    }
+}
+
+/**
+* Evaluates `sin(r)` and `cos(r)` in fixed-point arithmetic with `w` fractional bits, for `|r| <= π/4`.
+*
+* @private
+* @param {BigInt} R - fixed-point argument
+* @param {integer} w - fractional bits
+* @param {BigInt} err - error bound of the argument (in units of `2^-w`)
+* @returns {Object} sine (`sin`), cosine (`cos`) and their error bound in units of `2^-w` (`err`)
+*/
+function sincos(R, w, err) {
+    var term;
+    var sin;
+    var cos;
+    var R2;
+    var W;
+    var n;
+
+    W = BigInt(w);
+    R2 = (R * R) >> W;
+
+    sin = R;
+    term = R;
+    n = 1;
+    while (term !== ZERO) {
+        term = -((term * R2) >> W) / BigInt((n+1) * (n+2));
+        sin += term;
+        n += 2;
+    }
+    cos = ONE << W;
+    term = cos;
+    n = 0;
+    while (term !== ZERO) {
+        term = -((term * R2) >> W) / BigInt((n+1) * (n+2));
+        cos += term;
+        n += 2;
+    }
+    // Both derivatives are bounded by one, and each term adds at most two units of rounding error:
+    return {
+        'sin': sin,
+        'cos': cos,
+        'err': (TWO * err) + BigInt((2*n) + 4)
+    };
+}
+
+/**
+* Returns a fixed-point value as a floating approximation.
+*
+* @private
+* @param {integer} sign - sign of the result (`-1` or `1`)
+* @param {BigInt} v - fixed-point value
+* @param {integer} w - fractional bits
+* @param {BigInt} err - error bound (in units of `2^-w`)
+* @returns {Object} approximation
+*/
+function approximation(sign, v, w, err) {
+    return {
+        'sign': (v < ZERO) ? -sign : sign,
+        'm': babs(v),
+        'e': -w,
+        'err': err
+    };
+}
+
+/**
+* Returns the quotient of two fixed-point values as a floating approximation.
+*
+* @private
+* @param {integer} sign - sign of the result (`-1` or `1`)
+* @param {BigInt} N - numerator
+* @param {BigInt} D - denominator
+* @param {integer} w - fractional bits of the operands and of the result
+* @param {BigInt} err - error bound of both operands (in units of `2^-w`)
+* @returns {Object} approximation
+*/
+function quotient(sign, N, D, w, err) {
+    var T;
+    var n;
+    var d;
+
+    n = babs(N);
+    d = babs(D);
+    T = (n << BigInt(w)) / d;
+
+    // The relative error of the quotient is bounded by the sum of the relative errors of the operands (doubled, to cover their products):
+    return approximation(((N < ZERO) !== (D < ZERO)) ? -sign : sign, T, w, (TWO * (((T * err) / n) + ((T * err) / d))) + THREE);
+}
+
+/**
+* Returns the special value of a trigonometric function, if any.
+*
+* @private
+* @param {number} x - input value
+* @param {number} zero - value at `±0` (`NaN` if the function is odd)
+* @returns {(number|null)} special value, or `null` if the argument is finite and nonzero
+*/
+function special(x, zero) {
+    if (isnan(x) || isinfinite(x)) {
+        return NaN;
+    }
+    if (x === 0.0) {
+        return (isnan(zero)) ? x : zero;
+    }
+    return null;
+}
+
+// MAIN //
+
+/**
+* Evaluates `sin(x)` to a working precision of at least `p` bits.
+*
+* ## Method
+*
+* 1.  Reduce `|x|` modulo `π/2` to `r` and the quadrant `k` (see `reduce`).
+* 2.  Return `±sin(r)` or `±cos(r)`, depending on the quadrant, and apply the sign of `x` (the sine is odd).
+*
+* @private
+* @param {number} x - input value
+* @param {integer} p - precision (in bits)
+* @returns {(number|Object)} exact result or approximation
+*/
+function sin(x, p) {
+    var d;
+    var t;
+    var s;
+    var v;
+
+    v = special(x, NaN);
+    if (v !== null) {
+        return v;
+    }
+    d = bigfloat.decompose(x);
+    t = reduce(d.m, d.e, p + GUARD);
+    s = sincos(t.r, t.w, t.err);
+    v = (t.quadrant & 1) ? s.cos : s.sin;
+    return approximation((t.quadrant & 2) ? -d.sign : d.sign, v, t.w, s.err);
+}
+
+/**
+* Evaluates `cos(x)` to a working precision of at least `p` bits.
+*
+* ## Method
+*
+* 1.  Reduce `|x|` modulo `π/2` to `r` and the quadrant `k` (see `reduce`).
+* 2.  Return `±cos(r)` or `±sin(r)`, depending on the quadrant (the cosine is even).
+*
+* @private
+* @param {number} x - input value
+* @param {integer} p - precision (in bits)
+* @returns {(number|Object)} exact result or approximation
+*/
+function cos(x, p) {
+    var d;
+    var t;
+    var s;
+    var v;
+
+    v = special(x, 1.0);
+    if (v !== null) {
+        return v;
+    }
+    d = bigfloat.decompose(x);
+    t = reduce(d.m, d.e, p + GUARD);
+    s = sincos(t.r, t.w, t.err);
+    v = (t.quadrant & 1) ? s.sin : s.cos;
+    return approximation((t.quadrant === 1 || t.quadrant === 2) ? -1 : 1, v, t.w, s.err);
+}
+
+/**
+* Evaluates `tan(x)` to a working precision of at least `p` bits.
+*
+* ## Method
+*
+* 1.  Reduce `|x|` modulo `π/2` to `r` and the quadrant `k` (see `reduce`).
+* 2.  Return `sin(r)/cos(r)` for even quadrants and `-cos(r)/sin(r)` for odd quadrants, and apply the sign of `x` (the tangent is odd).
+*
+* @private
+* @param {number} x - input value
+* @param {integer} p - precision (in bits)
+* @returns {(number|Object)} exact result or approximation
+*/
+function tan(x, p) {
+    var d;
+    var t;
+    var s;
+    var v;
+
+    v = special(x, NaN);
+    if (v !== null) {
+        return v;
+    }
+    d = bigfloat.decompose(x);
+    t = reduce(d.m, d.e, p + GUARD);
+    s = sincos(t.r, t.w, t.err);
+    if (t.quadrant & 1) {
+        return quotient(-d.sign, s.cos, s.sin, t.w, s.err);
+    }
+    return quotient(d.sign, s.sin, s.cos, t.w, s.err);
+}
+
+// EXPORTS //
+
+module.exports = {
+    'sin': sin,
+    'cos': cos,
+    'tan': tan
+};
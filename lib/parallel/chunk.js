@@ -0,0 +1,261 @@
+'use strict';
+
+/**
+* Evaluation of a chunk of test points.
+*
+* A chunk's statistics are partial sums, maxima and histogram counts which
+* are combined with `merge`. Since chunks are fixed ranges of test point
+* indices, merged in index order, the merged statistics do not depend on
+* which thread evaluated which chunk.
+*
+* Test points of functions of two arguments are stored as interleaved
+* pairs (`x0, y0, x1, y1, ...`); statistics refer to test points by index.
+*/
+
+var abs = require('@stdlib/math/base/special/abs');
+var hasOwnProp = require('@stdlib/assert/has-own-property');
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var isinfinite = require('@stdlib/math/base/assert/is-infinite');
+var ulp = require('./../ulp.js');
+var impl = require('./../implementations.js');
+var histogram = require('./../histogram.js');
+var bigfloat = require('./../oracle/bigfloat.js');
+
+// FUNCTIONS //
+
+/**
+* Returns an accumulator for the error of an implementation against a reference.
+*
+* @private
+* @returns {Object} accumulator
+*/
+function errorStats() {
+    return {
+        'n': 0,
+        'nNaN': 0,
+        'nCorrect': 0,
+        'nFaithful': 0,
+        'max': 0.0,
+        'sum': 0.0,
+        'worstIndex': -1,
+        'worstError': 0.0,
+        'histogram': histogram.create()
+    };
+}
+
+/**
+* Updates an error accumulator with the signed ULP error of one result.
+*
+* ## Notes
+*
+* -   Errors are undefined (`NaN`) only where the exact result is `NaN` and the result is not, and such test points are not measured. `NaN` results where the exact result is not `NaN` have an infinite error and are counted separately (`nNaN`).
+*
+* @private
+* @param {Object} stats - accumulator
+* @param {NonNegativeInteger} i - test point index
+* @param {number} v - result
+* @param {number} err - signed ULP error
+*/
+function updateErrorStats(stats, i, v, err) {
+    var e;
+    if (isnan(err)) {
+        return;
+    }
+    e = abs(err);
+    stats.n += 1;
+    if (isnan(v) && e !== 0.0) {
+        stats.nNaN += 1;
+    }
+    stats.sum += e;
+    histogram.add(stats.histogram, e);
+    if (e <= 0.5) {
+        stats.nCorrect += 1;
+    }
+    if (e <= 1.0) {
+        stats.nFaithful += 1;
+    }
+    if (e > stats.max) {
+        stats.max = e;
+        stats.worstIndex = i;
+        stats.worstError = err;
+    }
+}
+
+/**
+* Merges an error accumulator into another.
+*
+* ## Notes
+*
+* -   The accumulator being merged must cover later test points, so that ties keep the first worst case.
+*
+* @private
+* @param {Object} stats - accumulator to update
+* @param {Object} other - accumulator of later test points
+*/
+function mergeErrorStats(stats, other) {
+    stats.n += other.n;
+    stats.nNaN += other.nNaN;
+    stats.nCorrect += other.nCorrect;
+    stats.nFaithful += other.nFaithful;
+    stats.sum += other.sum;
+    histogram.merge(stats.histogram, other.histogram);
+    if (other.max > stats.max) {
+        stats.max = other.max;
+        stats.worstIndex = other.worstIndex;
+        stats.worstError = other.worstError;
+    }
+}
+
+// MAIN //
+
+/**
+* Returns empty chunk statistics.
+*
+* @param {Array<string>} ids - implementation identifiers
+* @returns {Object} statistics
+*/
+function create(ids) {
+    var out = {
+        'nTotal': 0,
+        'nAgree': 0,
+        'totalDiff': 0.0,
+        'maxUlpDiff': 0.0,
+        'worstDiff': 0.0,
+        'worstIndex': -1,
+        'errors': {}
+    };
+    var i;
+    for (i = 0; i < ids.length; i++) {
+        out.errors[ids[i]] = errorStats();
+    }
+    return out;
+}
+
+/**
+* Evaluates the implementations of a function on the test points `[start, end)`.
+*
+* ## Notes
+*
+* -   Each implementation is measured against the reference oracle. The first two implementations (stdlib and native `Math`) are also compared with each other (agreement statistics).
+* -   For functions of two arguments, `points` holds interleaved pairs and `start` and `end` are pair indices.
+*
+* @param {string} name - function name
+* @param {Array<Object>} impls - implementation descriptions (see `implementations.resolve`)
+* @param {Float64Array} points - test points
+* @param {NonNegativeInteger} start - index of the first test point
+* @param {NonNegativeInteger} end - index after the last test point
+* @param {Object} errors - output arrays for the absolute ULP errors of each implementation (keyed by implementation identifier)
+* @returns {Object} chunk statistics
+*/
+function evaluate(name, impls, points, start, end, errors) {
+    var reference;
+    var binary;
+    var truth;
+    var stdlibVal;
+    var nativeVal;
+    var stats;
+    var diff;
+    var err;
+    var fns;
+    var ids;
+    var v;
+    var x;
+    var y;
+    var i;
+    var j;
+
+    fns = [];
+    ids = [];
+    for (j = 0; j < impls.length; j++) {
+        fns.push(impl.resolve(impls[j], name));
+        ids.push(impls[j].id);
+    }
+    reference = impl.reference(name);
+    binary = (reference.arity === 2);
+    stats = create(ids);
+    for (i = start; i < end; i++) {
+        if (binary) {
+            x = points[2*i];
+            y = points[(2*i)+1];
+            truth = reference.approximate(x, y);
+        } else {
+            x = points[i];
+            truth = reference.approximate(x);
+        }
+
+        // Measure each implementation against the true value (evaluated once per test point)...
+        for (j = 0; j < fns.length; j++) {
+            v = (binary) ? fns[j](x, y) : fns[j](x);
+            err = bigfloat.ulpError(v, truth);
+            updateErrorStats(stats.errors[ids[j]], i, v, err);
+            errors[ids[j]][i] = abs(err);
+            if (j === 0) {
+                stdlibVal = v;
+            } else if (j === 1) {
+                nativeVal = v;
+            }
+        }
+
+        // Skip cases where both return non-finite values...
+        if (isnan(stdlibVal) && isnan(nativeVal)) {
+            continue;
+        }
+        if (isinfinite(stdlibVal) && isinfinite(nativeVal)) {
+            if (stdlibVal === nativeVal) {
+                continue;
+            }
+        }
+
+        stats.nTotal += 1;
+
+        if (stdlibVal === nativeVal) {
+            stats.nAgree += 1;
+            continue;
+        }
+
+        // Signed offset of the native result relative to stdlib...
+        diff = ulp.distance(nativeVal, stdlibVal);
+        if (!isnan(diff)) {
+            stats.totalDiff += abs(diff);
+            if (abs(diff) > stats.maxUlpDiff) {
+                stats.maxUlpDiff = abs(diff);
+                stats.worstDiff = diff;
+                stats.worstIndex = i;
+            }
+        }
+    }
+    return stats;
+}
+
+/**
+* Merges the statistics of a chunk into the statistics of the preceding chunks.
+*
+* @param {Object} stats - statistics to update
+* @param {Object} other - statistics of the next chunk
+* @returns {Object} updated statistics
+*/
+function merge(stats, other) {
+    var id;
+    stats.nTotal += other.nTotal;
+    stats.nAgree += other.nAgree;
+    stats.totalDiff += other.totalDiff;
+    if (other.maxUlpDiff > stats.maxUlpDiff) {
+        stats.maxUlpDiff = other.maxUlpDiff;
+        stats.worstDiff = other.worstDiff;
+        stats.worstIndex = other.worstIndex;
+    }
+    for (id in stats.errors) {
+        if (hasOwnProp(stats.errors, id)) {
+            mergeErrorStats(stats.errors[id], other.errors[id]);
+        }
+    }
+    return stats;
+}
+
+// EXPORTS //
+
+module.exports = {
+    'create': create,
+    'evaluate': evaluate,
+    'merge': merge
+};
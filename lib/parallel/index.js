@@ -0,0 +1,297 @@
+'use strict';
+
+/**
+* Parallel Evaluation Engine
+*
+* Evaluates implementations of functions on arrays of test points against
+* their reference oracles, optionally spreading the work across
+* `worker_threads`.
+*
+* Each job's test points are split into chunks of `CHUNK_SIZE` consecutive
+* points, independently of the number of workers. Workers evaluate chunks
+* as they become free, writing the errors of each test point to shared
+* arrays, and the chunk statistics are merged in chunk order once all of
+* them have been evaluated. Hence, the merged statistics (including sums,
+* which depend on the order of floating-point additions, and the first of
+* tied worst cases) are identical for any number of workers, including a
+* single in-process run.
+*
+* Jobs of functions of two arguments (`arity: 2`) hold interleaved `(x, y)`
+* pairs; chunks and error arrays then count pairs.
+*
+* @example
+* var linspace = require('@stdlib/array/linspace');
+* var run = require('./lib/parallel');
+*
+* var jobs = [{
+*     'name': 'exp',
+*     'impls': [{ 'id': 'stdlib' }, { 'id': 'native' }],
+*     'points': linspace(-10.0, 10.0, 100000)
+* }];
+* run(jobs, { 'workers': 4 }, done);
+*
+* function done(error, results) {
+*     if (error) {
+*         throw error;
+*     }
+*     console.log(results[0].stats.errors.stdlib.max);
+* }
+*/
+
+var resolve = require('path').resolve;
+var Worker = require('worker_threads').Worker;
+var min = require('@stdlib/math/base/special/min');
+var hasOwnProp = require('@stdlib/assert/has-own-property');
+var chunk = require('./chunk.js');
+
+// VARIABLES //
+
+/**
+* Number of test points per chunk.
+*
+* @private
+* @type {PositiveInteger}
+*/
+var CHUNK_SIZE = 16384;
+
+var WORKER = resolve(__dirname, 'worker.js');
+
+// FUNCTIONS //
+
+/**
+* Returns a `Float64Array` backed by a `SharedArrayBuffer`.
+*
+* @private
+* @param {NonNegativeInteger} n - number of elements
+* @returns {Float64Array} array
+*/
+function shared(n) {
+    return new Float64Array(new SharedArrayBuffer(n * Float64Array.BYTES_PER_ELEMENT));
+}
+
+// MAIN //
+
+/**
+* Evaluates jobs, optionally in parallel.
+*
+* @param {Array<Object>} jobs - jobs (function `name`, implementation descriptions `impls`, test `points` and, optionally, the function `arity`)
+* @param {Options} [options] - options
+* @param {PositiveInteger} [options.workers=1] - number of worker threads (`1` evaluates all chunks in the calling thread)
+* @param {Callback} clbk - callback invoked with an error, if any, and the results of each job (merged statistics `stats`, whose worst cases are test point indices, and absolute ULP errors `errors[id]` of each implementation at each test point)
+*/
+function run(jobs, options, clbk) {
+    var results;
+    var arrays;
+    var tasks;
+    var errors;
+    var start;
+    var n;
+    var j;
+    var k;
+
+    options = options || {};
+    arrays = [];
+    tasks = [];
+    for (j = 0; j < jobs.length; j++) {
+        n = jobs[j].points.length / (jobs[j].arity || 1);
+        errors = {};
+        for (k = 0; k < jobs[j].impls.length; k++) {
+            errors[jobs[j].impls[k].id] = shared(n);
+        }
+        arrays.push({
+            'name': jobs[j].name,
+            'impls': jobs[j].impls,
+            'points': shared(jobs[j].points.length),
+            'errors': errors
+        });
+        arrays[j].points.set(jobs[j].points);
+        for (start = 0; start < n; start += CHUNK_SIZE) {
+            tasks.push({
+                'index': tasks.length,
+                'job': j,
+                'start': start,
+                'end': min(n, start + CHUNK_SIZE)
+            });
+        }
+    }
+    results = [];
+    if ((options.workers || 1) <= 1 || tasks.length <= 1) {
+        return runSerial();
+    }
+    return runPool(min(options.workers, tasks.length));
+
+    /**
+    * Evaluates all chunks in the calling thread.
+    *
+    * @private
+    * @returns {void}
+    */
+    function runSerial() {
+        var a;
+        var t;
+        var i;
+
+        for (i = 0; i < tasks.length; i++) {
+            t = tasks[i];
+            a = arrays[t.job];
+            try {
+                results.push(chunk.evaluate(a.name, a.impls, a.points, t.start, t.end, a.errors));
+            } catch (err) {
+                // Report errors thrown by implementations as the worker pool does (see `onError`):
+                return process.nextTick(clbk, err);
+            }
+        }
+        process.nextTick(done);
+    }
+
+    /**
+    * Evaluates chunks on a pool of worker threads.
+    *
+    * @private
+    * @param {PositiveInteger} size - number of workers
+    */
+    function runPool(size) {
+        var pending;
+        var failed;
+        var workers;
+        var buffers;
+        var next;
+        var data;
+        var id;
+        var w;
+        var i;
+
+        data = [];
+        for (i = 0; i < arrays.length; i++) {
+            buffers = {};
+            for (id in arrays[i].errors) {
+                if (hasOwnProp(arrays[i].errors, id)) {
+                    buffers[id] = arrays[i].errors[id].buffer;
+                }
+            }
+            data.push({
+                'name': arrays[i].name,
+                'impls': arrays[i].impls,
+                'points': arrays[i].points.buffer,
+                'errors': buffers
+            });
+        }
+        pending = tasks.length;
+        failed = false;
+        workers = [];
+        next = 0;
+        for (i = 0; i < size; i++) {
+            w = new Worker(WORKER, {
+                'workerData': {
+                    'jobs': data
+                }
+            });
+            w.on('message', onMessage(w));
+            w.on('error', onError);
+            w.on('exit', onExit);
+            workers.push(w);
+            dispatch(w);
+        }
+
+        /**
+        * Sends the next task to a worker.
+        *
+        * @private
+        * @param {Worker} worker - idle worker
+        */
+        function dispatch(worker) {
+            if (next < tasks.length) {
+                worker.postMessage(tasks[next]);
+                next += 1;
+            }
+        }
+
+        /**
+        * Returns a callback for the results sent by a worker.
+        *
+        * @private
+        * @param {Worker} worker - worker
+        * @returns {Function} callback
+        */
+        function onMessage(worker) {
+            return function onResult(msg) {
+                results[msg.index] = msg.stats;
+                pending -= 1;
+                if (pending === 0) {
+                    terminate();
+                    return done();
+                }
+                dispatch(worker);
+            };
+        }
+
+        /**
+        * Callback invoked when a worker throws an uncaught exception.
+        *
+        * @private
+        * @param {Error} error - error
+        */
+        function onError(error) {
+            if (failed) {
+                return;
+            }
+            failed = true;
+            terminate();
+            clbk(error);
+        }
+
+        /**
+        * Callback invoked when a worker exits.
+        *
+        * @private
+        * @param {integer} code - exit code
+        */
+        function onExit(code) {
+            if (pending > 0 && code !== 0) {
+                onError(new Error('unexpected error. Worker thread exited with code ' + code + '.'));
+            }
+        }
+
+        /**
+        * Terminates all workers.
+        *
+        * @private
+        */
+        function terminate() {
+            var k;
+            for (k = 0; k < workers.length; k++) {
+                workers[k].terminate();
+            }
+        }
+    }
+
+    /**
+    * Merges the chunk statistics of each job in chunk order.
+    *
+    * @private
+    */
+    function done() {
+        var ids;
+        var out;
+        var t;
+        var i;
+
+        out = [];
+        for (i = 0; i < arrays.length; i++) {
+            ids = Object.keys(arrays[i].errors);
+            out.push({
+                'stats': chunk.create(ids),
+                'errors': arrays[i].errors
+            });
+        }
+        for (i = 0; i < tasks.length; i++) {
+            t = tasks[i];
+            chunk.merge(out[t.job].stats, results[i]);
+        }
+        clbk(null, out);
+    }
+}
+
+// EXPORTS //
+
+module.exports = run;
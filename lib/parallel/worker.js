@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+* Worker thread evaluating chunks of test points (see `./index.js`).
+*
+* The test points and error arrays of every job are shared with the main
+* thread (`SharedArrayBuffer`s passed as worker data); each message names a
+* job and a chunk, and the reply carries the chunk's statistics.
+*/
+
+var workerThreads = require('worker_threads');
+var hasOwnProp = require('@stdlib/assert/has-own-property');
+var evaluate = require('./chunk.js').evaluate;
+
+// VARIABLES //
+
+var parentPort = workerThreads.parentPort;
+var JOBS = workerThreads.workerData.jobs;
+
+// MAIN //
+
+/**
+* Evaluates a chunk.
+*
+* @private
+* @param {Object} task - task
+* @param {NonNegativeInteger} task.index - task index
+* @param {NonNegativeInteger} task.job - job index
+* @param {NonNegativeInteger} task.start - index of the first test point
+* @param {NonNegativeInteger} task.end - index after the last test point
+*/
+function onMessage(task) {
+    var errors;
+    var job;
+    var id;
+
+    job = JOBS[task.job];
+    errors = {};
+    for (id in job.errors) {
+        if (hasOwnProp(job.errors, id)) {
+            errors[id] = new Float64Array(job.errors[id]);
+        }
+    }
+    parentPort.postMessage({
+        'index': task.index,
+        'stats': evaluate(job.name, job.impls, new Float64Array(job.points), task.start, task.end, errors)
+    });
+}
+
+parentPort.on('message', onMessage);
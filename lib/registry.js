@@ -0,0 +1,632 @@
+/**
+* Function Registry
+*
+* Single source of truth for the functions explored by the CLI (compare,
+* edge cases, plots) and the web application (plotter, accuracy explorer,
+* edge case table, benchmark). Each entry describes one function:
+*
+* -   `name`: registry key (also used for `--fn` on the command line).
+* -   `title`, `label`, `group`: display names and the menu group.
+* -   `summary`, `desc`, `domain`, `codomain`, `props`: metadata (short and long descriptions, notable values).
+* -   `stdlib`: the candidate implementation, either a stdlib package path or `{ deps, factory }` for functions composed from stdlib packages.
+* -   `float32`: (optional) stdlib package path of the single-precision variant (e.g., `lnf`). Functions without one are evaluated in single precision by wrapping the double-precision implementation with `Math.fround`.
+* -   `native`, `nativeLabel`: the native JavaScript implementation (or a mock where `Math` has none).
+* -   `reference`: name of the high-precision oracle in `lib/oracle/` (`null` if none).
+* -   `arity`: (optional) number of arguments (`1` or `2`). Default: `1`.
+* -   `args`: (optional) argument names of functions of two arguments, in call order (e.g., `['y', 'x']` for `atan2`).
+* -   `ranges`: default accuracy test ranges (`{ min, max, n, generator?, label?, note? }`), where `generator` is the test point generator of the range (default: `'linear'`; see `lib/generators.js`). Ranges of functions of two arguments span a rectangle (`{ x: [min, max], y: [min, max], n, generator?, label?, note? }`), where `x` and `y` are the ranges of the first and second arguments; `'linear'` tests a regular grid of about `n` points and `'uniform'` tests `n` uniformly distributed pairs.
+* -   `hazards`: (optional) inputs near which the function is hard to evaluate accurately (`{ multiples?, points?, width? }`: periodic hazards at the integer multiples of `multiples`, isolated hazards `points`, and the largest distance `width` of the `hazard` generator's test points from a hazard).
+* -   `plotRange`: default plot range (of the first argument).
+* -   `plotRangeY`: default plot range of the second argument of functions of two arguments.
+* -   `featured`: whether the function is shown by default in overviews (ASCII plots, edge case table).
+*
+* Stdlib package paths are resolved by the consumer (see
+* `lib/implementations.js` and, for the web app's stdlib bundle,
+* `scripts/build_web_bundle.js`). Edge cases and special values are
+* specified separately, in `data/edge_cases.js`.
+*/
+
+(function factory(root) {
+    'use strict';
+
+    // VARIABLES //
+
+    var PI = 3.141592653589793;
+    var TWO_PI = 6.283185307179586;
+    var HALF_PI = 1.5707963267948966;
+    var LN2 = 0.6931471805599453;
+    var PINF = Infinity;
+    var NINF = -Infinity;
+
+    // Abramowitz and Stegun 7.1.26 coefficients...
+    var AS_A1 = 0.254829592;
+    var AS_A2 = -0.284496736;
+    var AS_A3 = 1.421413741;
+    var AS_A4 = -1.453152027;
+    var AS_A5 = 1.061405429;
+    var AS_P = 0.3275911;
+
+    var ERF_MOCK_LABEL = 'n/a (using rational approximation mock)';
+
+    // Lanczos coefficients (g = 5, n = 6) of Numerical Recipes' `gammln`...
+    var LANCZOS = [
+        76.18009172947146,
+        -86.50532032941677,
+        24.01409824083091,
+        -1.231739572450155,
+        0.1208650973866179e-2,
+        -0.5395239384953e-5
+    ];
+    var LANCZOS_SCALE = 2.5066282746310005;
+
+    // FUNCTIONS //
+
+    /**
+    * Evaluates the Abramowitz and Stegun 7.1.26 approximation of `erfc(|x|)`.
+    *
+    * @private
+    * @param {number} x - input value
+    * @returns {number} function value
+    */
+    function asErfc(x) {
+        var t;
+        x = Math.abs(x);
+        t = 1.0 / (1.0 + AS_P * x);
+        return (((((AS_A5 * t + AS_A4) * t) + AS_A3) * t + AS_A2) * t + AS_A1) * t * Math.exp(-x * x);
+    }
+
+    /**
+    * Mock "native" erf for comparison, since JS Math has no erf.
+    *
+    * ## Notes
+    *
+    * -   Uses the Abramowitz and Stegun 7.1.26 rational approximation.
+    *
+    * @private
+    * @param {number} x - input value
+    * @returns {number} function value
+    */
+    function nativeErf(x) {
+        var y = 1.0 - asErfc(x);
+        return (x < 0) ? -y : y;
+    }
+
+    /**
+    * Mock "native" erfc for comparison, since JS Math has no erfc.
+    *
+    * @private
+    * @param {number} x - input value
+    * @returns {number} function value
+    */
+    function nativeErfc(x) {
+        var y = asErfc(x);
+        return (x < 0) ? 2.0 - y : y;
+    }
+
+    /**
+    * Evaluates the natural logarithm of the gamma function for positive arguments.
+    *
+    * ## Notes
+    *
+    * -   Uses the Lanczos approximation of Numerical Recipes' `gammln`, which has a relative error below `2e-10`.
+    *
+    * @private
+    * @param {number} x - input value
+    * @returns {number} function value
+    */
+    function lanczosGammaln(x) {
+        var ser;
+        var tmp;
+        var y;
+        var i;
+        y = x;
+        tmp = x + 5.5;
+        tmp -= (x + 0.5) * Math.log(tmp);
+        ser = 1.000000000190015;
+        for (i = 0; i < LANCZOS.length; i++) {
+            y += 1.0;
+            ser += LANCZOS[i] / y;
+        }
+        return -tmp + Math.log(LANCZOS_SCALE * ser / x);
+    }
+
+    /**
+    * Mock "native" beta for comparison, since JS Math has no beta.
+    *
+    * @private
+    * @param {number} a - first argument
+    * @param {number} b - second argument
+    * @returns {number} function value
+    */
+    function nativeBeta(a, b) {
+        if (a < 0.0 || b < 0.0) {
+            return NaN;
+        }
+        return Math.exp(lanczosGammaln(a) + lanczosGammaln(b) - lanczosGammaln(a + b));
+    }
+
+    // MAIN //
+
+    var registry = {
+        'exp': {
+            'name': 'exp',
+            'title': 'exp(x)',
+            'label': 'exp(x) — Exponential',
+            'group': 'Exponential',
+            'summary': 'Exponential growth - foundation of calculus',
+            'desc': 'The exponential function. Maps every real number to a positive number. Foundation of calculus, differential equations, and complex analysis.',
+            'domain': '(-∞, +∞)',
+            'codomain': '(0, +∞)',
+            'props': { 'exp(0)': '1', 'exp(1)': 'e ≈ 2.71828' },
+            'stdlib': '@stdlib/math/base/special/exp',
+            'native': Math.exp,
+            'nativeLabel': 'Math.exp',
+            'reference': 'exp',
+            'hazards': { 'multiples': LN2 },
+            'ranges': [
+                { 'min': -10.0, 'max': 10.0, 'n': 5000 },
+                { 'min': -700.0, 'max': 700.0, 'n': 5000, 'note': '(near overflow/underflow)' }
+            ],
+            'plotRange': [-3.0, 5.0],
+            'featured': true
+        },
+        'exp2': {
+            'name': 'exp2',
+            'title': 'exp2(x)',
+            'label': 'exp2(x) — Base-2 Exponential',
+            'group': 'Exponential',
+            'summary': 'Powers of two - basis of binary floating point',
+            'desc': 'Base-2 exponential function. Returns 2 raised to the power x. Critical in computer science for binary computations and IEEE 754 floating-point representation.',
+            'domain': '(-∞, +∞)',
+            'codomain': '(0, +∞)',
+            'props': { 'exp2(0)': '1', 'exp2(10)': '1024' },
+            'stdlib': '@stdlib/math/base/special/exp2',
+            'native': function exp2(x) {
+                return Math.pow(2.0, x);
+            },
+            'nativeLabel': 'Math.pow(2, x)',
+            'reference': null,
+            'plotRange': [-3.0, 10.0],
+            'featured': false
+        },
+        'expm1': {
+            'name': 'expm1',
+            'title': 'expm1(x)',
+            'label': 'expm1(x) — exp(x) - 1',
+            'group': 'Exponential',
+            'summary': 'exp(x) - 1 without cancellation near zero',
+            'desc': 'Returns exp(x) - 1. Provides higher precision than computing exp(x) - 1 directly for values of x near zero, avoiding catastrophic cancellation.',
+            'domain': '(-∞, +∞)',
+            'codomain': '(-1, +∞)',
+            'props': { 'expm1(0)': '0', 'Near 0': 'Higher precision' },
+            'stdlib': '@stdlib/math/base/special/expm1',
+            'native': Math.expm1,
+            'nativeLabel': 'Math.expm1',
+            'reference': null,
+            'hazards': { 'multiples': LN2, 'points': [0.0] },
+            'plotRange': [-4.0, 4.0],
+            'featured': false
+        },
+        'ln': {
+            'name': 'ln',
+            'title': 'ln(x)',
+            'label': 'ln(x) — Natural Log',
+            'group': 'Logarithmic',
+            'summary': 'Natural logarithm - inverse of exp',
+            'desc': 'Natural logarithm (base e). The inverse of the exponential function. Fundamental in information theory, thermodynamics, and numerical analysis.',
+            'domain': '(0, +∞)',
+            'codomain': '(-∞, +∞)',
+            'props': { 'ln(1)': '0', 'ln(e)': '1' },
+            'stdlib': '@stdlib/math/base/special/ln',
+            'float32': '@stdlib/math/base/special/lnf',
+            'native': Math.log,
+            'nativeLabel': 'Math.log',
+            'reference': 'ln',
+            'hazards': { 'points': [1.0] },
+            'ranges': [
+                { 'min': 1.0e-300, 'max': 0.1, 'n': 1000, 'generator': 'log', 'label': 'ln(x) on tiny positives [1e-300, 0.1]' },
+                { 'min': 0.001, 'max': 10.0, 'n': 5000 }
+            ],
+            'plotRange': [0.01, 10.0],
+            'featured': true
+        },
+        'log2': {
+            'name': 'log2',
+            'title': 'log2(x)',
+            'label': 'log2(x) — Base-2 Log',
+            'group': 'Logarithmic',
+            'summary': 'Binary logarithm - number of bits',
+            'desc': 'Base-2 logarithm. Essential in computer science for algorithm complexity analysis (O(log n)), information theory (bits), and binary arithmetic.',
+            'domain': '(0, +∞)',
+            'codomain': '(-∞, +∞)',
+            'props': { 'log2(1)': '0', 'log2(1024)': '10' },
+            'stdlib': '@stdlib/math/base/special/log2',
+            'native': Math.log2,
+            'nativeLabel': 'Math.log2',
+            'reference': null,
+            'hazards': { 'points': [1.0] },
+            'plotRange': [0.01, 16.0],
+            'featured': false
+        },
+        'log10': {
+            'name': 'log10',
+            'title': 'log10(x)',
+            'label': 'log10(x) — Base-10 Log',
+            'group': 'Logarithmic',
+            'summary': 'Common logarithm - orders of magnitude',
+            'desc': 'Base-10 logarithm. Used extensively in science for decibels, pH, Richter scale, and order-of-magnitude estimation.',
+            'domain': '(0, +∞)',
+            'codomain': '(-∞, +∞)',
+            'props': { 'log10(1)': '0', 'log10(100)': '2' },
+            'stdlib': '@stdlib/math/base/special/log10',
+            'native': Math.log10,
+            'nativeLabel': 'Math.log10',
+            'reference': null,
+            'hazards': { 'points': [1.0] },
+            'plotRange': [0.01, 100.0],
+            'featured': false
+        },
+        'log1p': {
+            'name': 'log1p',
+            'title': 'log1p(x)',
+            'label': 'log1p(x) — ln(1+x)',
+            'group': 'Logarithmic',
+            'summary': 'ln(1+x) without cancellation near zero',
+            'desc': 'Returns ln(1+x). Provides higher precision than computing ln(1+x) directly for small x, critical in financial computations and statistics.',
+            'domain': '(-1, +∞)',
+            'codomain': '(-∞, +∞)',
+            'props': { 'log1p(0)': '0', 'Near 0': 'Higher precision' },
+            'stdlib': '@stdlib/math/base/special/log1p',
+            'native': Math.log1p,
+            'nativeLabel': 'Math.log1p',
+            'reference': null,
+            'plotRange': [-0.99, 5.0],
+            'featured': false
+        },
+        'sqrt': {
+            'name': 'sqrt',
+            'title': 'sqrt(x)',
+            'label': 'sqrt(x) — Square Root',
+            'group': 'Power & Root',
+            'summary': 'Square root - concave increasing function',
+            'desc': 'Square root function. One of the most fundamental operations in mathematics, used in distance calculations, statistics (standard deviation), and physics.',
+            'domain': '[0, +∞)',
+            'codomain': '[0, +∞)',
+            'props': { 'sqrt(0)': '0', 'sqrt(4)': '2' },
+            'stdlib': '@stdlib/math/base/special/sqrt',
+            'float32': '@stdlib/math/base/special/sqrtf',
+            'native': Math.sqrt,
+            'nativeLabel': 'Math.sqrt',
+            'reference': 'sqrt',
+            'ranges': [
+                { 'min': 0.0, 'max': 1000.0, 'n': 5000 }
+            ],
+            'plotRange': [0.0, 16.0],
+            'featured': true
+        },
+        'cbrt': {
+            'name': 'cbrt',
+            'title': 'cbrt(x)',
+            'label': 'cbrt(x) — Cube Root',
+            'group': 'Power & Root',
+            'summary': 'Cube root - defined for negative inputs too',
+            'desc': 'Cube root function. Unlike square root, defined for all real numbers including negatives. Used in solving cubic equations and in 3D geometry.',
+            'domain': '(-∞, +∞)',
+            'codomain': '(-∞, +∞)',
+            'props': { 'cbrt(0)': '0', 'cbrt(27)': '3' },
+            'stdlib': '@stdlib/math/base/special/cbrt',
+            'float32': '@stdlib/math/base/special/cbrtf',
+            'native': Math.cbrt,
+            'nativeLabel': 'Math.cbrt',
+            'reference': null,
+            'plotRange': [-8.0, 8.0],
+            'featured': false
+        },
+        'pow': {
+            'name': 'pow',
+            'title': 'pow(x, y)',
+            'label': 'pow(x, y) — Power',
+            'group': 'Power & Root',
+            'summary': 'x raised to the power y - exp(y ln x) with exact integer powers',
+            'desc': 'Power function. Raises a base x to an exponent y. Error in ln(x) is amplified by y, so large exponents are the hardest case; negative bases are only defined for integer exponents.',
+            'domain': 'x > 0, or x ≤ 0 with integer y',
+            'codomain': '(-∞, +∞)',
+            'props': { 'pow(x, 0)': '1', 'pow(2, 0.5)': '√2 ≈ 1.41421' },
+            'stdlib': '@stdlib/math/base/special/pow',
+            'native': Math.pow,
+            'nativeLabel': 'Math.pow',
+            'reference': 'pow',
+            'arity': 2,
+            'args': ['x', 'y'],
+            'ranges': [
+                { 'x': [0.1, 10.0], 'y': [-10.0, 10.0], 'n': 4096 },
+                { 'x': [0.9, 1.1], 'y': [-1000.0, 1000.0], 'n': 4096, 'generator': 'uniform', 'note': '(large exponents)' }
+            ],
+            'plotRange': [0.0, 2.0],
+            'plotRangeY': [0.5, 3.0],
+            'featured': false
+        },
+        'hypot': {
+            'name': 'hypot',
+            'title': 'hypot(x, y)',
+            'label': 'hypot(x, y) — Hypotenuse',
+            'group': 'Power & Root',
+            'summary': 'Euclidean norm sqrt(x² + y²) without overflow',
+            'desc': 'Hypotenuse function. Returns the length of the vector (x, y) while avoiding the overflow and underflow of computing x² + y² directly. Used in geometry, complex magnitudes and numerical linear algebra.',
+            'domain': '(-∞, +∞) × (-∞, +∞)',
+            'codomain': '[0, +∞)',
+            'props': { 'hypot(3, 4)': '5', 'hypot(±∞, NaN)': '+∞' },
+            'stdlib': '@stdlib/math/base/special/hypot',
+            'native': Math.hypot,
+            'nativeLabel': 'Math.hypot',
+            'reference': 'hypot',
+            'arity': 2,
+            'args': ['x', 'y'],
+            'ranges': [
+                { 'x': [-10.0, 10.0], 'y': [-10.0, 10.0], 'n': 4096 },
+                { 'x': [-1.0e300, 1.0e300], 'y': [-1.0e300, 1.0e300], 'n': 4096, 'generator': 'uniform', 'note': '(near overflow)' }
+            ],
+            'plotRange': [-4.0, 4.0],
+            'plotRangeY': [-4.0, 4.0],
+            'featured': false
+        },
+        'sin': {
+            'name': 'sin',
+            'title': 'sin(x)',
+            'label': 'sin(x)',
+            'group': 'Trigonometric',
+            'summary': 'Sine - the fundamental periodic function',
+            'desc': 'Sine function. The fundamental periodic function, modeling waves, oscillations, and circular motion. Period is 2π.',
+            'domain': '(-∞, +∞)',
+            'codomain': '[-1, 1]',
+            'props': { 'sin(0)': '0', 'sin(π/2)': '1' },
+            'stdlib': '@stdlib/math/base/special/sin',
+            'native': Math.sin,
+            'nativeLabel': 'Math.sin',
+            'reference': 'sin',
+            'hazards': { 'multiples': HALF_PI },
+            'ranges': [
+                { 'min': -20.0, 'max': 20.0, 'n': 10000 }
+            ],
+            'plotRange': [-TWO_PI, TWO_PI],
+            'featured': true
+        },
+        'cos': {
+            'name': 'cos',
+            'title': 'cos(x)',
+            'label': 'cos(x)',
+            'group': 'Trigonometric',
+            'summary': 'Cosine - phase-shifted sine',
+            'desc': 'Cosine function. Phase-shifted sine: cos(x) = sin(x + π/2). Used in Fourier analysis, signal processing, and rotation matrices.',
+            'domain': '(-∞, +∞)',
+            'codomain': '[-1, 1]',
+            'props': { 'cos(0)': '1', 'cos(π)': '-1' },
+            'stdlib': '@stdlib/math/base/special/cos',
+            'native': Math.cos,
+            'nativeLabel': 'Math.cos',
+            'reference': 'cos',
+            'hazards': { 'multiples': HALF_PI },
+            'ranges': [
+                { 'min': -20.0, 'max': 20.0, 'n': 10000 }
+            ],
+            'plotRange': [-TWO_PI, TWO_PI],
+            'featured': false
+        },
+        'tan': {
+            'name': 'tan',
+            'title': 'tan(x)',
+            'label': 'tan(x)',
+            'group': 'Trigonometric',
+            'summary': 'Tangent - vertical asymptotes at odd multiples of π/2',
+            'desc': 'Tangent function (sin/cos). Has vertical asymptotes at odd multiples of π/2. Used in trigonometry, calculus, and engineering.',
+            'domain': 'x ≠ kπ/2',
+            'codomain': '(-∞, +∞)',
+            'props': { 'tan(0)': '0', 'tan(π/4)': '1' },
+            'stdlib': '@stdlib/math/base/special/tan',
+            'native': Math.tan,
+            'nativeLabel': 'Math.tan',
+            'reference': 'tan',
+            'hazards': { 'multiples': HALF_PI },
+            'ranges': [
+                { 'min': -1.5, 'max': 1.5, 'n': 10000 }
+            ],
+            'plotRange': [-PI + 0.1, PI - 0.1],
+            'featured': false
+        },
+        'atan2': {
+            'name': 'atan2',
+            'title': 'atan2(y, x)',
+            'label': 'atan2(y, x) — Four-Quadrant Arctangent',
+            'group': 'Trigonometric',
+            'summary': 'Angle of the point (x, y) - branch cut along the negative x-axis',
+            'desc': 'Two-argument arctangent. Returns the angle in (-π, π] between the positive x-axis and the point (x, y), using the signs of both arguments to select the quadrant. Used to convert Cartesian to polar coordinates.',
+            'domain': '(-∞, +∞) × (-∞, +∞)',
+            'codomain': '[-π, π]',
+            'props': { 'atan2(1, 1)': 'π/4', 'atan2(±0, -0)': '±π' },
+            'stdlib': '@stdlib/math/base/special/atan2',
+            'native': Math.atan2,
+            'nativeLabel': 'Math.atan2',
+            'reference': 'atan2',
+            'arity': 2,
+            'args': ['y', 'x'],
+            'ranges': [
+                { 'x': [-10.0, 10.0], 'y': [-10.0, 10.0], 'n': 4096 },
+                { 'x': [-1.0e-3, 1.0e-3], 'y': [-100.0, 100.0], 'n': 4096, 'generator': 'uniform', 'note': '(near the y-axis)' }
+            ],
+            'plotRange': [-4.0, 4.0],
+            'plotRangeY': [-4.0, 4.0],
+            'featured': false
+        },
+        'sigmoid': {
+            'name': 'sigmoid',
+            'title': 'sigmoid(x)',
+            'label': 'sigmoid(x) — 1/(1+exp(-x))',
+            'group': 'Special',
+            'summary': 'S-curve used in machine learning',
+            'desc': 'Logistic sigmoid: 1/(1+exp(-x)). The most important activation function in neural networks. Smoothly maps any real to (0,1).',
+            'domain': '(-∞, +∞)',
+            'codomain': '(0, 1)',
+            'props': { 'σ(0)': '0.5', 'σ(∞)': '→ 1' },
+            'stdlib': '@stdlib/math/base/special/expit',
+            'native': function sigmoid(x) {
+                return 1.0 / (1.0 + Math.exp(-x));
+            },
+            'nativeLabel': '1 / (1 + Math.exp(-x))',
+            'reference': null,
+            'plotRange': [-8.0, 8.0],
+            'featured': true
+        },
+        'gaussian': {
+            'name': 'gaussian',
+            'title': 'gaussian(x)',
+            'label': 'gaussian(x) — exp(-x²)',
+            'group': 'Special',
+            'summary': 'Bell curve - heart of normal distribution',
+            'desc': 'Gaussian function exp(-x²). The bell curve at the heart of the normal distribution, central limit theorem, and heat equation solution.',
+            'domain': '(-∞, +∞)',
+            'codomain': '(0, 1]',
+            'props': { 'g(0)': '1 (peak)', 'FWHM': '≈ 1.177' },
+            'stdlib': {
+                'deps': ['@stdlib/math/base/special/exp'],
+                'factory': function gaussianFactory(exp) {
+                    return function gaussian(x) {
+                        return exp(-(x * x));
+                    };
+                }
+            },
+            'native': function gaussian(x) {
+                return Math.exp(-(x * x));
+            },
+            'nativeLabel': 'Math.exp(-(x * x))',
+            'reference': null,
+            'plotRange': [-4.0, 4.0],
+            'featured': true
+        },
+        'sinc': {
+            'name': 'sinc',
+            'title': 'sinc(x)',
+            'label': 'sinc(x) — sin(πx)/(πx)',
+            'group': 'Special',
+            'summary': 'Normalized sinc - ideal low-pass filter',
+            'desc': 'Normalized sinc function: sin(πx)/(πx). Fundamental in signal processing (ideal low-pass filter), Fourier analysis, and interpolation theory.',
+            'domain': '(-∞, +∞)',
+            'codomain': '[-0.217, 1]',
+            'props': { 'sinc(0)': '1', 'sinc(n)': '0 for n≠0' },
+            'stdlib': '@stdlib/math/base/special/sinc',
+            'native': function sinc(x) {
+                var px;
+                if (x === 0.0) {
+                    return 1.0;
+                }
+                px = PI * x;
+                return Math.sin(px) / px;
+            },
+            'nativeLabel': 'Math.sin(πx) / (πx)',
+            'reference': null,
+            'plotRange': [-8.0, 8.0],
+            'featured': false
+        },
+        'erf': {
+            'name': 'erf',
+            'title': 'erf(x)',
+            'label': 'erf(x) — Error Function',
+            'group': 'Special',
+            'summary': 'Probability integral — foundation of stats',
+            'desc': 'The error function (Gauss error function). Critical in probability, statistics, and diffusion. Describes the probability of a random variable falling in a specific range.',
+            'domain': '(-∞, +∞)',
+            'codomain': '(-1, 1)',
+            'props': { 'erf(0)': '0', 'erf(∞)': '1', 'erf(1)': '≈ 0.8427' },
+            'stdlib': '@stdlib/math/base/special/erf',
+            'native': nativeErf,
+            'nativeLabel': ERF_MOCK_LABEL,
+            'reference': 'erf',
+            'ranges': [
+                { 'min': -3.0, 'max': 3.0, 'n': 5000 }
+            ],
+            'plotRange': [-3.0, 3.0],
+            'featured': true
+        },
+        'erfc': {
+            'name': 'erfc',
+            'title': 'erfc(x)',
+            'label': 'erfc(x) — Complementary Erf',
+            'group': 'Special',
+            'summary': 'Complementary error function - normal tails',
+            'desc': 'Complementary error function 1 - erf(x). Essential for computing small probabilities in the tail of a normal distribution with high precision.',
+            'domain': '(-∞, +∞)',
+            'codomain': '(0, 2)',
+            'props': { 'erfc(0)': '1', 'erfc(∞)': '0', 'erfc(-∞)': '2' },
+            'stdlib': '@stdlib/math/base/special/erfc',
+            'native': nativeErfc,
+            'nativeLabel': ERF_MOCK_LABEL,
+            'reference': null,
+            'plotRange': [-3.0, 3.0],
+            'featured': false
+        },
+        'beta': {
+            'name': 'beta',
+            'title': 'beta(a, b)',
+            'label': 'beta(a, b) — Beta Function',
+            'group': 'Special',
+            'summary': 'Euler integral of the first kind - Γ(a)Γ(b)/Γ(a+b)',
+            'desc': 'Beta function B(a, b) = Γ(a)Γ(b)/Γ(a+b). Normalizing constant of the beta distribution, and closely related to binomial coefficients: B(m, n) = (m-1)!(n-1)!/(m+n-1)! for positive integers.',
+            'domain': '[0, +∞) × [0, +∞)',
+            'codomain': '(0, +∞]',
+            'props': { 'beta(1, 1)': '1', 'beta(½, ½)': 'π' },
+            'stdlib': '@stdlib/math/base/special/beta',
+            'native': nativeBeta,
+            'nativeLabel': 'n/a (using Lanczos lgamma mock)',
+            'reference': 'beta',
+            'arity': 2,
+            'args': ['a', 'b'],
+            'ranges': [
+                { 'x': [0.1, 10.0], 'y': [0.1, 10.0], 'n': 2500 },
+                { 'x': [0.1, 100.0], 'y': [0.1, 100.0], 'n': 2500, 'generator': 'uniform' }
+            ],
+            'plotRange': [0.1, 4.0],
+            'plotRangeY': [0.1, 4.0],
+            'featured': false
+        },
+        'heaviside': {
+            'name': 'heaviside',
+            'title': 'heaviside(x)',
+            'label': 'heaviside(x) — Step Function',
+            'group': 'Special',
+            'summary': 'Unit step - half-maximum convention at zero',
+            'desc': 'Heaviside step function. Equals 0 for x<0 and 1 for x>0. Used in control theory, signal processing, and as the derivative of the ramp function.',
+            'domain': '(-∞, +∞)',
+            'codomain': '{0, 0.5, 1}',
+            'props': { 'H(0)': '0.5 (half-max)', 'Derivative': 'δ(x)' },
+            'stdlib': {
+                'deps': ['@stdlib/math/base/special/heaviside'],
+                'factory': function heavisideFactory(heaviside) {
+                    return function halfMaximumHeaviside(x) {
+                        return heaviside(x, 'half-maximum');
+                    };
+                }
+            },
+            'native': function heaviside(x) {
+                if (x < 0.0) {
+                    return 0.0;
+                }
+                if (x === 0.0) {
+                    return 0.5;
+                }
+                return 1.0;
+            },
+            'nativeLabel': 'n/a (inline step function)',
+            'reference': null,
+            'plotRange': [-3.0, 3.0],
+            'featured': false
+        }
+    };
+
+    // EXPORTS //
+
+    if (typeof module === 'object' && typeof module.exports === 'object') {
+        module.exports = registry;
+    } else {
+        root.mathExplorer = root.mathExplorer || {};
+        root.mathExplorer.registry = registry;
+    }
+})(this);
@@ -0,0 +1,375 @@
+'use strict';
+
+/**
+* Axis scales, ticks and tick labels of plots (see `lib/render/plot.js`).
+*
+* Scales:
+*
+* -   `linear`: ticks at "nice" numbers (multiples of 1, 2 or 5 times a power of ten), and the axis extended to the nearest ticks beyond the data.
+* -   `log`: ticks at powers of ten (every second, third, ... power of ten if there are many), and the axis extended to the nearest powers of ten beyond the data. Only positive values can be drawn.
+* -   `symlog`: symmetric logarithm, `sign(v) * log10(1 + |v|)`, which is nearly linear around zero and logarithmic beyond ±1, so that values of both signs spanning many orders of magnitude can be drawn together. Ticks at zero and at ± powers of ten.
+*
+* ## Notes
+*
+* -   Tick labels use as many decimals as the spacing of the ticks requires, unless given a precision (in significant digits). With the `auto` notation, labels of magnitude `1e5` or more, or less than `1e-3`, are written in scientific notation (e.g., `2.5e6`).
+*/
+
+var floor = require('@stdlib/math/base/special/floor');
+var ceil = require('@stdlib/math/base/special/ceil');
+var abs = require('@stdlib/math/base/special/abs');
+var pow = require('@stdlib/math/base/special/pow');
+var log10 = require('@stdlib/math/base/special/log10');
+var max = require('@stdlib/math/base/special/max');
+var min = require('@stdlib/math/base/special/min');
+var signum = require('@stdlib/math/base/special/signum');
+var setReadOnly = require('@stdlib/utils/define-nonenumerable-read-only-property');
+
+// VARIABLES //
+
+// Names of the scales...
+var SCALES = ['linear', 'log', 'symlog'];
+
+// Notations of tick labels...
+var NOTATIONS = ['auto', 'fixed', 'scientific'];
+
+// Magnitudes below and from which the `auto` notation switches to scientific notation...
+var SCIENTIFIC = [1.0e-3, 1.0e5];
+
+// Significant digits of values which are not ticks (e.g., the bounds of the data)...
+var DIGITS = 6;
+
+// Tolerance of the rounding of tick positions (in multiples of the tick spacing)...
+var EPS = 1.0e-9;
+
+// Forward transforms of the scales...
+var TRANSFORMS = {
+    'linear': identity,
+    'log': log10,
+    'symlog': symlog
+};
+
+// Generators of the ticks of the scales...
+var TICKS = {
+    'linear': linearTicks,
+    'log': logTicks,
+    'symlog': symlogTicks
+};
+
+// FUNCTIONS //
+
+/**
+* Returns a value unchanged.
+*
+* @private
+* @param {number} v - value
+* @returns {number} value
+*/
+function identity(v) {
+    return v;
+}
+
+/**
+* Evaluates the symmetric logarithm.
+*
+* @private
+* @param {number} v - value
+* @returns {number} `sign(v) * log10(1 + |v|)`
+*/
+function symlog(v) {
+    return signum(v) * log10(1.0 + abs(v));
+}
+
+/**
+* Rounds a positive number to a "nice" number (Heckbert's algorithm).
+*
+* @private
+* @param {number} x - positive number
+* @returns {number} nice number (1, 2 or 5 times a power of ten)
+*/
+function nice(x) {
+    var e = floor(log10(x));
+    var f = x / pow(10.0, e);
+    var n;
+    if (f < 1.5) {
+        n = 1.0;
+    } else if (f < 3.0) {
+        n = 2.0;
+    } else if (f < 7.0) {
+        n = 5.0;
+    } else {
+        n = 10.0;
+    }
+    return n * pow(10.0, e);
+}
+
+/**
+* Returns the ticks of a linear scale.
+*
+* @private
+* @param {number} lo - smallest value
+* @param {number} hi - largest value
+* @param {PositiveInteger} count - approximate number of ticks
+* @param {boolean} extend - boolean indicating whether to extend the axis to the nearest ticks beyond the values
+* @returns {Object} axis bounds (`lo` and `hi`), ticks (`ticks`) and tick spacing (`step`)
+*/
+function linearTicks(lo, hi, count, extend) {
+    var step;
+    var out;
+    var k;
+
+    step = nice((hi - lo) / max(1, count - 1));
+    if (extend) {
+        lo = floor((lo / step) + EPS) * step;
+        hi = ceil((hi / step) - EPS) * step;
+    }
+    out = [];
+    for (k = ceil((lo / step) - EPS); k <= floor((hi / step) + EPS); k++) {
+        out.push(k * step);
+    }
+    return {
+        'lo': lo,
+        'hi': hi,
+        'ticks': out,
+        'step': step
+    };
+}
+
+/**
+* Returns the ticks of a logarithmic scale.
+*
+* @private
+* @param {number} lo - smallest value (positive)
+* @param {number} hi - largest value (positive)
+* @param {PositiveInteger} count - approximate number of ticks
+* @param {boolean} extend - boolean indicating whether to extend the axis to the nearest powers of ten beyond the values
+* @returns {Object} axis bounds (`lo` and `hi`), ticks (`ticks`) and tick spacing (`step`: `null`, as it varies)
+*/
+function logTicks(lo, hi, count, extend) {
+    var every;
+    var elo;
+    var ehi;
+    var out;
+    var e;
+
+    elo = floor(log10(lo) + EPS);
+    ehi = ceil(log10(hi) - EPS);
+    if (ehi === elo) {
+        ehi += 1;
+    }
+    if (extend) {
+        lo = pow(10.0, elo);
+        hi = pow(10.0, ehi);
+    }
+    every = max(1, ceil((ehi - elo) / max(1, count - 1)));
+    out = [];
+    for (e = ceil(elo / every) * every; e <= ehi; e += every) {
+        if (pow(10.0, e) >= lo && pow(10.0, e) <= hi) {
+            out.push(pow(10.0, e));
+        }
+    }
+    return {
+        'lo': lo,
+        'hi': hi,
+        'ticks': out,
+        'step': null
+    };
+}
+
+/**
+* Returns the power of ten at least as large in magnitude as a value, of the same sign (or `0`).
+*
+* @private
+* @param {number} v - value
+* @param {number} dir - direction in which to round (`1`: up, `-1`: down)
+* @returns {number} rounded value
+*/
+function decade(v, dir) {
+    var a = abs(v);
+    if (v === 0.0) {
+        return 0.0;
+    }
+    if (signum(v) === dir) {
+        // Away from zero...
+        return dir * ((a <= 1.0) ? 1.0 : pow(10.0, ceil(log10(a) - EPS)));
+    }
+    // Towards zero...
+    return (a < 1.0) ? 0.0 : -dir * pow(10.0, floor(log10(a) + EPS));
+}
+
+/**
+* Returns the ticks of a symmetric logarithmic scale.
+*
+* @private
+* @param {number} lo - smallest value
+* @param {number} hi - largest value
+* @param {PositiveInteger} count - approximate number of ticks
+* @param {boolean} extend - boolean indicating whether to extend the axis to the nearest powers of ten (or zero) beyond the values
+* @returns {Object} axis bounds (`lo` and `hi`), ticks (`ticks`) and tick spacing (`step`: `null`, as it varies)
+*/
+function symlogTicks(lo, hi, count, extend) {
+    var every;
+    var emax;
+    var out;
+    var e;
+    var i;
+
+    if (extend) {
+        lo = decade(lo, -1);
+        hi = decade(hi, 1);
+    }
+    emax = max(0, ceil(log10(max(abs(lo), abs(hi))) - EPS));
+
+    // Decades on either side of zero share the ticks, which are symmetric about zero (counting down from the largest power of ten):
+    every = max(1, ceil((emax + 1) / max(1, floor(count / ((lo < 0.0 && hi > 0.0) ? 2 : 1)))));
+    e = [];
+    for (i = emax; i >= 0; i -= every) {
+        e.push(pow(10.0, i));
+    }
+    out = [];
+    for (i = 0; i < e.length; i++) {
+        if (-e[i] >= lo) {
+            out.push(-e[i]);
+        }
+    }
+    if (lo <= 0.0 && hi >= 0.0) {
+        out.push(0.0);
+    }
+    for (i = e.length - 1; i >= 0; i--) {
+        if (e[i] <= hi) {
+            out.push(e[i]);
+        }
+    }
+    return {
+        'lo': lo,
+        'hi': hi,
+        'ticks': out,
+        'step': null
+    };
+}
+
+/**
+* Formats a value for an axis label.
+*
+* @private
+* @param {number} v - value
+* @param {(number|null)} step - tick spacing (`null` for a value which is not a tick, written to six significant digits by default)
+* @param {number} ref - largest magnitude of the ticks (so that ticks in scientific notation have as many digits)
+* @param {Object} options - options
+* @param {PositiveInteger} [options.precision] - number of significant digits
+* @param {string} [options.notation='auto'] - notation (`'auto'`, `'fixed'` or `'scientific'`)
+* @returns {string} label
+*/
+function format(v, step, ref, options) {
+    var notation = options.notation || 'auto';
+    var digits;
+    var a;
+
+    a = abs(v);
+    if (a !== a || a === Infinity) {
+        return String(v);
+    }
+    if (v === 0.0 && step === null) {
+        return '0';
+    }
+    if (v === 0.0) {
+        // Write zero as its neighbors (without sign, e.g. `0.0` between `-0.5` and `0.5`):
+        v = 0.0;
+        a = step;
+    }
+    if (step === null) {
+        digits = options.precision || DIGITS;
+        v = Number(v.toPrecision(digits));
+        if (notation === 'scientific') {
+            return v.toExponential().replace('e+', 'e');
+        }
+        if (notation === 'fixed' && String(v).indexOf('e') >= 0 && a < 1.0) {
+            // Avoid the exponent with which very small numbers are written by default:
+            return v.toFixed(min(20, digits - 1 - floor(log10(a) + EPS)));
+        }
+        return String(v);
+    }
+    if (notation === 'scientific' || (notation === 'auto' && (a < SCIENTIFIC[0] || a >= SCIENTIFIC[1]))) {
+        if (v === 0.0) {
+            return '0';
+        }
+        if (options.precision) {
+            digits = options.precision - 1;
+        } else {
+            digits = floor(log10(max(a, ref)) + EPS) - floor(log10(step) + EPS);
+        }
+        return v.toExponential(min(20, max(0, digits))).replace('e+', 'e');
+    }
+    if (options.precision && v !== 0.0) {
+        digits = options.precision - 1 - floor(log10(a) + EPS);
+    } else {
+        digits = -floor(log10(step) + EPS);
+    }
+    return v.toFixed(min(20, max(0, digits)));
+}
+
+// MAIN //
+
+/**
+* Returns an axis.
+*
+* @param {string} scale - scale (`'linear'`, `'log'` or `'symlog'`)
+* @param {number} lo - smallest value (positive, for a logarithmic scale)
+* @param {number} hi - largest value (positive, for a logarithmic scale)
+* @param {Options} [options] - options
+* @param {PositiveInteger} [options.count=5] - approximate number of ticks
+* @param {boolean} [options.extend=true] - boolean indicating whether to extend the axis to the nearest ticks beyond the values
+* @param {PositiveInteger} [options.precision] - number of significant digits of tick labels (default: as many as the tick spacing requires)
+* @param {string} [options.notation='auto'] - notation of tick labels: `'auto'`, `'fixed'` or `'scientific'`
+* @returns {Object} axis: bounds (`lo` and `hi`), transform of values to the linear space in which they are drawn (`transform`), ticks (`ticks`: `value` and `label`) and a function formatting other values (`format`)
+*/
+function axis(scale, lo, hi, options) {
+    var ticks;
+    var step;
+    var ref;
+    var out;
+    var t;
+    var i;
+
+    options = options || {};
+    t = TICKS[scale](lo, hi, options.count || 5, options.extend !== false);
+    ref = 0.0;
+    for (i = 0; i < t.ticks.length && t.step !== null; i++) {
+        ref = max(ref, abs(t.ticks[i]));
+    }
+    ticks = [];
+    for (i = 0; i < t.ticks.length; i++) {
+        // Powers of ten (of logarithmic scales) need as many decimals as their own magnitude:
+        step = (t.step === null) ? abs(t.ticks[i]) || 1.0 : t.step;
+        ticks.push({
+            'value': t.ticks[i],
+            'label': format(t.ticks[i], step, ref, options)
+        });
+    }
+    out = {
+        'scale': scale,
+        'lo': t.lo,
+        'hi': t.hi,
+        'transform': TRANSFORMS[scale],
+        'ticks': ticks,
+        'format': formatValue
+    };
+    return out;
+
+    /**
+    * Formats a value which is not a tick.
+    *
+    * @private
+    * @param {number} v - value
+    * @returns {string} label
+    */
+    function formatValue(v) {
+        return format(v, null, 0.0, options);
+    }
+}
+
+setReadOnly(axis, 'scales', SCALES);
+setReadOnly(axis, 'notations', NOTATIONS);
+
+// EXPORTS //
+
+module.exports = axis;
@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+* Text renderer for baseline comparison reports.
+*/
+
+// VARIABLES //
+
+var SYMBOLS = {
+    'regressed': '✗',
+    'improved': '↑',
+    'unchanged': '✓',
+    'new': '•',
+    'missing': '•',
+    'incomparable': '•'
+};
+
+var NOTES = {
+    'new': 'not in the baseline',
+    'missing': 'in the baseline but not tested'
+};
+
+// FUNCTIONS //
+
+/**
+* Formats a signed difference.
+*
+* @private
+* @param {number} d - difference
+* @param {NonNegativeInteger} digits - number of digits after the decimal point
+* @returns {string} formatted difference
+*/
+function signed(d, digits) {
+    return ((d >= 0) ? '+' : '') + d.toFixed(digits);
+}
+
+/**
+* Renders the statistics of an entry which was compared against the baseline.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {Object} e - entry
+*/
+function renderDeltas(out, e) {
+    var b = e.baseline;
+    var c = e.current;
+    var d = e.deltas;
+
+    if (b.n !== void 0) {
+        out.push('      measured ' + b.n + ' → ' + c.n + ' test points' +
+            ((e.violations.indexOf('n') >= 0) ? '  ✗' : ''));
+        out.push('      NaN results ' + b.nNaN + ' → ' + c.nNaN +
+            ((e.violations.indexOf('nNaN') >= 0) ? '  ✗' : ''));
+    }
+    out.push('      max    ' + b.max.toFixed(4) + ' → ' + c.max.toFixed(4) + ' ULP (' +
+        signed(d.max, 4) + ')' + ((e.violations.indexOf('max') >= 0) ? '  ✗' : ''));
+    out.push('      mean   ' + b.mean.toFixed(4) + ' → ' + c.mean.toFixed(4) + ' ULP (' +
+        signed(d.mean, 4) + ')' + ((e.violations.indexOf('mean') >= 0) ? '  ✗' : ''));
+    out.push('      correctly rounded ' + (100.0 * b.correctlyRounded).toFixed(2) + '% → ' +
+        (100.0 * c.correctlyRounded).toFixed(2) + '% (' + signed(100.0 * d.correctlyRounded, 2) + ' pp)' +
+        ((e.violations.indexOf('correctlyRounded') >= 0) ? '  ✗' : ''));
+}
+
+// MAIN //
+
+/**
+* Renders a baseline comparison report as lines of text.
+*
+* @param {Object} report - baseline comparison report
+* @returns {Array<string>} lines
+*/
+function render(report) {
+    var out;
+    var e;
+    var i;
+
+    out = [];
+    out.push('  Baseline:   ' + (report.file || '(in memory)') + ' (stdlib ' + report.versions.baseline +
+        ', created ' + report.created + ')');
+    out.push('  Current:    stdlib ' + report.versions.current);
+    out.push('  Thresholds: max +' + report.thresholds.max + ' ULP, mean +' + report.thresholds.mean +
+        ' ULP, correctly rounded -' + report.thresholds.correctlyRounded + ' pp');
+    out.push('');
+    for (i = 0; i < report.entries.length; i++) {
+        e = report.entries[i];
+        out.push('  ' + SYMBOLS[e.status] + ' ' + e.range + ': ' + e.status +
+            ((e.note || NOTES[e.status]) ? ' (' + (e.note || NOTES[e.status]) + ')' : ''));
+        if (e.status === 'regressed' || e.status === 'improved') {
+            renderDeltas(out, e);
+        }
+    }
+    out.push('');
+    if (report.regressions > 0) {
+        out.push('  ✗ ' + report.regressions + ' range' + ((report.regressions === 1) ? '' : 's') +
+            ' regressed beyond the thresholds.');
+    } else {
+        out.push('  ✓ No regressions.');
+    }
+    return out;
+}
+
+// EXPORTS //
+
+module.exports = render;
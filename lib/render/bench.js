@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+* Text renderer for benchmark reports.
+*/
+
+// FUNCTIONS //
+
+/**
+* Formats a time per call.
+*
+* @private
+* @param {number} ns - time (in nanoseconds)
+* @returns {string} formatted time
+*/
+function formatTime(ns) {
+    if (ns >= 1000.0) {
+        return (ns / 1000.0).toFixed(3) + ' µs';
+    }
+    return ns.toFixed(2) + ' ns';
+}
+
+/**
+* Formats a number of calls per second.
+*
+* @private
+* @param {number} ops - calls per second
+* @returns {string} formatted rate
+*/
+function formatOps(ops) {
+    if (ops >= 1.0e6) {
+        return (ops / 1.0e6).toFixed(2) + 'M calls/s';
+    }
+    return (ops / 1.0e3).toFixed(2) + 'K calls/s';
+}
+
+/**
+* Formats the bounds of the inputs of a function.
+*
+* @private
+* @param {Object} b - bounds (`x` and optional `y`)
+* @returns {string} formatted bounds
+*/
+function formatBounds(b) {
+    return '[' + b.x[0] + ', ' + b.x[1] + ']' + ((b.y) ? ' × [' + b.y[0] + ', ' + b.y[1] + ']' : '');
+}
+
+/**
+* Formats the verdict of a comparison of the stdlib and native implementations.
+*
+* @private
+* @param {Object} c - comparison
+* @returns {string} verdict
+*/
+function verdict(c) {
+    var p = (c.p < 0.001) ? 'p < 0.001' : 'p = ' + c.p.toFixed(3);
+    if (!c.significant) {
+        return 'no significant difference (' + p + ')';
+    }
+    return ((c.faster === 'a') ? 'stdlib ' + c.ratio.toFixed(2) : 'native ' + (1.0 / c.ratio).toFixed(2)) + '× faster (' + p + ')';
+}
+
+/**
+* Renders the results of an implementation.
+*
+* @private
+* @param {string} name - implementation
+* @param {Object} s - results
+* @returns {string} line
+*/
+function renderImplementation(name, s) {
+    return '  │  ' + (name + '        ').slice(0, 8) + formatTime(s.median) + '/call ± ' + formatTime(s.mad) +
+        '  (95% CI ' + formatTime(s.ci[0]) + ' to ' + formatTime(s.ci[1]) + ')  ' + formatOps(s.ops);
+}
+
+// MAIN //
+
+/**
+* Renders a benchmark report as lines of text.
+*
+* @param {Object} report - benchmark report
+* @returns {Array<string>} lines
+*/
+function render(report) {
+    var counts;
+    var out;
+    var f;
+    var i;
+
+    out = [];
+    out.push('  Node.js ' + report.versions.node + ' (V8 ' + report.versions.v8 + '), stdlib ' + report.versions.stdlib);
+    out.push('  ' + report.machine.platform + ' ' + report.machine.arch + ', ' + report.machine.cpu +
+        ' (' + report.machine.cpus + ' CPU' + ((report.machine.cpus === 1) ? '' : 's') + ')');
+    out.push('  ' + report.size + ' random inputs per batch (seed ' + report.seed + '), ' +
+        report.samples + ' interleaved samples per implementation after warm-up');
+    counts = {
+        'stdlib': 0,
+        'native': 0,
+        'none': 0
+    };
+    for (i = 0; i < report.functions.length; i++) {
+        f = report.functions[i];
+        out.push('');
+        out.push('  ┌─ ' + f.title + ' on ' + formatBounds(f.bounds));
+        out.push(renderImplementation('stdlib', f.stdlib));
+        out.push(renderImplementation('native', f.native));
+        out.push('  │  Verdict: ' + verdict(f.comparison));
+        out.push('  └─');
+        if (f.comparison.faster === 'a') {
+            counts.stdlib += 1;
+        } else if (f.comparison.faster === 'b') {
+            counts.native += 1;
+        } else {
+            counts.none += 1;
+        }
+    }
+    out.push('');
+    out.push('  stdlib faster: ' + counts.stdlib + ', native faster: ' + counts.native +
+        ', no significant difference: ' + counts.none + ' (Mann-Whitney U test, α = 0.05).');
+    return out;
+}
+
+// EXPORTS //
+
+module.exports = render;
@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+* Text renderer for benchmark comparison reports.
+*/
+
+// VARIABLES //
+
+var SYMBOLS = {
+    'faster': '▲',
+    'slower': '▼',
+    'unchanged': '=',
+    'new': '+'
+};
+
+// FUNCTIONS //
+
+/**
+* Formats the environment of a benchmark.
+*
+* @private
+* @param {Object} v - versions
+* @param {Object} m - machine
+* @returns {string} formatted environment
+*/
+function formatEnvironment(v, m) {
+    return 'Node.js ' + (v.node || '?') + ' (V8 ' + (v.v8 || '?') + '), stdlib ' + (v.stdlib || '?') +
+        ' on ' + (m.platform || '?') + ' ' + (m.arch || '?') + ', ' + (m.cpu || '?');
+}
+
+/**
+* Formats a time per call.
+*
+* @private
+* @param {number} ns - time (in nanoseconds)
+* @returns {string} formatted time
+*/
+function formatTime(ns) {
+    if (ns >= 1000.0) {
+        return (ns / 1000.0).toFixed(3) + ' µs';
+    }
+    return ns.toFixed(2) + ' ns';
+}
+
+/**
+* Renders a compared implementation.
+*
+* @private
+* @param {Object} e - entry
+* @returns {string} line
+*/
+function renderEntry(e) {
+    var line = '  ' + SYMBOLS[e.status] + ' ' + e.title + ' ' + e.implementation + ': ';
+    if (e.status === 'new') {
+        return line + formatTime(e.current) + '/call (not in the recorded report)';
+    }
+    line += formatTime(e.recorded) + ' → ' + formatTime(e.current) + '/call';
+    if (e.status === 'faster') {
+        line += ' (' + e.ratio.toFixed(2) + '× faster)';
+    } else if (e.status === 'slower') {
+        line += ' (' + (1.0 / e.ratio).toFixed(2) + '× slower)';
+    } else {
+        line += ' (unchanged within the confidence intervals)';
+    }
+    if (e.results === 'different') {
+        line += ', ≠ different results';
+    }
+    return line;
+}
+
+// MAIN //
+
+/**
+* Renders a benchmark comparison report as lines of text.
+*
+* @param {Object} report - benchmark comparison report
+* @returns {Array<string>} lines
+*/
+function render(report) {
+    var counts;
+    var diff;
+    var out;
+    var i;
+
+    out = [];
+    out.push('  Recorded:  ' + report.file + ((report.created) ? ' (created ' + report.created + ')' : ''));
+    out.push('             ' + formatEnvironment(report.versions.recorded, report.machines.recorded));
+    out.push('  Current:   ' + formatEnvironment(report.versions.current, report.machines.current));
+    if (!report.comparable) {
+        out.push('  (The reports used different seeds or batch sizes, so their results are not compared.)');
+    }
+    out.push('');
+    counts = {
+        'faster': 0,
+        'slower': 0,
+        'unchanged': 0,
+        'new': 0
+    };
+    diff = 0;
+    for (i = 0; i < report.entries.length; i++) {
+        out.push(renderEntry(report.entries[i]));
+        counts[report.entries[i].status] += 1;
+        if (report.entries[i].results === 'different') {
+            diff += 1;
+        }
+    }
+    out.push('');
+    out.push('  ' + counts.faster + ' faster, ' + counts.slower + ' slower, ' + counts.unchanged + ' unchanged' +
+        ((counts['new']) ? ', ' + counts['new'] + ' new' : '') + '.' +
+        ((report.comparable) ? ' ' + ((diff) ? 'Results differ for ' + diff + ' implementation' + ((diff === 1) ? '' : 's') + '.' : 'All results are identical.') : ''));
+    return out;
+}
+
+// EXPORTS //
+
+module.exports = render;
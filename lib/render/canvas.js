@@ -0,0 +1,489 @@
+'use strict';
+
+/**
+* Character canvas for plots of functions of one argument (see `lib/render/plot.js` and `lib/cli/tui.js`).
+*
+* Series of samples are drawn by one of several renderers:
+*
+* -   `dots`: one `●` per sample (other series: `○`, `◆`, ...).
+* -   `line`: consecutive samples connected by box-drawing lines.
+* -   `block`: half-block characters (two pixels per character cell, stacked vertically), consecutive samples connected.
+* -   `braille`: Unicode braille patterns (2×4 pixels per character cell), consecutive samples connected.
+*
+* ## Notes
+*
+* -   With `ascii`, only ASCII characters are drawn, which restricts the renderers to `dots` and `line`. With `color`, series and axes are colored with ANSI escapes.
+* -   Samples are spread evenly across the canvas's pixel columns, so a renderer with two pixels per column should be given two samples per column.
+* -   Non-finite samples break connected series; infinite samples are drawn as arrows at the top (`↑`, `+∞`) or bottom (`↓`, `-∞`) of their column. Finite samples outside the plotted range are clipped.
+* -   Series are numbered in the order in which they are drawn; each number has its own color and `dots` glyph, so that overlaid series can be told apart (by glyph with the `dots` renderer, and otherwise by color). Later series are drawn over earlier ones.
+*/
+
+var floor = require('@stdlib/math/base/special/floor');
+var round = require('@stdlib/math/base/special/round');
+var max = require('@stdlib/math/base/special/max');
+var min = require('@stdlib/math/base/special/min');
+var isfinite = require('@stdlib/math/base/assert/is-finite');
+var isinfinite = require('@stdlib/math/base/assert/is-infinite');
+var setReadOnly = require('@stdlib/utils/define-nonenumerable-read-only-property');
+
+// VARIABLES //
+
+// Pixels per character cell (columns, rows) of each renderer...
+var PIXELS = {
+    'dots': [1, 1],
+    'line': [1, 1],
+    'block': [1, 2],
+    'braille': [2, 4]
+};
+
+// Renderers which only draw ASCII characters when asked to...
+var ASCII_RENDERERS = ['dots', 'line'];
+
+// Bits of the pixels of a character cell (by row, then column)...
+var BITS = {
+    'block': [[1], [2]],
+    'braille': [[0x01, 0x08], [0x02, 0x10], [0x04, 0x20], [0x40, 0x80]]
+};
+
+// Half-block characters, by the bits of their pixels (top: 1, bottom: 2)...
+var BLOCKS = [' ', '▀', '▄', '█'];
+
+// First braille pattern (no dots)...
+var BRAILLE = 0x2800;
+
+// Characters of the `dots` (by series) and `line` renderers and of axes, in Unicode and ASCII...
+var GLYPHS = {
+    'unicode': {
+        'dots': ['●', '○', '◆', '▲', '■', '×'],
+        'horizontal': '─',
+        'vertical': '│',
+        'up': ['╯', '╭'],
+        'down': ['╮', '╰'],
+        'axis': '·',
+        'column': '┆',
+        'infinity': ['↑', '↓']
+    },
+    'ascii': {
+        'dots': ['*', 'o', '+', 'x', '#', '@'],
+        'horizontal': '-',
+        'vertical': '|',
+        'up': ['\'', '.'],
+        'down': ['.', '\''],
+        'axis': '.',
+        'column': ':',
+        'infinity': ['^', 'v']
+    }
+};
+
+// ASCII replacements of the non-ASCII characters of plot titles, descriptions, legends and frames...
+var TRANSLITERATIONS = {
+    '—': '-',
+    '²': '^2',
+    'π': 'pi',
+    'Γ': 'Gamma',
+    '∈': 'in',
+    '…': '...',
+    '→': '->',
+    '←': '<-',
+    '↑': '^',
+    '↓': 'v',
+    '∞': 'inf',
+    '─': '-',
+    '│': '|',
+    '┊': ':',
+    '┌': '+',
+    '┐': '+',
+    '└': '+',
+    '┘': '+',
+    '┤': '+',
+    '┬': '+',
+    '┆': ':',
+    '·': '.',
+    '●': '*',
+    '×': 'x',
+    '≈': '~',
+    '±': '+/-'
+};
+
+// ANSI colors (SGR parameters) of series, by series...
+var PALETTE = ['36', '33', '35', '32', '31', '34'];
+
+// Legend markers of the renderers which do not draw glyphs (by series)...
+var SWATCHES = {
+    'line': '─',
+    'block': '█',
+    'braille': '⣿'
+};
+
+// ANSI style of axes...
+var AXIS_STYLE = '2';
+
+// FUNCTIONS //
+
+/**
+* Returns a matrix filled with a value.
+*
+* @private
+* @param {PositiveInteger} columns - number of columns
+* @param {PositiveInteger} rows - number of rows
+* @param {*} value - value
+* @returns {Array<Array>} matrix (by row)
+*/
+function matrix(columns, rows, value) {
+    var out = [];
+    var i;
+    var j;
+    for (j = 0; j < rows; j++) {
+        out.push([]);
+        for (i = 0; i < columns; i++) {
+            out[j].push(value);
+        }
+    }
+    return out;
+}
+
+/**
+* Replaces the non-ASCII characters of a string.
+*
+* @private
+* @param {string} str - string
+* @returns {string} ASCII string (unknown characters are replaced by `?`)
+*/
+function transliterate(str) {
+    return str.replace(/[^\x00-\x7F]/g, function replace(ch) {
+        return (TRANSLITERATIONS.hasOwnProperty(ch)) ? TRANSLITERATIONS[ch] : '?';
+    });
+}
+
+// MAIN //
+
+/**
+* Returns a canvas.
+*
+* @param {PositiveInteger} columns - width (in character cells)
+* @param {PositiveInteger} rows - height (in character cells)
+* @param {Options} [options] - options
+* @param {string} [options.renderer='dots'] - renderer (`'dots'`, `'line'`, `'block'` or `'braille'`)
+* @param {boolean} [options.color=false] - boolean indicating whether to color series and axes
+* @param {boolean} [options.ascii=false] - boolean indicating whether to only draw ASCII characters
+* @throws {Error} must provide a renderer which can draw ASCII characters when asked to
+* @returns {Object} canvas
+*/
+function canvas(columns, rows, options) {
+    var renderer;
+    var glyphs;
+    var filled;
+    var styles;
+    var colors;
+    var chars;
+    var marks;
+    var masks;
+    var pw;
+    var ph;
+
+    options = options || {};
+    renderer = options.renderer || 'dots';
+    if (options.ascii && ASCII_RENDERERS.indexOf(renderer) < 0) {
+        throw new Error('invalid argument. Only the following renderers can draw ASCII characters: "' + ASCII_RENDERERS.join('", "') + '". Value: `' + renderer + '`.');
+    }
+    glyphs = GLYPHS[(options.ascii) ? 'ascii' : 'unicode'];
+    pw = columns * PIXELS[renderer][0];
+    ph = rows * PIXELS[renderer][1];
+    chars = matrix(columns, rows, ' ');
+    masks = matrix(columns, rows, 0);
+    colors = matrix(columns, rows, null);
+    filled = matrix(columns, rows, false);
+    marks = matrix(columns, rows, null);
+    styles = matrix(columns, rows, null);
+
+    return {
+        'columns': columns,
+        'rows': rows,
+        'series': series,
+        'legend': legend,
+        'axis': axis,
+        'column': column,
+        'mark': mark,
+        'style': style,
+        'filled': isFilled,
+        'lines': lines
+    };
+
+    /**
+    * Sets the character of a cell.
+    *
+    * @private
+    * @param {integer} i - column
+    * @param {integer} j - row
+    * @param {string} ch - character
+    * @param {(string|null)} color - color
+    */
+    function setChar(i, j, ch, color) {
+        if (j >= 0 && j < rows) {
+            chars[j][i] = ch;
+            colors[j][i] = color;
+            filled[j][i] = true;
+        }
+    }
+
+    /**
+    * Sets a pixel.
+    *
+    * @private
+    * @param {integer} pi - pixel column
+    * @param {integer} pj - pixel row
+    * @param {(string|null)} color - color
+    */
+    function setPixel(pi, pj, color) {
+        var i;
+        var j;
+        if (pj < 0 || pj >= ph) {
+            return;
+        }
+        i = floor(pi / PIXELS[renderer][0]);
+        j = floor(pj / PIXELS[renderer][1]);
+        masks[j][i] |= BITS[renderer][pj % PIXELS[renderer][1]][pi % PIXELS[renderer][0]];
+        colors[j][i] = color;
+        filled[j][i] = true;
+    }
+
+    /**
+    * Draws the segment of a `line` series ending at a sample.
+    *
+    * ## Notes
+    *
+    * -   A column holds the transition from the previous sample's row to the current one: a corner at each end, joined by vertical lines.
+    *
+    * @private
+    * @param {integer} i - column
+    * @param {(integer|null)} prev - row of the previous sample (`null` if none)
+    * @param {integer} r - row of the sample
+    * @param {(string|null)} color - color
+    * @returns {void}
+    */
+    function segment(i, prev, r, color) {
+        var ends;
+        var j;
+        if (prev === null || prev === r) {
+            return setChar(i, r, glyphs.horizontal, color);
+        }
+        ends = (r < prev) ? glyphs.up : glyphs.down;
+        for (j = min(prev, r) + 1; j < max(prev, r); j++) {
+            setChar(i, j, glyphs.vertical, color);
+        }
+        setChar(i, prev, ends[0], color);
+        setChar(i, r, ends[1], color);
+    }
+
+    /**
+    * Draws a series of samples.
+    *
+    * @private
+    * @param {Collection<number>} y - samples (evenly spaced across the canvas)
+    * @param {number} lo - value at the bottom of the canvas
+    * @param {number} hi - value at the top of the canvas
+    * @param {NonNegativeInteger} [k=0] - series number
+    */
+    function series(y, lo, hi, k) {
+        var color;
+        var glyph;
+        var prev;
+        var from;
+        var pi;
+        var r;
+        var n;
+        var i;
+        var j;
+
+        k = k || 0;
+        color = PALETTE[k % PALETTE.length];
+        glyph = glyphs.dots[k % glyphs.dots.length];
+        n = y.length;
+        prev = null;
+        for (i = 0; i < n; i++) {
+            pi = floor(i * pw / n);
+            if (!isfinite(y[i])) {
+                if (isinfinite(y[i])) {
+                    j = floor(pi / PIXELS[renderer][0]);
+                    mark(j, (y[i] > 0.0) ? 0 : rows - 1, glyphs.infinity[(y[i] > 0.0) ? 0 : 1], color);
+                }
+                prev = null;
+                continue;
+            }
+            r = round((1.0 - ((y[i] - lo) / (hi - lo))) * (ph - 1));
+
+            // Keep far-off samples within reach of the canvas, so that segments towards them are clipped rather than drawn for ages:
+            r = max(-1, min(ph, r));
+            if (renderer === 'dots') {
+                setChar(pi, r, glyph, color);
+            } else if (renderer === 'line') {
+                segment(pi, prev, r, color);
+            } else {
+                from = r;
+                if (prev !== null && prev !== r) {
+                    from = (prev < r) ? prev + 1 : prev - 1;
+                }
+                for (j = min(from, r); j <= max(from, r); j++) {
+                    setPixel(pi, j, color);
+                }
+            }
+            prev = r;
+        }
+    }
+
+    /**
+    * Returns the legend marker of a series (colored with the `color` option).
+    *
+    * @private
+    * @param {NonNegativeInteger} k - series number
+    * @returns {string} marker
+    */
+    function legend(k) {
+        var ch;
+        if (renderer === 'dots') {
+            ch = glyphs.dots[k % glyphs.dots.length];
+        } else {
+            ch = (options.ascii) ? glyphs.horizontal : SWATCHES[renderer];
+        }
+        if (options.color) {
+            return '\u001b[' + PALETTE[k % PALETTE.length] + 'm' + ch + '\u001b[0m';
+        }
+        return ch;
+    }
+
+    /**
+    * Draws a horizontal axis through the empty cells of the row of a value.
+    *
+    * @private
+    * @param {number} v - value
+    * @param {number} lo - value at the bottom of the canvas
+    * @param {number} hi - value at the top of the canvas
+    */
+    function axis(v, lo, hi) {
+        var r;
+        var i;
+        if (v < lo || v > hi) {
+            return;
+        }
+        r = round((1.0 - ((v - lo) / (hi - lo))) * (rows - 1));
+        r = floor(max(0, min(rows - 1, r)));
+        for (i = 0; i < columns; i++) {
+            if (chars[r][i] === ' ' && masks[r][i] === 0) {
+                chars[r][i] = glyphs.axis;
+                colors[r][i] = AXIS_STYLE;
+            }
+        }
+    }
+
+    /**
+    * Draws a dashed vertical line through the empty cells of a column (e.g., a vertical asymptote).
+    *
+    * @private
+    * @param {integer} i - column
+    */
+    function column(i) {
+        var j;
+        if (i < 0 || i >= columns) {
+            return;
+        }
+        for (j = 0; j < rows; j++) {
+            if (chars[j][i] === ' ' && masks[j][i] === 0) {
+                chars[j][i] = glyphs.column;
+                colors[j][i] = AXIS_STYLE;
+            }
+        }
+    }
+
+    /**
+    * Places a character in a cell, over whatever is drawn there.
+    *
+    * @private
+    * @param {integer} i - column
+    * @param {integer} j - row
+    * @param {string} ch - character
+    * @param {(string|null)} [color] - color
+    */
+    function mark(i, j, ch, color) {
+        marks[j][i] = {
+            'ch': ch,
+            'color': color || null
+        };
+    }
+
+    /**
+    * Styles a cell (regardless of the `color` option; e.g., a cursor in reverse video).
+    *
+    * @private
+    * @param {integer} i - column
+    * @param {integer} j - row
+    * @param {string} sgr - ANSI style (SGR parameters)
+    */
+    function style(i, j, sgr) {
+        styles[j][i] = sgr;
+    }
+
+    /**
+    * Returns a boolean indicating whether a series is drawn in a cell.
+    *
+    * @private
+    * @param {integer} i - column
+    * @param {integer} j - row
+    * @returns {boolean} boolean indicating whether a series is drawn in the cell
+    */
+    function isFilled(i, j) {
+        return filled[j][i];
+    }
+
+    /**
+    * Returns the rows of the canvas as strings.
+    *
+    * @private
+    * @returns {Array<string>} rows
+    */
+    function lines() {
+        var color;
+        var line;
+        var sgr;
+        var out;
+        var ch;
+        var i;
+        var j;
+
+        out = [];
+        for (j = 0; j < rows; j++) {
+            line = '';
+            for (i = 0; i < columns; i++) {
+                if (marks[j][i]) {
+                    ch = marks[j][i].ch;
+                    color = marks[j][i].color;
+                } else {
+                    if (masks[j][i] === 0) {
+                        ch = chars[j][i];
+                    } else if (renderer === 'braille') {
+                        ch = String.fromCharCode(BRAILLE + masks[j][i]);
+                    } else {
+                        ch = BLOCKS[masks[j][i]];
+                    }
+                    color = colors[j][i];
+                }
+                sgr = [];
+                if (options.color && color) {
+                    sgr.push(color);
+                }
+                if (styles[j][i]) {
+                    sgr.push(styles[j][i]);
+                }
+                line += (sgr.length) ? '\u001b[' + sgr.join(';') + 'm' + ch + '\u001b[0m' : ch;
+            }
+            out.push(line);
+        }
+        return out;
+    }
+}
+
+setReadOnly(canvas, 'ASCII_RENDERERS', ASCII_RENDERERS);
+setReadOnly(canvas, 'transliterate', transliterate);
+
+// EXPORTS //
+
+module.exports = canvas;
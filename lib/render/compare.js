@@ -0,0 +1,348 @@
+'use strict';
+
+/**
+* Text renderer for accuracy comparison reports.
+*/
+
+var abs = require('@stdlib/math/base/special/abs');
+var renderHistogram = require('./histogram.js');
+
+// VARIABLES //
+
+// Heatmap shades and the largest error (in ULPs) of each shade; empty cells are blank...
+var SHADES = ['·', '░', '▒', '▓', '█'];
+var SHADE_LIMITS = [0.5, 1.0, 2.0, 8.0, Infinity];
+
+// FUNCTIONS //
+
+/**
+* Formats the inputs of a test point.
+*
+* @private
+* @param {Array<string>} args - argument names
+* @param {Object} p - test point (`x` and, for functions of two arguments, `y`)
+* @returns {string} formatted inputs (e.g., `x = 1.5` or `y = 1, x = -2`)
+*/
+function formatInputs(args, p) {
+    if (args.length === 2) {
+        return args[0] + ' = ' + p.x + ', ' + args[1] + ' = ' + p.y;
+    }
+    return 'x = ' + p.x;
+}
+
+/**
+* Formats the arguments of a call at a test point.
+*
+* @private
+* @param {Object} p - test point
+* @returns {string} formatted arguments (e.g., `1.5` or `1, -2`)
+*/
+function formatArgs(p) {
+    return (p.y === void 0) ? String(p.x) : p.x + ', ' + p.y;
+}
+
+/**
+* Pads a string with spaces to a given width.
+*
+* @private
+* @param {string} str - string
+* @param {NonNegativeInteger} width - width
+* @param {boolean} [right=false] - boolean indicating whether to right-align the string
+* @returns {string} padded string
+*/
+function pad(str, width, right) {
+    while (str.length < width) {
+        str = (right) ? ' ' + str : str + ' ';
+    }
+    return str;
+}
+
+/**
+* Returns the width of the implementation label column.
+*
+* @private
+* @param {Array<string>} ids - implementation identifiers
+* @returns {PositiveInteger} width
+*/
+function labelWidth(ids) {
+    var w = 8;
+    var i;
+    for (i = 0; i < ids.length; i++) {
+        if (ids[i].length + 2 > w) {
+            w = ids[i].length + 2;
+        }
+    }
+    return w;
+}
+
+/**
+* Renders the error of an implementation against the reference.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {string} label - implementation label
+* @param {PositiveInteger} width - label column width
+* @param {Object} stats - error summary
+* @param {Array<string>} args - argument names
+*/
+function renderErrors(out, label, width, stats, args) {
+    var indent = '  │    ' + pad('', width);
+    out.push('  │    ' + pad(label, width) +
+        'max ' + stats.max.toFixed(4) + ' ULP' +
+        '  avg ' + stats.mean.toFixed(4) + ' ULP' +
+        '  correctly rounded ' + (100.0 * stats.correctlyRounded).toFixed(1) + '%');
+    if (stats.max > 0.5) {
+        out.push(indent + 'worst ' + formatInputs(args, stats.worst) +
+            ' (' + ((stats.worst.error > 0) ? '+' : '') +
+            stats.worst.error.toFixed(4) + ' ULP)');
+    }
+    if (stats.percentiles) {
+        out.push(indent + 'p50 ' + stats.percentiles.p50.toFixed(4) +
+            '  p90 ' + stats.percentiles.p90.toFixed(4) +
+            '  p99 ' + stats.percentiles.p99.toFixed(4) +
+            '  p99.9 ' + stats.percentiles['p99.9'].toFixed(4) + ' ULP');
+    }
+    out.push(indent + 'correctly rounded ' + stats.nCorrectlyRounded + '/' + stats.n +
+        ', faithfully rounded ' + stats.nFaithfullyRounded + '/' + stats.n +
+        ' (' + (100.0 * stats.faithfullyRounded).toFixed(1) + '%)');
+    if (stats.nNaN > 0) {
+        out.push(indent + 'NaN results where the exact result is a number: ' + stats.nNaN + '/' + stats.n);
+    }
+    out.push.apply(out, renderHistogram(stats.histogram, indent));
+}
+
+/**
+* Renders the result of a worst-case search.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {string} label - implementation label
+* @param {PositiveInteger} width - label column width
+* @param {(Object|null)} result - search result
+* @param {Array<string>} args - argument names
+*/
+function renderSearch(out, label, width, result, args) {
+    if (result === null) {
+        out.push('  │    ' + pad(label, width) + 'no finite errors to search');
+        return;
+    }
+    out.push('  │    ' + pad(label, width) +
+        'max ' + abs(result.error).toFixed(4) + ' ULP' +
+        ' at ' + formatInputs(args, result) + ' (' + result.bits +
+        ((result.ybits) ? ', ' + result.ybits : '') + ')');
+    out.push('  │    ' + pad('', width) + 'sampled max ' + abs(result.sampled.error).toFixed(4) +
+        ' ULP; ' + result.evaluations + ' evaluations from ' + result.seeds + ' seeds');
+}
+
+/**
+* Renders the ranking of the implementations of a comparison.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {Array<Object>} ranking - ranking
+*/
+function renderRanking(out, ranking) {
+    var widths;
+    var rows;
+    var r;
+    var i;
+    var j;
+
+    rows = [['#', 'implementation', 'measured', 'max ULP', 'avg ULP', 'correctly rounded']];
+    for (i = 0; i < ranking.length; i++) {
+        r = ranking[i];
+        rows.push([
+            String(r.rank),
+            r.id,
+            (100.0 * r.coverage).toFixed(1) + '%',
+            r.max.toFixed(4),
+            r.mean.toFixed(4),
+            (100.0 * r.correctlyRounded).toFixed(1) + '%'
+        ]);
+    }
+    widths = [0, 0, 0, 0, 0, 0];
+    for (i = 0; i < rows.length; i++) {
+        for (j = 0; j < widths.length; j++) {
+            if (rows[i][j].length > widths[j]) {
+                widths[j] = rows[i][j].length;
+            }
+        }
+    }
+    out.push('  │  Ranking (by measured points, then max, then mean error vs reference):');
+    for (i = 0; i < rows.length; i++) {
+        out.push('  │    ' + pad(rows[i][0], widths[0], true) + '  ' +
+            pad(rows[i][1], widths[1]) + '  ' +
+            pad(rows[i][2], widths[2], true) + '  ' +
+            pad(rows[i][3], widths[3], true) + '  ' +
+            pad(rows[i][4], widths[4], true) + '  ' +
+            pad(rows[i][5], widths[5], true));
+    }
+}
+
+/**
+* Returns the heatmap shade of an error.
+*
+* @private
+* @param {(number|null)} err - maximum absolute error of a cell (in ULPs)
+* @returns {string} shade
+*/
+function shade(err) {
+    var i;
+    if (err === null) {
+        return ' ';
+    }
+    for (i = 0; i < SHADE_LIMITS.length; i++) {
+        if (err <= SHADE_LIMITS[i]) {
+            break;
+        }
+    }
+    return SHADES[i];
+}
+
+/**
+* Renders the error heatmap of an implementation over the rectangle of a comparison.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {string} label - implementation label
+* @param {Object} hm - heatmap
+* @param {Array<string>} args - argument names
+*/
+function renderHeatmap(out, label, hm, args) {
+    var cells;
+    var line;
+    var ylo;
+    var yhi;
+    var w;
+    var i;
+    var j;
+
+    cells = hm.cells[label];
+    yhi = String(hm.y[1]);
+    ylo = String(hm.y[0]);
+    w = (yhi.length > ylo.length) ? yhi.length : ylo.length;
+    out.push('  │    ' + label + ' (' + args[1] + ' ↑, ' + args[0] + ' →):');
+    for (i = 0; i < hm.rows; i++) {
+        line = '';
+        for (j = 0; j < hm.cols; j++) {
+            line += shade(cells[(i*hm.cols)+j]);
+        }
+        if (i === 0) {
+            out.push('  │    ' + pad(yhi, w, true) + ' ┤' + line);
+        } else if (i === hm.rows - 1) {
+            out.push('  │    ' + pad(ylo, w, true) + ' ┤' + line);
+        } else {
+            out.push('  │    ' + pad('', w) + ' │' + line);
+        }
+    }
+    line = String(hm.x[1]);
+    out.push('  │    ' + pad('', w) + '  ' + pad(String(hm.x[0]), hm.cols - line.length) + line);
+}
+
+/**
+* Returns the legend of the heatmap shades.
+*
+* @private
+* @returns {string} legend
+*/
+function legend() {
+    var out = [];
+    var i;
+    for (i = 0; i < SHADES.length - 1; i++) {
+        out.push(SHADES[i] + ' ≤' + SHADE_LIMITS[i]);
+    }
+    out.push(SHADES[i] + ' >' + SHADE_LIMITS[i-1] + ' ULP');
+    return out.join(' ');
+}
+
+/**
+* Renders a single comparison.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {Object} c - comparison results
+* @param {Array<string>} args - argument names
+*/
+function renderComparison(out, c, args) {
+    var width;
+    var ids;
+    var w;
+    var i;
+
+    ids = Object.keys(c.errors);
+    width = labelWidth(ids);
+    w = c.worstCase;
+
+    out.push('  ┌─ ' + c.label);
+    out.push('  │  Points tested:       ' + c.points);
+    out.push('  │  Exact agreement:      ' + c.agree + '/' + c.compared +
+        ' (' + (100.0 * c.agree / c.compared).toFixed(1) + '%)');
+    if (w) {
+        out.push('  │  Max ULP difference:  ' + c.maxUlpDiff);
+        out.push('  │  Avg ULP difference:  ' + c.meanUlpDiff.toFixed(4));
+        out.push('  │  Worst case at ' + ((args.length === 2) ? formatInputs(args, w) : 'x =    ' + w.x) +
+            ' (native ' + ((w.ulp > 0) ? '+' : '') + w.ulp +
+            ' ULP from stdlib)');
+        out.push('  │  stdlib(' + formatArgs(w) + ') = ' + w.stdlib);
+        out.push('  │  native(' + formatArgs(w) + ') = ' + w.native);
+    } else {
+        out.push('  │  ✓ Perfect agreement across all test points!');
+    }
+    if (ids.length > 2) {
+        renderRanking(out, c.ranking);
+    }
+    out.push('  │  Error vs correctly rounded reference:');
+    for (i = 0; i < ids.length; i++) {
+        renderErrors(out, ids[i], width, c.errors[ids[i]], args);
+    }
+    if (c.heatmap) {
+        out.push('  │  Error heatmap (max per cell; ' + legend() + '):');
+        for (i = 0; i < ids.length; i++) {
+            renderHeatmap(out, ids[i], c.heatmap, args);
+        }
+    }
+    if (c.search) {
+        out.push('  │  Worst-case search (local maximum error):');
+        for (i = 0; i < ids.length; i++) {
+            renderSearch(out, ids[i], width, c.search[ids[i]], args);
+        }
+    }
+    out.push('  └──────────────────────────────────────────');
+    out.push('');
+}
+
+// MAIN //
+
+/**
+* Renders an accuracy comparison report as lines of text.
+*
+* @param {Object} report - comparison report
+* @returns {Array<string>} lines
+*/
+function render(report) {
+    var out = [];
+    var f;
+    var i;
+    var j;
+    var k;
+    for (i = 0; i < report.functions.length; i++) {
+        f = report.functions[i];
+        out.push('  Comparing: ' + f.title);
+        for (k = 0; k < f.implementations.length; k++) {
+            out.push('  ' + f.implementations[k].id + ': ' + f.implementations[k].label);
+        }
+        out.push('');
+        for (j = 0; j < f.comparisons.length; j++) {
+            renderComparison(out, f.comparisons[j], f.args || ['x']);
+        }
+    }
+    out.push('  Summary: stdlib provides carefully implemented');
+    out.push('  mathematical functions that match or exceed the');
+    out.push('  accuracy of native JavaScript Math functions,');
+    out.push('  especially near boundary conditions.');
+    return out;
+}
+
+// EXPORTS //
+
+module.exports = render;
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+* Text renderer for conformance reports.
+*/
+
+var fmt = require('./../spec/modes.js').fmt;
+
+// VARIABLES //
+
+var NAME_WIDTH = 12;
+var TEXT_WIDTH = 72;
+
+// FUNCTIONS //
+
+/**
+* Pads a string on the right.
+*
+* @private
+* @param {string} str - string
+* @param {NonNegativeInteger} width - minimum width
+* @returns {string} padded string
+*/
+function pad(str, width) {
+    while (str.length < width) {
+        str += ' ';
+    }
+    return str;
+}
+
+/**
+* Wraps text into indented lines.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {string} text - text
+* @param {string} indent - line prefix
+*/
+function wrap(out, text, indent) {
+    var words;
+    var line;
+    var i;
+
+    words = text.split(' ');
+    line = indent + words[0];
+    for (i = 1; i < words.length; i++) {
+        if (line.length + 1 + words[i].length > TEXT_WIDTH) {
+            out.push(line);
+            line = indent + words[i];
+        } else {
+            line += ' ' + words[i];
+        }
+    }
+    out.push(line);
+}
+
+/**
+* Formats a score as a percentage.
+*
+* @private
+* @param {(number|null)} score - score
+* @returns {string} formatted score
+*/
+function percent(score) {
+    if (score === null) {
+        return '   n/a';
+    }
+    score = (100.0 * score).toFixed(1) + '%';
+    return pad('', 6 - score.length) + score;
+}
+
+/**
+* Renders the violations of a single function.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {Object} f - function results
+*/
+function renderViolations(out, f) {
+    var v;
+    var c;
+    var i;
+    var j;
+
+    for (i = 0; i < f.violations.length; i++) {
+        v = f.violations[i];
+        out.push('');
+        out.push('  ✗ ' + f.name + ' violates ' + v.clause);
+        if (v.text) {
+            wrap(out, v.text, '      ');
+        }
+        for (j = 0; j < v.cases.length; j++) {
+            c = v.cases[j];
+            out.push('      • ' + c.label + ': got ' + fmt(c.actual, true) +
+                ', expected ' + c.expected);
+        }
+    }
+}
+
+// MAIN //
+
+/**
+* Renders a conformance report as lines of text.
+*
+* @param {Object} report - conformance report
+* @returns {Array<string>} lines
+*/
+function render(report) {
+    var violated;
+    var out;
+    var f;
+    var i;
+    var j;
+
+    out = [];
+    out.push('  ' + pad('Function', NAME_WIDTH) + ' Score   Cases   Violated clauses');
+    out.push('  ' + pad('', NAME_WIDTH + 48).replace(/ /g, '─'));
+    for (i = 0; i < report.functions.length; i++) {
+        f = report.functions[i];
+        violated = [];
+        for (j = 0; j < f.violations.length; j++) {
+            violated.push(f.violations[j].clause);
+        }
+        out.push('  ' + pad(f.name, NAME_WIDTH) + ' ' + percent(f.score) + '  ' +
+            pad(f.passed + '/' + f.total, 7) + ' ' +
+            ((f.total === 0) ? '(no required results)' : (violated.join(', ') || '—')));
+    }
+    out.push('');
+    out.push('  Overall: ' + percent(report.score).trim() + ' (' + report.passed + '/' +
+        report.total + ' required results met)');
+    for (i = 0; i < report.functions.length; i++) {
+        renderViolations(out, report.functions[i]);
+    }
+    if (report.failed === 0) {
+        out.push('');
+        out.push('  ✓ All required results are met.');
+    }
+    return out;
+}
+
+// EXPORTS //
+
+module.exports = render;
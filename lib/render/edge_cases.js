@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+* Text renderer for edge case reports.
+*/
+
+var isNegativeZero = require('@stdlib/math/base/assert/is-negative-zero');
+
+// FUNCTIONS //
+
+/**
+* Returns the status marker of a case.
+*
+* @private
+* @param {Object} c - case result
+* @returns {string} marker
+*/
+function status(c) {
+    if (c.passed) {
+        return '  ✓ PASS ';
+    }
+    return (c.known) ? '  ✗ KNOWN' : '  ✗ FAIL ';
+}
+
+/**
+* Renders the results for a single function.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {Object} fcn - function results
+*/
+function renderFunction(out, fcn) {
+    var title;
+    var c;
+    var i;
+
+    title = '  ┌── ' + fcn.title + ' Edge Cases ';
+    out.push('');
+    out.push(title + new Array(Math.max(1, 47 - title.length)).join('─'));
+    out.push('  │');
+    for (i = 0; i < fcn.cases.length; i++) {
+        c = fcn.cases[i];
+        out.push(status(c) + ' │ ' + c.label);
+        out.push('         │   Result: ' + ((isNegativeZero(c.actual)) ? '-0' : c.actual));
+        out.push('         │   Expected: ' + c.expected);
+        if (c.reference) {
+            out.push('         │   Reference: ' + c.reference);
+        }
+        if (c.known && !c.passed) {
+            out.push('         │   Known deviation: ' + c.known);
+        }
+    }
+    out.push('  │');
+    out.push('  └────────────────────────────────────────────');
+}
+
+/**
+* Renders the IEEE 754 constants panel.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {Object} constants - constants
+*/
+function renderConstants(out, constants) {
+    out.push('');
+    out.push('  ┌── IEEE 754 Constants from stdlib ─────────');
+    out.push('  │');
+    out.push('  │  Machine Epsilon (eps):    ' + constants.eps);
+    out.push('  │  Smallest Normal:          ' + constants.smallestNormal);
+    out.push('  │  Largest Float64:          ' + constants.max);
+    out.push('  │  Positive Infinity:        ' + constants.pinf);
+    out.push('  │  Negative Infinity:        ' + constants.ninf);
+    out.push('  │');
+    out.push('  │  stdlib provides typed constants that make');
+    out.push('  │  IEEE 754 edge case handling explicit and');
+    out.push('  │  portable across environments.');
+    out.push('  │');
+    out.push('  └────────────────────────────────────────────');
+}
+
+// MAIN //
+
+/**
+* Renders an edge case report as lines of text.
+*
+* @param {Object} report - edge case report
+* @returns {Array<string>} lines
+*/
+function render(report) {
+    var out = [];
+    var i;
+    for (i = 0; i < report.functions.length; i++) {
+        renderFunction(out, report.functions[i]);
+    }
+    out.push('');
+    out.push('  ' + report.passed + ' passed, ' + report.failed + ' failed' +
+        ((report.known) ? ', ' + report.known + ' known deviation' + ((report.known === 1) ? '' : 's') + ' (not counted as failures)' : ''));
+    renderConstants(out, report.constants);
+    return out;
+}
+
+// EXPORTS //
+
+module.exports = render;
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+* Text renderer for ULP error histograms (see `lib/histogram.js`).
+*/
+
+var ceil = require('@stdlib/math/base/special/ceil');
+var log10 = require('@stdlib/math/base/special/log10');
+
+// VARIABLES //
+
+// Maximum bar width (in characters)...
+var BAR_WIDTH = 40;
+
+// MAIN //
+
+/**
+* Renders histogram bins as horizontal bars.
+*
+* ## Notes
+*
+* -   Bar lengths are proportional to the logarithm of the counts, so that bins holding a handful of inputs remain visible next to bins holding billions.
+* -   Empty bins above the largest non-empty bin are omitted.
+*
+* @param {Array<Object>} bins - histogram bins (`label`, `count`)
+* @param {string} indent - line prefix
+* @returns {Array<string>} lines
+*/
+function render(bins, indent) {
+    var total;
+    var last;
+    var max;
+    var out;
+    var n;
+    var i;
+
+    total = 0;
+    max = 0;
+    last = 0;
+    for (i = 0; i < bins.length; i++) {
+        total += bins[i].count;
+        if (bins[i].count > max) {
+            max = bins[i].count;
+        }
+        if (bins[i].count > 0) {
+            last = i;
+        }
+    }
+    out = [];
+    for (i = 0; i <= last; i++) {
+        n = (bins[i].count > 0) ? ceil(BAR_WIDTH * log10(1 + bins[i].count) / log10(1 + max)) : 0;
+        out.push(indent + ('          ' + bins[i].label).slice(-9) + ' │' +
+            new Array(n + 1).join('█') + new Array(BAR_WIDTH - n + 2).join(' ') +
+            ('            ' + bins[i].count).slice(-12) +
+            ('        ' + ((total) ? (100.0 * bins[i].count / total).toFixed(2) : '0.00') + '%').slice(-9));
+    }
+    return out;
+}
+
+// EXPORTS //
+
+module.exports = render;
@@ -0,0 +1,744 @@
+'use strict';
+
+/**
+* Text renderer for plot reports.
+*
+* ## Notes
+*
+* -   Functions of one argument are drawn by the report's renderer (see `lib/render/canvas.js`) on the report's y scale, with ticks on both axes (see `lib/render/axis.js`), markers of non-finite values and vertical asymptotes, and a legend if several implementations are overlaid and, below the plot, a panel of their ULP errors if the plot data includes them. With the report's `ascii` option, frames and labels only use ASCII characters; with its `color` option, series, axes and heatmap shades are colored with ANSI escapes.
+*/
+
+var floor = require('@stdlib/math/base/special/floor');
+var max = require('@stdlib/math/base/special/max');
+var min = require('@stdlib/math/base/special/min');
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var isinfinite = require('@stdlib/math/base/assert/is-infinite');
+var round = require('@stdlib/math/base/special/round');
+var log10 = require('@stdlib/math/base/special/log10');
+var pow = require('@stdlib/math/base/special/pow');
+var canvas = require('./canvas.js');
+var axis = require('./axis.js');
+
+// VARIABLES //
+
+// Heatmap shades, from the smallest to the largest value...
+var RAMP = '.:-=+*#%@';
+
+// ANSI colors (SGR parameters) of the heatmap shades, and of infinite values...
+var RAMP_COLORS = ['34', '34', '36', '36', '32', '32', '33', '31', '31'];
+var INFINITY_COLOR = '35';
+
+// Smallest height of the ULP error panel (in rows)...
+var MIN_ERROR_ROWS = 3;
+
+// Smallest bottom of the logarithmic axis of the ULP error panel (smaller positive errors are drawn at the bottom)...
+var MIN_ERROR = 1.0e-3;
+
+// Smallest width of the labels of the y axis (including the space before the axis)...
+var LABEL_WIDTH = 7;
+
+// Frame characters, in Unicode and ASCII...
+var FRAMES = {
+    'unicode': {
+        'top': '┌',
+        'topRight': '┐',
+        'bottom': '└',
+        'bottomRight': '┘',
+        'horizontal': '─',
+        'vertical': '│',
+        'tickLeft': '┤',
+        'tickDown': '┬',
+        'infinity': '∞'
+    },
+    'ascii': {
+        'top': '+',
+        'topRight': '+',
+        'bottom': '+',
+        'bottomRight': '+',
+        'horizontal': '-',
+        'vertical': '|',
+        'tickLeft': '+',
+        'tickDown': '+',
+        'infinity': '!'
+    }
+};
+
+// Markers of non-finite values and vertical asymptotes (as drawn by `lib/render/canvas.js`), in Unicode and ASCII...
+var MARKERS = {
+    'unicode': {
+        'column': '┆',
+        'infinity': ['↑', '↓'],
+        'nan': '×'
+    },
+    'ascii': {
+        'column': ':',
+        'infinity': ['^', 'v'],
+        'nan': 'x'
+    }
+};
+
+// FUNCTIONS //
+
+/**
+* Returns a function which prepares the text of a plot for output.
+*
+* @private
+* @param {boolean} ascii - boolean indicating whether to only output ASCII characters
+* @returns {Function} function which replaces non-ASCII characters if asked to
+*/
+function textFactory(ascii) {
+    return (ascii) ? canvas.transliterate : identity;
+
+    /**
+    * Returns a string unchanged.
+    *
+    * @private
+    * @param {string} str - string
+    * @returns {string} string
+    */
+    function identity(str) {
+        return str;
+    }
+}
+
+/**
+* Wraps a character in an ANSI color escape.
+*
+* @private
+* @param {string} ch - character
+* @param {string} color - color (SGR parameters)
+* @returns {string} colored character
+*/
+function colorize(ch, color) {
+    return '\u001b[' + color + 'm' + ch + '\u001b[0m';
+}
+
+/**
+* Renders a plot of a function of two arguments as an ASCII heatmap.
+*
+* ## Notes
+*
+* -   Finite values are shaded linearly between the smallest and largest finite value; `NaN` is blank and `±∞` is `∞`.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {Object} plot - plot data
+* @param {Object} report - plot report (`color` and `ascii` options)
+*/
+function renderSurface(out, plot, report) {
+    var frame;
+    var width;
+    var line;
+    var text;
+    var ylo;
+    var yhi;
+    var lw;
+    var ch;
+    var k;
+    var v;
+    var i;
+    var j;
+
+    frame = FRAMES[(report.ascii) ? 'ascii' : 'unicode'];
+    text = textFactory(report.ascii);
+    width = plot.x.length;
+    yhi = String(plot.ymax);
+    ylo = String(plot.ymin);
+    lw = max(7, max(yhi.length, ylo.length));
+
+    out.push('');
+    out.push('  ' + frame.top + frame.horizontal + ' ' + text(plot.title) + ' ' +
+        new Array(max(1, width - text(plot.title).length - 3)).join(frame.horizontal) +
+        frame.topRight);
+    out.push('  ' + frame.vertical + '  ' + text(plot.description));
+    out.push('  ' + frame.vertical + '  ' + text(plot.args[0] + ' ∈ [' + plot.xmin + ', ' + plot.xmax + '] (→)' +
+        '  ' + plot.args[1] + ' ∈ [' + plot.ymin + ', ' + plot.ymax + '] (↑)'));
+    out.push('  ' + frame.vertical + '  shades ' + RAMP.charAt(0) + ' ' + plot.zmin.toPrecision(4) +
+        text(' … ') + RAMP.charAt(RAMP.length-1) + ' ' + plot.zmax.toPrecision(4) +
+        '  (blank NaN, ' + frame.infinity + ' infinite)');
+    out.push('  ' + frame.vertical);
+    for (j = 0; j < plot.y.length; j++) {
+        line = '';
+        for (i = 0; i < width; i++) {
+            v = plot.z[(j*width)+i];
+            if (isnan(v)) {
+                line += ' ';
+            } else if (isinfinite(v)) {
+                line += (report.color) ? colorize(frame.infinity, INFINITY_COLOR) : frame.infinity;
+            } else {
+                k = floor((v - plot.zmin) / (plot.zmax - plot.zmin) * RAMP.length);
+                k = min(RAMP.length - 1, max(0, k));
+                ch = RAMP.charAt(k);
+                line += (report.color) ? colorize(ch, RAMP_COLORS[k]) : ch;
+            }
+        }
+        if (j === 0) {
+            out.push('  ' + frame.vertical + pad(yhi, lw) + ' ' + frame.vertical + line + frame.vertical);
+        } else if (j === plot.y.length - 1) {
+            out.push('  ' + frame.vertical + pad(ylo, lw) + ' ' + frame.vertical + line + frame.vertical);
+        } else {
+            out.push('  ' + frame.vertical + pad('', lw) + ' ' + frame.vertical + line + frame.vertical);
+        }
+    }
+    out.push('  ' + frame.vertical + pad('', lw) + ' ' + frame.bottom + new Array(width + 1).join(frame.horizontal) + frame.bottomRight);
+    line = String(plot.xmax);
+    out.push('  ' + frame.vertical + pad('', lw) + '  ' + (String(plot.xmin) + new Array(width + 1).join(' ')).slice(0, max(0, width - line.length)) + line);
+    out.push('  ' + frame.bottom + new Array(width + lw + 5).join(frame.horizontal) + frame.bottomRight);
+}
+
+/**
+* Right-aligns a string to a given width.
+*
+* @private
+* @param {string} str - string
+* @param {NonNegativeInteger} width - width
+* @returns {string} padded string
+*/
+function pad(str, width) {
+    while (str.length < width) {
+        str = ' ' + str;
+    }
+    return str;
+}
+
+/**
+* Formats a ULP error for an axis label.
+*
+* @private
+* @param {number} e - ULP error
+* @returns {string} formatted error
+*/
+function formatUlp(e) {
+    return (e < 1.0e5) ? String(e) : e.toExponential(1).replace('e+', 'e');
+}
+
+/**
+* Returns the largest ULP error of a plot.
+*
+* @private
+* @param {Object} plot - plot data
+* @returns {number} largest error
+*/
+function worstError(plot) {
+    var worst = 0.0;
+    var i;
+    var k;
+    for (k = 0; k < plot.errors.length; k++) {
+        for (i = 0; i < plot.errors[k].ulp.length; i++) {
+            if (plot.errors[k].ulp[i] > worst) {
+                worst = plot.errors[k].ulp[i];
+            }
+        }
+    }
+    return worst;
+}
+
+/**
+* Returns the smallest positive ULP error of a plot.
+*
+* @private
+* @param {Object} plot - plot data
+* @returns {number} smallest positive error (`Infinity` if there is none)
+*/
+function leastError(plot) {
+    var least = Infinity;
+    var i;
+    var k;
+    for (k = 0; k < plot.errors.length; k++) {
+        for (i = 0; i < plot.errors[k].ulp.length; i++) {
+            if (plot.errors[k].ulp[i] > 0.0 && plot.errors[k].ulp[i] < least) {
+                least = plot.errors[k].ulp[i];
+            }
+        }
+    }
+    return least;
+}
+
+/**
+* Returns the number of rows of the panel of ULP errors of a plot.
+*
+* @private
+* @param {Object} plot - plot data
+* @returns {PositiveInteger} number of rows
+*/
+function errorRows(plot) {
+    return max(MIN_ERROR_ROWS, floor(plot.height / 3));
+}
+
+/**
+* Returns the y axis of the panel of ULP errors of a plot.
+*
+* ## Notes
+*
+* -   Positive errors are drawn on a logarithmic scale, from the power of ten below the smallest positive error (at least `MIN_ERROR`) up to the largest error, with ticks at powers of ten. Zero errors have no place on a logarithmic scale, and are drawn in a row of their own below it (see `errorLabels`).
+* -   If the largest error is the bottom of the axis (i.e., every positive error is the same power of ten), the axis extends to the next power of ten.
+*
+* @private
+* @param {Object} plot - plot data
+* @param {Object} report - plot report (`notation` option)
+* @returns {Object} axis
+*/
+function errorAxis(plot, report) {
+    var least = leastError(plot);
+    var worst = worstError(plot);
+    var lo = (least === Infinity) ? 1.0 : max(MIN_ERROR, pow(10.0, floor(log10(least))));
+    return axis('log', lo, (worst > lo) ? worst : 10.0 * lo, {
+        'count': max(2, floor((errorRows(plot) - 1) / 2)),
+        'extend': false,
+        'notation': report.notation
+    });
+}
+
+/**
+* Returns the labels of the rows of the panel of ULP errors of a plot.
+*
+* ## Notes
+*
+* -   The top row is labeled with the largest error (rather than a tick, if both fall on it), the rows of the logarithmic axis with its ticks, and the last row, which holds the zero errors, with `0`.
+*
+* @private
+* @param {Object} plot - plot data
+* @param {Object} ax - axis of the positive errors (see `errorAxis`)
+* @returns {Object} labels, by row
+*/
+function errorLabels(plot, ax) {
+    var height = errorRows(plot);
+    var out = tickRows(ax, height - 1);
+    if (ax.hi === worstError(plot)) {
+        out[0] = formatUlp(ax.hi);
+    }
+    out[height - 1] = '0';
+    return out;
+}
+
+/**
+* Returns a transform of ULP errors to their position on the logarithmic axis of the panel of ULP errors.
+*
+* @private
+* @param {Object} ax - axis of the positive errors (see `errorAxis`)
+* @returns {Function} transform (`NaN` for zero errors, which are drawn below the axis)
+*/
+function positiveError(ax) {
+    return f;
+
+    /**
+    * Transforms a ULP error.
+    *
+    * @private
+    * @param {number} e - ULP error
+    * @returns {number} position
+    */
+    function f(e) {
+        if (e === 0.0) {
+            return NaN;
+        }
+        return ax.transform((e < ax.lo) ? ax.lo : e);
+    }
+}
+
+/**
+* Returns `0` for zero errors and `NaN` otherwise.
+*
+* @private
+* @param {number} e - ULP error
+* @returns {number} position in the row of zero errors
+*/
+function zeroError(e) {
+    return (e === 0.0) ? 0.0 : NaN;
+}
+
+/**
+* Applies a transform to samples.
+*
+* @private
+* @param {Collection<number>} y - samples
+* @param {Function} f - transform
+* @returns {Float64Array} transformed samples
+*/
+function transform(y, f) {
+    var out = new Float64Array(y.length);
+    var i;
+    for (i = 0; i < y.length; i++) {
+        out[i] = f(y[i]);
+    }
+    return out;
+}
+
+/**
+* Returns the row of each tick of an axis which gets a label.
+*
+* ## Notes
+*
+* -   Where several ticks fall on the same row, the first one gets the row.
+*
+* @private
+* @param {Object} ax - axis (see `lib/render/axis.js`)
+* @param {PositiveInteger} height - number of rows
+* @returns {Object} labels, by row
+*/
+function tickRows(ax, height) {
+    var out;
+    var lo;
+    var hi;
+    var r;
+    var i;
+
+    lo = ax.transform(ax.lo);
+    hi = ax.transform(ax.hi);
+    out = {};
+    for (i = 0; i < ax.ticks.length; i++) {
+        r = round((1.0 - ((ax.transform(ax.ticks[i].value) - lo) / (hi - lo))) * (height - 1));
+        if (r >= 0 && r < height && !out.hasOwnProperty(r)) {
+            out[r] = ax.ticks[i].label;
+        }
+    }
+    return out;
+}
+
+/**
+* Returns the bottom border of a plot and the line of x labels below it.
+*
+* ## Notes
+*
+* -   Labels are centered under their ticks, and ticks whose labels would overlap the previous label are left unlabeled.
+*
+* @private
+* @param {Object} ax - x axis (see `lib/render/axis.js`)
+* @param {PositiveInteger} width - number of columns
+* @param {Object} frame - frame characters
+* @returns {Array<string>} border and labels (both starting at the first column of the plot)
+*/
+function xTicks(ax, width, frame) {
+    var border;
+    var labels;
+    var label;
+    var start;
+    var end;
+    var col;
+    var i;
+
+    border = [];
+    for (i = 0; i < width; i++) {
+        border.push(frame.horizontal);
+    }
+    labels = '';
+    end = -1;
+    for (i = 0; i < ax.ticks.length; i++) {
+        col = round((ax.ticks[i].value - ax.lo) / (ax.hi - ax.lo) * (width - 1));
+        border[col] = frame.tickDown;
+        label = ax.ticks[i].label;
+        start = min(max(0, col - floor(label.length / 2)), width + 1 - label.length);
+        if (start > end) {
+            labels += new Array(start - labels.length + 1).join(' ') + label;
+            end = labels.length;
+        }
+    }
+    return [border.join(''), labels];
+}
+
+/**
+* Returns the key of the markers of non-finite values and vertical asymptotes of a plot.
+*
+* @private
+* @param {Object} plot - plot data
+* @param {Array<Collection<number>>} ys - samples of every series
+* @param {Object} ax - x axis (see `lib/render/axis.js`)
+* @param {Object} glyphs - marker characters
+* @returns {string} key (empty if there are no markers)
+*/
+function markerKey(plot, ys, ax, glyphs) {
+    var exact;
+    var found;
+    var parts;
+    var xs;
+    var i;
+    var k;
+
+    found = {
+        'positive': false,
+        'negative': false
+    };
+    for (k = 0; k < ys.length; k++) {
+        for (i = 0; i < ys[k].length; i++) {
+            if (ys[k][i] === Infinity) {
+                found.positive = true;
+            } else if (ys[k][i] === -Infinity) {
+                found.negative = true;
+            }
+        }
+    }
+    parts = [];
+    if (plot.asymptotes.length) {
+        xs = [];
+        exact = true;
+        for (i = 0; i < plot.asymptotes.length; i++) {
+            xs.push(ax.format(plot.asymptotes[i]));
+
+            // Positions snapped to round numbers (e.g., 0 for ln) are written exactly, and others (e.g., π/2 for tan) are rounded:
+            exact = exact && (Number(xs[i]) === plot.asymptotes[i]);
+        }
+        parts.push(glyphs.column + ' vertical asymptote' + ((xs.length > 1) ? 's' : '') + ' at x ' + ((exact) ? '=' : '≈') + ' ' + xs.join(', '));
+    }
+    if (found.positive) {
+        parts.push(glyphs.infinity[0] + ' +∞');
+    }
+    if (found.negative) {
+        parts.push(glyphs.infinity[1] + ' -∞');
+    }
+    return parts.join('   ');
+}
+
+/**
+* Returns the strip of markers of the columns in which any series is `NaN`.
+*
+* @private
+* @param {Array<Collection<number>>} ys - samples of every series
+* @param {PositiveInteger} width - number of columns
+* @param {string} ch - marker
+* @returns {(string|null)} strip, or `null` if no series is `NaN`
+*/
+function nanStrip(ys, width, ch) {
+    var found;
+    var line;
+    var per;
+    var i;
+    var k;
+
+    found = false;
+    line = [];
+    for (i = 0; i < width; i++) {
+        line.push(' ');
+    }
+    for (k = 0; k < ys.length; k++) {
+        per = ys[k].length / width;
+        for (i = 0; i < ys[k].length; i++) {
+            if (isnan(ys[k][i])) {
+                line[floor(i / per)] = ch;
+                found = true;
+            }
+        }
+    }
+    return (found) ? line.join('') : null;
+}
+
+/**
+* Renders the panel of ULP errors of a plot.
+*
+* ## Notes
+*
+* -   Positive errors are plotted on a logarithmic scale (see `errorAxis`), so that errors of a few ULPs remain visible next to errors of millions, and zero errors in the row below it. Undefined errors (e.g., where only one implementation returns `NaN`) are gaps.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {Object} plot - plot data
+* @param {Object} report - plot report (`renderer`, `color`, `ascii` and `notation` options)
+* @param {Object} frame - frame characters
+* @param {Function} text - function preparing text for output
+* @param {PositiveInteger} lw - width of the labels of the y axis
+*/
+function renderErrors(out, plot, report, frame, text, lw) {
+    var labels;
+    var height;
+    var rows;
+    var line;
+    var opts;
+    var ax;
+    var c;
+    var z;
+    var j;
+    var k;
+
+    height = errorRows(plot);
+    ax = errorAxis(plot, report);
+    opts = {
+        'renderer': report.renderer,
+        'color': report.color,
+        'ascii': report.ascii
+    };
+    c = canvas(plot.width, height - 1, opts);
+    z = canvas(plot.width, 1, opts);
+    for (k = 0; k < plot.errors.length; k++) {
+        // Number the series as in the plot above, so that they keep their glyphs and colors:
+        c.series(transform(plot.errors[k].ulp, positiveError(ax)), ax.transform(ax.lo), ax.transform(ax.hi), k + 1);
+        z.series(transform(plot.errors[k].ulp, zeroError), -1.0, 1.0, k + 1);
+    }
+    rows = c.lines().concat(z.lines());
+    labels = errorLabels(plot, ax);
+
+    line = '';
+    for (k = 0; k < plot.errors.length; k++) {
+        line += '   ' + c.legend(k + 1) + ' ' + plot.errors[k].id;
+    }
+    out.push('  ' + frame.vertical + '  ' + text('|ULP error| vs ' + plot.series[0].id + ' (log scale, max ' + formatUlp(worstError(plot)) + '):') + line);
+    for (j = 0; j < height; j++) {
+        if (labels.hasOwnProperty(j)) {
+            line = pad(labels[j], lw - 1) + ' ' + frame.tickLeft;
+        } else {
+            line = pad('', lw) + frame.vertical;
+        }
+        out.push('  ' + frame.vertical + line + rows[j] + frame.vertical);
+    }
+    out.push('  ' + frame.vertical + pad('', lw) + frame.bottom + new Array(plot.width + 1).join(frame.horizontal) + frame.bottomRight);
+}
+
+/**
+* Renders a single plot as a character grid.
+*
+* ## Notes
+*
+* -   The y axis has ticks at "nice" numbers on the report's scale (see `lib/render/axis.js`), extended to the nearest ticks beyond the values, and the x axis has ticks within the plotted range.
+* -   Infinite values are drawn as arrows at the top or bottom of their column, vertical asymptotes as dashed vertical lines, and columns in which the function is `NaN` are marked in a strip below the plot, with a key above the plot.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {Object} plot - plot data
+* @param {Object} report - plot report (`renderer`, `color`, `ascii`, `scale`, `precision` and `notation` options)
+*/
+function renderPlot(out, plot, report) {
+    var elabels;
+    var labels;
+    var height;
+    var glyphs;
+    var width;
+    var frame;
+    var rows;
+    var text;
+    var line;
+    var opts;
+    var key;
+    var nan;
+    var ys;
+    var lw;
+    var xa;
+    var ya;
+    var lo;
+    var hi;
+    var c;
+    var j;
+    var k;
+
+    frame = FRAMES[(report.ascii) ? 'ascii' : 'unicode'];
+    glyphs = MARKERS[(report.ascii) ? 'ascii' : 'unicode'];
+    text = textFactory(report.ascii);
+    width = plot.width || plot.y.length;
+    height = plot.height;
+    opts = {
+        'precision': report.precision || void 0,
+        'notation': report.notation
+    };
+    opts.count = max(3, floor(height / 4));
+    ya = axis(report.scale || 'linear', plot.ymin, plot.ymax, opts);
+    opts.count = max(2, floor(width / 10));
+    opts.extend = false;
+    xa = axis('linear', plot.xmin, plot.xmax, opts);
+    lo = ya.transform(ya.lo);
+    hi = ya.transform(ya.hi);
+
+    c = canvas(width, height, {
+        'renderer': report.renderer,
+        'color': report.color,
+        'ascii': report.ascii
+    });
+    ys = [];
+    if (plot.series) {
+        for (k = 0; k < plot.series.length; k++) {
+            ys.push(plot.series[k].y);
+        }
+    } else {
+        ys.push(plot.y);
+    }
+    for (k = 0; k < ys.length; k++) {
+        c.series(transform(ys[k], ya.transform), lo, hi, k);
+    }
+    for (k = 0; k < plot.asymptotes.length; k++) {
+        c.column(min(width - 1, floor((plot.asymptotes[k] - plot.xmin) / (plot.xmax - plot.xmin) * width)));
+    }
+
+    // Draw the zero line if it's in range...
+    c.axis(ya.transform(0.0), lo, hi);
+    rows = c.lines();
+
+    labels = tickRows(ya, height);
+    lw = LABEL_WIDTH;
+    if (plot.errors) {
+        elabels = errorLabels(plot, errorAxis(plot, report));
+        for (k in elabels) {
+            if (elabels.hasOwnProperty(k)) {
+                lw = max(lw, elabels[k].length + 2);
+            }
+        }
+    }
+    for (k in labels) {
+        if (labels.hasOwnProperty(k)) {
+            lw = max(lw, labels[k].length + 2);
+        }
+    }
+
+    out.push('');
+    out.push('  ' + frame.top + frame.horizontal + ' ' + text(plot.title) + ' ' +
+        new Array(max(1, width - text(plot.title).length - 3)).join(frame.horizontal) +
+        frame.topRight);
+    out.push('  ' + frame.vertical + '  ' + text(plot.description));
+    out.push('  ' + frame.vertical + '  ' + text('x ∈ [' + xa.format(plot.xmin) + ', ' + xa.format(plot.xmax) + ']' +
+        '  y ∈ [' + ya.format(plot.ymin) + ', ' + ya.format(plot.ymax) + ']' +
+        ((ya.scale === 'linear') ? '' : '  (' + ya.scale + ' scale)')));
+    if (plot.series) {
+        for (k = 0; k < plot.series.length; k++) {
+            out.push('  ' + frame.vertical + '  ' + c.legend(k) + ' ' + plot.series[k].id + ': ' + text(plot.series[k].label));
+        }
+    }
+    key = markerKey(plot, ys, xa, glyphs);
+    nan = nanStrip(ys, width, glyphs.nan);
+    if (nan) {
+        key += ((key) ? '   ' : '') + glyphs.nan + ' NaN (below the plot)';
+    }
+    if (key) {
+        out.push('  ' + frame.vertical + '  ' + text(key));
+    }
+    out.push('  ' + frame.vertical);
+
+    for (j = 0; j < height; j++) {
+        if (labels.hasOwnProperty(j)) {
+            line = pad(labels[j], lw - 1) + ' ' + frame.tickLeft;
+        } else {
+            line = pad('', lw) + frame.vertical;
+        }
+        out.push('  ' + frame.vertical + line + rows[j] + frame.vertical);
+    }
+    if (nan) {
+        out.push('  ' + frame.vertical + pad('NaN', lw - 1) + ' ' + frame.vertical + nan + frame.vertical);
+    }
+
+    line = xTicks(xa, width, frame);
+    out.push('  ' + frame.vertical + pad('', lw) + frame.bottom + line[0] + frame.bottomRight);
+    if (plot.errors) {
+        renderErrors(out, plot, report, frame, text, lw);
+    }
+    out.push('  ' + frame.vertical + pad('', lw + 1) + line[1]);
+    out.push('  ' + frame.bottom + new Array(width + lw + 3).join(frame.horizontal) + frame.bottomRight);
+}
+
+// MAIN //
+
+/**
+* Renders a plot report as lines of text.
+*
+* @param {Object} report - plot report
+* @returns {Array<string>} lines
+*/
+function render(report) {
+    var out = ['  Visualizing stdlib math functions with ASCII art:'];
+    var i;
+    for (i = 0; i < report.plots.length; i++) {
+        if (report.plots[i].z) {
+            renderSurface(out, report.plots[i], report);
+        } else {
+            renderPlot(out, report.plots[i], report);
+        }
+    }
+    return out;
+}
+
+// EXPORTS //
+
+module.exports = render;
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+* Text renderer for manifest replay reports.
+*/
+
+// VARIABLES //
+
+var SYMBOLS = {
+    'identical': '✓',
+    'changed': '≠',
+    'inputs-differ': '✗',
+    'new': '✗',
+    'missing': '✗'
+};
+
+var NOTES = {
+    'identical': 'same inputs, same results',
+    'changed': 'same inputs, different results',
+    'inputs-differ': 'different inputs',
+    'new': 'not in the manifest',
+    'missing': 'in the manifest but not run'
+};
+
+// FUNCTIONS //
+
+/**
+* Formats the versions of a run.
+*
+* @private
+* @param {Object} v - versions
+* @returns {string} formatted versions
+*/
+function formatVersions(v) {
+    return 'stdlib ' + (v.stdlib || '?') + ', Node.js ' + (v.node || '?') + ' (V8 ' + (v.v8 || '?') + ')';
+}
+
+/**
+* Formats a recorded test point.
+*
+* @private
+* @param {(Object|null)} p - test point
+* @returns {string} formatted test point
+*/
+function formatPoint(p) {
+    if (!p) {
+        return 'none';
+    }
+    return 'x = ' + p.x + ((p.y === void 0) ? '' : ', y = ' + p.y) + ' (' + p.error.toFixed(4) + ' ULP)';
+}
+
+/**
+* Renders the changed results of an implementation.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {Object} impl - changed implementation results
+*/
+function renderChanges(out, impl) {
+    var rec = impl.recorded;
+    var cur = impl.current;
+    var i;
+
+    if (rec === null) {
+        out.push('      ' + impl.id + ': not in the manifest');
+        return;
+    }
+    out.push('      ' + impl.id + ':');
+    for (i = 0; i < impl.changes.length; i++) {
+        switch (impl.changes[i]) {
+        case 'max':
+        case 'mean':
+            out.push('        ' + impl.changes[i] + ' ' + rec[impl.changes[i]].toFixed(4) + ' → ' + cur[impl.changes[i]].toFixed(4) + ' ULP');
+            break;
+        case 'correctlyRounded':
+        case 'faithfullyRounded':
+            out.push('        ' + ((impl.changes[i] === 'correctlyRounded') ? 'correctly' : 'faithfully') + ' rounded ' +
+                (100.0 * rec[impl.changes[i]]).toFixed(2) + '% → ' + (100.0 * cur[impl.changes[i]]).toFixed(2) + '%');
+            break;
+        default:
+            out.push('        ' + impl.changes[i] + ' ' + formatPoint(rec[impl.changes[i]]) + ' → ' + formatPoint(cur[impl.changes[i]]));
+        }
+    }
+}
+
+// MAIN //
+
+/**
+* Renders a manifest replay report as lines of text.
+*
+* @param {Object} report - replay report
+* @returns {Array<string>} lines
+*/
+function render(report) {
+    var out;
+    var e;
+    var i;
+    var j;
+
+    out = [];
+    out.push('  Manifest:  ' + (report.file || '(in memory)') + ' (seed ' + report.seed + ', created ' + report.created + ')');
+    out.push('  Recorded:  ' + formatVersions(report.versions.recorded));
+    out.push('  Current:   ' + formatVersions(report.versions.current));
+    out.push('');
+    for (i = 0; i < report.entries.length; i++) {
+        e = report.entries[i];
+        out.push('  ' + SYMBOLS[e.status] + ' ' + e.range + ': ' + (e.note || NOTES[e.status]));
+        if (e.status === 'inputs-differ') {
+            out.push('      inputs ' + e.recordedDigest.slice(0, 16) + '… → ' + e.digest.slice(0, 16) + '…');
+        }
+        for (j = 0; e.implementations && j < e.implementations.length; j++) {
+            renderChanges(out, e.implementations[j]);
+        }
+    }
+    out.push('');
+    if (report.reproduced) {
+        out.push('  ✓ Reproduced the inputs of all ' + report.entries.length + ' range' + ((report.entries.length === 1) ? '' : 's') +
+            '; ' + ((report.changed) ? report.changed + ' with different results.' : 'all results are identical.'));
+    } else {
+        out.push('  ✗ Could not reproduce the inputs of ' + report.irreproducible + ' range' + ((report.irreproducible === 1) ? '' : 's') + '.');
+    }
+    return out;
+}
+
+// EXPORTS //
+
+module.exports = render;
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+* Text renderer for float32 sweep reports.
+*/
+
+var abs = require('@stdlib/math/base/special/abs');
+var renderHistogram = require('./histogram.js');
+
+// VARIABLES //
+
+// Maximum number of failing inputs listed per function (the CSV, NDJSON and JSON formats list all of them)...
+var MAX_FAILURES = 20;
+
+// FUNCTIONS //
+
+/**
+* Formats a signed ULP error.
+*
+* @private
+* @param {number} e - ULP error
+* @returns {string} formatted error
+*/
+function ulps(e) {
+    return ((e > 0) ? '+' : '') + ((abs(e) === Infinity) ? String(e) : e.toFixed(6)) + ' ULP';
+}
+
+/**
+* Renders the results of a single function.
+*
+* @private
+* @param {Array<string>} out - output lines
+* @param {Object} f - function results
+*/
+function renderFunction(out, f) {
+    var x;
+    var i;
+
+    out.push('  ┌─ ' + f.title + ' — ' + f.implementation);
+    out.push('  │  Inputs:             ' + ((f.range) ? '[' + f.range[0] + ', ' + f.range[1] + ']' : 'all float32 bit patterns') +
+        ' (' + f.inputs + ')');
+    out.push('  │  Tested:             ' + f.tested + ((f.complete) ? '' : ' (incomplete — resume with the same `--state` file)'));
+    out.push('  │  Correctly rounded:  ' + (100.0 * f.correctlyRounded).toFixed(4) + '%' +
+        ' (' + f.failed + ' inputs above 0.5 ULP)');
+    if (f.worst) {
+        out.push('  │  Max error:          ' + ulps(f.worst.error) + ' at x = ' + f.worst.x +
+            ' (' + f.worst.bits + ')');
+    }
+    out.push('  │  Error histogram (ULP):');
+    out.push.apply(out, renderHistogram(f.histogram, '  │    '));
+    if (f.failures.length > 0) {
+        out.push('  │  Inputs with errors above 0.5 ULP:');
+        for (i = 0; i < f.failures.length && i < MAX_FAILURES; i++) {
+            x = f.failures[i];
+            out.push('  │    ' + x.bits + '  x = ' + x.x + ': got ' + x.y +
+                ', expected ' + x.expected + ' (' + ulps(x.error) + ')');
+        }
+        if (f.failures.length > MAX_FAILURES) {
+            out.push('  │    … and ' + (f.failures.length - MAX_FAILURES) +
+                ' more (use `--format csv` for the full list)');
+        }
+        if (f.unlisted > 0) {
+            out.push('  │    (' + f.unlisted + ' more inputs above 0.5 ULP were not recorded; see `--max-failures`)');
+        }
+    }
+    out.push('  └─');
+}
+
+// MAIN //
+
+/**
+* Renders a sweep report as lines of text.
+*
+* @param {Object} report - sweep report
+* @returns {Array<string>} lines
+*/
+function render(report) {
+    var out;
+    var i;
+
+    out = [];
+    for (i = 0; i < report.functions.length; i++) {
+        if (i > 0) {
+            out.push('');
+        }
+        renderFunction(out, report.functions[i]);
+    }
+    return out;
+}
+
+// EXPORTS //
+
+module.exports = render;
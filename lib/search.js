@@ -0,0 +1,397 @@
+'use strict';
+
+/**
+* Adaptive Worst-Case Search
+*
+* Sampling a range reports the worst point the samples happened to hit,
+* which usually underestimates an implementation's maximum error. Starting
+* from an initial sampling, this module zooms into the regions of highest
+* error and then climbs the error landscape one representable number at a
+* time, which finds the local maximum error and the exact input attaining
+* it.
+*
+* The search proceeds in three stages:
+*
+* 1.  Seeding: the samples with the largest errors are selected as starting points.
+* 2.  Zooming: the interval between the neighbors of a starting point is repeatedly subdivided; the interval shrinks around the best point found so far until it spans only a few ULPs (bisection on a noisy error function, which keeps the interval around the largest error seen).
+* 3.  Perturbation: inputs within `±k` ULPs of the best point are evaluated, moving to any input with a larger error, until no neighbor improves on the current point.
+*
+* For functions of two arguments, whose samples are scattered over a
+* rectangle rather than sorted along a line, the zooming stage is skipped:
+* each argument is perturbed in turn (see `searchPairs`).
+*/
+
+var abs = require('@stdlib/math/base/special/abs');
+var pow = require('@stdlib/math/base/special/pow');
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var toWords = require('@stdlib/number/float64/base/to-words');
+var ulp = require('./ulp.js');
+
+// VARIABLES //
+
+/**
+* Default number of starting points.
+*
+* @private
+* @type {PositiveInteger}
+*/
+var SEEDS = 8;
+
+/**
+* Default perturbation radius (in ULPs).
+*
+* @private
+* @type {PositiveInteger}
+*/
+var RADIUS = 8;
+
+/**
+* Number of subintervals evaluated per zoom level.
+*
+* @private
+* @type {PositiveInteger}
+*/
+var SUBDIVISIONS = 16;
+
+/**
+* Maximum number of zoom levels (each level shrinks the interval by a factor of `SUBDIVISIONS/2`).
+*
+* @private
+* @type {PositiveInteger}
+*/
+var MAX_LEVELS = 64;
+
+/**
+* Maximum number of perturbation steps per starting point.
+*
+* @private
+* @type {PositiveInteger}
+*/
+var MAX_STEPS = 256;
+
+// FUNCTIONS //
+
+/**
+* Returns the 64-bit hexadecimal bit pattern of a number.
+*
+* @private
+* @param {number} x - input value
+* @returns {string} bit pattern (e.g., `0x3ff0000000000000`)
+*
+* @example
+* var b = bits(1.0);
+* // returns '0x3ff0000000000000'
+*/
+function bits(x) {
+    var words = toWords(x);
+    return '0x' + ('00000000' + words[0].toString(16)).slice(-8) +
+        ('00000000' + words[1].toString(16)).slice(-8);
+}
+
+/**
+* Returns the indices of the largest errors.
+*
+* @private
+* @param {Float64Array} errors - absolute errors
+* @param {PositiveInteger} k - number of indices
+* @returns {Array<integer>} indices (in decreasing order of error)
+*/
+function largest(errors, k) {
+    var out;
+    var i;
+    var j;
+
+    out = [];
+    for (i = 0; i < errors.length; i++) {
+        if (isnan(errors[i])) {
+            continue;
+        }
+        if (out.length === k && errors[i] <= errors[out[k-1]]) {
+            continue;
+        }
+        // Insert while keeping the list sorted...
+        j = (out.length < k) ? out.length : k - 1;
+        while (j > 0 && errors[out[j-1]] < errors[i]) {
+            out[j] = out[j-1];
+            j -= 1;
+        }
+        out[j] = i;
+    }
+    return out;
+}
+
+/**
+* Searches for the pair of inputs with the largest error near the worst samples of an initial sampling of a function of two arguments.
+*
+* ## Notes
+*
+* -   Starting from each seed, inputs within `±radius` ULPs of the current point along either axis are evaluated, moving to any input with a larger error, until no neighbor improves on the current point.
+* -   Inputs are restricted to the bounding rectangle of the samples.
+*
+* @private
+* @param {Function} fn - implementation under test
+* @param {Function} reference - reference oracle of arity 2
+* @param {Float64Array} points - initial sample points (interleaved `(x, y)` pairs)
+* @param {Float64Array} errors - absolute ULP errors at the sample points (`NaN` if undefined)
+* @param {PositiveInteger} nseeds - number of starting points
+* @param {PositiveInteger} radius - perturbation radius (in ULPs)
+* @returns {(Object|null)} search results
+*/
+function searchPairs(fn, reference, points, errors, nseeds, radius) {
+    var evaluations;
+    var improved;
+    var sampled;
+    var seeds;
+    var step;
+    var best;
+    var xmin;
+    var xmax;
+    var ymin;
+    var ymax;
+    var sx;
+    var sy;
+    var c;
+    var i;
+    var j;
+
+    seeds = largest(errors, nseeds);
+    if (seeds.length === 0) {
+        return null;
+    }
+    xmin = points[0];
+    xmax = points[0];
+    ymin = points[1];
+    ymax = points[1];
+    for (i = 2; i < points.length; i += 2) {
+        xmin = (points[i] < xmin) ? points[i] : xmin;
+        xmax = (points[i] > xmax) ? points[i] : xmax;
+        ymin = (points[i+1] < ymin) ? points[i+1] : ymin;
+        ymax = (points[i+1] > ymax) ? points[i+1] : ymax;
+    }
+    evaluations = 0;
+    sampled = point(seeds[0]);
+    best = sampled;
+    for (i = 0; i < seeds.length; i++) {
+        c = point(seeds[i]);
+        for (step = 0; step < MAX_STEPS; step++) {
+            improved = false;
+            sx = c.x;
+            sy = c.y;
+            for (j = -radius; j <= radius; j++) {
+                if (j === 0) {
+                    continue;
+                }
+                if (update(c, ulp.step(sx, j), sy)) {
+                    improved = true;
+                }
+                if (update(c, sx, ulp.step(sy, j))) {
+                    improved = true;
+                }
+            }
+            if (!improved) {
+                break;
+            }
+        }
+        if (abs(c.error) > abs(best.error)) {
+            best = c;
+        }
+    }
+    return {
+        'x': best.x,
+        'y': best.y,
+        'bits': bits(best.x),
+        'ybits': bits(best.y),
+        'error': best.error,
+        'sampled': {
+            'x': sampled.x,
+            'y': sampled.y,
+            'error': sampled.error
+        },
+        'seeds': seeds.length,
+        'evaluations': evaluations
+    };
+
+    /**
+    * Returns a sample point and its error.
+    *
+    * @private
+    * @param {NonNegativeInteger} k - sample index
+    * @returns {Object} point
+    */
+    function point(k) {
+        var x = points[2*k];
+        var y = points[(2*k)+1];
+        return {
+            'x': x,
+            'y': y,
+            'error': reference.error(x, y, fn(x, y))
+        };
+    }
+
+    /**
+    * Evaluates the error at a pair of inputs and updates the current best point.
+    *
+    * @private
+    * @param {Object} cur - current best point
+    * @param {number} x - first argument
+    * @param {number} y - second argument
+    * @returns {boolean} boolean indicating whether the inputs improved on the current best point
+    */
+    function update(cur, x, y) {
+        var e;
+        if (x < xmin || x > xmax || y < ymin || y > ymax) {
+            return false;
+        }
+        evaluations += 1;
+        e = reference.error(x, y, fn(x, y));
+        if (abs(e) > abs(cur.error)) {
+            cur.x = x;
+            cur.y = y;
+            cur.error = e;
+            return true;
+        }
+        return false;
+    }
+}
+
+// MAIN //
+
+/**
+* Searches for the input with the largest error near the worst samples of an initial sampling.
+*
+* @param {Function} fn - implementation under test
+* @param {Function} reference - reference oracle (see `lib/oracle`)
+* @param {Float64Array} points - initial sample points (sorted in increasing order, or interleaved `(x, y)` pairs for a reference of arity 2)
+* @param {Float64Array} errors - absolute ULP errors at the sample points (`NaN` if undefined)
+* @param {Options} [options] - options
+* @param {PositiveInteger} [options.seeds=8] - number of starting points
+* @param {PositiveInteger} [options.radius=8] - perturbation radius (in ULPs)
+* @returns {Object} search results
+*/
+function search(fn, reference, points, errors, options) {
+    var evaluations;
+    var seeds;
+    var radius;
+    var sampled;
+    var improved;
+    var level;
+    var best;
+    var xmin;
+    var xmax;
+    var lo;
+    var hi;
+    var w;
+    var c;
+    var s;
+    var i;
+    var j;
+
+    options = options || {};
+    radius = options.radius || RADIUS;
+    if (reference.arity === 2) {
+        return searchPairs(fn, reference, points, errors, options.seeds || SEEDS, radius);
+    }
+    evaluations = 0;
+    xmin = points[0];
+    xmax = points[points.length-1];
+
+    seeds = largest(errors, options.seeds || SEEDS);
+    if (seeds.length === 0) {
+        return null;
+    }
+    sampled = {
+        'x': points[seeds[0]],
+        'error': reference.error(points[seeds[0]], fn(points[seeds[0]]))
+    };
+    best = {
+        'x': sampled.x,
+        'error': sampled.error
+    };
+    for (i = 0; i < seeds.length; i++) {
+        s = seeds[i];
+        c = {
+            'x': points[s],
+            'error': reference.error(points[s], fn(points[s]))
+        };
+        lo = points[(s > 0) ? s-1 : s];
+        hi = points[(s < points.length-1) ? s+1 : s];
+
+        // Zoom in until the interval spans only a few ULPs...
+        for (level = 0; level < MAX_LEVELS && abs(ulp.distance(hi, lo)) > 2*radius; level++) {
+            if (lo > 0.0 && hi > 2.0*lo) {
+                // Subdivide geometrically (e.g., for log-spaced samples)...
+                w = pow(hi/lo, 1.0/SUBDIVISIONS);
+                for (j = 1; j < SUBDIVISIONS; j++) {
+                    update(c, lo * pow(w, j));
+                }
+                lo = c.x / w;
+                hi = c.x * w;
+            } else {
+                w = (hi - lo) / SUBDIVISIONS;
+                for (j = 1; j < SUBDIVISIONS; j++) {
+                    update(c, lo + (j*w));
+                }
+                lo = c.x - w;
+                hi = c.x + w;
+            }
+            if (lo < xmin) {
+                lo = xmin;
+            }
+            if (hi > xmax) {
+                hi = xmax;
+            }
+        }
+
+        // Climb to the local maximum among the `±radius` ULP neighbors...
+        for (level = 0; level < MAX_STEPS; level++) {
+            improved = false;
+            s = c.x;
+            for (j = -radius; j <= radius; j++) {
+                if (j !== 0 && update(c, ulp.step(s, j))) {
+                    improved = true;
+                }
+            }
+            if (!improved) {
+                break;
+            }
+        }
+        if (abs(c.error) > abs(best.error)) {
+            best = c;
+        }
+    }
+    return {
+        'x': best.x,
+        'bits': bits(best.x),
+        'error': best.error,
+        'sampled': sampled,
+        'seeds': seeds.length,
+        'evaluations': evaluations
+    };
+
+    /**
+    * Evaluates the error at an input and updates the current best point.
+    *
+    * @private
+    * @param {Object} cur - current best point
+    * @param {number} x - input value
+    * @returns {boolean} boolean indicating whether the input improved on the current best point
+    */
+    function update(cur, x) {
+        var e;
+        if (x < xmin || x > xmax) {
+            return false;
+        }
+        evaluations += 1;
+        e = reference.error(x, fn(x));
+        if (abs(e) > abs(cur.error)) {
+            cur.x = x;
+            cur.error = e;
+            return true;
+        }
+        return false;
+    }
+}
+
+// EXPORTS //
+
+module.exports = search;
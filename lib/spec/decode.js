@@ -0,0 +1,116 @@
+/**
+* Decodes numeric values in specification files.
+*
+* ## Notes
+*
+* -   JSON has no representation for special values, so values may be given as strings (see `decode`). This mirrors the encoding of report values (see `lib/format/encode.js`).
+*/
+
+(function factory(root) {
+    'use strict';
+
+    // VARIABLES //
+
+    var F64 = new Float64Array(1);
+    var U32 = new Uint32Array(F64.buffer);
+
+    // Resolve the word order of the host platform...
+    var IS_LITTLE_ENDIAN = (new Uint8Array(new Uint16Array([1]).buffer)[0] === 1);
+    var HIGH = (IS_LITTLE_ENDIAN) ? 1 : 0;
+    var LOW = 1 - HIGH;
+
+    var CONSTANTS = {
+        'NaN': NaN,
+        'Infinity': Infinity,
+        'FLOAT64_MAX': 1.7976931348623157e+308,
+        'FLOAT64_SMALLEST_NORMAL': 2.2250738585072014e-308,
+        'FLOAT64_SMALLEST_SUBNORMAL': 5e-324,
+        'FLOAT64_EPS': 2.220446049250313e-16,
+        'E': 2.718281828459045,
+        'PI': 3.141592653589793,
+        'LN2': 0.6931471805599453
+    };
+
+    // Matches a 64-bit hexadecimal bit pattern (e.g., `0x7ff0000000000000`)...
+    var RE_HEX = /^0x([0-9a-f]{16})$/i;
+
+    // FUNCTIONS //
+
+    /**
+    * Creates a double-precision floating-point number from a high and a low 32-bit word.
+    *
+    * @private
+    * @param {uinteger32} hi - higher order word
+    * @param {uinteger32} lo - lower order word
+    * @returns {number} floating-point number
+    */
+    function fromWords(hi, lo) {
+        U32[HIGH] = hi;
+        U32[LOW] = lo;
+        return F64[0];
+    }
+
+    // MAIN //
+
+    /**
+    * Decodes a value from a specification file.
+    *
+    * ## Notes
+    *
+    * -   Numbers are returned as is.
+    * -   Strings may be a named constant (`NaN`, `Infinity`, `FLOAT64_MAX`, `FLOAT64_SMALLEST_NORMAL`, `FLOAT64_SMALLEST_SUBNORMAL`, `FLOAT64_EPS`, `E`, `PI`, `LN2`) with an optional sign, `-0`, a 64-bit hexadecimal bit pattern, or a decimal literal (e.g., `1e-20`).
+    *
+    * @param {(number|string)} value - encoded value
+    * @throws {TypeError} must be a number or a valid string encoding
+    * @returns {number} decoded value
+    *
+    * @example
+    * var v = decode('-Infinity');
+    * // returns -Infinity
+    *
+    * @example
+    * var v = decode('0x3ff0000000000000');
+    * // returns 1.0
+    */
+    function decode(value) {
+        var sign;
+        var name;
+        var m;
+        var v;
+
+        if (typeof value === 'number') {
+            return value;
+        }
+        if (typeof value !== 'string' || value === '') {
+            throw new TypeError('invalid value. Must be a number or a string. Value: `' + JSON.stringify(value) + '`.');
+        }
+        m = RE_HEX.exec(value);
+        if (m) {
+            return fromWords(parseInt(m[1].slice(0, 8), 16), parseInt(m[1].slice(8), 16));
+        }
+        sign = 1.0;
+        name = value;
+        if (name.charAt(0) === '-' || name.charAt(0) === '+') {
+            sign = (name.charAt(0) === '-') ? -1.0 : 1.0;
+            name = name.slice(1);
+        }
+        if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) {
+            return sign * CONSTANTS[name];
+        }
+        v = Number(value);
+        if (v !== v || value.trim() !== value) { // eslint-disable-line no-self-compare
+            throw new TypeError('invalid value. Unrecognized number encoding. Value: `' + value + '`.');
+        }
+        return v;
+    }
+
+    // EXPORTS //
+
+    if (typeof module === 'object' && typeof module.exports === 'object') {
+        module.exports = decode;
+    } else {
+        root.mathExplorer = root.mathExplorer || {};
+        root.mathExplorer.spec = root.mathExplorer.spec || {};
+        root.mathExplorer.spec.decode = decode;
+    }
+})(this);
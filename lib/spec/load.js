@@ -0,0 +1,242 @@
+'use strict';
+
+/**
+* Loads and validates specification tables.
+*
+* A specification is a JSON document of the form
+*
+* ```json
+* {
+*     "clauses": {
+*         "C99 F.9.3.1": "exp(±0) returns 1; ..."
+*     },
+*     "functions": {
+*         "<name>": [
+*             { "x": 0, "expected": 1, "mode": "exact", "reference": "C99 F.9.3.1" }
+*         ]
+*     }
+* }
+* ```
+*
+* where each case has the fields:
+*
+* -   `x`: input value (first argument of functions of two arguments).
+* -   `y`: second argument (functions of two arguments only).
+* -   `expected`: expected value (not needed for the `nan` and `predicate` modes).
+* -   `mode`: comparison mode (see `lib/spec/modes.js`).
+* -   `ulps`: tolerance of the `ulps` mode.
+* -   `predicate`, `args`: predicate name and arguments of the `predicate` mode.
+* -   `label`: (optional) test description. Default: generated from the input and expected value.
+* -   `note`: (optional) remark appended to the description of the expected value (e.g., `overflow`).
+* -   `reference`: (optional) source of the expected behavior (e.g., a C99 Annex F or IEEE 754 clause).
+* -   `known`: (optional) explanation of a known deviation of the stdlib implementation from the expected value. Failures of such cases are reported, but do not count as failed checks.
+*
+* The optional `clauses` object gives the text of referenced standard
+* clauses. Numeric values may be encoded as strings (see
+* `lib/spec/decode.js`).
+*/
+
+var readFileSync = require('fs').readFileSync;
+var hasOwnProp = require('@stdlib/assert/has-own-property');
+var isNonNegativeInteger = require('@stdlib/assert/is-nonnegative-integer').isPrimitive;
+var impl = require('./../implementations.js');
+var decode = require('./decode.js');
+var modes = require('./modes.js');
+
+// VARIABLES //
+
+var MODES = modes.modes;
+var PREDICATES = modes.predicates;
+var fmt = modes.fmt;
+
+// FUNCTIONS //
+
+/**
+* Returns a specification error.
+*
+* @private
+* @param {string} where - location of the offending case
+* @param {string} msg - error message
+* @returns {Error} error
+*/
+function specError(where, msg) {
+    return new Error('invalid specification. ' + where + ': ' + msg);
+}
+
+/**
+* Validates and decodes a single case.
+*
+* @private
+* @param {string} name - function name
+* @param {Object} c - case
+* @param {string} where - location of the case
+* @throws {Error} must be a valid case
+* @returns {Object} decoded case
+*/
+function decodeCase(name, c, where) {
+    var mode;
+    var args;
+    var out;
+    var i;
+
+    if (typeof c !== 'object' || c === null) {
+        throw specError(where, 'case must be an object.');
+    }
+    if (impl.arity(name) === 2 && c.y === void 0) {
+        throw specError(where, 'missing `y`. Cases of functions of two arguments must specify both arguments.');
+    }
+    if (impl.arity(name) === 1 && c.y !== void 0) {
+        throw specError(where, '`y` is only valid for functions of two arguments.');
+    }
+    if (!hasOwnProp(MODES, c.mode)) {
+        throw specError(where, 'unknown mode `' + c.mode + '`. Must be one of: ' + Object.keys(MODES).join(', ') + '.');
+    }
+    mode = MODES[c.mode];
+    out = {
+        'mode': c.mode,
+        'label': c.label,
+        'note': c.note,
+        'reference': c.reference || null,
+        'known': null
+    };
+    if (c.known !== void 0) {
+        if (typeof c.known !== 'string' || c.known === '') {
+            throw specError(where, '`known` must be a nonempty string explaining the known deviation.');
+        }
+        out.known = c.known;
+    }
+    try {
+        out.x = decode(c.x);
+        if (c.y !== void 0) {
+            out.y = decode(c.y);
+        }
+        if (c.mode !== 'nan' && c.mode !== 'predicate') {
+            out.expected = decode(c.expected);
+        } else if (c.expected !== void 0) {
+            out.expected = decode(c.expected);
+        }
+        if (c.mode === 'predicate') {
+            if (!hasOwnProp(PREDICATES, c.predicate)) {
+                throw new Error('unknown predicate `' + c.predicate + '`. Must be one of: ' + Object.keys(PREDICATES).join(', ') + '.');
+            }
+            args = c.args || [];
+            if (args.length !== PREDICATES[c.predicate].arity) {
+                throw new Error('predicate `' + c.predicate + '` expects ' + PREDICATES[c.predicate].arity + ' argument(s).');
+            }
+            out.predicate = c.predicate;
+            out.args = [];
+            for (i = 0; i < args.length; i++) {
+                out.args.push(decode(args[i]));
+            }
+        }
+    } catch (err) {
+        throw specError(where, err.message);
+    }
+    if (c.mode === 'ulps') {
+        if (!isNonNegativeInteger(c.ulps)) {
+            throw specError(where, '`ulps` must be a nonnegative integer.');
+        }
+        out.ulps = c.ulps;
+    }
+    out.description = describe(mode.describe(out), c.note);
+    if (!out.label) {
+        out.label = name + '(' + fmt(out.x) + ((out.y === void 0) ? '' : ', ' + fmt(out.y)) + ') ';
+        if (c.mode === 'nan') {
+            out.label += '= NaN';
+        } else if (mode.relation) {
+            out.label += mode.relation + ' ' + fmt(out.expected, c.mode === 'signed-zero');
+        } else {
+            out.label += mode.describe(out);
+        }
+    }
+    return out;
+}
+
+/**
+* Appends an optional note to the description of an expected value.
+*
+* @private
+* @param {string} desc - description
+* @param {string} [note] - note
+* @returns {string} description
+*
+* @example
+* var d = describe('+∞ (exactly)', 'overflow');
+* // returns '+∞ (exactly; overflow)'
+*/
+function describe(desc, note) {
+    if (!note) {
+        return desc;
+    }
+    if (desc.charAt(desc.length - 1) === ')') {
+        return desc.slice(0, -1) + '; ' + note + ')';
+    }
+    return desc + ' (' + note + ')';
+}
+
+// MAIN //
+
+/**
+* Validates and decodes a specification.
+*
+* @param {(Object|string)} spec - specification or path to a JSON specification file
+* @throws {Error} must be a valid specification
+* @returns {Object} clause texts (`clauses`) and list of functions and their decoded cases (`functions`)
+*/
+function load(spec) {
+    var functions;
+    var clauses;
+    var cases;
+    var names;
+    var out;
+    var i;
+    var j;
+
+    if (typeof spec === 'string') {
+        try {
+            spec = JSON.parse(readFileSync(spec, 'utf8'));
+        } catch (err) {
+            throw new Error('invalid specification. Unable to read `' + spec + '`: ' + err.message);
+        }
+    }
+    functions = spec.functions;
+    if (typeof functions !== 'object' || functions === null) {
+        throw new Error('invalid specification. Must have a `functions` object mapping function names to lists of cases.');
+    }
+    clauses = spec.clauses || {};
+    if (typeof clauses !== 'object' || clauses === null) {
+        throw new Error('invalid specification. `clauses` must be an object mapping references to clause texts.');
+    }
+    names = Object.keys(clauses);
+    for (i = 0; i < names.length; i++) {
+        if (typeof clauses[names[i]] !== 'string') {
+            throw specError('clauses.' + names[i], 'clause text must be a string.');
+        }
+    }
+    names = Object.keys(functions);
+    out = [];
+    for (i = 0; i < names.length; i++) {
+        if (impl.list().indexOf(names[i]) < 0) {
+            throw specError(names[i], 'unknown function. Functions must be registered in `lib/registry.js`.');
+        }
+        if (!Array.isArray(functions[names[i]])) {
+            throw specError(names[i], 'cases must be an array.');
+        }
+        cases = [];
+        for (j = 0; j < functions[names[i]].length; j++) {
+            cases.push(decodeCase(names[i], functions[names[i]][j], names[i] + '[' + j + ']'));
+        }
+        out.push({
+            'name': names[i],
+            'cases': cases
+        });
+    }
+    return {
+        'clauses': clauses,
+        'functions': out
+    };
+}
+
+// EXPORTS //
+
+module.exports = load;
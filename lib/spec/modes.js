@@ -0,0 +1,216 @@
+/**
+* Comparison modes for specification cases.
+*
+* Each mode checks an actual result against a decoded case and describes
+* the expected behavior for reports:
+*
+* -   `exact`: the result equals the expected value (`+0` and `-0` compare equal).
+* -   `signed-zero`: as `exact`, but the sign of a zero result must also match.
+* -   `nan`: the result is `NaN`.
+* -   `ulps`: the result is within `ulps` ULPs of the expected value.
+* -   `predicate`: the result satisfies a named predicate (see `PREDICATES`) with arguments `args`.
+*/
+
+(function factory(root) {
+    'use strict';
+
+    // VARIABLES //
+
+    var PINF = Infinity;
+    var NINF = -Infinity;
+    var ulp = (typeof module === 'object' && typeof module.exports === 'object') ? require('./../ulp.js') : root.mathExplorer.ulp;
+
+    // FUNCTIONS //
+
+    /**
+    * Returns the absolute value of a number.
+    *
+    * @private
+    * @param {number} x - input value
+    * @returns {number} absolute value
+    */
+    function abs(x) {
+        return (x < 0.0) ? -x : x;
+    }
+
+    /**
+    * Tests whether a number is `NaN`.
+    *
+    * @private
+    * @param {number} x - input value
+    * @returns {boolean} boolean indicating whether the value is `NaN`
+    */
+    function isnan(x) {
+        return (x !== x); // eslint-disable-line no-self-compare
+    }
+
+    /**
+    * Tests whether a number is finite.
+    *
+    * @private
+    * @param {number} x - input value
+    * @returns {boolean} boolean indicating whether the value is finite
+    */
+    function isfinite(x) {
+        return (x === x && x !== PINF && x !== NINF); // eslint-disable-line no-self-compare
+    }
+
+    /**
+    * Tests whether a number is negative zero.
+    *
+    * @private
+    * @param {number} x - input value
+    * @returns {boolean} boolean indicating whether the value is negative zero
+    */
+    function isNegativeZero(x) {
+        return (x === 0.0 && 1.0/x === NINF);
+    }
+
+    /**
+    * Formats a value for display.
+    *
+    * @private
+    * @param {number} x - value
+    * @param {boolean} [signed=false] - boolean indicating whether to show the sign of positive zero
+    * @returns {string} formatted value
+    */
+    function fmt(x, signed) {
+        if (isnan(x)) {
+            return 'NaN';
+        }
+        if (x === PINF) {
+            return '+∞';
+        }
+        if (x === NINF) {
+            return '-∞';
+        }
+        if (x === 0.0) {
+            if (isNegativeZero(x)) {
+                return '-0';
+            }
+            return (signed) ? '+0' : '0';
+        }
+        return String(x);
+    }
+
+    // VARIABLES //
+
+    /**
+    * Named predicates for the `predicate` mode.
+    *
+    * @private
+    * @type {Object}
+    */
+    var PREDICATES = {
+        'finite': {
+            'arity': 0,
+            'test': function test(y) {
+                return isfinite(y);
+            },
+            'describe': function describe() {
+                return 'finite';
+            }
+        },
+        'between': {
+            'arity': 2,
+            'test': function test(y, args) {
+                return (y >= args[0] && y <= args[1]);
+            },
+            'describe': function describe(args) {
+                return 'in [' + fmt(args[0]) + ', ' + fmt(args[1]) + ']';
+            }
+        },
+        'greater-than': {
+            'arity': 1,
+            'test': function test(y, args) {
+                return (y > args[0]);
+            },
+            'describe': function describe(args) {
+                return '> ' + fmt(args[0]);
+            }
+        },
+        'less-than': {
+            'arity': 1,
+            'test': function test(y, args) {
+                return (y < args[0]);
+            },
+            'describe': function describe(args) {
+                return '< ' + fmt(args[0]);
+            }
+        },
+        'near': {
+            'arity': 2,
+            'test': function test(y, args) {
+                return (abs(y - args[0]) <= args[1]);
+            },
+            'describe': function describe(args) {
+                return '≈ ' + fmt(args[0]) + ' (±' + fmt(args[1]) + ')';
+            }
+        }
+    };
+
+    // MAIN //
+
+    var MODES = {
+        'exact': {
+            'check': function check(y, c) {
+                return (y === c.expected);
+            },
+            'describe': function describe(c) {
+                return fmt(c.expected) + ' (exactly)';
+            },
+            'relation': '='
+        },
+        'signed-zero': {
+            'check': function check(y, c) {
+                return (y === c.expected && isNegativeZero(y) === isNegativeZero(c.expected));
+            },
+            'describe': function describe(c) {
+                return fmt(c.expected, true) + ' (exactly, including the sign of zero)';
+            },
+            'relation': '='
+        },
+        'nan': {
+            'check': function check(y) {
+                return isnan(y);
+            },
+            'describe': function describe() {
+                return 'NaN';
+            },
+            'relation': '='
+        },
+        'ulps': {
+            'check': function check(y, c) {
+                return (abs(ulp.distance(y, c.expected)) <= c.ulps);
+            },
+            'describe': function describe(c) {
+                return fmt(c.expected) + ' (within ' + c.ulps + ' ULP' + ((c.ulps === 1) ? '' : 's') + ')';
+            },
+            'relation': '≈'
+        },
+        'predicate': {
+            'check': function check(y, c) {
+                return PREDICATES[c.predicate].test(y, c.args);
+            },
+            'describe': function describe(c) {
+                return PREDICATES[c.predicate].describe(c.args);
+            },
+            'relation': null
+        }
+    };
+
+    // EXPORTS //
+
+    if (typeof module === 'object' && typeof module.exports === 'object') {
+        module.exports = {
+            'modes': MODES,
+            'predicates': PREDICATES,
+            'fmt': fmt
+        };
+    } else {
+        root.mathExplorer.spec = root.mathExplorer.spec || {};
+        root.mathExplorer.spec.modes = MODES;
+        root.mathExplorer.spec.predicates = PREDICATES;
+        root.mathExplorer.spec.fmt = fmt;
+    }
+})(this);
@@ -0,0 +1,576 @@
+'use strict';
+
+/**
+* Exhaustive Float32 Sweep Module
+*
+* Measures the single-precision variant of a function (see
+* `implementations.float32`) on every float32 input (all 2^32 bit patterns,
+* or those within a range) against the correctly rounded float32 result.
+*
+* ## Notes
+*
+* -   Evaluating the BigInt oracle 2^32 times is impractical, so the error of each result is first measured against the double-precision stdlib implementation, which is accurate to about 2^-29 float32 ULPs. Only results whose error is within `AMBIGUOUS` of the correctly rounded threshold (0.5 ULP) are measured against the oracle, so the classification into correctly rounded (`≤ 0.5` ULP) and incorrectly rounded results is exact.
+* -   The input space is processed in chunks of consecutive bit patterns. After each chunk, progress is reported and, when a state file is given, the partial results are saved, so an interrupted sweep resumes from the last completed chunk.
+*
+* Returns a structured report (error histogram, worst case and every input
+* with an error above 0.5 ULP); see `lib/render/sweep.js` for the text
+* rendering.
+*/
+
+var fs = require('fs');
+var abs = require('@stdlib/math/base/special/abs');
+var isnan = require('@stdlib/math/base/assert/is-nan');
+var ceil = require('@stdlib/math/base/special/ceil');
+var min = require('@stdlib/math/base/special/min');
+var fround = require('@stdlib/number/float64/base/to-float32');
+var toWords = require('@stdlib/number/float64/base/to-words');
+var setReadOnly = require('@stdlib/utils/define-nonenumerable-read-only-property');
+var FLOAT32 = require('./oracle/bigfloat.js').FLOAT32;
+var impl = require('./implementations.js');
+var histogram = require('./histogram.js');
+
+// VARIABLES //
+
+var PINF = Infinity;
+var NINF = -Infinity;
+
+/**
+* Total number of float32 bit patterns.
+*
+* @private
+* @type {number}
+*/
+var TWO_32 = 4294967296;
+
+/**
+* Default number of inputs per chunk.
+*
+* @private
+* @type {PositiveInteger}
+*/
+var CHUNK_SIZE = 16777216; // 2^24
+
+/**
+* Distance from the correctly rounded threshold (in ULPs) below which errors are measured against the oracle.
+*
+* @private
+* @type {number}
+*/
+var AMBIGUOUS = 1.0e-6;
+
+/**
+* State file format version.
+*
+* @private
+* @type {PositiveInteger}
+*/
+var STATE_VERSION = 1;
+
+var F32 = new Float32Array(1);
+var W32 = new Uint32Array(F32.buffer);
+
+// Output array of the high and low words of a float64 (reused, as `ulp32` is called for every input)...
+var WORDS = [0, 0];
+
+// Table of powers of two `2^(k-149)` (float32 ULPs range from `2^-149` to `2^104`)...
+var POW2 = (function pow2() {
+    var out = [];
+    var v = 1.401298464324817e-45; // 2^-149
+    var k;
+    for (k = -149; k <= 104; k++) {
+        out.push(v);
+        v *= 2.0;
+    }
+    return out;
+})();
+
+// Functions which can be swept (i.e., functions of one argument which have a reference oracle)...
+var NAMES = impl.list(function isSweepable(entry) {
+    return entry.reference !== null && (entry.arity || 1) === 1;
+});
+
+// FUNCTIONS //
+
+/**
+* Returns the float32 ULP of a real value (the spacing of float32 numbers in its binade).
+*
+* @private
+* @param {number} v - finite value
+* @returns {number} ULP
+*/
+function ulp32(v) {
+    var e;
+    toWords.assign(v, WORDS, 1, 0);
+    e = ((WORDS[0] >>> 20) & 0x7ff) - 1023;
+    if (e < -126) {
+        e = -126;
+    } else if (e > 127) {
+        e = 127;
+    }
+    return POW2[e - 23 + 149];
+}
+
+/**
+* Returns the signed float32 ULP error of a result.
+*
+* @private
+* @param {number} x - input value
+* @param {number} y - single-precision result
+* @param {number} v - double-precision approximation of the exact result
+* @param {Function} reference - reference oracle
+* @returns {number} signed ULP error
+*/
+function error32(x, y, v, reference) {
+    var e;
+    if (isnan(v)) {
+        return (isnan(y)) ? 0.0 : PINF;
+    }
+    if (isnan(y)) {
+        return PINF;
+    }
+    if (v === PINF || v === NINF) {
+        return (y === v) ? 0.0 : PINF;
+    }
+    if (y === PINF || y === NINF) {
+        // An infinite result is correct if the exact result overflows...
+        return (fround(v) === y) ? 0.0 : y;
+    }
+    e = (y - v) / ulp32(v);
+    if (abs(abs(e) - 0.5) < AMBIGUOUS) {
+        e = reference.error(x, y, FLOAT32);
+    }
+    return e;
+}
+
+/**
+* Returns the float32 bit pattern of a number.
+*
+* @private
+* @param {number} x - float32 value
+* @returns {uinteger32} bit pattern
+*/
+function toBits(x) {
+    F32[0] = x;
+    return W32[0];
+}
+
+/**
+* Formats a float32 bit pattern.
+*
+* @private
+* @param {uinteger32} bits - bit pattern
+* @returns {string} hexadecimal bit pattern (e.g., `0x3f800000`)
+*/
+function hex(bits) {
+    return '0x' + ('00000000' + bits.toString(16)).slice(-8);
+}
+
+/**
+* Returns the segments of bit patterns `[lo, hi]` (inclusive) covering the float32 values in a range.
+*
+* @private
+* @param {(Array<number>|null)} range - range `[min, max]` (`null` for all bit patterns)
+* @returns {Array<Array<uinteger32>>} segments
+*/
+function segments(range) {
+    var out;
+    var lo;
+    var hi;
+
+    if (range === null) {
+        return [[0, TWO_32 - 1]];
+    }
+    // Round the bounds inward to float32...
+    lo = fround(range[0]);
+    if (lo < range[0]) {
+        lo = nextUp(lo);
+    }
+    hi = fround(range[1]);
+    if (hi > range[1]) {
+        hi = nextDown(hi);
+    }
+    out = [];
+    if (lo > hi) {
+        return out;
+    }
+    if (lo < 0.0) {
+        // Negative patterns increase in magnitude (-0 is `0x80000000`)...
+        out.push([toBits((hi < 0.0) ? hi : -0.0), toBits(lo)]);
+    }
+    if (hi >= 0.0) {
+        out.push([toBits((lo > 0.0) ? lo : 0.0), toBits(hi)]);
+    }
+    return out;
+}
+
+/**
+* Returns the next float32 number toward positive infinity.
+*
+* @private
+* @param {number} x - float32 value
+* @returns {number} next value
+*/
+function nextUp(x) {
+    if (x === 0.0) {
+        return POW2[0];
+    }
+    F32[0] = x;
+    W32[0] += (x > 0.0) ? 1 : -1;
+    return F32[0];
+}
+
+/**
+* Returns the next float32 number toward negative infinity.
+*
+* @private
+* @param {number} x - float32 value
+* @returns {number} next value
+*/
+function nextDown(x) {
+    return -nextUp(-x);
+}
+
+/**
+* Returns the number of bit patterns in a list of segments.
+*
+* @private
+* @param {Array<Array<uinteger32>>} segs - segments
+* @returns {NonNegativeInteger} count
+*/
+function count(segs) {
+    var n = 0;
+    var i;
+    for (i = 0; i < segs.length; i++) {
+        n += segs[i][1] - segs[i][0] + 1;
+    }
+    return n;
+}
+
+/**
+* Returns an empty sweep state for a function.
+*
+* @private
+* @param {Object} config - sweep configuration
+* @returns {Object} state
+*/
+function initialState(config) {
+    return {
+        'implementation': config.implementation,
+        'range': config.range,
+        'chunkSize': config.chunkSize,
+        'inputs': config.inputs,
+        'done': 0,
+        'tested': 0,
+        'histogram': histogram.create(),
+        'max': 0.0,
+        'worst': null,
+        'failed': 0,
+        'failures': []
+    };
+}
+
+/**
+* Tests whether a saved sweep state was produced with the same configuration.
+*
+* @private
+* @param {Object} state - saved state
+* @param {Object} config - sweep configuration
+* @returns {boolean} boolean indicating whether the state can be resumed
+*/
+function isCompatible(state, config) {
+    return (
+        state.implementation === config.implementation &&
+        state.chunkSize === config.chunkSize &&
+        state.inputs === config.inputs &&
+        JSON.stringify(state.range) === JSON.stringify(config.range)
+    );
+}
+
+/**
+* Returns the configuration of a sweep.
+*
+* @private
+* @param {string} name - function name
+* @param {Options} options - sweep options
+* @returns {Object} configuration
+*/
+function configure(name, options) {
+    var range = options.range || null;
+    return {
+        'implementation': impl.float32(name).label,
+        'range': range,
+        'chunkSize': options.chunkSize || CHUNK_SIZE,
+        'segments': segments(range),
+        'inputs': count(segments(range))
+    };
+}
+
+/**
+* Reads a state file.
+*
+* @private
+* @param {string} path - file path
+* @throws {Error} must be a valid state file
+* @returns {(Object|null)} state (`null` if the file does not exist)
+*/
+function readState(path) {
+    var state;
+    if (!fs.existsSync(path)) {
+        return null;
+    }
+    try {
+        state = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (err) {
+        throw new Error('invalid state file. Unable to read `' + path + '`: ' + err.message);
+    }
+    if (state.version !== STATE_VERSION || typeof state.functions !== 'object' || state.functions === null) {
+        throw new Error('invalid state file. `' + path + '` is not a sweep state file (version ' + STATE_VERSION + ').');
+    }
+    return state;
+}
+
+/**
+* Writes a state file atomically (so that an interruption never leaves a truncated file).
+*
+* @private
+* @param {string} path - file path
+* @param {Object} state - state
+*/
+function writeState(path, state) {
+    var tmp = path + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, path);
+}
+
+/**
+* Sweeps the inputs `[start, end)` of a list of segments.
+*
+* @private
+* @param {Object} state - function state (updated in place)
+* @param {Array<Array<uinteger32>>} segs - segments
+* @param {NonNegativeInteger} start - index of the first input
+* @param {NonNegativeInteger} end - index after the last input
+* @param {Function} fn - single-precision implementation
+* @param {Function} f64 - double-precision implementation
+* @param {Function} reference - reference oracle
+* @param {number} maxFailures - maximum number of listed failures (`Infinity` to list all of them)
+*/
+function sweepChunk(state, segs, start, end, fn, f64, reference, maxFailures) {
+    var counts;
+    var offset;
+    var bits;
+    var lo;
+    var hi;
+    var x;
+    var y;
+    var e;
+    var a;
+    var i;
+
+    counts = state.histogram.counts;
+    offset = 0;
+    for (i = 0; i < segs.length; i++) {
+        // Intersect `[start, end)` with the segment's inputs `[offset, offset+n)`...
+        lo = (start > offset) ? start - offset : 0;
+        hi = segs[i][1] - segs[i][0] + 1;
+        if (end - offset < hi) {
+            hi = end - offset;
+        }
+        for (bits = segs[i][0] + lo; bits < segs[i][0] + hi; bits++) {
+            W32[0] = bits;
+            x = F32[0];
+            y = fn(x);
+            e = error32(x, y, f64(x), reference);
+            a = abs(e);
+            counts[histogram.bin(a)] += 1;
+            if (a > state.max) {
+                state.max = a;
+                state.worst = {
+                    'x': x,
+                    'bits': hex(bits),
+                    'y': y,
+                    'error': e
+                };
+            }
+            if (a > 0.5) {
+                state.failed += 1;
+                if (state.failures.length < maxFailures) {
+                    state.failures.push([bits, y, e]);
+                }
+            }
+        }
+        offset += segs[i][1] - segs[i][0] + 1;
+        if (offset >= end) {
+            break;
+        }
+    }
+    state.tested += end - start;
+}
+
+/**
+* Sweeps a single function.
+*
+* @private
+* @param {string} name - function name
+* @param {Options} options - sweep options
+* @param {(Object|null)} saved - saved state of all functions
+* @returns {Object} function state
+*/
+function sweepFunction(name, options, saved) {
+    var reference;
+    var config;
+    var chunks;
+    var state;
+    var start;
+    var fn;
+    var f64;
+    var t0;
+    var c;
+
+    config = configure(name, options);
+    state = (saved && saved.functions[name]) || initialState(config);
+    fn = impl.float32(name).fn;
+    f64 = impl.stdlib(name);
+    reference = impl.reference(name);
+    chunks = ceil(config.inputs / config.chunkSize);
+    t0 = Date.now();
+    start = state.done;
+    for (c = state.done; c < chunks; c++) {
+        sweepChunk(state, config.segments, c * config.chunkSize, min(config.inputs, (c+1) * config.chunkSize), fn, f64, reference, options.maxFailures || PINF);
+        state.done = c + 1;
+        if (options.state) {
+            saved.functions[name] = state;
+            writeState(options.state, saved);
+        }
+        if (options.onProgress) {
+            options.onProgress({
+                'name': name,
+                'chunk': c + 1,
+                'chunks': chunks,
+                'tested': state.tested,
+                'inputs': config.inputs,
+                'resumed': start,
+                'elapsed': Date.now() - t0
+            });
+        }
+    }
+    return state;
+}
+
+/**
+* Summarizes the state of a function sweep.
+*
+* @private
+* @param {string} name - function name
+* @param {Object} state - function state
+* @returns {Object} function results
+*/
+function summarize(name, state) {
+    var reference;
+    var failures;
+    var f;
+    var x;
+    var i;
+
+    reference = impl.reference(name);
+    failures = [];
+    for (i = 0; i < state.failures.length; i++) {
+        f = state.failures[i];
+        W32[0] = f[0];
+        x = F32[0];
+        failures.push({
+            'x': x,
+            'bits': hex(f[0]),
+            'y': f[1],
+            'expected': reference(x, FLOAT32),
+            'error': f[2]
+        });
+    }
+    return {
+        'name': name,
+        'title': impl.entry(name).title,
+        'implementation': state.implementation,
+        'range': state.range,
+        'inputs': state.inputs,
+        'tested': state.tested,
+        'complete': (state.tested === state.inputs),
+        'max': state.max,
+        'worst': state.worst,
+        'correctlyRounded': (state.tested > 0) ? (state.tested - state.failed) / state.tested : 1.0,
+        'failed': state.failed,
+        'histogram': histogram.bins(state.histogram),
+        'failures': failures,
+        'unlisted': state.failed - failures.length
+    };
+}
+
+/**
+* Validates a state file against the options of a sweep.
+*
+* @private
+* @param {string} path - state file path
+* @param {Options} options - sweep options
+* @throws {Error} must be a valid state file written by a sweep with the same configuration
+*/
+function validateState(path, options) {
+    var state;
+    var names;
+    var i;
+
+    state = readState(path);
+    if (state === null) {
+        return;
+    }
+    names = options.fn || NAMES;
+    for (i = 0; i < names.length; i++) {
+        if (state.functions[names[i]] && !isCompatible(state.functions[names[i]], configure(names[i], options))) {
+            throw new Error('invalid state file. `' + path + '` was written by a sweep of `' + names[i] + '` with a different implementation, range or chunk size. Use a new state file or the original options.');
+        }
+    }
+}
+
+// MAIN //
+
+/**
+* Main sweep function.
+*
+* @param {Options} [options] - options
+* @param {Array<string>} [options.fn] - names of the functions to sweep (default: all functions with a reference oracle)
+* @param {Array<number>} [options.range] - range `[min, max]` restricting the inputs (default: all 2^32 bit patterns, including NaNs and infinities)
+* @param {PositiveInteger} [options.chunkSize=2^24] - number of inputs per chunk
+* @param {PositiveInteger} [options.maxFailures] - maximum number of listed inputs with errors above 0.5 ULP per function (default: all of them; all of them are counted either way)
+* @param {string} [options.state] - path of a state file used to save progress and resume interrupted sweeps
+* @param {Function} [options.onProgress] - callback invoked after each chunk
+* @throws {Error} state file must be compatible with the options
+* @returns {Object} sweep report
+*/
+function sweep(options) {
+    var functions;
+    var names;
+    var saved;
+    var i;
+
+    options = options || {};
+    names = options.fn || NAMES;
+    saved = null;
+    if (options.state) {
+        validateState(options.state, options);
+        saved = readState(options.state) || {
+            'version': STATE_VERSION,
+            'functions': {}
+        };
+    }
+    functions = [];
+    for (i = 0; i < names.length; i++) {
+        functions.push(summarize(names[i], sweepFunction(names[i], options, saved)));
+    }
+    return {
+        'type': 'sweep',
+        'functions': functions
+    };
+}
+
+setReadOnly(sweep, 'functions', NAMES);
+setReadOnly(sweep, 'validateState', validateState);
+
+module.exports = sweep;
@@ -0,0 +1,203 @@
+/**
+* ULP Utilities
+*
+* Bit-exact ULP (unit in the last place) arithmetic for double-precision
+* floating-point numbers. A float64 is reinterpreted as a pair of 32-bit
+* words and mapped onto a signed ordinal such that consecutive
+* representable numbers (including subnormals, ±0 and ±∞) have
+* consecutive ordinals. The ULP distance between two numbers is then the
+* difference of their ordinals.
+*/
+
+(function factory(root) {
+    'use strict';
+
+    // VARIABLES //
+
+    var F64 = new Float64Array(1);
+    var U32 = new Uint32Array(F64.buffer);
+
+    // Resolve the word order of the host platform...
+    var IS_LITTLE_ENDIAN = (new Uint8Array(new Uint16Array([1]).buffer)[0] === 1);
+    var HIGH = (IS_LITTLE_ENDIAN) ? 1 : 0;
+    var LOW = 1 - HIGH;
+
+    var TWO_32 = 4294967296;
+    var ABS_MASK = 0x7fffffff;
+    var SIGN_MASK = 0x80000000;
+
+    // High word of +∞ (the ordinal of `+∞` is `INF_HIGH * 2^32`)...
+    var INF_HIGH = 0x7ff00000;
+
+    // Scratch space for decomposed ordinals: [sign, high, low]...
+    var A = [0, 0, 0];
+    var B = [0, 0, 0];
+
+    // FUNCTIONS //
+
+    /**
+    * Decomposes a double-precision floating-point number into a signed
+    * ordinal `sign * (high * 2^32 + low)`.
+    *
+    * ## Notes
+    *
+    * -   Both `+0` and `-0` map to the ordinal `0`.
+    * -   `+∞` maps to the ordinal immediately following `FLOAT64_MAX`.
+    *
+    * @private
+    * @param {number} x - input value
+    * @param {Array} out - output array
+    * @returns {Array} output array
+    */
+    function decompose(x, out) {
+        var hi;
+        F64[0] = x;
+        hi = U32[HIGH];
+        out[0] = (hi & SIGN_MASK) ? -1 : 1;
+        out[1] = hi & ABS_MASK;
+        out[2] = U32[LOW];
+        return out;
+    }
+
+    /**
+    * Returns the signed ordinal of a double-precision floating-point number.
+    *
+    * ## Notes
+    *
+    * -   Ordinals larger than `2^53` in magnitude are not exactly representable. Use `distance` when an exact difference between two values is required.
+    *
+    * @param {number} x - input value
+    * @returns {number} ordinal
+    *
+    * @example
+    * var v = ordinal(5.0e-324);
+    * // returns 1
+    *
+    * @example
+    * var v = ordinal(-0.0);
+    * // returns 0
+    */
+    function ordinal(x) {
+        if (x !== x) { // eslint-disable-line no-self-compare
+            return NaN;
+        }
+        decompose(x, A);
+        return A[0] * ((A[1] * TWO_32) + A[2]);
+    }
+
+    /**
+    * Returns the signed number of ULPs separating `x` from `y`.
+    *
+    * ## Notes
+    *
+    * -   The result is positive when `x > y` and negative when `x < y`.
+    * -   `+0` and `-0` are zero ULPs apart.
+    * -   Crossing zero counts every representable number in between, so `distance(5e-324, -5e-324)` is `2`.
+    * -   `±∞` are treated as the values adjacent to `±FLOAT64_MAX`.
+    * -   The result is exact whenever its magnitude is at most `2^53`.
+    *
+    * @param {number} x - first value
+    * @param {number} y - second value
+    * @returns {number} signed ULP distance
+    *
+    * @example
+    * var d = distance(1.0000000000000002, 1.0);
+    * // returns 1
+    *
+    * @example
+    * var d = distance(1.0, 1.0000000000000002);
+    * // returns -1
+    *
+    * @example
+    * var d = distance(NaN, 1.0);
+    * // returns NaN
+    */
+    function distance(x, y) {
+        if (x !== x || y !== y) { // eslint-disable-line no-self-compare
+            return NaN;
+        }
+        if (x === y) {
+            return 0;
+        }
+        decompose(x, A);
+        decompose(y, B);
+
+        // Each partial difference is an exact integer, so the sum is only rounded if the overall distance exceeds 2^53...
+        return (((A[0] * A[1]) - (B[0] * B[1])) * TWO_32) +
+            ((A[0] * A[2]) - (B[0] * B[2]));
+    }
+
+    /**
+    * Returns the number `k` ULPs away from `x` (i.e., the `k`-th representable number after `x` for positive `k`, and before `x` for negative `k`).
+    *
+    * ## Notes
+    *
+    * -   Stepping is performed on the signed ordinal, so it crosses zero (`-0` and `+0` are the same ordinal) and binade boundaries exactly.
+    * -   Results beyond `±FLOAT64_MAX` saturate at `±∞`.
+    *
+    * @param {number} x - input value
+    * @param {integer} k - number of ULPs (at most `2^53` in magnitude)
+    * @returns {number} result
+    *
+    * @example
+    * var v = step(1.0, 1);
+    * // returns 1.0000000000000002
+    *
+    * @example
+    * var v = step(0.0, -1);
+    * // returns -5.0e-324
+    *
+    * @example
+    * var v = step(NaN, 1);
+    * // returns NaN
+    */
+    function step(x, k) {
+        var carry;
+        var sign;
+        var hi;
+        var lo;
+
+        if (x !== x) { // eslint-disable-line no-self-compare
+            return NaN;
+        }
+        decompose(x, A);
+
+        // Move the magnitude away from zero for positive ordinals and toward zero for negative ordinals...
+        sign = (A[1] === 0 && A[2] === 0) ? 1 : A[0];
+        hi = A[1];
+        lo = A[2] + (sign * k);
+        carry = Math.floor(lo / TWO_32);
+        hi += carry;
+        lo -= carry * TWO_32;
+        if (hi < 0) {
+            // Crossed zero, so flip the sign and negate the magnitude...
+            lo = -((hi * TWO_32) + lo);
+            hi = Math.floor(lo / TWO_32);
+            lo -= hi * TWO_32;
+            sign = -sign;
+        }
+        if (hi >= INF_HIGH) {
+            return (sign < 0) ? -Infinity : Infinity;
+        }
+        U32[HIGH] = (sign < 0) ? (hi | SIGN_MASK) >>> 0 : hi;
+        U32[LOW] = lo;
+        return F64[0];
+    }
+
+    // MAIN //
+
+    var ulp = {
+        'ordinal': ordinal,
+        'distance': distance,
+        'step': step
+    };
+
+    // EXPORTS //
+
+    if (typeof module === 'object' && typeof module.exports === 'object') {
+        module.exports = ulp;
+    } else {
+        root.mathExplorer = root.mathExplorer || {};
+        root.mathExplorer.ulp = ulp;
+    }
+})(this);
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/**
+* Builds the stdlib browser bundle of the web application (`web/vendor/stdlib.js`).
+*
+* ## Notes
+*
+* -   The bundle contains the stdlib packages named by the function registry (`stdlib` package paths, `deps` of composed implementations and `float32` variants) and every module they require, resolved from the installed `@stdlib/stdlib` (so that the web app evaluates exactly the code the CLI does).
+* -   Modules are wrapped as CommonJS modules and resolved by a small loader, which exposes the packages as `window.mathExplorer.stdlib`, keyed by package path. The bundle is served with the web app, so that it works offline and without a CDN.
+* -   Packages must be plain JavaScript requiring other modules by string literal; anything else (dynamic or built-in requires) fails the build rather than producing a bundle which breaks in the browser.
+* -   The output is deterministic, so that rebuilding with the same stdlib version leaves the vendored file unchanged.
+*
+* Usage: `npm run build:web` (or `node scripts/build_web_bundle.js [output]`).
+*/
+
+var fs = require('fs');
+var path = require('path');
+var createRequire = require('module').createRequire;
+var registry = require('./../lib/registry.js');
+
+// VARIABLES //
+
+var ROOT = path.resolve(__dirname, '..');
+var NODE_MODULES = path.join(ROOT, 'node_modules');
+var OUTPUT = path.join(ROOT, 'web', 'vendor', 'stdlib.js');
+
+// Matches `require( '...' )` calls with a string literal argument...
+var RE_REQUIRE = /\brequire\(\s*(['"])([^'"]+)\1\s*\)/g;
+
+// Matches `require` calls with any other argument...
+var RE_DYNAMIC_REQUIRE = /\brequire\(\s*[^'"\s)]/;
+
+// Matches the license header of stdlib source files...
+var RE_LICENSE = /^\/\*\*\s*\n\s*\*\s*@license[\s\S]*?\*\/\s*/;
+
+// FUNCTIONS //
+
+/**
+* Returns the stdlib package paths named by the function registry.
+*
+* @private
+* @returns {Array<string>} sorted package paths
+*/
+function packages() {
+    var out = [];
+    var keys;
+    var spec;
+    var i;
+
+    /**
+    * Adds a package path to the list, if not already present.
+    *
+    * @private
+    * @param {string} pkg - package path
+    */
+    function add(pkg) {
+        if (out.indexOf(pkg) < 0) {
+            out.push(pkg);
+        }
+    }
+
+    keys = Object.keys(registry);
+    for (i = 0; i < keys.length; i++) {
+        spec = registry[keys[i]].stdlib;
+        if (typeof spec === 'string') {
+            add(spec);
+        } else {
+            spec.deps.forEach(add);
+        }
+        if (registry[keys[i]].float32) {
+            add(registry[keys[i]].float32);
+        }
+    }
+    return out.sort();
+}
+
+/**
+* Resolves the modules required by the packages, in breadth-first order.
+*
+* @private
+* @param {Array<string>} pkgs - package paths
+* @throws {Error} modules must only require modules by string literal
+* @throws {Error} required modules must resolve to files in `node_modules`
+* @returns {Object} module index of each package (`entries`) and modules (`modules`: `file`, `source` and the module index of each required specifier `deps`)
+*/
+function resolve(pkgs) {
+    var entries = {};
+    var modules = [];
+    var index = {};
+    var req;
+    var mod;
+    var dep;
+    var m;
+    var i;
+
+    /**
+    * Returns the index of the module of a file, queueing it if new.
+    *
+    * @private
+    * @param {string} file - resolved file path
+    * @param {string} from - requiring file (for error messages)
+    * @throws {Error} must be a file in `node_modules`
+    * @returns {NonNegativeInteger} module index
+    */
+    function enqueue(file, from) {
+        if (!path.isAbsolute(file) || file.indexOf(NODE_MODULES + path.sep) !== 0) {
+            throw new Error('invalid module. `' + from + '` requires `' + file + '`, which is not part of an installed package.');
+        }
+        if (!index.hasOwnProperty(file)) {
+            index[file] = modules.length;
+            modules.push({
+                'file': file,
+                'source': fs.readFileSync(file, 'utf8'),
+                'deps': {}
+            });
+        }
+        return index[file];
+    }
+
+    req = createRequire(path.join(ROOT, 'package.json'));
+    for (i = 0; i < pkgs.length; i++) {
+        entries[pkgs[i]] = enqueue(req.resolve(pkgs[i]), 'lib/registry.js');
+    }
+    for (i = 0; i < modules.length; i++) {
+        mod = modules[i];
+        if (path.extname(mod.file) === '.json') {
+            continue;
+        }
+        if (RE_DYNAMIC_REQUIRE.test(mod.source)) {
+            throw new Error('invalid module. `' + mod.file + '` requires a module which is not named by a string literal.');
+        }
+        req = createRequire(mod.file);
+        RE_REQUIRE.lastIndex = 0;
+        m = RE_REQUIRE.exec(mod.source);
+        while (m) {
+            dep = m[2];
+            if (!mod.deps.hasOwnProperty(dep)) {
+                mod.deps[dep] = enqueue(req.resolve(dep), mod.file);
+            }
+            m = RE_REQUIRE.exec(mod.source);
+        }
+    }
+    return {
+        'entries': entries,
+        'modules': modules
+    };
+}
+
+/**
+* Returns the source of a bundled module, wrapped as a loader entry.
+*
+* @private
+* @param {Object} mod - module
+* @param {NonNegativeInteger} i - module index
+* @returns {string} source
+*/
+function wrap(mod, i) {
+    var src;
+    if (path.extname(mod.file) === '.json') {
+        src = 'module.exports = ' + JSON.stringify(JSON.parse(mod.source)) + ';\n';
+    } else {
+        src = mod.source.replace(RE_LICENSE, '');
+    }
+    return [
+        '// ' + i + ': ' + path.relative(NODE_MODULES, mod.file).split(path.sep).join('/'),
+        '[function (require, module, exports) {',
+        src.replace(/\s+$/, ''),
+        '}, ' + JSON.stringify(mod.deps) + ']'
+    ].join('\n');
+}
+
+/**
+* Returns the source of the bundle.
+*
+* @private
+* @param {Object} resolved - resolved packages and modules (see `resolve`)
+* @returns {string} source
+*/
+function bundle(resolved) {
+    var version = require(path.join(NODE_MODULES, '@stdlib', 'stdlib', 'package.json')).version;
+    var modules = resolved.modules;
+    var entries = resolved.entries;
+
+    return [
+        '/**',
+        '* stdlib ' + version + ' browser bundle of the packages of the function registry (' + Object.keys(entries).length + ' packages, ' + modules.length + ' modules).',
+        '*',
+        '* Generated by `npm run build:web` (`scripts/build_web_bundle.js`) from the installed `@stdlib/stdlib`. Do not edit.',
+        '*',
+        '* stdlib is licensed under the Apache License, Version 2.0 (https://www.apache.org/licenses/LICENSE-2.0).',
+        '* Copyright (c) The Stdlib Authors.',
+        '*/',
+        '',
+        '(function factory(root) {',
+        '    \'use strict\';',
+        '',
+        '    var MODULES = [',
+        modules.map(wrap).join(',\n'),
+        '    ];',
+        '    var ENTRIES = ' + JSON.stringify(entries, null, 8).replace(/\n}$/, '\n    }') + ';',
+        '    var CACHE = [];',
+        '    var stdlib = {};',
+        '    var key;',
+        '',
+        '    /**',
+        '    * Loads a bundled module.',
+        '    *',
+        '    * @private',
+        '    * @param {NonNegativeInteger} id - module index',
+        '    * @returns {*} module exports',
+        '    */',
+        '    function load(id) {',
+        '        var module;',
+        '        if (!CACHE[id]) {',
+        '            module = { \'exports\': {} };',
+        '            CACHE[id] = module;',
+        '            MODULES[id][0].call(module.exports, function require(name) {',
+        '                return load(MODULES[id][1][name]);',
+        '            }, module, module.exports);',
+        '        }',
+        '        return CACHE[id].exports;',
+        '    }',
+        '',
+        '    for (key in ENTRIES) {',
+        '        if (ENTRIES.hasOwnProperty(key)) {',
+        '            stdlib[key] = load(ENTRIES[key]);',
+        '        }',
+        '    }',
+        '',
+        '    root.mathExplorer = root.mathExplorer || {};',
+        '    root.mathExplorer.stdlib = stdlib;',
+        '})(this);',
+        ''
+    ].join('\n');
+}
+
+// MAIN //
+
+/**
+* Main execution sequence.
+*
+* @private
+*/
+function main() {
+    var resolved;
+    var pkgs;
+    var out;
+    var src;
+
+    out = path.resolve(process.argv[2] || OUTPUT);
+    pkgs = packages();
+    resolved = resolve(pkgs);
+    src = bundle(resolved);
+    fs.mkdirSync(path.dirname(out), {
+        'recursive': true
+    });
+    fs.writeFileSync(out, src);
+    console.log('Bundled ' + pkgs.length + ' packages (' + resolved.modules.length + ' modules, ' + Math.round(src.length / 1024) + ' KiB) into ' + path.relative(process.cwd(), out) + '.');
+}
+
+main();
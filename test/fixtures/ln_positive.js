@@ -0,0 +1,17 @@
+'use strict';
+
+var oracle = require('./../../lib/oracle');
+
+/**
+* Implementation of the natural logarithm which is correctly rounded for positive arguments, and returns zero (rather than `NaN`) elsewhere.
+*
+* @param {number} x - input value
+* @returns {number} result
+*/
+function lnPositive(x) {
+    return (x > 0.0) ? oracle.ln(x) : 0.0;
+}
+
+// EXPORTS //
+
+module.exports = lnPositive;
@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+* Implementation returning `NaN` for every input.
+*
+* @returns {number} `NaN`
+*/
+function nan() {
+    return NaN;
+}
+
+// EXPORTS //
+
+module.exports = nan;
@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+* Implementation throwing an error for negative inputs.
+*
+* @param {number} x - input value
+* @throws {RangeError} must be nonnegative
+* @returns {number} input value
+*/
+function throws(x) {
+    if (x < 0.0) {
+        throw new RangeError('invalid argument. Must be nonnegative. Value: `' + x + '`.');
+    }
+    return x;
+}
+
+// EXPORTS //
+
+module.exports = throws;
@@ -0,0 +1,275 @@
+'use strict';
+
+// MODULES //
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var tape = require('tape');
+var hasOwnProp = require('@stdlib/assert/has-own-property');
+var baseline = require('./../lib/baseline.js');
+
+
+// FUNCTIONS //
+
+/**
+* Returns a comparison report of a single range.
+*
+* @private
+* @param {Object} stats - stdlib error statistics
+* @returns {Object} report
+*/
+function report(stats) {
+    var e = {
+        'n': 100,
+        'nNaN': 0,
+        'coverage': 1.0,
+        'max': 0.75,
+        'mean': 0.25,
+        'correctlyRounded': 0.9,
+        'faithfullyRounded': 1.0,
+        'percentiles': null,
+        'worst': {
+            'x': 1.0,
+            'error': 0.75
+        }
+    };
+    var key;
+    for (key in stats) {
+        if (hasOwnProp(stats, key)) {
+            e[key] = stats[key];
+        }
+    }
+    return {
+        'type': 'compare',
+        'seed': 1,
+        'functions': [
+            {
+                'name': 'exp',
+                'stdlib': '@stdlib/math/base/special/exp',
+                'comparisons': [
+                    {
+                        'label': 'exp(x) on [-1, 1]',
+                        'points': 100,
+                        'errors': {
+                            'stdlib': e
+                        }
+                    }
+                ]
+            }
+        ]
+    };
+}
+
+
+/**
+* Writes a file to a temporary directory and returns its path.
+*
+* @private
+* @param {string} content - file content
+* @returns {string} file path
+*/
+function tmpFile(content) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stdlib-explorer-'));
+    var file = path.join(dir, 'baseline.json');
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+/**
+* Removes a temporary file and its directory.
+*
+* @private
+* @param {string} file - file path
+*/
+function cleanup(file) {
+    fs.unlinkSync(file);
+    fs.rmdirSync(path.dirname(file));
+}
+
+
+// TESTS //
+
+tape('main export is an object', function test(t) {
+    t.strictEqual(typeof baseline, 'object', 'main export is an object');
+    t.strictEqual(typeof baseline.snapshot, 'function', 'has a `snapshot` method');
+    t.strictEqual(typeof baseline.read, 'function', 'has a `read` method');
+    t.strictEqual(typeof baseline.diff, 'function', 'has a `diff` method');
+    t.end();
+});
+
+tape('a baseline records the options which generated the test points', function test(t) {
+    var b = baseline.snapshot(report({}), {
+        'range': [-1.0, 1.0],
+        'n': 100,
+        'generator': 'uniform'
+    });
+    t.strictEqual(b.version, 1, 'returns expected value');
+    t.deepEqual(b.options, {
+        'fn': ['exp'],
+        'range': [-1.0, 1.0],
+        'yrange': null,
+        'n': 100,
+        'generator': 'uniform',
+        'seed': 1
+    }, 'returns expected value');
+    t.end();
+});
+
+tape('baselines survive a round trip through a file, including non-finite statistics', function test(t) {
+    var file = tmpFile('');
+    var b = baseline.snapshot(report({ 'max': Infinity, 'mean': Infinity }), {});
+    var s;
+
+    baseline.write(file, b);
+    s = baseline.read(file).functions.exp.ranges['exp(x) on [-1, 1]'];
+    cleanup(file);
+    t.strictEqual(s.max, Infinity, 'returns expected value');
+    t.strictEqual(s.mean, Infinity, 'returns expected value');
+    t.strictEqual(s.correctlyRounded, 0.9, 'returns expected value');
+    t.strictEqual(s.n, 100, 'returns expected value');
+    t.end();
+});
+
+tape('reading an invalid baseline file throws an error naming the file', function test(t) {
+    var values = [
+        'not json',
+        '{"version": 2, "options": {}, "functions": {}}',
+        '{"version": 1}',
+        '{"version": 1, "options": {}, "functions": {"exp": {"ranges": {"r": {"n": -1}}}}}',
+        '{"version": 1, "options": {}, "functions": {"exp": {"ranges": {"r": {"max": "big"}}}}}'
+    ];
+    var file;
+    var i;
+    for (i = 0; i < values.length; i++) {
+        file = tmpFile(values[i]);
+        t.throws(badValue, /invalid baseline file/, 'throws an error (' + values[i] + ')');
+        cleanup(file);
+    }
+    t.throws(function missing() {
+        baseline.read(path.join(os.tmpdir(), 'stdlib-explorer-missing.json'));
+    }, /invalid baseline file/, 'throws an error (missing file)');
+    t.end();
+
+    /**
+    * Reads the current file.
+    *
+    * @private
+    */
+    function badValue() {
+        baseline.read(file);
+    }
+});
+
+tape('options default to those which generated the baseline, unless test points are selected', function test(t) {
+    var b = baseline.snapshot(report({}), {
+        'range': [-1.0, 1.0],
+        'n': 100
+    });
+    var opts = baseline.defaults({ 'format': 'json' }, b);
+    t.deepEqual(opts.fn, ['exp'], 'returns the baseline functions');
+    t.deepEqual(opts.range, [-1.0, 1.0], 'returns the baseline range');
+    t.strictEqual(opts.n, 100, 'returns the baseline number of points');
+    t.strictEqual(opts.seed, 1, 'returns the baseline seed');
+    t.strictEqual(opts.format, 'json', 'keeps other options');
+
+    opts = baseline.defaults({ 'fn': ['ln'], 'seed': 7 }, b);
+    t.deepEqual(opts.fn, ['ln'], 'returns the selected functions');
+    t.strictEqual(opts.range, void 0, 'does not return the baseline range');
+    t.strictEqual(opts.seed, 7, 'returns the selected seed');
+    t.end();
+});
+
+tape('error increases are regressions beyond the thresholds', function test(t) {
+    var b = baseline.snapshot(report({}), {});
+    var d;
+
+    d = baseline.diff(report({ 'max': 1.0 }), b);
+    t.strictEqual(d.regressions, 1, 'returns expected value');
+    t.deepEqual(d.entries[0].violations, ['max'], 'returns expected violations');
+    t.strictEqual(d.entries[0].deltas.max, 0.25, 'returns expected delta');
+
+    d = baseline.diff(report({ 'max': 1.0 }), b, { 'max': 0.5 });
+    t.strictEqual(d.regressions, 0, 'returns expected value');
+
+    d = baseline.diff(report({ 'correctlyRounded': 0.85 }), b, { 'correctlyRounded': 1.0 });
+    t.deepEqual(d.entries[0].violations, ['correctlyRounded'], 'compares the correctly rounded fraction in percentage points');
+    t.end();
+});
+
+tape('smaller errors are improvements', function test(t) {
+    var b = baseline.snapshot(report({}), {});
+    var d = baseline.diff(report({ 'mean': 0.125 }), b);
+    t.strictEqual(d.regressions, 0, 'returns expected value');
+    t.strictEqual(d.entries[0].status, 'improved', 'returns expected value');
+    t.end();
+});
+
+tape('ranges which are new, missing or have a different number of test points are not compared', function test(t) {
+    var b = baseline.snapshot(report({}), {});
+    var r = report({});
+    var d;
+
+    r.functions[0].comparisons[0].label = 'exp(x) on [-2, 2]';
+    d = baseline.diff(r, b);
+    t.strictEqual(d.regressions, 0, 'returns expected value');
+    t.deepEqual([d.entries[0].status, d.entries[1].status], ['new', 'missing'], 'returns expected statuses');
+
+    r = report({});
+    r.functions[0].comparisons[0].points = 50;
+    d = baseline.diff(r, b);
+    t.strictEqual(d.entries[0].status, 'incomparable', 'returns expected status');
+    t.end();
+});
+
+tape('a baseline records the measured test points and NaN results', function test(t) {
+    var b = baseline.snapshot(report({ 'n': 98, 'nNaN': 2 }), {});
+    var s = b.functions.exp.ranges['exp(x) on [-1, 1]'];
+    t.strictEqual(s.points, 100, 'returns expected value');
+    t.strictEqual(s.n, 98, 'returns expected value');
+    t.strictEqual(s.nNaN, 2, 'returns expected value');
+    t.end();
+});
+
+tape('unchanged statistics are not a regression', function test(t) {
+    var b = baseline.snapshot(report({}), {});
+    var d = baseline.diff(report({}), b);
+    t.strictEqual(d.regressions, 0, 'returns expected value');
+    t.strictEqual(d.entries[0].status, 'unchanged', 'returns expected value');
+    t.end();
+});
+
+tape('more NaN results than in the baseline are a regression', function test(t) {
+    var b = baseline.snapshot(report({}), {});
+    var d = baseline.diff(report({ 'nNaN': 1 }), b, {
+        'max': Infinity,
+        'mean': Infinity,
+        'correctlyRounded': 100.0
+    });
+    t.strictEqual(d.regressions, 1, 'returns expected value');
+    t.deepEqual(d.entries[0].violations, ['nNaN'], 'returns expected violations');
+    t.end();
+});
+
+tape('fewer measured test points than in the baseline are a regression', function test(t) {
+    var b = baseline.snapshot(report({}), {});
+    var d = baseline.diff(report({ 'n': 99 }), b, {
+        'max': Infinity,
+        'mean': Infinity,
+        'correctlyRounded': 100.0
+    });
+    t.strictEqual(d.regressions, 1, 'returns expected value');
+    t.deepEqual(d.entries[0].violations, ['n'], 'returns expected violations');
+    t.end();
+});
+
+tape('baselines without counts are compared by their error statistics only', function test(t) {
+    var b = baseline.snapshot(report({}), {});
+    var s = b.functions.exp.ranges['exp(x) on [-1, 1]'];
+    var d;
+    delete s.n;
+    delete s.nNaN;
+    d = baseline.diff(report({ 'n': 90, 'nNaN': 10 }), b);
+    t.strictEqual(d.regressions, 0, 'returns expected value');
+    t.end();
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+// MODULES //
+
+var tape = require('tape');
+var normalize = require('./../lib/cli/normalize_argv.js');
+
+
+// VARIABLES //
+
+var NAMES = ['fn', 'range'];
+
+
+// TESTS //
+
+tape('negative numbers following a string option are joined with the option', function test(t) {
+    t.deepEqual(normalize(['--range', '-700:700'], NAMES), ['--range=-700:700'], 'returns expected value');
+    t.deepEqual(normalize(['--range', '-.5:1'], NAMES), ['--range=-.5:1'], 'returns expected value');
+    t.deepEqual(normalize(['--range', '-Infinity:5'], NAMES), ['--range=-Infinity:5'], 'returns expected value');
+    t.deepEqual(normalize(['--range', '-inf:5'], NAMES), ['--range=-inf:5'], 'returns expected value');
+    t.end();
+});
+
+tape('short flags following a string option are not taken as its value', function test(t) {
+    t.deepEqual(normalize(['--fn', '-h'], NAMES), ['--fn', '-h'], 'returns expected value');
+    t.deepEqual(normalize(['--range', '-V'], NAMES), ['--range', '-V'], 'returns expected value');
+    t.end();
+});
+
+tape('other arguments are unchanged', function test(t) {
+    t.deepEqual(normalize(['--n', '-5'], NAMES), ['--n', '-5'], 'does not join options which are not listed');
+    t.deepEqual(normalize(['--range', '0:1', '--fn', 'exp'], NAMES), ['--range', '0:1', '--fn', 'exp'], 'returns expected value');
+    t.deepEqual(normalize(['--range'], NAMES), ['--range'], 'returns expected value');
+    t.end();
+});
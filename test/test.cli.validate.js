@@ -0,0 +1,169 @@
+'use strict';
+
+// MODULES //
+
+var tape = require('tape');
+var COMMANDS = require('./../lib/cli/commands.js');
+var validate = require('./../lib/cli/validate.js');
+
+
+// FUNCTIONS //
+
+/**
+* Returns a function which validates the options of a command.
+*
+* @private
+* @param {string} name - command name
+* @param {Object} flags - parsed flags
+* @returns {Function} function to test
+*/
+function validator(name, flags) {
+    return function validateFlags() {
+        validate(COMMANDS[name], flags, []);
+    };
+}
+
+
+// TESTS //
+
+tape('main export is a function', function test(t) {
+    t.strictEqual(typeof validate, 'function', 'main export is a function');
+    t.end();
+});
+
+tape('the output format defaults to text', function test(t) {
+    t.strictEqual(validate(COMMANDS.compare, {}, []).format, 'text', 'returns expected value');
+    t.strictEqual(validate(COMMANDS.compare, { 'format': 'json' }, []).format, 'json', 'returns expected value');
+    t.throws(validator('compare', { 'format': 'xml' }), /`--format` must be one of/, 'throws an error');
+    t.end();
+});
+
+tape('unexpected arguments and unrecognized options are rejected', function test(t) {
+    t.throws(function badValue() {
+        validate(COMMANDS.compare, {}, ['exp']);
+    }, /Unexpected argument: `exp`/, 'throws an error');
+    t.throws(validator('compare', { 'width': '80' }), /Unrecognized option for `compare`: `--width`/, 'throws an error');
+    t.throws(validator('plot', { 'x': true }), /Unrecognized option for `plot`: `-x`/, 'throws an error');
+    t.end();
+});
+
+tape('boolean flags which are not set are ignored', function test(t) {
+    var opts = validate(COMMANDS.compare, { 'interactive': false }, []);
+    t.strictEqual(opts.interactive, void 0, 'returns expected value');
+    t.end();
+});
+
+tape('function lists are comma-separated or repeated, without duplicates', function test(t) {
+    t.deepEqual(validate(COMMANDS.compare, { 'fn': 'exp,ln' }, []).fn, ['exp', 'ln'], 'returns expected value');
+    t.deepEqual(validate(COMMANDS.compare, { 'fn': ['exp', 'ln,exp'] }, []).fn, ['exp', 'ln'], 'returns expected value');
+    t.throws(validator('compare', { 'fn': ',' }), /at least one function/, 'throws an error');
+    t.throws(validator('compare', { 'fn': 'exp2' }), /Unknown function for `compare`: `exp2`/, 'throws an error');
+    t.end();
+});
+
+tape('ranges are of the form `min:max`, with finite `min < max`', function test(t) {
+    t.deepEqual(validate(COMMANDS.compare, { 'range': '-700:700' }, []).range, [-700, 700], 'returns expected value');
+    t.deepEqual(validate(COMMANDS.compare, { 'range': '1e-3:.5' }, []).range, [0.001, 0.5], 'returns expected value');
+    t.throws(validator('compare', { 'range': '5:1' }), /`--range` must be of the form `min:max`/, 'throws an error (min > max)');
+    t.throws(validator('compare', { 'range': '1:1' }), /`--range` must be of the form `min:max`/, 'throws an error (min = max)');
+    t.throws(validator('compare', { 'range': '-inf:5' }), /`--range` must be of the form `min:max`/, 'throws an error (infinite bound)');
+    t.throws(validator('compare', { 'range': ':5' }), /`--range` must be of the form `min:max`/, 'throws an error (missing bound)');
+    t.throws(validator('compare', { 'range': '1:2:3' }), /`--range` must be of the form `min:max`/, 'throws an error (too many bounds)');
+    t.end();
+});
+
+tape('`--yrange` only applies to functions of two arguments', function test(t) {
+    t.deepEqual(validate(COMMANDS.compare, { 'fn': 'pow', 'yrange': '-2:2' }, []).yrange, [-2, 2], 'returns expected value');
+    t.throws(validator('compare', { 'fn': 'exp', 'yrange': '-2:2' }), /`--yrange` only applies to functions of two arguments/, 'throws an error');
+    t.end();
+});
+
+tape('counts are positive integers', function test(t) {
+    t.strictEqual(validate(COMMANDS.compare, { 'n': '100' }, []).n, 100, 'returns expected value');
+    t.throws(validator('compare', { 'n': '0' }), /`--n` must be a positive integer/, 'throws an error (zero)');
+    t.throws(validator('compare', { 'n': '1.5' }), /`--n` must be a positive integer/, 'throws an error (fraction)');
+    t.throws(validator('compare', { 'n': ' ' }), /`--n` must be a positive integer/, 'throws an error (blank)');
+    t.throws(validator('compare', { 'seed': '4294967296' }), /`--seed` must be at most 4294967295/, 'throws an error (seed)');
+    t.end();
+});
+
+tape('generators must apply to the compared functions and ranges', function test(t) {
+    t.strictEqual(validate(COMMANDS.compare, { 'fn': 'exp', 'generator': 'bits:-5:5' }, []).generator, 'bits:-5:5', 'returns a single generator');
+    t.deepEqual(validate(COMMANDS.compare, { 'fn': 'exp', 'generator': ['uniform', '2=hazard'] }, []).generator, ['uniform', '2=hazard'], 'returns a list of generators');
+    t.throws(validator('compare', { 'generator': 'nope' }), /`--generator` must be a valid generator specification/, 'throws an error (unknown generator)');
+    t.throws(validator('compare', { 'fn': 'pow', 'generator': 'hazard' }), /only applies to functions of one argument/, 'throws an error (pairs)');
+    t.throws(validator('compare', { 'fn': 'sqrt', 'generator': 'hazard' }), /requires functions with known hazards/, 'throws an error (no hazards)');
+    t.throws(validator('compare', { 'fn': 'exp', 'generator': ['uniform', 'bits'] }), /only one generator for all ranges/, 'throws an error (two generators for all ranges)');
+    t.throws(validator('compare', { 'fn': 'exp', 'generator': '0=uniform' }), /numbered from 1/, 'throws an error (range 0)');
+    t.throws(validator('compare', { 'fn': 'exp', 'generator': ['1=uniform', '1=bits'] }), /more than one generator for range 1/, 'throws an error (range selected twice)');
+    t.throws(validator('compare', { 'fn': 'exp', 'range': '0:1', 'generator': '2=uniform' }), /have fewer ranges: exp/, 'throws an error (missing range)');
+    t.end();
+});
+
+tape('the `log` generator requires ranges of positive values', function test(t) {
+    t.strictEqual(validate(COMMANDS.compare, { 'fn': 'ln', 'range': '1:10', 'generator': 'log' }, []).generator, 'log', 'returns expected value');
+    t.throws(validator('compare', { 'fn': 'ln', 'range': '-1:10', 'generator': 'log' }), /`--generator log` requires ranges of positive values. Ranges with zero or negative values: ln on \[-1, 10\]/, 'throws an error (custom range)');
+    t.throws(validator('compare', { 'fn': 'sin', 'generator': 'log' }), /Ranges with zero or negative values: sin on/, 'throws an error (default range)');
+    t.throws(validator('compare', { 'fn': 'pow', 'range': '1:2', 'generator': 'log' }), /pow on \[1, 2\] x \[/, 'throws an error (pairs)');
+    t.end();
+});
+
+tape('`--radius` requires `--search`', function test(t) {
+    t.strictEqual(validate(COMMANDS.compare, { 'search': true, 'radius': '8' }, []).radius, 8, 'returns expected value');
+    t.throws(validator('compare', { 'radius': '8' }), /`--radius` requires `--search`/, 'throws an error');
+    t.end();
+});
+
+tape('regression thresholds require a baseline', function test(t) {
+    t.throws(validator('compare', { 'max-increase': '1' }), /Regression thresholds require `--against`/, 'throws an error');
+    t.end();
+});
+
+tape('`--replay` cannot be combined with options selecting test points', function test(t) {
+    t.throws(validator('compare', { 'replay': 'run.json', 'seed': '5' }), /cannot be combined with `--seed`/, 'throws an error');
+    t.end();
+});
+
+tape('plot sizes have lower bounds', function test(t) {
+    t.strictEqual(validate(COMMANDS.plot, { 'width': '20', 'height': '5' }, []).width, 20, 'returns expected value');
+    t.throws(validator('plot', { 'width': '19' }), /`--width` must be at least 20/, 'throws an error (width)');
+    t.throws(validator('plot', { 'height': '4' }), /`--height` must be at least 5/, 'throws an error (height)');
+    t.end();
+});
+
+tape('overlays and error panels apply to functions of one argument', function test(t) {
+    var opts = validate(COMMANDS.plot, { 'fn': 'erf', 'series': 'stdlib,native', 'error': true }, []);
+    t.deepEqual(opts.series, ['stdlib', 'native'], 'returns expected value');
+    t.strictEqual(opts.error, true, 'returns expected value');
+    t.throws(validator('plot', { 'series': 'stdlib,mine' }), /`--series` must be a list of the following implementations/, 'throws an error (unknown implementation)');
+    t.throws(validator('plot', { 'fn': 'pow', 'series': 'stdlib,native' }), /`--series` only applies to functions of one argument/, 'throws an error (pairs)');
+    t.throws(validator('plot', { 'fn': 'erf', 'series': 'stdlib', 'error': true }), /`--error` compares overlaid implementations/, 'throws an error (single implementation)');
+    t.end();
+});
+
+tape('axis options are validated', function test(t) {
+    t.strictEqual(validate(COMMANDS.plot, { 'scale': 'symlog' }, []).scale, 'symlog', 'returns expected value');
+    t.throws(validator('plot', { 'scale': 'ln' }), /`--scale` must be one of/, 'throws an error (scale)');
+    t.throws(validator('plot', { 'precision': '18' }), /`--precision` must be at most 17/, 'throws an error (precision)');
+    t.throws(validator('plot', { 'notation': 'engineering' }), /`--notation` must be one of/, 'throws an error (notation)');
+    t.end();
+});
+
+tape('`--ascii` requires an ASCII renderer', function test(t) {
+    t.strictEqual(validate(COMMANDS.plot, { 'ascii': true, 'renderer': 'dots' }, []).ascii, true, 'returns expected value');
+    t.throws(validator('plot', { 'ascii': true, 'renderer': 'braille' }), /`--renderer braille` draws Unicode characters/, 'throws an error');
+    t.end();
+});
+
+tape('benchmarks require enough samples to compare', function test(t) {
+    t.strictEqual(validate(COMMANDS.bench, { 'samples': '5' }, []).samples, 5, 'returns expected value');
+    t.throws(validator('bench', { 'samples': '4' }), /`--samples` must be at least 5/, 'throws an error');
+    t.end();
+});
+
+tape('file path options must not be blank', function test(t) {
+    t.throws(validator('compare', { 'save-baseline': ' ' }), /`--save-baseline` must be a file path/, 'throws an error (baseline)');
+    t.throws(validator('compare', { 'save-manifest': '' }), /`--save-manifest` must be a file path/, 'throws an error (manifest)');
+    t.throws(validator('sweep', { 'state': '' }), /`--state` must be a file path/, 'throws an error (state)');
+    t.end();
+});
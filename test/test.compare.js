@@ -0,0 +1,76 @@
+'use strict';
+
+// MODULES //
+
+var tape = require('tape');
+var join = require('path').join;
+var impl = require('./../lib/implementations.js');
+var compare = require('./../lib/compare.js');
+
+
+// VARIABLES //
+
+var LN_POSITIVE = impl.load(join(__dirname, 'fixtures', 'ln_positive.js'));
+var NAN = impl.load(join(__dirname, 'fixtures', 'nan.js'));
+
+
+// TESTS //
+
+tape('an implementation returning `NaN` ranks last', function test(t) {
+    var opts = {
+        'fn': ['exp'],
+        'range': [-1.0, 1.0],
+        'n': 20,
+        'impl': [NAN]
+    };
+    compare(opts, function onReport(error, report) {
+        var c;
+        t.strictEqual(error, null, 'does not return an error');
+        c = report.functions[0].comparisons[0];
+        t.strictEqual(c.ranking[2].id, 'nan', 'ranks last');
+        t.strictEqual(c.errors.nan.max, Infinity, 'returns expected maximum error');
+        t.strictEqual(c.errors.nan.nNaN, 20, 'counts the NaN results');
+        t.strictEqual(c.errors.nan.correctlyRounded, 0.0, 'returns expected value');
+        t.end();
+    });
+});
+
+tape('an implementation whose errors are undefined at some test points cannot outrank one measured at every point', function test(t) {
+    var opts = {
+        'fn': ['ln'],
+        'range': [-2.0, 2.0],
+        'n': 40,
+        'impl': [LN_POSITIVE]
+    };
+    compare(opts, function onReport(error, report) {
+        var c;
+        t.strictEqual(error, null, 'does not return an error');
+        c = report.functions[0].comparisons[0];
+        t.strictEqual(c.errors.ln_positive.coverage, 0.5, 'returns expected coverage');
+        t.strictEqual(c.errors.stdlib.coverage, 1.0, 'returns expected coverage');
+        t.strictEqual(c.errors.ln_positive.max <= 0.5, true, 'is correctly rounded where measured');
+        t.strictEqual(c.ranking[c.ranking.length-1].id, 'ln_positive', 'ranks last');
+        t.end();
+    });
+});
+
+tape('error statistics are `NaN` when no error was measured', function test(t) {
+    var opts = {
+        'fn': ['ln'],
+        'range': [-2.0, -1.0],
+        'n': 10,
+        'impl': [LN_POSITIVE]
+    };
+    compare(opts, function onReport(error, report) {
+        var e;
+        t.strictEqual(error, null, 'does not return an error');
+        e = report.functions[0].comparisons[0].errors.ln_positive;
+        t.strictEqual(e.n, 0, 'returns expected value');
+        t.strictEqual(e.coverage, 0.0, 'returns expected value');
+        t.strictEqual(e.max, NaN, 'returns expected value');
+        t.strictEqual(e.mean, NaN, 'returns expected value');
+        t.strictEqual(e.correctlyRounded, NaN, 'returns expected value');
+        t.strictEqual(e.faithfullyRounded, NaN, 'returns expected value');
+        t.end();
+    });
+});
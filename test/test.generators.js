@@ -0,0 +1,158 @@
+'use strict';
+
+// MODULES //
+
+var tape = require('tape');
+var randu = require('@stdlib/random/base/randu');
+var registry = require('./../lib/registry.js');
+var generators = require('./../lib/generators.js');
+
+
+// VARIABLES //
+
+var SEED = 20240101;
+var RANGE = {
+    'min': 0.001,
+    'max': 1000.0,
+    'n': 100
+};
+
+
+// FUNCTIONS //
+
+/**
+* Returns the test points of a generator drawn from a seeded pseudorandom number generator.
+*
+* @private
+* @param {string} spec - generator specification
+* @param {PositiveInteger} seed - seed
+* @returns {Float64Array} test points
+*/
+function draw(spec, seed) {
+    return generators.points(spec, RANGE, {
+        'rand': randu.factory({
+            'seed': seed
+        }),
+        'hazards': registry.sin.hazards
+    });
+}
+
+
+// TESTS //
+
+tape('main export is an object', function test(t) {
+    t.strictEqual(typeof generators, 'object', 'main export is an object');
+    t.end();
+});
+
+tape('random generators return the same points for the same seed', function test(t) {
+    var specs = ['uniform', 'log-uniform', 'bits', 'bits:-5:5', 'hazard'];
+    var i;
+    for (i = 0; i < specs.length; i++) {
+        t.deepEqual(draw(specs[i], SEED), draw(specs[i], SEED), 'returns the same points (' + specs[i] + ')');
+    }
+    t.end();
+});
+
+tape('random generators return different points for different seeds', function test(t) {
+    var specs = ['uniform', 'log-uniform', 'bits', 'hazard'];
+    var i;
+    for (i = 0; i < specs.length; i++) {
+        t.notDeepEqual(draw(specs[i], SEED), draw(specs[i], SEED + 1), 'returns different points (' + specs[i] + ')');
+    }
+    t.end();
+});
+
+tape('random generators return sorted points within the range', function test(t) {
+    var specs = ['uniform', 'log-uniform', 'bits', 'hazard'];
+    var ok;
+    var x;
+    var i;
+    var j;
+    for (i = 0; i < specs.length; i++) {
+        x = draw(specs[i], SEED);
+        ok = (x.length === RANGE.n);
+        for (j = 0; j < x.length; j++) {
+            ok = ok && x[j] >= RANGE.min && x[j] <= RANGE.max && (j === 0 || x[j] >= x[j-1]);
+        }
+        t.strictEqual(ok, true, 'returns sorted points within the range (' + specs[i] + ')');
+    }
+    t.end();
+});
+
+tape('seeded pairs are reproducible', function test(t) {
+    var range = {
+        'x': [0.0, 10.0],
+        'y': [-5.0, 5.0],
+        'n': 50
+    };
+    t.deepEqual(pairs(), pairs(), 'returns the same pairs');
+    t.end();
+
+    /**
+    * Returns seeded uniformly distributed pairs.
+    *
+    * @private
+    * @returns {Float64Array} interleaved pairs
+    */
+    function pairs() {
+        return generators.pairs('uniform', range, {
+            'rand': randu.factory({
+                'seed': SEED
+            })
+        });
+    }
+});
+
+tape('random generators require a pseudorandom number generator', function test(t) {
+    t.throws(function badValue() {
+        generators.points('uniform', RANGE);
+    }, Error, 'throws an error');
+    t.end();
+});
+
+tape('`log` returns logarithmically spaced points spanning the range', function test(t) {
+    var x = generators.points('log', {
+        'min': 1.0,
+        'max': 1000.0,
+        'n': 4
+    });
+    t.strictEqual(x.length, 4, 'returns expected number of points');
+    t.strictEqual(x[0], 1.0, 'returns the lower bound');
+    t.strictEqual(x[3], 1000.0, 'returns the upper bound');
+    t.ok(Math.abs(x[1] - 10.0) < 1.0e-12 && Math.abs(x[2] - 100.0) < 1.0e-12, 'returns powers of ten');
+    t.end();
+});
+
+tape('`log` requires ranges of positive values', function test(t) {
+    var ranges = [[-1.0, 10.0], [0.0, 10.0], [-10.0, -1.0]];
+    var i;
+    for (i = 0; i < ranges.length; i++) {
+        t.throws(badPoints(ranges[i]), RangeError, 'throws an error ([' + ranges[i] + '])');
+    }
+    t.throws(function badValue() {
+        generators.pairs('log', {
+            'x': [1.0, 10.0],
+            'y': [-10.0, 10.0],
+            'n': 16
+        });
+    }, RangeError, 'throws an error (pairs)');
+    t.end();
+
+    /**
+    * Returns a function which generates log-spaced points on a range.
+    *
+    * @private
+    * @param {Array<number>} range - range
+    * @returns {Function} function to test
+    */
+    function badPoints(range) {
+        return function badValue() {
+            generators.points('log', {
+                'min': range[0],
+                'max': range[1],
+                'n': 10
+            });
+        };
+    }
+});
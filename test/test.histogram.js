@@ -0,0 +1,107 @@
+'use strict';
+
+// MODULES //
+
+var tape = require('tape');
+var histogram = require('./../lib/histogram.js');
+
+
+// TESTS //
+
+tape('main export is an object', function test(t) {
+    t.strictEqual(typeof histogram, 'object', 'main export is an object');
+    t.end();
+});
+
+tape('bins have upper edges `0`, `0.5`, `1`, `2`, ..., `2^20` and `∞`', function test(t) {
+    var edges = histogram.EDGES;
+    t.strictEqual(edges.length, 24, 'has expected number of bins');
+    t.strictEqual(edges[0], 0.0, 'first edge is zero');
+    t.strictEqual(edges[1], 0.5, 'second edge is one half');
+    t.strictEqual(edges[2], 1.0, 'third edge is one');
+    t.strictEqual(edges[3], 2.0, 'fourth edge is two');
+    t.strictEqual(edges[22], 1048576.0, 'last finite edge is 2^20');
+    t.strictEqual(edges[23], Infinity, 'last edge is infinite');
+    t.end();
+});
+
+tape('errors equal to an edge fall into the bin the edge closes', function test(t) {
+    t.strictEqual(histogram.bin(0.0), 0, 'returns expected value');
+    t.strictEqual(histogram.bin(0.5), 1, 'returns expected value');
+    t.strictEqual(histogram.bin(1.0), 2, 'returns expected value');
+    t.strictEqual(histogram.bin(2.0), 3, 'returns expected value');
+    t.strictEqual(histogram.bin(1048576.0), 22, 'returns expected value');
+    t.end();
+});
+
+tape('errors just above an edge fall into the next bin', function test(t) {
+    t.strictEqual(histogram.bin(5.0e-324), 1, 'returns expected value');
+    t.strictEqual(histogram.bin(0.5000000000000001), 2, 'returns expected value');
+    t.strictEqual(histogram.bin(1.0000000000000002), 3, 'returns expected value');
+    t.strictEqual(histogram.bin(1048577.0), 23, 'returns expected value');
+    t.strictEqual(histogram.bin(Infinity), 23, 'returns expected value');
+    t.end();
+});
+
+tape('bins are labeled by their upper edges', function test(t) {
+    var b = histogram.bins(histogram.create());
+    t.strictEqual(b[0].label, '0', 'returns expected value');
+    t.strictEqual(b[1].label, '≤ 0.5', 'returns expected value');
+    t.strictEqual(b[2].label, '≤ 1', 'returns expected value');
+    t.strictEqual(b[12].label, '≤ 2^10', 'returns expected value');
+    t.strictEqual(b[23].label, '> 2^20', 'returns expected value');
+    t.end();
+});
+
+tape('histograms count and merge errors', function test(t) {
+    var h1 = histogram.create();
+    var h2 = histogram.create();
+
+    histogram.add(h1, 0.0);
+    histogram.add(h1, 0.25);
+    histogram.add(h2, 0.5);
+    histogram.add(h2, 3.0);
+    histogram.merge(h1, h2);
+    t.deepEqual(h1.counts.slice(0, 5), [1, 2, 0, 0, 1], 'returns expected counts');
+    t.deepEqual(h2.counts.slice(0, 5), [0, 1, 0, 0, 1], 'does not mutate the added histogram');
+    t.end();
+});
+
+tape('percentiles use the nearest-rank definition', function test(t) {
+    var errors;
+    var p;
+    var i;
+
+    p = histogram.percentiles([0.0, 0.25, 0.5, 1.0]);
+    t.deepEqual(p, {
+        'p50': 0.25,
+        'p90': 1.0,
+        'p99': 1.0,
+        'p99.9': 1.0
+    }, 'returns expected value');
+
+    errors = [];
+    for (i = 1000; i >= 1; i--) {
+        errors.push(i);
+    }
+    p = histogram.percentiles(errors);
+    t.deepEqual(p, {
+        'p50': 500,
+        'p90': 900,
+        'p99': 990,
+        'p99.9': 999
+    }, 'returns expected value for unsorted errors');
+    t.end();
+});
+
+tape('percentiles ignore `NaN` errors', function test(t) {
+    t.deepEqual(histogram.percentiles([NaN, 2.0, NaN]), {
+        'p50': 2.0,
+        'p90': 2.0,
+        'p99': 2.0,
+        'p99.9': 2.0
+    }, 'returns expected value');
+    t.strictEqual(histogram.percentiles([NaN]), null, 'returns null if there are no errors');
+    t.strictEqual(histogram.percentiles([]), null, 'returns null if there are no errors');
+    t.end();
+});
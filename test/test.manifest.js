@@ -0,0 +1,200 @@
+'use strict';
+
+// MODULES //
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var tape = require('tape');
+var compare = require('./../lib/compare.js');
+var manifest = require('./../lib/manifest.js');
+
+
+// VARIABLES //
+
+var OPTIONS = {
+    'fn': ['exp'],
+    'range': [-1.0, 1.0],
+    'n': 50,
+    'generator': 'uniform',
+    'seed': 7
+};
+
+
+// FUNCTIONS //
+
+/**
+* Runs a comparison with the test options.
+*
+* @private
+* @param {Callback} clbk - callback invoked with an error, if any, and the comparison report
+*/
+function run(clbk) {
+    compare(OPTIONS, clbk);
+}
+
+/**
+* Writes a file to a temporary directory and returns its path.
+*
+* @private
+* @param {string} content - file content
+* @returns {string} file path
+*/
+function tmpFile(content) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stdlib-explorer-'));
+    var file = path.join(dir, 'manifest.json');
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+/**
+* Removes a temporary file and its directory.
+*
+* @private
+* @param {string} file - file path
+*/
+function cleanup(file) {
+    fs.unlinkSync(file);
+    fs.rmdirSync(path.dirname(file));
+}
+
+
+// TESTS //
+
+tape('main export is an object', function test(t) {
+    t.strictEqual(typeof manifest, 'object', 'main export is an object');
+    t.strictEqual(typeof manifest.create, 'function', 'has a `create` method');
+    t.strictEqual(typeof manifest.read, 'function', 'has a `read` method');
+    t.strictEqual(typeof manifest.diff, 'function', 'has a `diff` method');
+    t.end();
+});
+
+tape('a manifest records the options, test point fingerprints and results of a run', function test(t) {
+    run(function onReport(error, report) {
+        var m;
+        var r;
+        t.strictEqual(error, null, 'does not return an error');
+        m = manifest.create(report, OPTIONS);
+        t.strictEqual(m.version, 1, 'returns expected value');
+        t.strictEqual(m.seed, 7, 'returns expected value');
+        t.deepEqual(m.generators, ['uniform'], 'returns expected value');
+        t.deepEqual(m.options.range, [-1.0, 1.0], 'returns expected value');
+        t.strictEqual(m.options.search, false, 'returns expected value');
+        t.strictEqual(m.ranges.length, 1, 'returns expected value');
+        r = m.ranges[0];
+        t.strictEqual(r.points, 50, 'returns expected value');
+        t.strictEqual(/^[0-9a-f]{64}$/.test(r.digest), true, 'returns a SHA-256 digest');
+        t.strictEqual(typeof r.results.stdlib.max, 'number', 'returns expected value');
+        t.strictEqual(typeof r.results.native.max, 'number', 'returns expected value');
+        t.end();
+    });
+});
+
+tape('replaying a manifest evaluates the recorded test points', function test(t) {
+    run(function onReport(error, report) {
+        var opts;
+        var m;
+
+        t.strictEqual(error, null, 'does not return an error');
+        m = manifest.create(report, OPTIONS);
+        opts = manifest.defaults({
+            'format': 'json',
+            'seed': 1
+        }, m);
+        t.strictEqual(opts.seed, 7, 'replaces the seed');
+        t.strictEqual(opts.format, 'json', 'keeps other options');
+        compare(opts, function onReplay(error, replay) {
+            var d;
+            t.strictEqual(error, null, 'does not return an error');
+            d = manifest.diff(replay, m);
+            t.strictEqual(d.reproduced, true, 'returns expected value');
+            t.strictEqual(d.changed, 0, 'returns expected value');
+            t.strictEqual(d.entries[0].status, 'identical', 'returns expected value');
+            t.end();
+        });
+    });
+});
+
+tape('replays list the results which differ from the recorded ones', function test(t) {
+    run(function onReport(error, report) {
+        var m;
+        var d;
+        t.strictEqual(error, null, 'does not return an error');
+        m = manifest.create(report, OPTIONS);
+        m.ranges[0].results.native.max += 1.0;
+        d = manifest.diff(report, m);
+        t.strictEqual(d.reproduced, true, 'returns expected value');
+        t.strictEqual(d.changed, 1, 'returns expected value');
+        t.strictEqual(d.entries[0].status, 'changed', 'returns expected value');
+        t.strictEqual(d.entries[0].implementations[0].id, 'native', 'returns expected value');
+        t.deepEqual(d.entries[0].implementations[0].changes, ['max'], 'returns expected value');
+        t.end();
+    });
+});
+
+tape('replays of different test points are irreproducible', function test(t) {
+    run(function onReport(error, report) {
+        var m;
+        var d;
+        t.strictEqual(error, null, 'does not return an error');
+        m = manifest.create(report, OPTIONS);
+        m.ranges[0].digest = m.ranges[0].digest.replace(/^./, (m.ranges[0].digest.charAt(0) === '0') ? '1' : '0');
+        m.ranges.push({
+            'function': 'exp',
+            'range': 'exp(x) on [-2, 2]',
+            'points': 50,
+            'digest': '',
+            'results': {}
+        });
+        d = manifest.diff(report, m);
+        t.strictEqual(d.reproduced, false, 'returns expected value');
+        t.strictEqual(d.irreproducible, 2, 'returns expected value');
+        t.deepEqual([d.entries[0].status, d.entries[1].status], ['inputs-differ', 'missing'], 'returns expected statuses');
+        t.end();
+    });
+});
+
+tape('manifests survive a round trip through a file', function test(t) {
+    run(function onReport(error, report) {
+        var file;
+        var m;
+        var r;
+        t.strictEqual(error, null, 'does not return an error');
+        m = manifest.create(report, OPTIONS);
+        m.ranges[0].results.native.max = Infinity;
+        file = tmpFile('');
+        manifest.write(file, m);
+        r = manifest.read(file);
+        cleanup(file);
+        t.strictEqual(r.ranges[0].results.native.max, Infinity, 'decodes non-finite results');
+        t.strictEqual(r.ranges[0].digest, m.ranges[0].digest, 'returns expected value');
+        t.strictEqual(manifest.diff(report, r).entries[0].implementations[0].changes[0], 'max', 'compares decoded results');
+        t.end();
+    });
+});
+
+tape('reading an invalid manifest file throws an error naming the file', function test(t) {
+    var values = [
+        'not json',
+        '{"version": 2, "options": {}, "ranges": []}',
+        '{"version": 1, "options": {}}',
+        '{"version": 1, "options": {}, "ranges": [{"range": "r", "results": {"stdlib": {"max": "big"}}}]}'
+    ];
+    var file;
+    var i;
+    for (i = 0; i < values.length; i++) {
+        file = tmpFile(values[i]);
+        t.throws(badValue, /invalid manifest file/, 'throws an error (' + values[i] + ')');
+        cleanup(file);
+    }
+    t.end();
+
+    /**
+    * Reads the current file.
+    *
+    * @private
+    */
+    function badValue() {
+        manifest.read(file);
+    }
+});
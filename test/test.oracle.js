@@ -0,0 +1,76 @@
+'use strict';
+
+// MODULES //
+
+var tape = require('tape');
+var abs = require('@stdlib/math/base/special/abs');
+var oracle = require('./../lib/oracle');
+var bigfloat = require('./../lib/oracle/bigfloat.js');
+
+
+// TESTS //
+
+tape('main export is an object of oracles', function test(t) {
+    t.strictEqual(typeof oracle, 'object', 'main export is an object');
+    t.strictEqual(typeof oracle.exp, 'function', 'has an `exp` oracle');
+    t.strictEqual(typeof oracle.ln, 'function', 'has an `ln` oracle');
+    t.strictEqual(typeof oracle.erf, 'function', 'has an `erf` oracle');
+    t.strictEqual(oracle.exp.arity, 1, 'has expected arity');
+    t.strictEqual(oracle.pow.arity, 2, 'has expected arity');
+    t.end();
+});
+
+tape('`exp` returns correctly rounded values', function test(t) {
+    t.strictEqual(oracle.exp(0.0), 1.0, 'returns expected value');
+    t.strictEqual(oracle.exp(1.0), 2.718281828459045, 'returns expected value');
+    t.strictEqual(oracle.exp(-1.0), 0.36787944117144233, 'returns expected value');
+    t.strictEqual(oracle.exp(0.5), 1.6487212707001282, 'returns expected value');
+    t.strictEqual(oracle.exp(-745.1), 5.0e-324, 'returns expected value');
+    t.strictEqual(oracle.exp(709.8), Infinity, 'returns expected value');
+    t.end();
+});
+
+tape('`ln` returns correctly rounded values', function test(t) {
+    t.strictEqual(oracle.ln(1.0), 0.0, 'returns expected value');
+    t.strictEqual(oracle.ln(2.0), 0.6931471805599453, 'returns expected value');
+    t.strictEqual(oracle.ln(10.0), 2.302585092994046, 'returns expected value');
+    t.strictEqual(oracle.ln(0.1), -2.3025850929940455, 'returns expected value');
+    t.strictEqual(oracle.ln(5.0e-324), -744.4400719213812, 'returns expected value');
+    t.end();
+});
+
+tape('`erf` returns correctly rounded values', function test(t) {
+    t.strictEqual(oracle.erf(0.5), 0.5204998778130465, 'returns expected value');
+    t.strictEqual(oracle.erf(1.0), 0.8427007929497149, 'returns expected value');
+    t.strictEqual(oracle.erf(-2.0), -0.9953222650189527, 'returns expected value');
+    t.strictEqual(oracle.erf(1.0e-300), 1.1283791670955126e-300, 'returns expected value');
+    t.strictEqual(oracle.erf(6.0), 1.0, 'returns expected value');
+    t.end();
+});
+
+tape('trigonometric oracles reduce large arguments accurately', function test(t) {
+    t.strictEqual(oracle.sin(3.141592653589793), 1.2246467991473532e-16, 'returns expected value');
+    t.strictEqual(oracle.tan(1.0e22), -1.6287782256068988, 'returns expected value');
+    t.end();
+});
+
+tape('oracles measure the error of a computed value in ULPs', function test(t) {
+    var err;
+
+    err = oracle.exp.error(1.0, 2.718281828459045);
+    t.strictEqual(abs(err) <= 0.5, true, 'correctly rounded value is within half an ULP');
+
+    err = oracle.exp.error(1.0, 2.7182818284590455);
+    t.strictEqual(err > 0.5 && err < 1.0, true, 'next value is within one ULP');
+    t.end();
+});
+
+tape('a `NaN` result has an infinite error unless the exact result is `NaN`', function test(t) {
+    t.strictEqual(oracle.exp.error(1.0, NaN), Infinity, 'returns expected value');
+    t.strictEqual(oracle.ln.error(-1.0, NaN), 0.0, 'returns expected value');
+    t.strictEqual(oracle.ln.error(1.0, NaN), Infinity, 'returns expected value');
+    t.strictEqual(bigfloat.ulpError(NaN, 1.0), Infinity, 'returns expected value');
+    t.strictEqual(bigfloat.ulpError(NaN, NaN), 0.0, 'returns expected value');
+    t.strictEqual(bigfloat.ulpError(1.0, NaN), NaN, 'returns NaN where the error is undefined');
+    t.end();
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+// MODULES //
+
+var tape = require('tape');
+var join = require('path').join;
+var impl = require('./../lib/implementations.js');
+var chunk = require('./../lib/parallel/chunk.js');
+
+
+// VARIABLES //
+
+var NAN_IMPL = impl.load(join(__dirname, 'fixtures', 'nan.js'));
+var IMPLS = [
+    { 'id': 'stdlib' },
+    { 'id': 'native' },
+    NAN_IMPL
+];
+
+
+// FUNCTIONS //
+
+/**
+* Returns output arrays for the absolute errors of each implementation.
+*
+* @private
+* @param {NonNegativeInteger} n - number of test points
+* @returns {Object} output arrays
+*/
+function errorArrays(n) {
+    var out = {};
+    var i;
+    for (i = 0; i < IMPLS.length; i++) {
+        out[IMPLS[i].id] = new Float64Array(n);
+    }
+    return out;
+}
+
+
+// TESTS //
+
+tape('`NaN` results against a finite reference are measured as infinite errors', function test(t) {
+    var errors;
+    var points;
+    var stats;
+    var s;
+
+    points = new Float64Array([-1.0, 0.5, 2.0, 3.0]);
+    errors = errorArrays(points.length);
+    stats = chunk.evaluate('exp', IMPLS, points, 0, points.length, errors);
+
+    s = stats.errors[NAN_IMPL.id];
+    t.strictEqual(s.n, points.length, 'measures every test point');
+    t.strictEqual(s.nNaN, points.length, 'counts the NaN results');
+    t.strictEqual(s.max, Infinity, 'returns expected maximum error');
+    t.strictEqual(s.nCorrect, 0, 'no result is correctly rounded');
+    t.strictEqual(errors[NAN_IMPL.id][0], Infinity, 'returns expected error');
+
+    s = stats.errors.stdlib;
+    t.strictEqual(s.n, points.length, 'measures every test point');
+    t.strictEqual(s.nNaN, 0, 'returns expected value');
+    t.end();
+});
+
+tape('`NaN` results against a `NaN` reference are exact', function test(t) {
+    var errors;
+    var points;
+    var stats;
+    var s;
+
+    points = new Float64Array([-2.0, -1.0]);
+    errors = errorArrays(points.length);
+    stats = chunk.evaluate('ln', IMPLS, points, 0, points.length, errors);
+
+    s = stats.errors[NAN_IMPL.id];
+    t.strictEqual(s.n, points.length, 'measures every test point');
+    t.strictEqual(s.nNaN, 0, 'does not count exact NaN results');
+    t.strictEqual(s.max, 0.0, 'returns expected maximum error');
+    t.end();
+});
+
+tape('merging chunk statistics sums the NaN results', function test(t) {
+    var errors;
+    var points;
+    var stats;
+
+    points = new Float64Array([-1.0, 0.5, 2.0, 3.0]);
+    errors = errorArrays(points.length);
+    stats = chunk.evaluate('exp', IMPLS, points, 0, 2, errors);
+    chunk.merge(stats, chunk.evaluate('exp', IMPLS, points, 2, 4, errors));
+    t.strictEqual(stats.errors[NAN_IMPL.id].n, 4, 'returns expected value');
+    t.strictEqual(stats.errors[NAN_IMPL.id].nNaN, 4, 'returns expected value');
+    t.end();
+});
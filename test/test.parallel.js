@@ -0,0 +1,101 @@
+'use strict';
+
+// MODULES //
+
+var tape = require('tape');
+var join = require('path').join;
+var linspace = require('@stdlib/array/base/linspace');
+var impl = require('./../lib/implementations.js');
+var run = require('./../lib/parallel');
+
+
+// VARIABLES //
+
+var THROWS = impl.load(join(__dirname, 'fixtures', 'throws.js'));
+
+
+// FUNCTIONS //
+
+/**
+* Returns the test jobs: more test points of `exp` than fit in a chunk, and a grid of `pow` pairs.
+*
+* @private
+* @returns {Array<Object>} jobs
+*/
+function jobs() {
+    var pairs;
+    var i;
+    var j;
+
+    pairs = [];
+    for (i = 0; i < 20; i++) {
+        for (j = 0; j < 20; j++) {
+            pairs.push(0.5 + (0.1 * i), -5.0 + (0.5 * j));
+        }
+    }
+    return [
+        {
+            'name': 'exp',
+            'impls': [{ 'id': 'stdlib' }, { 'id': 'native' }],
+            'points': new Float64Array(linspace(-10.0, 10.0, 20000))
+        },
+        {
+            'name': 'pow',
+            'arity': 2,
+            'impls': [{ 'id': 'stdlib' }, { 'id': 'native' }],
+            'points': new Float64Array(pairs)
+        }
+    ];
+}
+
+
+// TESTS //
+
+tape('main export is a function', function test(t) {
+    t.strictEqual(typeof run, 'function', 'main export is a function');
+    t.end();
+});
+
+tape('jobs return the errors at every test point and their merged statistics', function test(t) {
+    run(jobs(), {}, function onResults(error, results) {
+        var s;
+        t.strictEqual(error, null, 'does not return an error');
+        t.strictEqual(results.length, 2, 'returns the results of each job');
+        t.strictEqual(results[0].errors.stdlib.length, 20000, 'returns an error per test point');
+        t.strictEqual(results[1].errors.native.length, 400, 'returns an error per pair');
+        s = results[0].stats.errors.stdlib;
+        t.strictEqual(s.n, 20000, 'merges the statistics of every chunk');
+        t.strictEqual(results[0].errors.stdlib[s.worstIndex], s.max, 'returns the index of the worst case');
+        t.end();
+    });
+});
+
+tape('results do not depend on the number of workers', function test(t) {
+    run(jobs(), { 'workers': 1 }, function onSerial(error, serial) {
+        t.strictEqual(error, null, 'does not return an error');
+        run(jobs(), { 'workers': 3 }, function onParallel(error, parallel) {
+            var i;
+            t.strictEqual(error, null, 'does not return an error');
+            for (i = 0; i < serial.length; i++) {
+                t.deepEqual(parallel[i].stats, serial[i].stats, 'returns the same statistics (job ' + i + ')');
+                t.deepEqual(Array.from(parallel[i].errors.native), Array.from(serial[i].errors.native), 'returns the same errors (job ' + i + ')');
+            }
+            t.end();
+        });
+    });
+});
+
+tape('errors thrown by implementations are returned', function test(t) {
+    var list = [{
+        'name': 'ln',
+        'impls': [{ 'id': 'stdlib' }, THROWS],
+        'points': new Float64Array(linspace(-1.0, 1.0, 20000))
+    }];
+    run(list, { 'workers': 1 }, function onSerial(error) {
+        t.strictEqual(error instanceof Error, true, 'returns an error (serial)');
+        run(list, { 'workers': 2 }, function onParallel(error) {
+            t.strictEqual(error instanceof Error, true, 'returns an error (workers)');
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+// MODULES //
+
+var tape = require('tape');
+var axis = require('./../lib/render/axis.js');
+
+
+// FUNCTIONS //
+
+/**
+* Returns the tick labels of an axis.
+*
+* @private
+* @param {Object} ax - axis
+* @returns {Array<string>} labels
+*/
+function labels(ax) {
+    var out = [];
+    var i;
+    for (i = 0; i < ax.ticks.length; i++) {
+        out.push(ax.ticks[i].label);
+    }
+    return out;
+}
+
+
+// TESTS //
+
+tape('main export is a function', function test(t) {
+    t.strictEqual(typeof axis, 'function', 'main export is a function');
+    t.deepEqual(axis.scales, ['linear', 'log', 'symlog'], 'has a list of scales');
+    t.deepEqual(axis.notations, ['auto', 'fixed', 'scientific'], 'has a list of notations');
+    t.end();
+});
+
+tape('linear axes are extended to the nearest nice ticks beyond the values', function test(t) {
+    var ax = axis('linear', -0.93, 2.71);
+    t.strictEqual(ax.lo, -1.0, 'returns expected value');
+    t.strictEqual(ax.hi, 3.0, 'returns expected value');
+    t.deepEqual(labels(ax), ['-1', '0', '1', '2', '3'], 'returns expected value');
+    t.deepEqual(labels(axis('linear', -1.0, 1.0, { 'count': 3 })), ['-1', '0', '1'], 'returns expected value');
+    t.end();
+});
+
+tape('axes which are not extended only have ticks within the values', function test(t) {
+    var ax = axis('linear', 0.1, 0.9, { 'extend': false });
+    t.strictEqual(ax.lo, 0.1, 'returns expected value');
+    t.strictEqual(ax.hi, 0.9, 'returns expected value');
+    t.deepEqual(labels(ax), ['0.2', '0.4', '0.6', '0.8'], 'returns expected value');
+    t.deepEqual(labels(axis('log', 3.0, 700.0, { 'extend': false })), ['10', '100'], 'returns expected value');
+    t.end();
+});
+
+tape('large and small labels are written in scientific notation unless told otherwise', function test(t) {
+    t.deepEqual(labels(axis('linear', 0.0, 1.0e6)), ['0', '2.0e5', '4.0e5', '6.0e5', '8.0e5', '1.0e6'], 'returns expected value (auto)');
+    t.deepEqual(labels(axis('linear', 0.0, 1.0e6, { 'notation': 'fixed' })), ['0', '200000', '400000', '600000', '800000', '1000000'], 'returns expected value (fixed)');
+    t.deepEqual(labels(axis('linear', 0.0, 1.0, { 'notation': 'scientific' })), ['0', '2.0e-1', '4.0e-1', '6.0e-1', '8.0e-1', '1.0e0'], 'returns expected value (scientific)');
+    t.end();
+});
+
+tape('a precision sets the significant digits of labels', function test(t) {
+    t.deepEqual(labels(axis('linear', 0.0, 1.0, { 'precision': 3 })).slice(1), ['0.200', '0.400', '0.600', '0.800', '1.00'], 'returns expected value');
+    t.end();
+});
+
+tape('log axes are extended to powers of ten, with ticks at every k-th power of ten', function test(t) {
+    var ax = axis('log', 0.03, 2000.0);
+    t.strictEqual(ax.lo, 0.01, 'returns expected value');
+    t.strictEqual(ax.hi, 10000.0, 'returns expected value');
+    t.deepEqual(labels(ax), ['0.01', '1', '100', '10000'], 'returns expected value');
+    t.deepEqual(labels(axis('log', 1.0e-300, 1.0e300)), ['1e-300', '1e-150', '1', '1e150', '1e300'], 'returns expected value');
+    t.deepEqual(labels(axis('log', 3.0, 7.0)), ['1', '10'], 'spans at least one power of ten');
+    t.end();
+});
+
+tape('symlog axes have ticks at zero and at powers of ten of either sign', function test(t) {
+    var ax = axis('symlog', -500.0, 20000.0);
+    t.strictEqual(ax.lo, -1000.0, 'returns expected value');
+    t.strictEqual(ax.hi, 100000.0, 'returns expected value');
+    t.deepEqual(labels(ax), ['-100', '0', '100', '1e5'], 'returns expected value');
+    t.deepEqual(labels(axis('symlog', 0.0, 0.5)), ['0', '1'], 'returns expected value');
+    t.end();
+});
+
+tape('axes transform values to the space in which they are drawn', function test(t) {
+    t.strictEqual(axis('linear', 0.0, 1.0).transform(2.0), 2.0, 'returns expected value');
+    t.strictEqual(axis('log', 1.0, 10.0).transform(100.0), 2.0, 'returns expected value');
+    t.strictEqual(axis('symlog', -1.0, 1.0).transform(-9.0), -1.0, 'returns expected value');
+    t.strictEqual(axis('symlog', -1.0, 1.0).transform(0.0), 0.0, 'returns expected value');
+    t.end();
+});
+
+tape('values which are not ticks are written to six significant digits', function test(t) {
+    var ax = axis('linear', 0.0, 1.0);
+    t.strictEqual(ax.format(1.0 / 3.0), '0.333333', 'returns expected value');
+    t.strictEqual(ax.format(0.0), '0', 'returns expected value');
+    t.strictEqual(ax.format(Infinity), 'Infinity', 'returns expected value');
+    t.strictEqual(axis('linear', 0.0, 1.0, { 'precision': 2 }).format(1.0 / 3.0), '0.33', 'returns expected value');
+    t.end();
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+// MODULES //
+
+var tape = require('tape');
+var asciiPlot = require('./../lib/ascii_plot.js');
+var render = require('./../lib/render/plot.js');
+
+
+// FUNCTIONS //
+
+/**
+* Returns the lines of the panel of ULP errors of a rendered plot.
+*
+* @private
+* @param {Options} options - plot options
+* @returns {Array<string>} caption, followed by the rows of the panel
+*/
+function errorPanel(options) {
+    var lines = render(asciiPlot(options));
+    var i;
+    for (i = 0; i < lines.length; i++) {
+        if (lines[i].indexOf('|ULP error|') >= 0) {
+            break;
+        }
+    }
+    return lines.slice(i, i + 1 + 6); // default height of 18 rows => 6 rows of errors
+}
+
+/**
+* Returns the label of a row of a panel.
+*
+* @private
+* @param {string} line - row
+* @returns {string} label (empty if the row has no tick)
+*/
+function label(line) {
+    var m = line.match(/^\s*│\s*(\S*)\s*[┤│]/);
+    return m[1];
+}
+
+
+// TESTS //
+
+tape('main export is a function', function test(t) {
+    t.strictEqual(typeof render, 'function', 'main export is a function');
+    t.end();
+});
+
+tape('the ULP error panel is topped at the largest error', function test(t) {
+    var lines = errorPanel({
+        'fn': ['erf'],
+        'series': ['stdlib', 'native'],
+        'error': true
+    });
+    var max = lines[0].match(/max (\S+)\):/)[1];
+    t.strictEqual(label(lines[1]), max, 'labels the top row with the largest error');
+    t.notEqual(lines[1].indexOf('○'), -1, 'draws the largest error on the top row');
+    t.end();
+});
+
+tape('zero ULP errors are drawn in a row of their own below the logarithmic scale', function test(t) {
+    var lines = errorPanel({
+        'fn': ['exp'],
+        'series': ['stdlib', 'native', 'float32'],
+        'error': true
+    });
+    var i;
+    t.strictEqual(label(lines[6]), '0', 'labels the last row `0`');
+    for (i = 1; i < 6; i++) {
+        t.notEqual(label(lines[i]), '0', 'does not label other rows `0`');
+    }
+    t.end();
+});
+
+tape('vertical asymptotes are marked and listed in the key', function test(t) {
+    var lines = render(asciiPlot({
+        'fn': ['tan', 'ln'],
+        'range': [-2.0, 2.0]
+    })).join('\n');
+    t.notEqual(lines.indexOf('┆ vertical asymptotes at x ≈ -1.5708, 1.5708'), -1, 'lists rounded positions as approximate');
+    t.notEqual(lines.indexOf('┆ vertical asymptote at x = 0'), -1, 'lists exact positions as exact');
+    t.end();
+});
+
+tape('columns in which a function is `NaN` are marked below the plot', function test(t) {
+    var lines = render(asciiPlot({
+        'fn': ['ln'],
+        'range': [-2.0, 2.0]
+    }));
+    var strip;
+    var i;
+    for (i = 0; i < lines.length; i++) {
+        if (/^\s*│\s*NaN │/.test(lines[i])) {
+            strip = lines[i].split('│')[2];
+        }
+    }
+    t.strictEqual(typeof strip, 'string', 'has a strip of NaN markers');
+    t.strictEqual(/^×+ +$/.test(strip), true, 'marks the columns of negative inputs');
+    t.notEqual(lines.join('\n').indexOf('× NaN (below the plot)'), -1, 'lists the marker in the key');
+    t.end();
+});
+
+tape('markers are ASCII characters with `ascii`', function test(t) {
+    var lines = render(asciiPlot({
+        'fn': ['tan'],
+        'ascii': true
+    })).join('\n');
+    t.notEqual(lines.indexOf(': vertical asymptotes at x ~ -1.5708, 1.5708'), -1, 'returns expected value');
+    t.strictEqual(/[^\x00-\x7f]/.test(lines), false, 'only draws ASCII characters');
+    t.end();
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+// MODULES //
+
+var tape = require('tape');
+var abs = require('@stdlib/math/base/special/abs');
+var linspace = require('@stdlib/array/base/linspace');
+var oracle = require('./../lib/oracle');
+var ulp = require('./../lib/ulp.js');
+var search = require('./../lib/search.js');
+
+
+// VARIABLES //
+
+// Input with the largest error of the implementations under test...
+var X0 = 0.4321;
+
+
+// FUNCTIONS //
+
+/**
+* Implementation of `exp` whose error grows to 1000 ULPs at `X0`, within `±0.3` of it.
+*
+* @private
+* @param {number} x - input value
+* @returns {number} result
+*/
+function exp(x) {
+    var d = abs(x - X0) / 0.3;
+    return ulp.step(oracle.exp(x), (d < 1.0) ? Math.round(1000.0 * (1.0 - d)) : 0);
+}
+
+/**
+* Returns the absolute ULP errors of an implementation at a list of points.
+*
+* @private
+* @param {Function} fn - implementation
+* @param {Function} reference - reference oracle
+* @param {Float64Array} points - points (interleaved pairs for a reference of arity 2)
+* @returns {Float64Array} errors
+*/
+function errors(fn, reference, points) {
+    var out;
+    var i;
+    if (reference.arity === 2) {
+        out = new Float64Array(points.length / 2);
+        for (i = 0; i < out.length; i++) {
+            out[i] = abs(reference.error(points[2*i], points[(2*i)+1], fn(points[2*i], points[(2*i)+1])));
+        }
+        return out;
+    }
+    out = new Float64Array(points.length);
+    for (i = 0; i < out.length; i++) {
+        out[i] = abs(reference.error(points[i], fn(points[i])));
+    }
+    return out;
+}
+
+
+// TESTS //
+
+tape('main export is a function', function test(t) {
+    t.strictEqual(typeof search, 'function', 'main export is a function');
+    t.end();
+});
+
+tape('the search finds larger errors than the samples', function test(t) {
+    var points = new Float64Array(linspace(0.0, 1.0, 21));
+    var r = search(exp, oracle.exp, points, errors(exp, oracle.exp, points));
+    t.strictEqual(r.sampled.x, 0.45, 'starts from the worst sample');
+    t.strictEqual(abs(r.sampled.error) < 950.0, true, 'samples miss the largest error');
+    t.strictEqual(abs(r.error) > 999.0, true, 'finds the largest error');
+    t.strictEqual(abs(r.x - X0) < 1.0e-3, true, 'returns an input near the largest error');
+    t.strictEqual(/^0x[0-9a-f]{16}$/.test(r.bits), true, 'returns the bit pattern of the input');
+    t.strictEqual(r.seeds, 8, 'returns the number of starting points');
+    t.strictEqual(r.evaluations > 0, true, 'returns the number of evaluations');
+    t.end();
+});
+
+tape('the search stays within the sampled range', function test(t) {
+    var points = new Float64Array(linspace(0.5, 1.0, 11));
+    var r = search(exp, oracle.exp, points, errors(exp, oracle.exp, points));
+    t.strictEqual(r.x >= 0.5 && r.x < 0.501, true, 'returns an input near the bound nearest to the largest error');
+    t.end();
+});
+
+tape('the search returns `null` if no error was measured', function test(t) {
+    var points = new Float64Array([0.0, 0.5, 1.0]);
+    t.strictEqual(search(exp, oracle.exp, points, new Float64Array([NaN, NaN, NaN])), null, 'returns null');
+    t.end();
+});
+
+tape('the search climbs to the largest error of a function of two arguments', function test(t) {
+    var points = new Float64Array([1.0, 1.0, 3.0, 4.0, 5.0, 12.0]);
+    var x0 = ulp.step(3.0, 20);
+    var r;
+
+    r = search(hypot, oracle.hypot, points, errors(hypot, oracle.hypot, points), {
+        'radius': 8
+    });
+    t.strictEqual(r.x, x0, 'returns the first argument with the largest error');
+    t.strictEqual(abs(r.y - 4.0) < 1.0e-12, true, 'returns a second argument near the worst sample');
+    t.strictEqual(abs(r.error) > 99.0, true, 'returns the largest error');
+    t.strictEqual(abs(r.sampled.error) < 81.0, true, 'samples miss the largest error');
+    t.end();
+
+    /**
+    * Implementation of `hypot` whose error grows to 100 ULPs at `(x0, y)`, within `±100` ULPs of `x0`.
+    *
+    * @private
+    * @param {number} x - first argument
+    * @param {number} y - second argument
+    * @returns {number} result
+    */
+    function hypot(x, y) {
+        var d = abs(ulp.distance(x, x0));
+        return ulp.step(oracle.hypot(x, y), (d < 100) ? 100 - d : 0);
+    }
+});
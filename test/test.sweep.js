@@ -0,0 +1,179 @@
+'use strict';
+
+// MODULES //
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var tape = require('tape');
+var sweep = require('./../lib/sweep.js');
+
+
+// VARIABLES //
+
+// Range of float32 inputs containing misrounded results of `lnf`...
+var RANGE = [1.0, 1.001];
+
+
+// FUNCTIONS //
+
+/**
+* Returns the path of a state file in a new temporary directory.
+*
+* @private
+* @returns {string} file path
+*/
+function tmpState() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stdlib-explorer-')), 'state.json');
+}
+
+/**
+* Removes a state file and its directory.
+*
+* @private
+* @param {string} file - file path
+*/
+function cleanup(file) {
+    fs.unlinkSync(file);
+    fs.rmdirSync(path.dirname(file));
+}
+
+
+// TESTS //
+
+tape('main export is a function', function test(t) {
+    t.strictEqual(typeof sweep, 'function', 'main export is a function');
+    t.strictEqual(Array.isArray(sweep.functions), true, 'has a list of functions');
+    t.end();
+});
+
+tape('ranges are rounded inward to float32 and count both zeros', function test(t) {
+    // 1e-44 lies between the 7th and 8th positive subnormals, so that the range holds -0, +0 and 7 subnormals of each sign:
+    var f = sweep({
+        'fn': ['exp'],
+        'range': [-1.0e-44, 1.0e-44]
+    }).functions[0];
+    t.strictEqual(f.inputs, 16, 'returns expected value');
+    t.strictEqual(f.tested, 16, 'returns expected value');
+    t.strictEqual(f.complete, true, 'returns expected value');
+    t.strictEqual(f.failed, 0, 'returns expected value');
+    t.strictEqual(f.correctlyRounded, 1.0, 'returns expected value');
+    t.end();
+});
+
+tape('results do not depend on the chunk size', function test(t) {
+    var chunks = 0;
+    var a = sweep({
+        'fn': ['ln'],
+        'range': RANGE
+    }).functions[0];
+    var b = sweep({
+        'fn': ['ln'],
+        'range': RANGE,
+        'chunkSize': 1000,
+        'onProgress': onProgress
+    }).functions[0];
+    t.strictEqual(chunks, Math.ceil(a.inputs / 1000), 'reports progress after each chunk');
+    t.deepEqual(b, a, 'returns the same results');
+    t.end();
+
+    /**
+    * Callback invoked after each chunk.
+    *
+    * @private
+    */
+    function onProgress() {
+        chunks += 1;
+    }
+});
+
+tape('interrupted sweeps resume from their state file', function test(t) {
+    var file = tmpState();
+    var opts = {
+        'fn': ['ln'],
+        'range': RANGE,
+        'chunkSize': 1000,
+        'state': file,
+        'onProgress': interrupt
+    };
+    var resumed;
+    var full;
+    var f;
+
+    t.throws(function interrupted() {
+        sweep(opts);
+    }, /interrupted/, 'throws the interruption');
+    opts.onProgress = onProgress;
+    f = sweep(opts).functions[0];
+    full = sweep({
+        'fn': ['ln'],
+        'range': RANGE
+    }).functions[0];
+    t.strictEqual(resumed, 2, 'resumes after the saved chunks');
+    t.deepEqual(f, full, 'returns the results of an uninterrupted sweep');
+    t.throws(function incompatible() {
+        sweep({
+            'fn': ['ln'],
+            'range': RANGE,
+            'chunkSize': 500,
+            'state': file
+        });
+    }, /different implementation, range or chunk size/, 'rejects the state file of a different sweep');
+    cleanup(file);
+    t.end();
+
+    /**
+    * Interrupts the sweep after two chunks.
+    *
+    * @private
+    * @param {Object} p - progress
+    * @throws {Error} interrupted
+    */
+    function interrupt(p) {
+        if (p.chunk === 2) {
+            throw new Error('interrupted');
+        }
+    }
+
+    /**
+    * Records the number of chunks swept before resuming.
+    *
+    * @private
+    * @param {Object} p - progress
+    */
+    function onProgress(p) {
+        resumed = p.resumed;
+    }
+});
+
+tape('invalid state files are rejected', function test(t) {
+    var file = tmpState();
+    fs.writeFileSync(file, '{"version": 0}');
+    t.throws(function badValue() {
+        sweep.validateState(file, {});
+    }, /is not a sweep state file/, 'throws an error');
+    cleanup(file);
+    t.end();
+});
+
+tape('every input with an error above 0.5 ULP is listed by default', function test(t) {
+    var f = sweep({
+        'fn': ['ln'],
+        'range': RANGE
+    }).functions[0];
+    t.strictEqual(f.failed > 2, true, 'has failures');
+    t.strictEqual(f.failures.length, f.failed, 'lists every failure');
+    t.strictEqual(f.unlisted, 0, 'returns expected value');
+    t.end();
+});
+
+tape('a failure cap reports the number of inputs which were not listed', function test(t) {
+    var f = sweep({
+        'fn': ['ln'],
+        'range': RANGE,
+        'maxFailures': 2
+    }).functions[0];
+    t.strictEqual(f.failures.length, 2, 'lists at most the cap');
+    t.strictEqual(f.unlisted, f.failed - 2, 'returns expected value');
+    t.end();
+});
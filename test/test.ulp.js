@@ -0,0 +1,100 @@
+'use strict';
+
+// MODULES //
+
+var tape = require('tape');
+var FLOAT64_MAX = require('@stdlib/constants/float64/max');
+var FLOAT64_SMALLEST_NORMAL = require('@stdlib/constants/float64/smallest-normal');
+var isNegativeZero = require('@stdlib/math/base/assert/is-negative-zero');
+var isPositiveZero = require('@stdlib/math/base/assert/is-positive-zero');
+var ulp = require('./../lib/ulp.js');
+
+
+// VARIABLES //
+
+var SMALLEST_SUBNORMAL = 5.0e-324;
+var LARGEST_SUBNORMAL = FLOAT64_SMALLEST_NORMAL - SMALLEST_SUBNORMAL;
+
+
+// TESTS //
+
+tape('main export is an object', function test(t) {
+    t.strictEqual(typeof ulp, 'object', 'main export is an object');
+    t.strictEqual(typeof ulp.ordinal, 'function', 'has an `ordinal` method');
+    t.strictEqual(typeof ulp.distance, 'function', 'has a `distance` method');
+    t.strictEqual(typeof ulp.step, 'function', 'has a `step` method');
+    t.end();
+});
+
+tape('`+0` and `-0` are zero ULPs apart', function test(t) {
+    t.strictEqual(ulp.ordinal(0.0), 0, 'returns expected value');
+    t.strictEqual(ulp.ordinal(-0.0) === 0, true, 'returns expected value');
+    t.strictEqual(ulp.distance(0.0, -0.0), 0, 'returns expected value');
+    t.strictEqual(ulp.distance(-0.0, 0.0), 0, 'returns expected value');
+    t.end();
+});
+
+tape('the distance across zero counts every representable number in between', function test(t) {
+    t.strictEqual(ulp.distance(SMALLEST_SUBNORMAL, 0.0), 1, 'returns expected value');
+    t.strictEqual(ulp.distance(SMALLEST_SUBNORMAL, -0.0), 1, 'returns expected value');
+    t.strictEqual(ulp.distance(SMALLEST_SUBNORMAL, -SMALLEST_SUBNORMAL), 2, 'returns expected value');
+    t.strictEqual(ulp.distance(-SMALLEST_SUBNORMAL, SMALLEST_SUBNORMAL), -2, 'returns expected value');
+    t.end();
+});
+
+tape('stepping from `±0` returns the smallest subnormals', function test(t) {
+    t.strictEqual(ulp.step(0.0, 1), SMALLEST_SUBNORMAL, 'returns expected value');
+    t.strictEqual(ulp.step(-0.0, 1), SMALLEST_SUBNORMAL, 'returns expected value');
+    t.strictEqual(ulp.step(0.0, -1), -SMALLEST_SUBNORMAL, 'returns expected value');
+    t.strictEqual(ulp.step(-0.0, -1), -SMALLEST_SUBNORMAL, 'returns expected value');
+    t.strictEqual(ulp.step(SMALLEST_SUBNORMAL, -2), -SMALLEST_SUBNORMAL, 'returns expected value');
+    t.end();
+});
+
+tape('stepping onto zero returns a zero of the sign of the starting value', function test(t) {
+    t.strictEqual(isPositiveZero(ulp.step(SMALLEST_SUBNORMAL, -1)), true, 'returns +0');
+    t.strictEqual(isNegativeZero(ulp.step(-SMALLEST_SUBNORMAL, 1)), true, 'returns -0');
+    t.end();
+});
+
+tape('the subnormal and normal ranges are contiguous', function test(t) {
+    t.strictEqual(ulp.distance(FLOAT64_SMALLEST_NORMAL, LARGEST_SUBNORMAL), 1, 'returns expected value');
+    t.strictEqual(ulp.step(LARGEST_SUBNORMAL, 1), FLOAT64_SMALLEST_NORMAL, 'returns expected value');
+    t.strictEqual(ulp.step(FLOAT64_SMALLEST_NORMAL, -1), LARGEST_SUBNORMAL, 'returns expected value');
+    t.strictEqual(ulp.step(-LARGEST_SUBNORMAL, -1), -FLOAT64_SMALLEST_NORMAL, 'returns expected value');
+    t.strictEqual(ulp.ordinal(FLOAT64_SMALLEST_NORMAL), 4503599627370496, 'returns 2^52');
+    t.end();
+});
+
+tape('`±∞` are adjacent to `±FLOAT64_MAX`', function test(t) {
+    t.strictEqual(ulp.distance(Infinity, FLOAT64_MAX), 1, 'returns expected value');
+    t.strictEqual(ulp.distance(-FLOAT64_MAX, -Infinity), 1, 'returns expected value');
+    t.strictEqual(ulp.step(FLOAT64_MAX, 1), Infinity, 'returns expected value');
+    t.strictEqual(ulp.step(-FLOAT64_MAX, -1), -Infinity, 'returns expected value');
+    t.strictEqual(ulp.step(Infinity, -1), FLOAT64_MAX, 'returns expected value');
+    t.end();
+});
+
+tape('stepping beyond `±FLOAT64_MAX` saturates at `±∞`', function test(t) {
+    t.strictEqual(ulp.step(FLOAT64_MAX, 10), Infinity, 'returns expected value');
+    t.strictEqual(ulp.step(Infinity, 1), Infinity, 'returns expected value');
+    t.strictEqual(ulp.step(-FLOAT64_MAX, -10), -Infinity, 'returns expected value');
+    t.end();
+});
+
+tape('steps cross binade boundaries', function test(t) {
+    t.strictEqual(ulp.step(1.0, 1), 1.0000000000000002, 'returns expected value');
+    t.strictEqual(ulp.step(1.0, -1), 0.9999999999999999, 'returns expected value');
+    t.strictEqual(ulp.distance(1.0000000000000002, 0.9999999999999999), 2, 'returns expected value');
+    t.strictEqual(ulp.step(ulp.step(1.0, -12345), 12345), 1.0, 'returns expected value');
+    t.end();
+});
+
+tape('`NaN` has no ordinal, distance or neighbors', function test(t) {
+    t.strictEqual(ulp.ordinal(NaN), NaN, 'returns NaN');
+    t.strictEqual(ulp.distance(NaN, 1.0), NaN, 'returns NaN');
+    t.strictEqual(ulp.distance(1.0, NaN), NaN, 'returns NaN');
+    t.strictEqual(ulp.distance(NaN, NaN), NaN, 'returns NaN');
+    t.strictEqual(ulp.step(NaN, 1), NaN, 'returns NaN');
+    t.end();
+});
@@ -0,0 +1,385 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2026 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/**
+* Web Analysis Jobs
+*
+* Computations of the web app which may take long (accuracy analyses and
+* benchmarks), split into chunks so that they can report progress and be
+* cancelled between chunks. The module is loaded both by the page (via a
+* `<script>` tag) and by the Web Worker (`worker.js`, via `importScripts`),
+* which exposes it as `mathExplorer.analysis`; the page runs jobs in the
+* worker, or in chunks on the main thread where workers are unavailable
+* (e.g., Chrome blocks them for pages opened from `file://` URLs).
+*
+* A job is described by a plain object (so that it can be posted to the
+* worker) and reports messages:
+*
+* -   `{ type: 'start', ... }`: the job's inputs (test points, or the benchmarked functions).
+* -   `{ type: 'progress', done, total, ... }`: the results of a chunk.
+* -   `{ type: 'done' }` or `{ type: 'error', message }`.
+*
+* Requires the stdlib bundle (`vendor/stdlib.js`), `lib/ulp.js`,
+* `lib/registry.js`, `lib/generators.js` and `lib/bench_harness.js`.
+*/
+
+(function factory(root) {
+    'use strict';
+
+    // VARIABLES //
+
+    var explorer = root.mathExplorer;
+
+    // Number of test points evaluated per chunk of an accuracy job...
+    var CHUNK = 20000;
+
+    // Number of randomized inputs of each benchmarked function...
+    var BENCH_INPUTS = 4096;
+
+    // Seed of the benchmark inputs...
+    var BENCH_SEED = 1;
+
+    // Cache of resolved stdlib implementations, keyed by function name...
+    var IMPLEMENTATIONS = {};
+
+    // FUNCTIONS //
+
+    /**
+    * Returns a seeded pseudorandom number generator.
+    *
+    * ## Notes
+    *
+    * -   Uses the Mulberry32 algorithm, which returns uniformly distributed numbers on `[0, 1)` with 32 random bits (as the test point generators require). The CLI seeds stdlib's Mersenne Twister instead, so the same seed draws different points in the browser.
+    *
+    * @private
+    * @param {number} seed - 32-bit unsigned integer seed
+    * @returns {Function} pseudorandom number generator
+    */
+    function seededRandom(seed) {
+        var state = seed >>> 0;
+        return function rand() {
+            var t;
+            state = (state + 0x6D2B79F5) >>> 0;
+            t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+    * Returns the stdlib implementation of a registered function.
+    *
+    * ## Notes
+    *
+    * -   Resolves registry entries as the CLI does (`lib/implementations.js`): package paths are looked up in the stdlib bundle, and composed implementations are built from their dependencies.
+    *
+    * @private
+    * @param {string} key - function name
+    * @returns {Function} implementation
+    */
+    function stdlib(key) {
+        var spec;
+        var deps;
+        var i;
+
+        if (IMPLEMENTATIONS.hasOwnProperty(key)) {
+            return IMPLEMENTATIONS[key];
+        }
+        spec = explorer.registry[key].stdlib;
+        if (typeof spec === 'string') {
+            IMPLEMENTATIONS[key] = explorer.stdlib[spec];
+        } else {
+            deps = [];
+            for (i = 0; i < spec.deps.length; i++) {
+                deps.push(explorer.stdlib[spec.deps[i]]);
+            }
+            IMPLEMENTATIONS[key] = spec.factory.apply(null, deps);
+        }
+        return IMPLEMENTATIONS[key];
+    }
+
+    /**
+    * Returns the label of the stdlib implementation of a registered function.
+    *
+    * @private
+    * @param {string} key - function name
+    * @returns {string} package path (or, for composed implementations, their dependencies)
+    */
+    function stdlibLabel(key) {
+        var spec = explorer.registry[key].stdlib;
+        return (typeof spec === 'string') ? spec : spec.deps.join(', ');
+    }
+
+    /**
+    * Returns the absolute ULP difference between a stdlib and a native result.
+    *
+    * @private
+    * @param {number} s - stdlib result
+    * @param {number} v - native result
+    * @returns {number} ULP difference (`0` for the same results, including both NaN; `NaN` where undefined)
+    */
+    function difference(s, v) {
+        var d;
+        if (s === v || (s !== s && v !== v)) { // eslint-disable-line no-self-compare
+            return 0;
+        }
+        d = Math.abs(explorer.ulp.distance(s, v));
+        return (d === d && d !== Infinity) ? d : NaN; // eslint-disable-line no-self-compare
+    }
+
+    /**
+    * Returns an accuracy job, which evaluates the stdlib and native implementations of a function at test points.
+    *
+    * ## Notes
+    *
+    * -   The start message holds the test points (`x` for functions of one argument; `pairs`, interleaved, and `random` for functions of two arguments), and each progress message the results of a chunk of points starting at index `start`: the stdlib results `s`, the native results `v` and their ULP differences `ulp`.
+    *
+    * @private
+    * @param {Object} options - job options
+    * @param {string} options.fn - function name
+    * @param {string} options.generator - generator specification
+    * @param {Object} options.range - test range
+    * @param {number} options.seed - seed
+    * @throws {Error} generator must apply to the range
+    * @returns {Object} job (`start` returns the start message and `next` evaluates the next chunk)
+    */
+    function accuracy(options) {
+        var entry = explorer.registry[options.fn];
+        var stdFn = stdlib(options.fn);
+        var opts;
+        var pts;
+        var n;
+        var k;
+
+        opts = {
+            'rand': seededRandom(options.seed),
+            'hazards': entry.hazards
+        };
+        if (entry.arity === 2) {
+            pts = explorer.generators.pairs(options.generator, options.range, opts);
+            n = pts.length / 2;
+        } else {
+            pts = explorer.generators.points(options.generator, options.range, opts);
+            n = pts.length;
+        }
+        k = 0;
+        return {
+            'start': function start() {
+                if (entry.arity === 2) {
+                    return {
+                        'type': 'start',
+                        'total': n,
+                        'pairs': Float64Array.from(pts),
+                        'random': explorer.generators.isRandom(options.generator)
+                    };
+                }
+                return {
+                    'type': 'start',
+                    'total': n,
+                    'x': Float64Array.from(pts)
+                };
+            },
+            'next': function next() {
+                var end = Math.min(k + CHUNK, n);
+                var msg;
+                var i;
+                var j;
+
+                msg = {
+                    'type': 'progress',
+                    'start': k,
+                    'done': end,
+                    'total': n,
+                    's': new Float64Array(end - k),
+                    'v': new Float64Array(end - k),
+                    'ulp': new Float64Array(end - k)
+                };
+                for (i = k; i < end; i++) {
+                    j = i - k;
+                    if (entry.arity === 2) {
+                        msg.s[j] = stdFn(pts[2 * i], pts[(2 * i) + 1]);
+                        msg.v[j] = entry.native(pts[2 * i], pts[(2 * i) + 1]);
+                    } else {
+                        msg.s[j] = stdFn(pts[i]);
+                        msg.v[j] = entry.native(pts[i]);
+                    }
+                    msg.ulp[j] = difference(msg.s[j], msg.v[j]);
+                }
+                k = end;
+                return msg;
+            }
+        };
+    }
+
+    /**
+    * Returns a benchmark job, which times the stdlib and native implementations of every registered function.
+    *
+    * ## Notes
+    *
+    * -   Each function is timed by the harness of `lib/bench_harness.js`, on randomized inputs drawn from its first test range (the same inputs on every run).
+    * -   The start message lists the functions (`functions`: name and title), and each progress message holds the results of one function (`fn`, and the `stdlib` and `native` summaries and their `comparison`; see `lib/bench_harness.js`).
+    *
+    * @private
+    * @param {Object} options - job options
+    * @param {PositiveInteger} options.samples - number of samples per implementation
+    * @returns {Object} job (`start` returns the start message and `next` times the next function)
+    */
+    function benchmark(options) {
+        var keys = Object.keys(explorer.registry);
+        var k = 0;
+        return {
+            'start': function start() {
+                var fns = [];
+                var i;
+                for (i = 0; i < keys.length; i++) {
+                    fns.push({
+                        'name': keys[i],
+                        'title': explorer.registry[keys[i]].title
+                    });
+                }
+                return {
+                    'type': 'start',
+                    'total': keys.length,
+                    'functions': fns
+                };
+            },
+            'next': function next() {
+                var entry = explorer.registry[keys[k]];
+                var input = explorer.bench.inputs(entry, BENCH_INPUTS, seededRandom(BENCH_SEED));
+                var r;
+
+                r = explorer.bench.run(stdlib(entry.name), entry.native, input, {
+                    'now': function now() {
+                        return root.performance.now();
+                    },
+                    'samples': options.samples
+                });
+                k += 1;
+                return {
+                    'type': 'progress',
+                    'done': k,
+                    'total': keys.length,
+                    'fn': entry.name,
+                    'stdlib': r.a,
+                    'native': r.b,
+                    'comparison': r.comparison
+                };
+            }
+        };
+    }
+
+    /**
+    * Returns the buffers of the typed arrays of a message, which can be transferred to the page rather than copied.
+    *
+    * @private
+    * @param {Object} msg - message
+    * @returns {Array<ArrayBuffer>} buffers
+    */
+    function transferables(msg) {
+        var out = [];
+        var key;
+        for (key in msg) {
+            if (msg.hasOwnProperty(key) && msg[key] instanceof Float64Array) {
+                out.push(msg[key].buffer);
+            }
+        }
+        return out;
+    }
+
+    // MAIN //
+
+    /**
+    * Runs a job in chunks.
+    *
+    * ## Notes
+    *
+    * -   Errors creating the job (e.g., a generator which does not apply to the range) or evaluating a chunk are reported as an error message, which ends the job.
+    *
+    * @private
+    * @param {Object} job - job description (`type`: `'accuracy'` or `'benchmark'`, and the job's options)
+    * @param {Function} post - callback invoked with each message (and the buffers which may be transferred)
+    * @param {Function} schedule - function scheduling a callback (e.g., `setTimeout` with no delay), which is invoked between chunks so that the job can be cancelled
+    * @returns {Function} function which cancels the job
+    */
+    function run(job, post, schedule) {
+        var cancelled = false;
+        var task;
+        var msg;
+
+        /**
+        * Runs the next chunk of the job.
+        *
+        * @private
+        */
+        function next() {
+            var msg;
+            if (cancelled) {
+                return;
+            }
+            try {
+                msg = task.next();
+            } catch (err) {
+                return fail(err);
+            }
+            post(msg, transferables(msg));
+            if (msg.done < msg.total) {
+                schedule(next);
+            } else {
+                post({
+                    'type': 'done'
+                }, []);
+            }
+        }
+
+        /**
+        * Reports an error, which ends the job.
+        *
+        * @private
+        * @param {Error} err - error object
+        */
+        function fail(err) {
+            post({
+                'type': 'error',
+                'message': err.message
+            }, []);
+        }
+
+        try {
+            task = (job.type === 'benchmark') ? benchmark(job) : accuracy(job);
+            msg = task.start();
+        } catch (err) {
+            fail(err);
+            return function cancel() {};
+        }
+        post(msg, transferables(msg));
+        schedule(next);
+        return function cancel() {
+            cancelled = true;
+        };
+    }
+
+    var analysis = {
+        'run': run,
+        'stdlib': stdlib,
+        'stdlibLabel': stdlibLabel
+    };
+
+    // EXPORTS //
+
+    explorer.analysis = analysis;
+})(this);
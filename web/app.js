@@ -25,10 +25,9 @@
 // through interactive visualizations, accuracy analysis,
 // edge case exploration, and performance benchmarking.
 //
-// All math implementations here mirror stdlib's approach to
-// numerical computing: careful handling of IEEE 754 edge cases,
-// high-precision polynomial approximations, and robust
-// argument reduction.
+// The stdlib functions are the real stdlib packages, loaded
+// from a vendored browser bundle (`vendor/stdlib.js`, built by
+// `npm run build:web`), and are shown next to native `Math`.
 // ============================================================
 
 (function main() {
@@ -39,13 +38,19 @@
     var PI = 3.141592653589793;
     var TWO_PI = 6.283185307179586;
     var E = 2.718281828459045;
-    var LN2 = 0.6931471805599453;
     var LN10 = 2.302585092994046;
-    var LOG2E = 1.4426950408889634;
     var FLOAT64_EPS = 2.2204460492503131e-16;
     var PINF = Infinity;
     var NINF = -Infinity;
 
+    // SHARED MODULES //
+
+    var ulp = window.mathExplorer.ulp;
+    var histogram = window.mathExplorer.histogram;
+    var spec = window.mathExplorer.spec;
+    var generators = window.mathExplorer.generators;
+    var analysis = window.mathExplorer.analysis;
+
     // COLORS //
 
     var COLORS = {
@@ -64,217 +69,37 @@
         'purple': '#bc8cff'
     };
 
+    /**
+    * Color stops of the heatmap ramp, from the smallest to the largest value.
+    *
+    * @private
+    */
+    var RAMP = [
+        [13, 42, 87],
+        [88, 166, 255],
+        [188, 140, 255],
+        [210, 153, 34],
+        [240, 246, 252]
+    ];
+
     // FUNCTION DEFINITIONS //
 
     /**
-    * Returns information about each available function.
-    *
-    * @private
-    * @returns {Object} function metadata
-    */
-    var FUNCTIONS = {
-        'exp': {
-            'fn': Math.exp,
-            'name': 'exp(x)',
-            'desc': 'The exponential function. Maps every real number to a positive number. Foundation of calculus, differential equations, and complex analysis.',
-            'domain': '(-∞, +∞)',
-            'range': '(0, +∞)',
-            'props': { 'exp(0)': '1', 'exp(1)': 'e ≈ 2.71828' },
-            'defaultRange': [-3, 5]
-        },
-        'exp2': {
-            'fn': function exp2(x) { return Math.pow(2.0, x); },
-            'name': 'exp2(x)',
-            'desc': 'Base-2 exponential function. Returns 2 raised to the power x. Critical in computer science for binary computations and IEEE 754 floating-point representation.',
-            'domain': '(-∞, +∞)',
-            'range': '(0, +∞)',
-            'props': { 'exp2(0)': '1', 'exp2(10)': '1024' },
-            'defaultRange': [-3, 10]
-        },
-        'expm1': {
-            'fn': Math.expm1,
-            'name': 'expm1(x)',
-            'desc': 'Returns exp(x) - 1. Provides higher precision than computing exp(x) - 1 directly for values of x near zero, avoiding catastrophic cancellation.',
-            'domain': '(-∞, +∞)',
-            'range': '(-1, +∞)',
-            'props': { 'expm1(0)': '0', 'Near 0': 'Higher precision' },
-            'defaultRange': [-4, 4]
-        },
-        'ln': {
-            'fn': Math.log,
-            'name': 'ln(x)',
-            'desc': 'Natural logarithm (base e). The inverse of the exponential function. Fundamental in information theory, thermodynamics, and numerical analysis.',
-            'domain': '(0, +∞)',
-            'range': '(-∞, +∞)',
-            'props': { 'ln(1)': '0', 'ln(e)': '1' },
-            'defaultRange': [0.01, 10]
-        },
-        'log2': {
-            'fn': Math.log2,
-            'name': 'log2(x)',
-            'desc': 'Base-2 logarithm. Essential in computer science for algorithm complexity analysis (O(log n)), information theory (bits), and binary arithmetic.',
-            'domain': '(0, +∞)',
-            'range': '(-∞, +∞)',
-            'props': { 'log2(1)': '0', 'log2(1024)': '10' },
-            'defaultRange': [0.01, 16]
-        },
-        'log10': {
-            'fn': Math.log10,
-            'name': 'log10(x)',
-            'desc': 'Base-10 logarithm. Used extensively in science for decibels, pH, Richter scale, and order-of-magnitude estimation.',
-            'domain': '(0, +∞)',
-            'range': '(-∞, +∞)',
-            'props': { 'log10(1)': '0', 'log10(100)': '2' },
-            'defaultRange': [0.01, 100]
-        },
-        'log1p': {
-            'fn': Math.log1p,
-            'name': 'log1p(x)',
-            'desc': 'Returns ln(1+x). Provides higher precision than computing ln(1+x) directly for small x, critical in financial computations and statistics.',
-            'domain': '(-1, +∞)',
-            'range': '(-∞, +∞)',
-            'props': { 'log1p(0)': '0', 'Near 0': 'Higher precision' },
-            'defaultRange': [-0.99, 5]
-        },
-        'sqrt': {
-            'fn': Math.sqrt,
-            'name': 'sqrt(x)',
-            'desc': 'Square root function. One of the most fundamental operations in mathematics, used in distance calculations, statistics (standard deviation), and physics.',
-            'domain': '[0, +∞)',
-            'range': '[0, +∞)',
-            'props': { 'sqrt(0)': '0', 'sqrt(4)': '2' },
-            'defaultRange': [0, 16]
-        },
-        'cbrt': {
-            'fn': Math.cbrt,
-            'name': 'cbrt(x)',
-            'desc': 'Cube root function. Unlike square root, defined for all real numbers including negatives. Used in solving cubic equations and in 3D geometry.',
-            'domain': '(-∞, +∞)',
-            'range': '(-∞, +∞)',
-            'props': { 'cbrt(0)': '0', 'cbrt(27)': '3' },
-            'defaultRange': [-8, 8]
-        },
-        'sin': {
-            'fn': Math.sin,
-            'name': 'sin(x)',
-            'desc': 'Sine function. The fundamental periodic function, modeling waves, oscillations, and circular motion. Period is 2π.',
-            'domain': '(-∞, +∞)',
-            'range': '[-1, 1]',
-            'props': { 'sin(0)': '0', 'sin(π/2)': '1' },
-            'defaultRange': [-TWO_PI, TWO_PI]
-        },
-        'cos': {
-            'fn': Math.cos,
-            'name': 'cos(x)',
-            'desc': 'Cosine function. Phase-shifted sine: cos(x) = sin(x + π/2). Used in Fourier analysis, signal processing, and rotation matrices.',
-            'domain': '(-∞, +∞)',
-            'range': '[-1, 1]',
-            'props': { 'cos(0)': '1', 'cos(π)': '-1' },
-            'defaultRange': [-TWO_PI, TWO_PI]
-        },
-        'tan': {
-            'fn': Math.tan,
-            'name': 'tan(x)',
-            'desc': 'Tangent function (sin/cos). Has vertical asymptotes at odd multiples of π/2. Used in trigonometry, calculus, and engineering.',
-            'domain': 'x ≠ kπ/2',
-            'range': '(-∞, +∞)',
-            'props': { 'tan(0)': '0', 'tan(π/4)': '1' },
-            'defaultRange': [-PI + 0.1, PI - 0.1]
-        },
-        'sigmoid': {
-            'fn': function sigmoid(x) {
-                return 1.0 / (1.0 + Math.exp(-x));
-            },
-            'name': 'sigmoid(x)',
-            'desc': 'Logistic sigmoid: 1/(1+exp(-x)). The most important activation function in neural networks. Smoothly maps any real to (0,1).',
-            'domain': '(-∞, +∞)',
-            'range': '(0, 1)',
-            'props': { 'σ(0)': '0.5', 'σ(∞)': '→ 1' },
-            'defaultRange': [-8, 8]
-        },
-        'gaussian': {
-            'fn': function gaussian(x) {
-                return Math.exp(-(x * x));
-            },
-            'name': 'gaussian(x)',
-            'desc': 'Gaussian function exp(-x²). The bell curve at the heart of the normal distribution, central limit theorem, and heat equation solution.',
-            'domain': '(-∞, +∞)',
-            'range': '(0, 1]',
-            'props': { 'g(0)': '1 (peak)', 'FWHM': '≈ 1.177' },
-            'defaultRange': [-4, 4]
-        },
-        'sinc': {
-            'fn': function sinc(x) {
-                if (x === 0.0) {
-                    return 1.0;
-                }
-                var px = PI * x;
-                return Math.sin(px) / px;
-            },
-            'name': 'sinc(x)',
-            'desc': 'Normalized sinc function: sin(πx)/(πx). Fundamental in signal processing (ideal low-pass filter), Fourier analysis, and interpolation theory.',
-            'domain': '(-∞, +∞)',
-            'range': '[-0.217, 1]',
-            'props': { 'sinc(0)': '1', 'sinc(n)': '0 for n≠0' },
-            'defaultRange': [-8, 8]
-        },
-        'erf': {
-            'fn': function erf(x) {
-                // Rational approximation for erf...
-                var a1 = 0.254829592;
-                var a2 = -0.284496736;
-                var a3 = 1.421413741;
-                var a4 = -1.453152027;
-                var a5 = 1.061405429;
-                var p = 0.3275911;
-                var sign = (x < 0) ? -1 : 1;
-                var absx = Math.abs(x);
-                var t = 1.0 / (1.0 + p * absx);
-                var y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-absx * absx);
-                return sign * y;
-            },
-            'name': 'erf(x)',
-            'desc': 'The error function (Gauss error function). Critical in probability, statistics, and diffusion. Describes the probability of a random variable falling in a specific range.',
-            'domain': '(-∞, +∞)',
-            'range': '(-1, 1)',
-            'props': { 'erf(0)': '0', 'erf(∞)': '1', 'erf(1)': '≈ 0.8427' },
-            'defaultRange': [-3, 3]
-        },
-        'erfc': {
-            'fn': function erfc(x) {
-                // erfc(x) = 1 - erf(x)
-                var a1 = 0.254829592;
-                var a2 = -0.284496736;
-                var a3 = 1.421413741;
-                var a4 = -1.453152027;
-                var a5 = 1.061405429;
-                var p = 0.3275911;
-                var absx = Math.abs(x);
-                var t = 1.0 / (1.0 + p * absx);
-                var y = (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-absx * absx);
-                return (x < 0) ? 2.0 - y : y;
-            },
-            'name': 'erfc(x)',
-            'desc': 'Complementary error function 1 - erf(x). Essential for computing small probabilities in the tail of a normal distribution with high precision.',
-            'domain': '(-∞, +∞)',
-            'range': '(0, 2)',
-            'props': { 'erfc(0)': '1', 'erfc(∞)': '0', 'erfc(-∞)': '2' },
-            'defaultRange': [-3, 3]
-        },
-        'heaviside': {
-            'fn': function heaviside(x) {
-                if (x < 0.0) { return 0.0; }
-                if (x === 0.0) { return 0.5; }
-                return 1.0;
-            },
-            'name': 'heaviside(x)',
-            'desc': 'Heaviside step function. Equals 0 for x<0 and 1 for x>0. Used in control theory, signal processing, and as the derivative of the ramp function.',
-            'domain': '(-∞, +∞)',
-            'range': '{0, 0.5, 1}',
-            'props': { 'H(0)': '0.5 (half-max)', 'Derivative': 'δ(x)' },
-            'defaultRange': [-3, 3]
-        }
-    };
+    * Function registry shared with the CLI (`lib/registry.js`), keyed by function name.
+    *
+    * @private
+    */
+    var FUNCTIONS = window.mathExplorer.registry;
+
+    /**
+    * Edge case specification table shared with the CLI (`data/edge_cases.js`).
+    *
+    * @private
+    */
+    var EDGE_CASES = window.mathExplorer.edgeCases;
+
+    // Matches references to a clause of C99 Annex F or IEEE 754 (see `lib/conformance.js`)...
+    var RE_CLAUSE = /^(?:C99 F\.|IEEE 754)/;
 
     // HELPER FUNCTIONS //
 
@@ -338,7 +163,26 @@
     }
 
     /**
-    * Computes ULP difference between two values.
+    * Checks whether two values are the same (NaNs are the same, and `-0` differs from `+0`).
+    *
+    * @private
+    * @param {number} a - first value
+    * @param {number} b - second value
+    * @returns {boolean} result
+    */
+    function isSame(a, b) {
+        if (a === b) {
+            return (a !== 0 || (1 / a) === (1 / b));
+        }
+        return (isnan(a) && isnan(b));
+    }
+
+    /**
+    * Computes the (unsigned) ULP difference between two values.
+    *
+    * ## Notes
+    *
+    * -   Delegates to the bit-exact ULP distance shared with the CLI (`lib/ulp.js`).
     *
     * @private
     * @param {number} a - first value
@@ -346,15 +190,7 @@
     * @returns {number} ULP difference
     */
     function ulpDiff(a, b) {
-        var diff;
-        if (a === b) { return 0.0; }
-        if (isnan(a) || isnan(b)) { return NaN; }
-        if (isinfinite(a) || isinfinite(b)) { return PINF; }
-        if (a === 0.0) {
-            return abs(b) / (FLOAT64_EPS / 2.0);
-        }
-        diff = abs(a - b) / (abs(a) * FLOAT64_EPS);
-        return diff;
+        return abs(ulp.distance(a, b));
     }
 
     /**
@@ -375,6 +211,345 @@
         return x.toPrecision(6);
     }
 
+    /**
+    * Formats a native result relative to the stdlib result.
+    *
+    * ## Notes
+    *
+    * -   Both results usually agree to the displayed precision, so results which differ by a few ULP are shown as their ULP difference instead.
+    *
+    * @private
+    * @param {number} s - stdlib result
+    * @param {number} n - native result
+    * @returns {string} formatted native result (empty if both results are the same)
+    */
+    function formatDifference(s, n) {
+        var d;
+        if (isSame(s, n)) {
+            return '';
+        }
+        d = ulpDiff(s, n);
+        if (isnan(d) || d > 1000) {
+            return formatNum(n);
+        }
+        return d + ' ULP off';
+    }
+
+    /**
+    * Formats a stdlib result and, where it differs, the native result.
+    *
+    * @private
+    * @param {number} s - stdlib result
+    * @param {number} n - native result
+    * @returns {string} formatted string
+    */
+    function formatValues(s, n) {
+        var diff = formatDifference(s, n);
+        return formatNum(s) + ((diff) ? ' (native: ' + diff + ')' : '');
+    }
+
+    /**
+    * Returns the heatmap color of a value in the unit interval.
+    *
+    * @private
+    * @param {number} t - value in [0, 1]
+    * @returns {string} CSS color
+    */
+    function rampColor(t) {
+        var lo;
+        var hi;
+        var f;
+        var k;
+
+        t = Math.min(Math.max(t, 0), 1) * (RAMP.length - 1);
+        k = Math.min(Math.floor(t), RAMP.length - 2);
+        f = t - k;
+        lo = RAMP[k];
+        hi = RAMP[k + 1];
+        return 'rgb(' + Math.round(lo[0] + f * (hi[0] - lo[0])) + ', ' +
+            Math.round(lo[1] + f * (hi[1] - lo[1])) + ', ' +
+            Math.round(lo[2] + f * (hi[2] - lo[2])) + ')';
+    }
+
+    /**
+    * Returns the center of a grid cell.
+    *
+    * @private
+    * @param {Array<number>} range - interval
+    * @param {number} n - number of cells
+    * @param {number} i - cell index
+    * @returns {number} cell center
+    */
+    function cellCenter(range, n, i) {
+        return range[0] + ((i + 0.5) / n) * (range[1] - range[0]);
+    }
+
+    /**
+    * Draws a heatmap on a canvas.
+    *
+    * ## Notes
+    *
+    * -   Cells are filled row by row from the top (largest `y`) with the colors returned by `colorOf( i, j )` for row `i` and column `j` (`null` leaves a cell blank).
+    *
+    * @private
+    * @param {CanvasRenderingContext2D} ctx - canvas context
+    * @param {Object} box - plot area (`pad`, canvas width `W` and height `H`)
+    * @param {number} rows - number of rows
+    * @param {number} cols - number of columns
+    * @param {Function} colorOf - cell color callback
+    */
+    function drawHeatmap(ctx, box, rows, cols, colorOf) {
+        var cw = (box.W - 2 * box.pad) / cols;
+        var ch = (box.H - 2 * box.pad) / rows;
+        var color;
+        var i;
+        var j;
+
+        for (i = 0; i < rows; i++) {
+            for (j = 0; j < cols; j++) {
+                color = colorOf(i, j);
+                if (color !== null) {
+                    ctx.fillStyle = color;
+
+                    // Overlap cells by a pixel to avoid anti-aliasing seams...
+                    ctx.fillRect(box.pad + j * cw, box.pad + i * ch, cw + 1, ch + 1);
+                }
+            }
+        }
+    }
+
+    /**
+    * Draws the tick labels of a heatmap and a color bar labeled with its value range.
+    *
+    * @private
+    * @param {CanvasRenderingContext2D} ctx - canvas context
+    * @param {Object} box - plot area (`pad`, canvas width `W` and height `H`)
+    * @param {Array<number>} xr - x interval
+    * @param {Array<number>} yr - y interval
+    * @param {Array<string>} labels - labels of the smallest and largest values
+    */
+    function drawHeatmapAxes(ctx, box, xr, yr, labels) {
+        var plotW = box.W - 2 * box.pad;
+        var plotH = box.H - 2 * box.pad;
+        var gradient;
+        var step;
+        var tick;
+        var bx;
+        var i;
+
+        ctx.fillStyle = COLORS.text;
+        ctx.font = '11px "JetBrains Mono", monospace';
+        ctx.textAlign = 'center';
+        step = Math.pow(10, Math.floor(Math.log10(xr[1] - xr[0]))) / 2;
+        tick = Math.ceil(xr[0] / step) * step;
+        while (tick <= xr[1]) {
+            ctx.fillText(tick.toPrecision(3), box.pad + ((tick - xr[0]) / (xr[1] - xr[0])) * plotW, box.H - box.pad + 18);
+            tick += step;
+        }
+        ctx.textAlign = 'right';
+        step = Math.pow(10, Math.floor(Math.log10(yr[1] - yr[0]))) / 2;
+        tick = Math.ceil(yr[0] / step) * step;
+        while (tick <= yr[1]) {
+            ctx.fillText(tick.toPrecision(3), box.pad - 8, box.pad + (1 - ((tick - yr[0]) / (yr[1] - yr[0]))) * plotH + 4);
+            tick += step;
+        }
+
+        // Color bar in the top margin...
+        bx = box.W - box.pad - 120;
+        gradient = ctx.createLinearGradient(bx, 0, bx + 120, 0);
+        for (i = 0; i < RAMP.length; i++) {
+            gradient.addColorStop(i / (RAMP.length - 1), rampColor(i / (RAMP.length - 1)));
+        }
+        ctx.fillStyle = gradient;
+        ctx.fillRect(bx, box.pad - 22, 120, 8);
+        ctx.fillStyle = COLORS.text;
+        ctx.textAlign = 'right';
+        ctx.fillText(labels[0], bx - 6, box.pad - 14);
+        ctx.textAlign = 'left';
+        ctx.fillText(labels[1], bx + 126, box.pad - 14);
+    }
+
+    // ============================================================
+    // BACKGROUND JOBS
+    // ============================================================
+
+    // Smallest time between redraws of a running job's results (in milliseconds)...
+    var REDRAW_INTERVAL = 200;
+
+    /**
+    * Returns a runner of analysis jobs (see `analysis.js`), which runs one job at a time.
+    *
+    * ## Notes
+    *
+    * -   Jobs run in a Web Worker (`worker.js`), so that the page stays responsive. Where workers are unavailable (e.g., Chrome blocks them for pages opened from `file://` URLs), jobs run in chunks on the main thread instead, which still reports progress and can be cancelled between chunks.
+    * -   Starting a job cancels the running one. Messages of cancelled jobs (which the worker may have posted before receiving the cancellation) are dropped.
+    *
+    * @private
+    * @returns {Object} runner (`start` starts a job, `cancel` cancels the running job)
+    */
+    function jobRunner() {
+        var worker = null;
+        var current = null;
+        var local = null;
+        var id = 0;
+
+        /**
+        * Returns the worker, creating it on first use.
+        *
+        * @private
+        * @returns {(Worker|null)} worker (`null` if workers are unavailable)
+        */
+        function getWorker() {
+            if (worker === null && typeof Worker === 'function') {
+                try {
+                    worker = new Worker('worker.js');
+                } catch (err) {
+                    worker = false;
+                }
+                if (worker) {
+                    worker.onmessage = onMessage;
+                    worker.onerror = onError;
+                }
+            }
+            return worker || null;
+        }
+
+        /**
+        * Runs a job on the main thread.
+        *
+        * @private
+        * @param {Object} job - job
+        */
+        function runLocal(job) {
+            local = analysis.run(job, function post(msg) {
+                msg.id = job.id;
+                onMessage({
+                    'data': msg
+                });
+            }, function schedule(clbk) {
+                setTimeout(clbk, 0);
+            });
+        }
+
+        /**
+        * Forwards a message of the current job to its callback.
+        *
+        * @private
+        * @param {Object} e - message event
+        */
+        function onMessage(e) {
+            var msg = e.data;
+            var job = current;
+            if (job === null || msg.id !== job.job.id) {
+                return;
+            }
+            job.started = true;
+            if (msg.type === 'done' || msg.type === 'error') {
+                current = null;
+                local = null;
+            }
+            job.clbk(msg);
+        }
+
+        /**
+        * Falls back to the main thread if the worker fails to load.
+        *
+        * @private
+        * @param {Object} e - error event
+        */
+        function onError(e) {
+            var job = current;
+            e.preventDefault();
+            worker.terminate();
+            worker = false;
+            if (job === null) {
+                return;
+            }
+            if (job.started) {
+                current = null;
+                job.clbk({
+                    'type': 'error',
+                    'message': 'The analysis failed: ' + (e.message || 'unknown error') + '.'
+                });
+                return;
+            }
+            runLocal(job.job);
+        }
+
+        /**
+        * Cancels the running job.
+        *
+        * @private
+        */
+        function cancel() {
+            if (current === null) {
+                return;
+            }
+            current = null;
+            if (local) {
+                local();
+                local = null;
+            } else if (worker) {
+                worker.postMessage({
+                    'type': 'cancel'
+                });
+            }
+        }
+
+        /**
+        * Starts a job.
+        *
+        * @private
+        * @param {Object} job - job description (see `analysis.js`)
+        * @param {Function} clbk - callback invoked with each message of the job
+        */
+        function start(job, clbk) {
+            cancel();
+            id += 1;
+            job.id = id;
+            current = {
+                'job': job,
+                'clbk': clbk,
+                'started': false
+            };
+            if (getWorker()) {
+                worker.postMessage(job);
+            } else {
+                runLocal(job);
+            }
+        }
+
+        return {
+            'start': start,
+            'cancel': cancel
+        };
+    }
+
+    /**
+    * Shows the progress of a job.
+    *
+    * @private
+    * @param {Object} el - progress elements (`box`, `bar`, `label`)
+    * @param {number} fraction - completed fraction
+    * @param {string} text - label
+    */
+    function showProgress(el, fraction, text) {
+        el.box.classList.remove('hidden');
+        el.bar.style.width = (100 * fraction).toFixed(1) + '%';
+        el.label.textContent = text;
+    }
+
+    /**
+    * Returns a duration as text.
+    *
+    * @private
+    * @param {number} ms - duration in milliseconds
+    * @returns {string} duration
+    */
+    function formatDuration(ms) {
+        return (ms < 1000) ? Math.round(ms) + ' ms' : (ms / 1000).toFixed(1) + ' s';
+    }
+
     // ============================================================
     // SECTION 1: Interactive Function Plotter
     // ============================================================
@@ -384,6 +559,9 @@
     var functionSelect = document.getElementById('function-select');
     var xminInput = document.getElementById('xmin-input');
     var xmaxInput = document.getElementById('xmax-input');
+    var yrangeGroup = document.getElementById('yrange-group');
+    var yminInput = document.getElementById('ymin-input');
+    var ymaxInput = document.getElementById('ymax-input');
     var resolutionSlider = document.getElementById('resolution-slider');
     var resolutionValue = document.getElementById('resolution-value');
     var showGrid = document.getElementById('show-grid');
@@ -394,15 +572,126 @@
     var cursorX = document.getElementById('cursor-x');
     var cursorY = document.getElementById('cursor-y');
 
+    /**
+    * Populates the function menu from the registry, grouping functions by category.
+    *
+    * @private
+    */
+    function populateFunctionSelect() {
+        var groups = {};
+        var order = [];
+        var html = '';
+        var entry;
+        var key;
+        var i;
+        var j;
+
+        for (key in FUNCTIONS) {
+            if (FUNCTIONS.hasOwnProperty(key)) {
+                entry = FUNCTIONS[key];
+                if (!groups.hasOwnProperty(entry.group)) {
+                    groups[entry.group] = [];
+                    order.push(entry.group);
+                }
+                groups[entry.group].push(entry);
+            }
+        }
+        for (i = 0; i < order.length; i++) {
+            html += '<optgroup label="' + order[i] + '">';
+            for (j = 0; j < groups[order[i]].length; j++) {
+                entry = groups[order[i]][j];
+                html += '<option value="' + entry.name + '">' + entry.label + '</option>';
+            }
+            html += '</optgroup>';
+        }
+        functionSelect.innerHTML = html;
+    }
+
+    /**
+    * Draws a heatmap of a function of two arguments on the plot canvas.
+    *
+    * ## Notes
+    *
+    * -   The resolution slider sets the number of columns; cells are square.
+    * -   NaN cells are left blank and infinite cells are drawn in red (`+∞`) or purple (`-∞`).
+    *
+    * @private
+    */
+    function drawSurface() {
+        var fnData = FUNCTIONS[functionSelect.value];
+        var fn = analysis.stdlib(functionSelect.value);
+        var xr = [parseFloat(xminInput.value), parseFloat(xmaxInput.value)];
+        var yr = [parseFloat(yminInput.value), parseFloat(ymaxInput.value)];
+        var box = { 'W': plotCanvas.width, 'H': plotCanvas.height, 'pad': 50 };
+        var cols = Math.max(10, Math.round(parseInt(resolutionSlider.value, 10) / 10));
+        var rows = Math.max(1, Math.round(cols * (box.H - 2 * box.pad) / (box.W - 2 * box.pad)));
+        var zmin = PINF;
+        var zmax = NINF;
+        var z = new Float64Array(rows * cols);
+        var v;
+        var i;
+        var j;
+
+        for (i = 0; i < rows; i++) {
+            for (j = 0; j < cols; j++) {
+                v = fn(cellCenter(xr, cols, j), cellCenter(yr, rows, rows - 1 - i));
+                z[(i * cols) + j] = v;
+                if (!isnan(v) && !isinfinite(v)) {
+                    if (v < zmin) { zmin = v; }
+                    if (v > zmax) { zmax = v; }
+                }
+            }
+        }
+        if (zmin > zmax) {
+            zmin = 0;
+            zmax = 0;
+        }
+
+        plotCtx.fillStyle = COLORS.bg;
+        plotCtx.fillRect(0, 0, box.W, box.H);
+        drawHeatmap(plotCtx, box, rows, cols, function colorOf(i, j) {
+            var v = z[(i * cols) + j];
+            if (isnan(v)) {
+                return null;
+            }
+            if (isinfinite(v)) {
+                return (v > 0) ? COLORS.red : COLORS.purple;
+            }
+            return rampColor((zmax > zmin) ? (v - zmin) / (zmax - zmin) : 0.5);
+        });
+        if (showValues.checked) {
+            drawHeatmapAxes(plotCtx, box, xr, yr, [formatNum(zmin), formatNum(zmax)]);
+        }
+
+        // Draw function name...
+        plotCtx.fillStyle = COLORS.line;
+        plotCtx.font = 'bold 14px "JetBrains Mono", monospace';
+        plotCtx.textAlign = 'left';
+        plotCtx.fillText(fnData.title, box.pad, box.pad - 14);
+
+        // Store scales for mouse interaction...
+        plotCanvas._xmin = xr[0];
+        plotCanvas._xmax = xr[1];
+        plotCanvas._ymin = yr[0];
+        plotCanvas._ymax = yr[1];
+        plotCanvas._pad = box.pad;
+        plotCanvas._fn = fn;
+        plotCanvas._surface = true;
+    }
+
     /**
     * Draws the function plot on the canvas.
     *
+    * ## Notes
+    *
+    * -   Plots the stdlib implementation. Functions of two arguments are drawn as heatmaps (see `drawSurface`).
+    *
     * @private
     */
     function drawPlot() {
         var fnKey = functionSelect.value;
         var fnData = FUNCTIONS[fnKey];
-        var fn = fnData.fn;
+        var fn = analysis.stdlib(fnKey);
         var xmin = parseFloat(xminInput.value);
         var xmax = parseFloat(xmaxInput.value);
         var n = parseInt(resolutionSlider.value, 10);
@@ -428,6 +717,10 @@
         var label;
         var i;
 
+        if (fnData.arity === 2) {
+            return drawSurface();
+        }
+
         // Compute function values...
         points = [];
         ymin = PINF;
@@ -575,7 +868,7 @@
         plotCtx.fillStyle = COLORS.line;
         plotCtx.font = 'bold 14px "JetBrains Mono", monospace';
         plotCtx.textAlign = 'left';
-        plotCtx.fillText(fnData.name, pad + 10, pad + 20);
+        plotCtx.fillText(fnData.title, pad + 10, pad + 20);
 
         // Store scales for mouse interaction...
         plotCanvas._xmin = xmin;
@@ -584,6 +877,7 @@
         plotCanvas._ymax = ymax;
         plotCanvas._pad = pad;
         plotCanvas._fn = fn;
+        plotCanvas._surface = false;
     }
 
     /**
@@ -594,13 +888,15 @@
     function updateFunctionInfo() {
         var fnKey = functionSelect.value;
         var fnData = FUNCTIONS[fnKey];
-        var html = '<h4>' + fnData.name + '</h4>';
+        var html = '<h4>' + fnData.title + '</h4>';
         var key;
 
         html += '<p class="info-desc">' + fnData.desc + '</p>';
         html += '<div class="info-properties">';
         html += '<div><span class="prop-label">Domain:</span> ' + fnData.domain + '</div>';
-        html += '<div><span class="prop-label">Range:</span> ' + fnData.range + '</div>';
+        html += '<div><span class="prop-label">Range:</span> ' + fnData.codomain + '</div>';
+        html += '<div><span class="prop-label">stdlib:</span> <code>' + analysis.stdlibLabel(fnKey) + '</code></div>';
+        html += '<div><span class="prop-label">Native:</span> <code>' + fnData.nativeLabel + '</code></div>';
         for (key in fnData.props) {
             if (fnData.props.hasOwnProperty(key)) {
                 html += '<div><span class="prop-label">' + key + ':</span> ' + fnData.props[key] + '</div>';
@@ -625,18 +921,28 @@
         var ymin = plotCanvas._ymin;
         var ymax = plotCanvas._ymax;
         var fn = plotCanvas._fn;
+        var nativeFn = FUNCTIONS[functionSelect.value].native;
+        var args = FUNCTIONS[functionSelect.value].args;
         var dataX;
         var dataY;
         var py;
 
         if (canvasX >= p && canvasX <= plotCanvas.width - p &&
+            canvasY >= p && canvasY <= plotCanvas.height - p && plotCanvas._surface) {
+            dataX = xmin + ((canvasX - p) / plotW) * (xmax - xmin);
+            dataY = ymin + (1 - ((canvasY - p) / plotH)) * (ymax - ymin);
+
+            cursorInfo.classList.remove('hidden');
+            cursorX.textContent = args[0] + ': ' + dataX.toFixed(4) + ', ' + args[1] + ': ' + dataY.toFixed(4);
+            cursorY.textContent = 'f(' + args.join(', ') + '): ' + formatValues(fn(dataX, dataY), nativeFn(dataX, dataY));
+        } else if (canvasX >= p && canvasX <= plotCanvas.width - p &&
             canvasY >= p && canvasY <= plotCanvas.height - p) {
             dataX = xmin + ((canvasX - p) / plotW) * (xmax - xmin);
             dataY = fn(dataX);
 
             cursorInfo.classList.remove('hidden');
             cursorX.textContent = 'x: ' + dataX.toFixed(4);
-            cursorY.textContent = 'f(x): ' + formatNum(dataY);
+            cursorY.textContent = 'f(x): ' + formatValues(dataY, nativeFn(dataX));
 
             // Redraw and add crosshair...
             drawPlot();
@@ -686,14 +992,23 @@
     // Event listeners for controls...
     functionSelect.addEventListener('change', function onChange() {
         var fnData = FUNCTIONS[functionSelect.value];
-        xminInput.value = fnData.defaultRange[0];
-        xmaxInput.value = fnData.defaultRange[1];
+        xminInput.value = fnData.plotRange[0];
+        xmaxInput.value = fnData.plotRange[1];
+        if (fnData.arity === 2) {
+            yminInput.value = fnData.plotRangeY[0];
+            ymaxInput.value = fnData.plotRangeY[1];
+            yrangeGroup.classList.remove('hidden');
+        } else {
+            yrangeGroup.classList.add('hidden');
+        }
         updateFunctionInfo();
         drawPlot();
     });
 
     xminInput.addEventListener('change', drawPlot);
     xmaxInput.addEventListener('change', drawPlot);
+    yminInput.addEventListener('change', drawPlot);
+    ymaxInput.addEventListener('change', drawPlot);
     resolutionSlider.addEventListener('input', function onInput() {
         resolutionValue.textContent = resolutionSlider.value;
         drawPlot();
@@ -709,237 +1024,837 @@
     var accuracyCanvas = document.getElementById('accuracy-canvas');
     var accuracyCtx = accuracyCanvas.getContext('2d');
     var accuracyFunctionSelect = document.getElementById('accuracy-function');
+    var accuracyGeneratorSelect = document.getElementById('accuracy-generator');
+    var generatorParamsInput = document.getElementById('generator-params');
+    var accuracySeedInput = document.getElementById('accuracy-seed');
     var runAccuracyBtn = document.getElementById('run-accuracy-btn');
+    var cancelAccuracyBtn = document.getElementById('cancel-accuracy-btn');
+    var accuracyProgress = {
+        'box': document.getElementById('accuracy-progress'),
+        'bar': document.getElementById('accuracy-progress-bar'),
+        'label': document.getElementById('accuracy-progress-label')
+    };
     var statPoints = document.getElementById('stat-points');
     var statAgree = document.getElementById('stat-agree');
     var statMaxUlp = document.getElementById('stat-max-ulp');
     var statAvgUlp = document.getElementById('stat-avg-ulp');
+    var statP50 = document.getElementById('stat-p50');
+    var statP90 = document.getElementById('stat-p90');
+    var statP99 = document.getElementById('stat-p99');
+    var statP999 = document.getElementById('stat-p999');
+    var statRounding = document.getElementById('stat-rounding');
+    var histogramBars = document.getElementById('ulp-histogram-bars');
+    var accuracyXminInput = document.getElementById('accuracy-xmin');
+    var accuracyXmaxInput = document.getElementById('accuracy-xmax');
+    var accuracyYrangeGroup = document.getElementById('accuracy-yrange-group');
+    var accuracyYminInput = document.getElementById('accuracy-ymin');
+    var accuracyYmaxInput = document.getElementById('accuracy-ymax');
+    var accuracyNInput = document.getElementById('accuracy-n');
+    var accuracyLogX = document.getElementById('accuracy-logx');
+    var accuracyLogY = document.getElementById('accuracy-logy');
+    var pointInfo = document.getElementById('point-info');
+
+    // Largest number of test points of an analysis...
+    var MAX_POINTS = 1000000;
+
+    // Largest distance (in pixels) of a click from the inspected point...
+    var PICK_RADIUS = 8;
 
     /**
-    * Reference implementations with higher precision for comparison.
-    * These simulate what stdlib does: use polynomial approximations
-    * and argument reduction for higher accuracy.
+    * Results of the last analysis of a function of one argument (`null` if none, or if the last analysis drew a heatmap).
+    *
+    * ## Notes
+    *
+    * -   Holds the function name (`fnKey`), the test range (`xmin`, `xmax`), the test points (`x`), the stdlib and native results (`s`, `v`), their ULP differences (`ulp`, `NaN` where undefined), the largest difference (`maxUlp`) and the number of evaluated points (`done`, which is less than the number of points while the analysis runs or if it was cancelled).
     *
     * @private
     */
-    var REFERENCE_FNS = {
-        'exp': {
-            'ref': function refExp(x) {
-                // For comparison we use a Horner-form Taylor expansion
-                // with more terms than typical native implementations...
-                if (x === 0.0) { return 1.0; }
-                if (isinfinite(x)) {
-                    return (x > 0) ? PINF : 0.0;
-                }
-                if (isnan(x)) { return NaN; }
-                // Argument reduction: x = k*ln(2) + r
-                var k = Math.round(x * LOG2E);
-                var r = x - k * LN2;
-                // Taylor expansion of exp(r) with 12 terms...
-                var r2 = r * r;
-                var result = 1.0 + r * (1.0 + r * (0.5 + r * (
-                    0.16666666666666666 + r * (0.041666666666666664 + r * (
-                        0.008333333333333333 + r * (0.001388888888888889 + r * (
-                            1.984126984126984e-4 + r * (2.48015873015873e-5 + r * (
-                                2.7557319223985893e-6 + r * (2.7557319223985894e-7 +
-                                    r * 2.505210838544172e-8))))))))));
-                return result * Math.pow(2, k);
-            },
-            'native': Math.exp,
-            'range': [-20, 20],
-            'n': 10000
-        },
-        'ln': {
-            'ref': function refLn(x) {
-                if (x <= 0) {
-                    return (x === 0) ? NINF : NaN;
-                }
-                if (isinfinite(x)) { return PINF; }
-                if (isnan(x)) { return NaN; }
-                // Use identity: ln(x) = ln(m * 2^e) = ln(m) + e*ln(2)
-                // where m is in [0.5, 1)
-                var e = 0;
-                var m = x;
-                while (m >= 2.0) { m /= 2.0; e++; }
-                while (m < 0.5) { m *= 2.0; e--; }
-                // Now m is in [0.5, 1) and x = m * 2^e
-                // Use series: ln(m) = ln((1+t)/(1-t)) where t = (m-1)/(m+1)
-                var t = (m - 1.0) / (m + 1.0);
-                var t2 = t * t;
-                // Series: 2t(1 + t^2/3 + t^4/5 + ...)
-                var sum = t;
-                var term = t;
-                var k;
-                for (k = 3; k <= 21; k += 2) {
-                    term *= t2;
-                    sum += term / k;
-                }
-                return 2.0 * sum + e * LN2;
-            },
-            'native': Math.log,
-            'range': [0.001, 100],
-            'n': 10000
-        },
-        'sqrt': {
-            'ref': function refSqrt(x) {
-                // Newton's method with double precision starting guess...
-                if (x < 0) { return NaN; }
-                if (x === 0 || isinfinite(x) || isnan(x)) { return x; }
-                var guess = Math.sqrt(x); // use native as start
-                // One Newton refinement step...
-                guess = 0.5 * (guess + x / guess);
-                guess = 0.5 * (guess + x / guess);
-                return guess;
-            },
-            'native': Math.sqrt,
-            'range': [0, 1000],
-            'n': 10000
-        },
-        'sin': {
-            'ref': function refSin(x) {
-                if (isnan(x) || isinfinite(x)) { return NaN; }
-                // Argument reduction to [-π, π]...
-                var r = x % TWO_PI;
-                if (r > PI) { r -= TWO_PI; }
-                if (r < -PI) { r += TWO_PI; }
-                // Taylor series with 12 terms...
-                var r2 = r * r;
-                return r * (1.0 + r2 * (-1.0 / 6 + r2 * (1.0 / 120 + r2 * (
-                    -1.0 / 5040 + r2 * (1.0 / 362880 + r2 * (
-                        -1.0 / 39916800 + r2 / 6227020800))))));
-            },
-            'native': Math.sin,
-            'range': [-20, 20],
-            'n': 10000
-        },
-        'cos': {
-            'ref': function refCos(x) {
-                if (isnan(x) || isinfinite(x)) { return NaN; }
-                var r = x % TWO_PI;
-                if (r > PI) { r -= TWO_PI; }
-                if (r < -PI) { r += TWO_PI; }
-                var r2 = r * r;
-                return 1.0 + r2 * (-0.5 + r2 * (1.0 / 24 + r2 * (
-                    -1.0 / 720 + r2 * (1.0 / 40320 + r2 * (
-                        -1.0 / 3628800 + r2 / 479001600)))));
-            },
-            'native': Math.cos,
-            'range': [-20, 20],
-            'n': 10000
-        },
-        'erf': {
-            'ref': function refErf(x) {
-                // Use a slightly more precise approximation for "reference"
-                // Although in a real app we'd use stdlib's erf!
-                var sign = (x < 0) ? -1 : 1;
-                var absx = Math.abs(x);
-                var t = 1.0 / (1.0 + 0.5 * absx);
-                // Abramowitz and Stegun 7.1.26
-                var tau = t * Math.exp(-absx * absx - 1.26551223 + t * (1.00002368 +
-                    t * (0.37409196 + t * (0.09678418 + t * (-0.18628806 +
-                        t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
-                            t * (-0.82215223 + t * 0.17087277)))))))));
-                return sign * (1.0 - tau);
-            },
-            'native': function nativeErf(x) {
-                // Mock "native" erf if not present (browsers don't have it)
-                var a = 0.254829592;
-                var b = -0.284496736;
-                var c = 1.421413741;
-                var d = -1.453152027;
-                var e = 1.061405429;
-                var p = 0.3275911;
-                var t = 1.0 / (1.0 + p * Math.abs(x));
-                var y = 1.0 - (((((e * t + d) * t) + c) * t + b) * t + a) * t * Math.exp(-x * x);
-                return (x < 0) ? -y : y;
-            },
-            'range': [-3, 3],
-            'n': 5000
-        }
-    };
+    var accuracyData = null;
 
     /**
-    * Runs accuracy analysis and draws the ULP plot.
+    * Heatmap of the last analysis of a function of two arguments (`null` if none, or if the last analysis drew a scatter plot).
+    *
+    * ## Notes
+    *
+    * -   Holds the function name (`fnKey`), the test range (`range`), the test points (`pairs`, interleaved), whether they are random (`random`), the number of cells per axis (`m`) and the largest difference per cell (`cells`, row-major from the largest y; `NaN` where none is defined).
     *
     * @private
     */
-    function runAccuracyAnalysis() {
-        var fnKey = accuracyFunctionSelect.value;
-        var data = REFERENCE_FNS[fnKey];
-        var refFn = data.ref;
-        var nativeFn = data.native;
-        var xmin = data.range[0];
-        var xmax = data.range[1];
-        var n = data.n;
-        var x = linspace(xmin, xmax, n);
-        var ulps = [];
-        var nAgree = 0;
-        var maxUlp = 0;
-        var totalUlp = 0;
-        var nDiff = 0;
-        var refVal;
-        var natVal;
-        var d;
-        var i;
+    var accuracyHeatmap = null;
 
-        for (i = 0; i < n; i++) {
-            refVal = refFn(x[i]);
-            natVal = nativeFn(x[i]);
+    /**
+    * Statistics of the last analysis (`null` if none).
+    *
+    * ## Notes
+    *
+    * -   Holds the number of test points (`n`) and of evaluated points (`done`), the number of exact matches (`agree`), the number, sum and maximum of the other defined differences (`diff`, `total`, `max`), the differences of the evaluated points (`errors`, `NaN` where undefined) and the start time of the analysis (`t0`).
+    *
+    * @private
+    */
+    var accuracyStats = null;
 
-            if (isnan(refVal) && isnan(natVal)) {
-                ulps.push({ 'x': x[i], 'ulp': 0 });
-                nAgree++;
-                continue;
-            }
-            if (refVal === natVal) {
-                ulps.push({ 'x': x[i], 'ulp': 0 });
-                nAgree++;
-                continue;
-            }
+    // Runner of the accuracy analyses...
+    var accuracyRunner = jobRunner();
 
-            d = ulpDiff(refVal, natVal);
-            if (!isnan(d) && !isinfinite(d)) {
-                ulps.push({ 'x': x[i], 'ulp': d });
-                totalUlp += d;
-                nDiff++;
-                if (d > maxUlp) { maxUlp = d; }
-            } else {
-                ulps.push({ 'x': x[i], 'ulp': 0 });
-            }
-        }
+    // Time of the last redraw of a running analysis...
+    var accuracyDrawn = 0;
+
+    /**
+    * Zoomed or panned view of the scatter plot (`{ 'x': [min, max], 'y': [min, max] }`), or `null` to fit the plot to the data.
+    *
+    * @private
+    */
+    var accuracyView = null;
+
+    // Index of the inspected point of the scatter plot (-1 if none)...
+    var accuracySelected = -1;
+
+    // State of a drag of the scatter plot (`null` if none)...
+    var accuracyDrag = null;
 
-        // Update stats...
-        statPoints.textContent = n.toLocaleString();
-        statAgree.textContent = ((nAgree / n) * 100).toFixed(1) + '%';
-        statMaxUlp.textContent = maxUlp.toFixed(2);
-        statAvgUlp.textContent = nDiff > 0 ? (totalUlp / nDiff).toFixed(4) : '0';
+    // Scratch view for reading the bit patterns of doubles (big-endian, so that the high word comes first)...
+    var BITS = new DataView(new ArrayBuffer(8));
+
+    /**
+    * Populates the accuracy function menu with the registry functions which have test ranges.
+    *
+    * @private
+    */
+    function populateAccuracySelect() {
+        var html = '';
+        var key;
 
-        // Draw ULP scatter plot...
-        drawUlpPlot(ulps, xmin, xmax, maxUlp);
+        for (key in FUNCTIONS) {
+            if (FUNCTIONS.hasOwnProperty(key) && FUNCTIONS[key].ranges) {
+                html += '<option value="' + key + '">' + FUNCTIONS[key].title + '</option>';
+            }
+        }
+        accuracyFunctionSelect.innerHTML = html;
     }
 
     /**
-    * Draws the ULP scatter plot.
+    * Populates the generator menu with the test point generators which apply to the selected function.
+    *
+    * ## Notes
+    *
+    * -   `hazard` requires the function's hazards, and `hazard` and `neighborhood` only apply to functions of one argument.
     *
     * @private
-    * @param {Array} ulps - ULP data points
-    * @param {number} xmin - x range min
-    * @param {number} xmax - x range max
-    * @param {number} maxUlp - max ULP value
     */
-    function drawUlpPlot(ulps, xmin, xmax, maxUlp) {
+    function populateGeneratorSelect() {
+        var entry = FUNCTIONS[accuracyFunctionSelect.value];
+        var prev = accuracyGeneratorSelect.value;
+        var html = '';
+        var name;
+        var i;
+
+        for (i = 0; i < generators.NAMES.length; i++) {
+            name = generators.NAMES[i];
+            if (name === 'hazard' && !entry.hazards) {
+                continue;
+            }
+            if (entry.arity === 2 && !generators.isBivariate(name)) {
+                continue;
+            }
+            html += '<option value="' + name + '"' + ((name === prev) ? ' selected' : '') + '>' + name + '</option>';
+        }
+        accuracyGeneratorSelect.innerHTML = html;
+    }
+
+    /**
+    * Returns the selected test point generator specification.
+    *
+    * @private
+    * @returns {string} generator specification (`name[:params]`)
+    */
+    function generatorSpec() {
+        var params = generatorParamsInput.value.trim();
+        return accuracyGeneratorSelect.value + ((params) ? ':' + params : '');
+    }
+
+    /**
+    * Fills the range and point count inputs with the first test range of the selected function.
+    *
+    * @private
+    */
+    function populateAccuracyRange() {
+        var entry = FUNCTIONS[accuracyFunctionSelect.value];
+        var range = entry.ranges[0];
+
+        if (entry.arity === 2) {
+            accuracyXminInput.value = range.x[0];
+            accuracyXmaxInput.value = range.x[1];
+            accuracyYminInput.value = range.y[0];
+            accuracyYmaxInput.value = range.y[1];
+            accuracyYrangeGroup.classList.remove('hidden');
+        } else {
+            accuracyXminInput.value = range.min;
+            accuracyXmaxInput.value = range.max;
+            accuracyYrangeGroup.classList.add('hidden');
+        }
+        accuracyNInput.value = range.n;
+    }
+
+    /**
+    * Returns an interval read from a pair of inputs.
+    *
+    * @private
+    * @param {Object} minInput - input of the lower bound
+    * @param {Object} maxInput - input of the upper bound
+    * @param {string} name - interval name (for error messages)
+    * @throws {RangeError} bounds must be finite numbers, and the lower bound must be less than the upper bound
+    * @returns {Array<number>} interval
+    */
+    function readInterval(minInput, maxInput, name) {
+        var a = parseFloat(minInput.value);
+        var b = parseFloat(maxInput.value);
+        if (!isFinite(a) || !isFinite(b) || a >= b) {
+            throw new RangeError('invalid ' + name + '. Must be finite numbers, with the lower bound less than the upper bound.');
+        }
+        return [a, b];
+    }
+
+    /**
+    * Returns the test range entered for a function.
+    *
+    * @private
+    * @param {string} fnKey - function name
+    * @throws {RangeError} range bounds must be finite numbers in increasing order
+    * @throws {RangeError} number of test points must be an integer between `2` and `MAX_POINTS`
+    * @returns {Object} test range (`{ min, max, n }`, or `{ x, y, n }` for functions of two arguments)
+    */
+    function accuracyRange(fnKey) {
+        var n = Number(accuracyNInput.value);
+        var x;
+
+        if (n !== Math.floor(n) || n < 2 || n > MAX_POINTS) {
+            throw new RangeError('invalid number of points. Must be an integer between 2 and ' + MAX_POINTS.toLocaleString() + '.');
+        }
+        x = readInterval(accuracyXminInput, accuracyXmaxInput, 'x range');
+        if (FUNCTIONS[fnKey].arity === 2) {
+            return {
+                'x': x,
+                'y': readInterval(accuracyYminInput, accuracyYmaxInput, 'y range'),
+                'n': n
+            };
+        }
+        return {
+            'min': x[0],
+            'max': x[1],
+            'n': n
+        };
+    }
+
+    /**
+    * Returns the bit pattern of a double as a hexadecimal string.
+    *
+    * @private
+    * @param {number} x - value
+    * @returns {string} bit pattern (e.g., `0x3ff0000000000000`)
+    */
+    function hexBits(x) {
+        BITS.setFloat64(0, x);
+        return '0x' + ('00000000' + BITS.getUint32(0).toString(16)).slice(-8) +
+            ('00000000' + BITS.getUint32(4).toString(16)).slice(-8);
+    }
+
+    /**
+    * Shows an error of the analysis in place of its results.
+    *
+    * @private
+    * @param {Error} err - error
+    */
+    function showAccuracyError(err) {
+        statPoints.textContent = '—';
+        statAgree.textContent = '—';
+        statMaxUlp.textContent = '—';
+        statAvgUlp.textContent = '—';
+        statRounding.textContent = err.message;
+        histogramBars.innerHTML = '';
+        accuracyProgress.box.classList.add('hidden');
+        accuracyData = null;
+        accuracyHeatmap = null;
+        accuracyStats = null;
+        pointInfo.classList.add('hidden');
+        accuracyCtx.fillStyle = COLORS.bg;
+        accuracyCtx.fillRect(0, 0, accuracyCanvas.width, accuracyCanvas.height);
+    }
+
+    /**
+    * Adds the results of a chunk of an analysis of a function of two arguments to its heatmap.
+    *
+    * ## Notes
+    *
+    * -   Grids have one heatmap cell per point; random pairs are binned into a square of cells (the maximum difference per cell).
+    *
+    * @private
+    * @param {Object} msg - progress message of the analysis
+    */
+    function addHeatmapChunk(msg) {
+        var h = accuracyHeatmap;
+        var m = h.m;
+        var d;
+        var i;
+        var k;
+
+        for (i = msg.start; i < msg.done; i++) {
+            d = msg.ulp[i - msg.start];
+
+            // Cells are row-major from the largest y, as drawn...
+            if (h.random) {
+                k = (m - 1 - cellIndex(h.range.y, m, h.pairs[(2 * i) + 1])) * m;
+                k += cellIndex(h.range.x, m, h.pairs[2 * i]);
+            } else {
+                k = ((m - 1 - Math.floor(i / m)) * m) + (i % m);
+            }
+            if (!isnan(d) && !(h.cells[k] >= d)) {
+                h.cells[k] = d;
+            }
+        }
+    }
+
+    /**
+    * Returns the index of the cell containing a value when dividing a range into equal cells.
+    *
+    * @private
+    * @param {Array<number>} range - range
+    * @param {number} m - number of cells
+    * @param {number} v - value
+    * @returns {number} cell index
+    */
+    function cellIndex(range, m, v) {
+        var k = Math.floor(((v - range[0]) / (range[1] - range[0])) * m);
+        return Math.min(Math.max(k, 0), m - 1);
+    }
+
+    /**
+    * Draws the ULP heatmap of a function of two arguments.
+    *
+    * ## Notes
+    *
+    * -   Colors are proportional to the logarithm of the ULP difference (as the histogram bars), so that small differences remain visible next to large ones.
+    *
+    * @private
+    * @param {string} fnKey - function name
+    * @param {Float64Array} errors - ULP differences of the cells (row-major from the largest y; `NaN` where undefined)
+    * @param {number} m - number of grid points per axis
+    * @param {Object} range - test range
+    * @param {number} maxUlp - max ULP value
+    */
+    function drawUlpHeatmap(fnKey, errors, m, range, maxUlp) {
+        var box = { 'W': accuracyCanvas.width, 'H': accuracyCanvas.height, 'pad': 50 };
+        var args = FUNCTIONS[fnKey].args;
+
+        accuracyCtx.fillStyle = COLORS.bg;
+        accuracyCtx.fillRect(0, 0, box.W, box.H);
+        drawHeatmap(accuracyCtx, box, m, m, function colorOf(i, j) {
+            var d = errors[(i * m) + j];
+            if (isnan(d)) {
+                return null;
+            }
+            if (d === 0) {
+                return 'rgba(63, 185, 80, 0.35)';
+            }
+            return rampColor(Math.log(1 + d) / Math.log(1 + maxUlp));
+        });
+        drawHeatmapAxes(accuracyCtx, box, range.x, range.y, ['0', maxUlp.toFixed(2) + ' ULP']);
+
+        // Title...
+        accuracyCtx.fillStyle = COLORS.orange;
+        accuracyCtx.font = 'bold 13px "JetBrains Mono", monospace';
+        accuracyCtx.textAlign = 'left';
+        accuracyCtx.fillText('ULP Difference over (' + args[0] + ', ' + args[1] + ')', box.pad, box.pad - 14);
+    }
+
+    /**
+    * Sets up the results of an analysis from the test points of its start message.
+    *
+    * @private
+    * @param {string} fnKey - function name
+    * @param {Object} range - test range
+    * @param {Object} msg - start message of the analysis
+    */
+    function startAccuracy(fnKey, range, msg) {
+        var n = msg.total;
+        var m;
+
+        accuracyStats = {
+            'n': n,
+            'done': 0,
+            'agree': 0,
+            'diff': 0,
+            'total': 0,
+            'max': 0,
+            'errors': new Float64Array(n),
+            't0': performance.now()
+        };
+        if (msg.pairs) {
+            m = Math.floor(Math.sqrt(range.n));
+            accuracyHeatmap = {
+                'fnKey': fnKey,
+                'range': range,
+                'pairs': msg.pairs,
+                'random': msg.random,
+                'm': m,
+                'cells': new Float64Array(m * m).fill(NaN)
+            };
+            return;
+        }
+        accuracyData = {
+            'fnKey': fnKey,
+            'xmin': range.min,
+            'xmax': range.max,
+            'x': msg.x,
+            's': new Float64Array(n),
+            'v': new Float64Array(n),
+            'ulp': accuracyStats.errors,
+            'maxUlp': 0,
+            'done': 0
+        };
+    }
+
+    /**
+    * Adds the results of a chunk of an analysis.
+    *
+    * @private
+    * @param {Object} msg - progress message of the analysis
+    */
+    function addAccuracyChunk(msg) {
+        var st = accuracyStats;
+        var d;
+        var i;
+
+        for (i = 0; i < msg.ulp.length; i++) {
+            d = msg.ulp[i];
+            st.errors[msg.start + i] = d;
+            if (d === 0) {
+                st.agree += 1;
+            } else if (!isnan(d)) {
+                st.total += d;
+                st.diff += 1;
+                if (d > st.max) {
+                    st.max = d;
+                }
+            }
+        }
+        st.done = msg.done;
+        if (accuracyData) {
+            accuracyData.s.set(msg.s, msg.start);
+            accuracyData.v.set(msg.v, msg.start);
+            accuracyData.maxUlp = st.max;
+            accuracyData.done = msg.done;
+        } else {
+            addHeatmapChunk(msg);
+        }
+    }
+
+    /**
+    * Shows the statistics of the evaluated points of the last analysis.
+    *
+    * @private
+    */
+    function showAccuracyStats() {
+        var st = accuracyStats;
+        statPoints.textContent = (st.done < st.n) ? st.done.toLocaleString() + ' / ' + st.n.toLocaleString() : st.n.toLocaleString();
+        statAgree.textContent = (st.done > 0) ? ((st.agree / st.done) * 100).toFixed(1) + '%' : '—';
+        statMaxUlp.textContent = st.max.toFixed(2);
+        statAvgUlp.textContent = (st.diff > 0) ? (st.total / st.diff).toFixed(4) : '0';
+    }
+
+    /**
+    * Draws the scatter plot or heatmap of the last analysis.
+    *
+    * @private
+    */
+    function drawAccuracy() {
+        accuracyDrawn = performance.now();
+        if (accuracyHeatmap) {
+            drawUlpHeatmap(accuracyHeatmap.fnKey, accuracyHeatmap.cells, accuracyHeatmap.m, accuracyHeatmap.range, accuracyStats.max);
+        } else if (accuracyData) {
+            drawUlpPlot();
+        }
+    }
+
+    /**
+    * Enables or disables the controls of a running analysis.
+    *
+    * @private
+    * @param {boolean} running - boolean indicating whether an analysis is running
+    */
+    function setAccuracyRunning(running) {
+        runAccuracyBtn.disabled = running;
+        runAccuracyBtn.textContent = (running) ? 'Analyzing...' : 'Run Analysis';
+        cancelAccuracyBtn.disabled = !running;
+    }
+
+    /**
+    * Shows the final results of the last analysis, which may have been cancelled.
+    *
+    * @private
+    */
+    function finishAccuracy() {
+        var st = accuracyStats;
+        var t = formatDuration(performance.now() - st.t0);
+
+        setAccuracyRunning(false);
+        showAccuracyStats();
+        showDistribution(st.errors.subarray(0, st.done));
+        drawAccuracy();
+        if (st.done < st.n) {
+            showProgress(accuracyProgress, st.done / st.n, 'Cancelled after ' + st.done.toLocaleString() + ' of ' + st.n.toLocaleString() + ' points (' + t + ')');
+        } else {
+            showProgress(accuracyProgress, 1, st.n.toLocaleString() + ' points in ' + t);
+        }
+    }
+
+    /**
+    * Runs accuracy analysis and draws the ULP plot.
+    *
+    * ## Notes
+    *
+    * -   Test points are drawn from the entered test range by the selected generator (see `lib/generators.js`).
+    * -   The analysis runs in the background (see `jobRunner`): statistics and the plot are updated as chunks of points are evaluated, and cancelling keeps the results of the evaluated points.
+    * -   Functions of two arguments are drawn as a heatmap.
+    * -   Invalid ranges, point counts or generator parameters (or generators which do not apply to the range) are reported in place of the results.
+    *
+    * @private
+    * @returns {void}
+    */
+    function runAccuracyAnalysis() {
+        var fnKey = accuracyFunctionSelect.value;
+        var range;
+
+        accuracyRunner.cancel();
+        accuracyData = null;
+        accuracyHeatmap = null;
+        accuracyStats = null;
+        accuracyView = null;
+        accuracySelected = -1;
+        pointInfo.classList.add('hidden');
+        try {
+            range = accuracyRange(fnKey);
+        } catch (err) {
+            return showAccuracyError(err);
+        }
+        setAccuracyRunning(true);
+        showProgress(accuracyProgress, 0, 'Generating test points...');
+        accuracyRunner.start({
+            'type': 'accuracy',
+            'fn': fnKey,
+            'generator': generatorSpec(),
+            'range': range,
+            'seed': parseInt(accuracySeedInput.value, 10) || 1
+        }, function onMessage(msg) {
+            if (msg.type === 'start') {
+                startAccuracy(fnKey, range, msg);
+                showAccuracyStats();
+                drawAccuracy();
+            } else if (msg.type === 'progress') {
+                addAccuracyChunk(msg);
+                showAccuracyStats();
+                showProgress(accuracyProgress, msg.done / msg.total, msg.done.toLocaleString() + ' of ' + msg.total.toLocaleString() + ' points');
+                if (performance.now() - accuracyDrawn >= REDRAW_INTERVAL) {
+                    drawAccuracy();
+                }
+            } else if (msg.type === 'done') {
+                finishAccuracy();
+            } else {
+                setAccuracyRunning(false);
+                showAccuracyError(new Error(msg.message));
+            }
+        });
+    }
+
+    /**
+    * Cancels the running analysis, keeping the results of the evaluated points.
+    *
+    * @private
+    */
+    function cancelAccuracyAnalysis() {
+        accuracyRunner.cancel();
+        if (accuracyStats) {
+            finishAccuracy();
+        } else {
+            setAccuracyRunning(false);
+            showProgress(accuracyProgress, 0, 'Cancelled while generating test points');
+        }
+    }
+
+    /**
+    * Shows the percentiles and histogram of the ULP differences.
+    *
+    * ## Notes
+    *
+    * -   Histogram bar lengths are proportional to the logarithm of the counts (as in the CLI), so that rare large differences remain visible.
+    *
+    * @private
+    * @param {Float64Array} errors - absolute ULP differences (`NaN` where undefined)
+    */
+    function showDistribution(errors) {
+        var nFaithful;
+        var nCorrect;
+        var bins;
+        var last;
+        var html;
+        var cls;
+        var max;
+        var h;
+        var p;
+        var n;
+        var w;
+        var i;
+
+        p = histogram.percentiles(errors);
+        statP50.textContent = (p) ? p.p50.toFixed(2) : '—';
+        statP90.textContent = (p) ? p.p90.toFixed(2) : '—';
+        statP99.textContent = (p) ? p.p99.toFixed(2) : '—';
+        statP999.textContent = (p) ? p['p99.9'].toFixed(2) : '—';
+
+        h = histogram.create();
+        n = 0;
+        nCorrect = 0;
+        nFaithful = 0;
+        for (i = 0; i < errors.length; i++) {
+            if (isnan(errors[i])) {
+                continue;
+            }
+            histogram.add(h, errors[i]);
+            n += 1;
+            if (errors[i] <= 0.5) {
+                nCorrect += 1;
+            }
+            if (errors[i] <= 1.0) {
+                nFaithful += 1;
+            }
+        }
+        statRounding.textContent = 'Correctly rounded ' + nCorrect.toLocaleString() + ' · ' +
+            'Faithfully rounded ' + nFaithful.toLocaleString() + ' of ' + n.toLocaleString();
+
+        bins = histogram.bins(h);
+        max = 0;
+        last = 0;
+        for (i = 0; i < bins.length; i++) {
+            if (bins[i].count > max) {
+                max = bins[i].count;
+            }
+            if (bins[i].count > 0) {
+                last = i;
+            }
+        }
+        html = '';
+        for (i = 0; i <= last; i++) {
+            w = (bins[i].count > 0) ? 100 * Math.log(1 + bins[i].count) / Math.log(1 + max) : 0;
+            if (bins[i].max <= 0.5) {
+                cls = 'bar-correct';
+            } else if (bins[i].max <= 1.0) {
+                cls = 'bar-faithful';
+            } else {
+                cls = 'bar-other';
+            }
+            html += '<div class="ulp-histogram-row">' +
+                '<span class="ulp-histogram-label">' + bins[i].label + '</span>' +
+                '<div><div class="ulp-histogram-bar ' + cls + '" style="width:' + w.toFixed(1) + '%"></div></div>' +
+                '<span class="ulp-histogram-count">' + bins[i].count.toLocaleString() + '</span>' +
+                '<span class="ulp-histogram-percent">' + ((n > 0) ? (100 * bins[i].count / n).toFixed(2) : '0.00') + '%</span>' +
+                '</div>';
+        }
+        histogramBars.innerHTML = html;
+    }
+
+    /**
+    * Returns an axis of the scatter plot.
+    *
+    * ## Notes
+    *
+    * -   Logarithmic axes are linear in the base-10 logarithm of the values. Both kinds extrapolate beyond their bounds, so that zooming and panning can compute the new bounds from pixels outside of the plot.
+    *
+    * @private
+    * @param {Array<number>} bounds - axis bounds
+    * @param {boolean} log - boolean indicating whether the axis is logarithmic
+    * @param {number} p0 - pixel of the lower bound
+    * @param {number} p1 - pixel of the upper bound
+    * @returns {Object} axis (`toPx` maps a value to a pixel and `fromPx` a pixel to a value)
+    */
+    function scatterAxis(bounds, log, p0, p1) {
+        var a = (log) ? Math.log10(bounds[0]) : bounds[0];
+        var b = (log) ? Math.log10(bounds[1]) : bounds[1];
+        return {
+            'min': bounds[0],
+            'max': bounds[1],
+            'log': log,
+            'p0': p0,
+            'p1': p1,
+            'toPx': function toPx(v) {
+                return p0 + ((((log) ? Math.log10(v) : v) - a) / (b - a)) * (p1 - p0);
+            },
+            'fromPx': function fromPx(p) {
+                var t = a + ((p - p0) / (p1 - p0)) * (b - a);
+                return (log) ? Math.pow(10, t) : t;
+            }
+        };
+    }
+
+    /**
+    * Returns the ULP axis bounds which fit the results of an analysis.
+    *
+    * @private
+    * @param {Object} data - analysis results
+    * @param {boolean} log - boolean indicating whether the axis is logarithmic
+    * @returns {Array<number>} bounds
+    */
+    function fitUlpBounds(data, log) {
+        var lo = PINF;
+        var i;
+
+        if (!log) {
+            return [0, Math.max(data.maxUlp * 1.2, 1)];
+        }
+        for (i = 0; i < data.done; i++) {
+            if (data.ulp[i] > 0 && data.ulp[i] < lo) {
+                lo = data.ulp[i];
+            }
+        }
+        if (lo === PINF) {
+            return [0.1, 10];
+        }
+        return [
+            Math.pow(10, Math.floor(Math.log10(lo / 2))),
+            Math.pow(10, Math.ceil(Math.log10(Math.max(data.maxUlp, 1) * 1.2)))
+        ];
+    }
+
+    /**
+    * Returns the axes of the scatter plot for the current view.
+    *
+    * ## Notes
+    *
+    * -   The x axis is only logarithmic while the view is positive.
+    *
+    * @private
+    * @returns {Object} axes (`x`, `y`) and plot box (`W`, `H`, `pad`)
+    */
+    function scatterAxes() {
         var W = accuracyCanvas.width;
         var H = accuracyCanvas.height;
         var pad = 50;
-        var plotW = W - 2 * pad;
-        var plotH = H - 2 * pad;
-        var ymax = Math.max(maxUlp * 1.2, 1);
+        var x = (accuracyView) ? accuracyView.x : [accuracyData.xmin, accuracyData.xmax];
+        var y = (accuracyView) ? accuracyView.y : fitUlpBounds(accuracyData, accuracyLogY.checked);
+        return {
+            'x': scatterAxis(x, accuracyLogX.checked && x[0] > 0, pad, W - pad),
+            'y': scatterAxis(y, accuracyLogY.checked, H - pad, pad),
+            'W': W,
+            'H': H,
+            'pad': pad
+        };
+    }
+
+    /**
+    * Returns the ticks of a scatter plot axis.
+    *
+    * ## Notes
+    *
+    * -   Logarithmic axes have ticks at powers of ten (at most about ten of them), unless the axis spans less than two of them, in which case it gets the ticks of a linear axis.
+    *
+    * @private
+    * @param {Object} axis - axis
+    * @returns {Array<Object>} ticks (`value`, `label`)
+    */
+    function axisTicks(axis) {
+        var ticks = [];
+        var stride;
+        var step;
+        var k0;
+        var k1;
+        var k;
+
+        if (axis.log) {
+            k0 = Math.ceil(Math.log10(axis.min));
+            k1 = Math.floor(Math.log10(axis.max));
+            if (k1 > k0) {
+                stride = Math.ceil((k1 - k0 + 1) / 10);
+                for (k = k0; k <= k1; k++) {
+                    if (k % stride === 0) {
+                        ticks.push({ 'value': Math.pow(10, k), 'label': '1e' + k });
+                    }
+                }
+                return ticks;
+            }
+        }
+        step = Math.pow(10, Math.floor(Math.log10(axis.max - axis.min))) / 2;
+        if (!(step > 0)) {
+            return ticks;
+        }
+        for (k = Math.ceil(axis.min / step); k * step <= axis.max && ticks.length < 100; k++) {
+            ticks.push({ 'value': k * step, 'label': formatTick(k * step, step) });
+        }
+        return ticks;
+    }
+
+    /**
+    * Formats the label of a linear axis tick.
+    *
+    * @private
+    * @param {number} v - tick value
+    * @param {number} step - distance between ticks
+    * @returns {string} label
+    */
+    function formatTick(v, step) {
+        var digits = Math.max(0, -Math.floor(Math.log10(step)));
+        if (v !== 0 && (abs(v) >= 1e6 || (digits > 4 && abs(v) < 1e-3))) {
+            return v.toExponential(2);
+        }
+        return v.toFixed(Math.min(digits, 20));
+    }
+
+    /**
+    * Returns the position of a point of the scatter plot.
+    *
+    * ## Notes
+    *
+    * -   Exact matches are drawn on the x axis, and undefined differences (e.g., NaN versus a number) along the top of the plot.
+    *
+    * @private
+    * @param {Object} axes - axes
+    * @param {NonNegativeInteger} i - point index
+    * @returns {(Array<number>|null)} pixel coordinates (`null` if the point is outside of the view)
+    */
+    function pointPosition(axes, i) {
+        var px = axes.x.toPx(accuracyData.x[i]);
+        var u = accuracyData.ulp[i];
+        var py;
+
+        if (!(px >= axes.pad && px <= axes.W - axes.pad)) {
+            return null;
+        }
+        if (isnan(u)) {
+            py = axes.pad;
+        } else if (u === 0) {
+            py = axes.H - axes.pad;
+        } else {
+            py = axes.y.toPx(u);
+            if (!(py >= axes.pad && py <= axes.H - axes.pad)) {
+                return null;
+            }
+        }
+        return [px, py];
+    }
+
+    /**
+    * Draws the ULP scatter plot of the last analysis.
+    *
+    * @private
+    */
+    function drawUlpPlot() {
+        var axes = scatterAxes();
+        var W = axes.W;
+        var H = axes.H;
+        var pad = axes.pad;
+        var nUndefined = 0;
+        var ticks;
+        var title;
+        var pos;
         var px;
         var py;
-        var stepX;
-        var stepY;
-        var tickX;
-        var tickY;
         var i;
 
         accuracyCtx.fillStyle = COLORS.bg;
@@ -948,16 +1863,13 @@
         // Grid...
         accuracyCtx.strokeStyle = COLORS.grid;
         accuracyCtx.lineWidth = 0.5;
-
-        stepX = Math.pow(10, Math.floor(Math.log10(xmax - xmin))) / 2;
-        tickX = Math.ceil(xmin / stepX) * stepX;
-        while (tickX <= xmax) {
-            px = pad + ((tickX - xmin) / (xmax - xmin)) * plotW;
+        ticks = axisTicks(axes.x);
+        for (i = 0; i < ticks.length; i++) {
+            px = axes.x.toPx(ticks[i].value);
             accuracyCtx.beginPath();
             accuracyCtx.moveTo(px, pad);
             accuracyCtx.lineTo(px, H - pad);
             accuracyCtx.stroke();
-            tickX += stepX;
         }
 
         // Horizontal zero line...
@@ -969,45 +1881,60 @@
         accuracyCtx.stroke();
 
         // Draw ULP points...
-        for (i = 0; i < ulps.length; i++) {
-            px = pad + ((ulps[i].x - xmin) / (xmax - xmin)) * plotW;
-            py = (H - pad) - ((ulps[i].ulp / ymax) * plotH);
-
-            if (ulps[i].ulp === 0) {
+        for (i = 0; i < accuracyData.done; i++) {
+            pos = pointPosition(axes, i);
+            if (pos === null) {
+                continue;
+            }
+            if (isnan(accuracyData.ulp[i])) {
+                nUndefined += 1;
+                accuracyCtx.fillStyle = COLORS.red;
+                accuracyCtx.fillRect(pos[0] - 2, pos[1] - 2, 4, 4);
+            } else if (accuracyData.ulp[i] === 0) {
                 accuracyCtx.fillStyle = 'rgba(63, 185, 80, 0.3)';
-                accuracyCtx.fillRect(px - 1, py - 1, 2, 2);
+                accuracyCtx.fillRect(pos[0] - 1, pos[1] - 1, 2, 2);
             } else {
                 accuracyCtx.fillStyle = COLORS.orange;
                 accuracyCtx.beginPath();
-                accuracyCtx.arc(px, py, 3, 0, TWO_PI);
+                accuracyCtx.arc(pos[0], pos[1], 3, 0, TWO_PI);
                 accuracyCtx.fill();
             }
         }
 
+        // Inspected point...
+        pos = (accuracySelected >= 0) ? pointPosition(axes, accuracySelected) : null;
+        if (pos !== null) {
+            accuracyCtx.strokeStyle = '#ffffff';
+            accuracyCtx.lineWidth = 2;
+            accuracyCtx.beginPath();
+            accuracyCtx.arc(pos[0], pos[1], 6, 0, TWO_PI);
+            accuracyCtx.stroke();
+        }
+
         // Labels...
         accuracyCtx.fillStyle = COLORS.text;
         accuracyCtx.font = '11px "JetBrains Mono", monospace';
         accuracyCtx.textAlign = 'center';
-
-        tickX = Math.ceil(xmin / stepX) * stepX;
-        while (tickX <= xmax) {
-            px = pad + ((tickX - xmin) / (xmax - xmin)) * plotW;
-            accuracyCtx.fillText(tickX.toPrecision(3), px, H - pad + 18);
-            tickX += stepX;
+        for (i = 0; i < ticks.length; i++) {
+            accuracyCtx.fillText(ticks[i].label, axes.x.toPx(ticks[i].value), H - pad + 18);
         }
 
         accuracyCtx.textAlign = 'right';
-        stepY = ymax / 4;
-        for (i = 0; i <= 4; i++) {
-            py = (H - pad) - ((i * stepY / ymax) * plotH);
-            accuracyCtx.fillText((i * stepY).toFixed(2), pad - 8, py + 4);
+        ticks = axisTicks(axes.y);
+        for (i = 0; i < ticks.length; i++) {
+            py = axes.y.toPx(ticks[i].value);
+            accuracyCtx.fillText((axes.y.log) ? ticks[i].label : ticks[i].value.toFixed(2), pad - 8, py + 4);
         }
 
         // Title...
+        title = 'ULP Difference: stdlib vs Native';
+        if (accuracyLogX.checked && !axes.x.log) {
+            title += ' (log x needs x > 0)';
+        }
         accuracyCtx.fillStyle = COLORS.orange;
         accuracyCtx.font = 'bold 13px "JetBrains Mono", monospace';
         accuracyCtx.textAlign = 'left';
-        accuracyCtx.fillText('ULP Difference: Reference vs Native', pad + 10, pad + 18);
+        accuracyCtx.fillText(title, pad + 10, pad + 18);
 
         // Legend...
         accuracyCtx.fillStyle = 'rgba(63, 185, 80, 0.8)';
@@ -1022,27 +1949,356 @@
         accuracyCtx.fill();
         accuracyCtx.fillStyle = COLORS.text;
         accuracyCtx.fillText('ULP difference', pad + 25, pad + 53);
+
+        if (nUndefined) {
+            accuracyCtx.fillStyle = COLORS.red;
+            accuracyCtx.fillRect(pad + 12, pad + 62, 6, 6);
+            accuracyCtx.fillStyle = COLORS.text;
+            accuracyCtx.fillText('Undefined (shown at the top)', pad + 25, pad + 69);
+        }
+    }
+
+    /**
+    * Returns the canvas coordinates of a mouse event.
+    *
+    * @private
+    * @param {Object} canvas - canvas
+    * @param {Object} e - mouse event
+    * @returns {Object} coordinates (`x`, `y`)
+    */
+    function canvasPoint(canvas, e) {
+        var rect = canvas.getBoundingClientRect();
+        return {
+            'x': (e.clientX - rect.left) * (canvas.width / rect.width),
+            'y': (e.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    }
+
+    /**
+    * Formats a number with all of its digits (as the shortest string which round-trips).
+    *
+    * @private
+    * @param {number} x - value
+    * @returns {string} formatted string
+    */
+    function formatExact(x) {
+        return (x === 0 && (1 / x) === NINF) ? '-0' : String(x);
+    }
+
+    /**
+    * Shows the test point, both results, their bit patterns and their ULP difference next to a point of the scatter plot.
+    *
+    * @private
+    * @param {NonNegativeInteger} i - point index
+    * @param {Object} e - mouse event of the click
+    */
+    function showPointInfo(i, e) {
+        var rows = [
+            [ 'x', accuracyData.x[i] ],
+            [ 'stdlib', accuracyData.s[i] ],
+            [ 'native', accuracyData.v[i] ]
+        ];
+        var rect = accuracyCanvas.getBoundingClientRect();
+        var html = '';
+        var u = accuracyData.ulp[i];
+        var j;
+
+        for (j = 0; j < rows.length; j++) {
+            html += '<span class="point-info-label">' + rows[j][0] + '</span>';
+            html += '<span>' + formatExact(rows[j][1]) + '</span>';
+            html += '<span>' + hexBits(rows[j][1]) + '</span>';
+        }
+        html += '<span class="point-info-total">' + ((isnan(u)) ? 'ULP difference undefined' : u + ' ULP') + '</span>';
+        pointInfo.innerHTML = html;
+
+        // Place the box next to the point, on the side with more room...
+        pointInfo.style.left = (accuracyCanvas.offsetLeft + e.clientX - rect.left + ((e.clientX - rect.left < rect.width / 2) ? 12 : -12)) + 'px';
+        pointInfo.style.top = (accuracyCanvas.offsetTop + e.clientY - rect.top + 12) + 'px';
+        pointInfo.style.transform = (e.clientX - rect.left < rect.width / 2) ? '' : 'translateX(-100%)';
+        pointInfo.classList.remove('hidden');
     }
 
-    runAccuracyBtn.addEventListener('click', function onClick() {
-        runAccuracyBtn.disabled = true;
-        runAccuracyBtn.textContent = 'Analyzing...';
-        setTimeout(function doAnalysis() {
-            runAccuracyAnalysis();
-            runAccuracyBtn.disabled = false;
-            runAccuracyBtn.textContent = 'Run Analysis';
-        }, 50);
+    /**
+    * Inspects the point of the scatter plot nearest to a click (if within `PICK_RADIUS` pixels).
+    *
+    * @private
+    * @param {Object} e - mouse event of the click
+    */
+    function inspectPoint(e) {
+        var axes = scatterAxes();
+        var best = PICK_RADIUS * PICK_RADIUS;
+        var p = canvasPoint(accuracyCanvas, e);
+        var pos;
+        var d;
+        var i;
+
+        accuracySelected = -1;
+        for (i = 0; i < accuracyData.done; i++) {
+            pos = pointPosition(axes, i);
+            if (pos === null) {
+                continue;
+            }
+            d = ((pos[0] - p.x) * (pos[0] - p.x)) + ((pos[1] - p.y) * (pos[1] - p.y));
+            if (d <= best) {
+                best = d;
+                accuracySelected = i;
+            }
+        }
+        drawUlpPlot();
+        if (accuracySelected < 0) {
+            pointInfo.classList.add('hidden');
+        } else {
+            showPointInfo(accuracySelected, e);
+        }
+    }
+
+    /**
+    * Returns the bounds of an axis zoomed around a pixel.
+    *
+    * @private
+    * @param {Object} axis - axis
+    * @param {number} p - pixel
+    * @param {number} f - zoom factor (`< 1` zooms in)
+    * @returns {Array<number>} bounds (the current bounds, if zooming further would exhaust double precision)
+    */
+    function zoomAxis(axis, p, f) {
+        var b = [axis.fromPx(p + ((axis.p0 - p) * f)), axis.fromPx(p + ((axis.p1 - p) * f))];
+        if (b[0] < b[1] && isFinite(b[0]) && isFinite(b[1])) {
+            return b;
+        }
+        return [axis.min, axis.max];
+    }
+
+    /**
+    * Returns the bounds of an axis panned by a number of pixels.
+    *
+    * @private
+    * @param {Object} axis - axis
+    * @param {number} d - pixels
+    * @returns {Array<number>} bounds
+    */
+    function panAxis(axis, d) {
+        return [axis.fromPx(axis.p0 - d), axis.fromPx(axis.p1 - d)];
+    }
+
+    // Scatter plot interaction: the wheel zooms (the x axis, or with Shift the ULP axis), dragging pans, a click inspects a point and a double click resets the view...
+    accuracyCanvas.addEventListener('wheel', function onWheel(e) {
+        var axes;
+        var p;
+        if (!accuracyData) {
+            return;
+        }
+        e.preventDefault();
+        axes = scatterAxes();
+        p = canvasPoint(accuracyCanvas, e);
+        accuracyView = {
+            'x': (e.shiftKey) ? [axes.x.min, axes.x.max] : zoomAxis(axes.x, p.x, (e.deltaY < 0) ? 0.8 : 1.25),
+            'y': (e.shiftKey) ? zoomAxis(axes.y, p.y, (e.deltaY < 0) ? 0.8 : 1.25) : [axes.y.min, axes.y.max]
+        };
+        pointInfo.classList.add('hidden');
+        drawUlpPlot();
+    });
+
+    accuracyCanvas.addEventListener('mousedown', function onMouseDown(e) {
+        if (accuracyData) {
+            accuracyDrag = {
+                'start': canvasPoint(accuracyCanvas, e),
+                'axes': scatterAxes(),
+                'moved': false
+            };
+        }
     });
 
+    accuracyCanvas.addEventListener('mousemove', function onMouseMove(e) {
+        var p;
+        if (!accuracyDrag) {
+            return;
+        }
+        p = canvasPoint(accuracyCanvas, e);
+        if (abs(p.x - accuracyDrag.start.x) + abs(p.y - accuracyDrag.start.y) > 3) {
+            accuracyDrag.moved = true;
+        }
+        if (accuracyDrag.moved) {
+            accuracyView = {
+                'x': panAxis(accuracyDrag.axes.x, p.x - accuracyDrag.start.x),
+                'y': panAxis(accuracyDrag.axes.y, p.y - accuracyDrag.start.y)
+            };
+            pointInfo.classList.add('hidden');
+            drawUlpPlot();
+        }
+    });
+
+    accuracyCanvas.addEventListener('mouseup', function onMouseUp(e) {
+        if (accuracyDrag && !accuracyDrag.moved) {
+            inspectPoint(e);
+        }
+        accuracyDrag = null;
+    });
+
+    accuracyCanvas.addEventListener('mouseleave', function onMouseLeave() {
+        accuracyDrag = null;
+    });
+
+    accuracyCanvas.addEventListener('dblclick', function onDoubleClick() {
+        if (accuracyData) {
+            accuracyView = null;
+            accuracySelected = -1;
+            pointInfo.classList.add('hidden');
+            drawUlpPlot();
+        }
+    });
+
+    /**
+    * Redraws the scatter plot with the selected axis scales, fitting it to the data.
+    *
+    * @private
+    */
+    function onAxisScaleChange() {
+        if (accuracyData) {
+            accuracyView = null;
+            pointInfo.classList.add('hidden');
+            drawUlpPlot();
+        }
+    }
+
+    accuracyLogX.addEventListener('change', onAxisScaleChange);
+    accuracyLogY.addEventListener('change', onAxisScaleChange);
+
+    accuracyFunctionSelect.addEventListener('change', function onChange() {
+        populateGeneratorSelect();
+        populateAccuracyRange();
+    });
+
+    runAccuracyBtn.addEventListener('click', runAccuracyAnalysis);
+    cancelAccuracyBtn.addEventListener('click', cancelAccuracyAnalysis);
+
     // ============================================================
     // SECTION 3: Edge Case Explorer
     // ============================================================
 
+    var edgeThead = document.getElementById('edge-thead');
     var edgeTbody = document.getElementById('edge-tbody');
+    var conformanceScores = document.getElementById('conformance-scores');
+
+    /**
+    * Returns the results required by C99 Annex F and IEEE 754 for a function.
+    *
+    * ## Notes
+    *
+    * -   The required results are the cases of the shared specification table whose reference is a standard clause (see `lib/conformance.js`).
+    *
+    * @private
+    * @param {string} name - function name
+    * @returns {Array<Object>} decoded cases
+    */
+    function requiredResults(name) {
+        var cases;
+        var args;
+        var out;
+        var c;
+        var d;
+        var i;
+        var j;
+
+        cases = EDGE_CASES.functions[name] || [];
+        out = [];
+        for (i = 0; i < cases.length; i++) {
+            c = cases[i];
+            if (!c.reference || !RE_CLAUSE.test(c.reference)) {
+                continue;
+            }
+            d = {
+                'x': spec.decode(c.x),
+                'mode': c.mode,
+                'ulps': c.ulps,
+                'predicate': c.predicate,
+                'clause': c.reference
+            };
+            if (c.expected !== void 0) {
+                d.expected = spec.decode(c.expected);
+            }
+            args = [];
+            for (j = 0; c.args && j < c.args.length; j++) {
+                args.push(spec.decode(c.args[j]));
+            }
+            d.args = args;
+            d.description = spec.modes[c.mode].describe(d);
+            out.push(d);
+        }
+        return out;
+    }
+
+    /**
+    * Returns the required result for an input, if any.
+    *
+    * @private
+    * @param {Array<Object>} cases - required results
+    * @param {number} x - input value
+    * @returns {(Object|null)} case
+    */
+    function findRequired(cases, x) {
+        var c;
+        var i;
+        for (i = 0; i < cases.length; i++) {
+            c = cases[i];
+
+            // Match NaN to NaN and distinguish the sign of zero...
+            if ((isnan(x)) ? isnan(c.x) : (c.x === x && 1 / c.x === 1 / x)) {
+                return c;
+            }
+        }
+        return null;
+    }
+
+    /**
+    * Returns the text of a standard clause for tooltips.
+    *
+    * @private
+    * @param {string} clause - clause reference
+    * @returns {string} tooltip text
+    */
+    function clauseText(clause) {
+        var text = EDGE_CASES.clauses[clause];
+        return (text) ? clause + ': ' + text : clause;
+    }
+
+    /**
+    * Scores an implementation against the required results of a function.
+    *
+    * @private
+    * @param {Array<Object>} required - required results
+    * @param {Function} fn - implementation
+    * @returns {Object} number of required results met (`passed`) and the clauses violated (`violated`)
+    */
+    function score(required, fn) {
+        var violated = [];
+        var passed = 0;
+        var req;
+        var i;
+
+        for (i = 0; i < required.length; i++) {
+            req = required[i];
+            if (spec.modes[req.mode].check(fn(req.x), req)) {
+                passed += 1;
+            } else if (violated.indexOf(req.clause) < 0) {
+                violated.push(req.clause);
+            }
+        }
+        return {
+            'passed': passed,
+            'violated': violated
+        };
+    }
 
     /**
     * Populates the edge case table.
     *
+    * ## Notes
+    *
+    * -   Cells show the stdlib result and, where it differs, the native result.
+    * -   Results with a required value (C99 Annex F or IEEE 754) are checked against it, and the status column lists the clauses violated by the row (by stdlib, and separately by native `Math`).
+    * -   The conformance panel scores both implementations of each function against all of its required results, not only those shown in the table.
+    *
     * @private
     */
     function populateEdgeCases() {
@@ -1062,124 +2318,361 @@
             { 'input': PI, 'label': 'π' },
             { 'input': PI / 2, 'label': 'π/2' }
         ];
-        var fns = [
-            { 'name': 'exp', 'fn': Math.exp },
-            { 'name': 'ln', 'fn': Math.log },
-            { 'name': 'sqrt', 'fn': Math.sqrt },
-            { 'name': 'sin', 'fn': Math.sin },
-            { 'name': 'erf', 'fn': FUNCTIONS.erf.fn }
-        ];
-        var html = '';
-        var result;
-        var isSpecial;
+        var nativeViolated;
+        var violated;
+        var required;
+        var checked;
         var status;
+        var native;
+        var result;
+        var scores;
+        var fns = [];
+        var html = '';
+        var diff;
+        var key;
+        var req;
+        var ok;
         var i;
         var j;
 
+        for (key in FUNCTIONS) {
+            if (FUNCTIONS.hasOwnProperty(key) && FUNCTIONS[key].featured) {
+                fns.push(FUNCTIONS[key]);
+            }
+        }
+        required = [];
+        for (j = 0; j < fns.length; j++) {
+            required.push(requiredResults(fns[j].name));
+        }
+        html = '<tr><th>Input</th>';
+        for (j = 0; j < fns.length; j++) {
+            html += '<th>' + fns[j].title + '</th>';
+        }
+        html += '<th>Status</th></tr>';
+        edgeThead.innerHTML = html;
+
+        html = '';
         for (i = 0; i < cases.length; i++) {
-            isSpecial = false;
+            violated = [];
+            nativeViolated = [];
+            checked = 0;
             html += '<tr>';
             html += '<td>' + cases[i].label + '</td>';
             for (j = 0; j < fns.length; j++) {
-                result = fns[j].fn(cases[i].input);
-                if (isnan(result) || isinfinite(result) || result === 0) {
-                    isSpecial = true;
+                result = analysis.stdlib(fns[j].name)(cases[i].input);
+                native = fns[j].native(cases[i].input);
+                diff = formatDifference(result, native);
+                req = findRequired(required[j], cases[i].input);
+                if (req === null) {
+                    html += '<td>' + formatNum(result) + ((diff) ? '<span class="native-value">native: ' + diff + '</span>' : '') + '</td>';
+                    continue;
+                }
+                checked += 1;
+                ok = spec.modes[req.mode].check(result, req);
+                if (!ok && violated.indexOf(req.clause) < 0) {
+                    violated.push(req.clause);
                 }
-                html += '<td>' + formatNum(result) + '</td>';
+                html += '<td class="' + ((ok) ? 'cell-pass' : 'cell-fail') + '" title="' +
+                    clauseText(req.clause) + ' Expected: ' + req.description + '.">' +
+                    formatNum(result) + ((ok) ? ' ✓' : ' ✗');
+                ok = spec.modes[req.mode].check(native, req);
+                if (!ok && nativeViolated.indexOf(req.clause) < 0) {
+                    nativeViolated.push(req.clause);
+                }
+                if (diff) {
+                    html += '<span class="native-value ' + ((ok) ? 'cell-pass' : 'cell-fail') + '">native: ' + diff + ((ok) ? ' ✓' : ' ✗') + '</span>';
+                }
+                html += '</td>';
+            }
+            if (violated.length) {
+                status = '<span class="status-fail">✗ Violates ' + violated.join(', ') + '</span>';
+            } else if (checked) {
+                status = '<span class="status-pass">✓ Conforms</span>';
+            } else {
+                status = '<span class="status-none">— No requirement</span>';
+            }
+            if (nativeViolated.length) {
+                status += '<span class="native-value status-fail">native: ✗ Violates ' + nativeViolated.join(', ') + '</span>';
             }
-            status = isSpecial ? '<span class="status-special">⚠ Special</span>' : '<span class="status-pass">✓ Normal</span>';
             html += '<td>' + status + '</td>';
             html += '</tr>';
         }
         edgeTbody.innerHTML = html;
+
+        html = '';
+        for (j = 0; j < fns.length; j++) {
+            scores = [
+                [ 'stdlib', score(required[j], analysis.stdlib(fns[j].name)) ],
+                [ 'native', score(required[j], fns[j].native) ]
+            ];
+            html += '<div class="constant-item">';
+            html += '<code>' + fns[j].name + '</code>';
+            if (!required[j].length) {
+                html += '<span class="status-none">n/a</span></div>';
+                continue;
+            }
+            html += '<span>';
+            for (i = 0; i < scores.length; i++) {
+                violated = scores[i][1].violated;
+                html += '<span class="' + ((violated.length) ? 'status-fail' : 'status-pass') + '"' +
+                    ((violated.length) ? ' title="Violates ' + violated.join(', ') + '"' : '') + '>' + scores[i][0] + ' ' +
+                    (100 * scores[i][1].passed / required[j].length).toFixed(0) + '% (' + scores[i][1].passed + '/' + required[j].length + ')</span>';
+                html += (i < scores.length - 1) ? ' · ' : '';
+            }
+            html += '</span></div>';
+        }
+        conformanceScores.innerHTML = html;
     }
 
     // ============================================================
     // SECTION 4: Performance Benchmark
     // ============================================================
 
-    var benchIterationsSelect = document.getElementById('bench-iterations');
+    var benchSamplesSelect = document.getElementById('bench-samples');
     var runBenchmarkBtn = document.getElementById('run-benchmark-btn');
+    var cancelBenchmarkBtn = document.getElementById('cancel-benchmark-btn');
     var benchmarkResults = document.getElementById('benchmark-results');
+    var benchmarkProgress = {
+        'box': document.getElementById('benchmark-progress'),
+        'bar': document.getElementById('benchmark-progress-bar'),
+        'label': document.getElementById('benchmark-progress-label')
+    };
 
     /**
-    * Runs performance benchmarks for all functions.
+    * Results of the last benchmark (`null` if none).
+    *
+    * ## Notes
+    *
+    * -   Holds the number of samples per implementation (`samples`), the number of timed functions (`done`, of `total`) and the results of each function (`results`: `name`, `class` and the `stdlib` and `native` summaries and their `comparison`, `null` until timed; see `lib/bench_harness.js`).
     *
     * @private
     */
-    function runBenchmarks() {
-        var iterations = parseInt(benchIterationsSelect.value, 10);
-        var benchFns = [
-            { 'name': 'exp(x)', 'fn': Math.exp, 'class': 'bar-1' },
-            { 'name': 'ln(x)', 'fn': Math.log, 'class': 'bar-2' },
-            { 'name': 'sqrt(x)', 'fn': Math.sqrt, 'class': 'bar-3' },
-            { 'name': 'sin(x)', 'fn': Math.sin, 'class': 'bar-4' },
-            { 'name': 'cos(x)', 'fn': Math.cos, 'class': 'bar-5' },
-            { 'name': 'tan(x)', 'fn': Math.tan, 'class': 'bar-6' }
-        ];
+    var benchmark = null;
+
+    // Runner of the benchmarks...
+    var benchmarkRunner = jobRunner();
+
+    // Time of the last redraw of a running benchmark...
+    var benchmarkDrawn = 0;
+
+    /**
+    * Returns a time per call as text.
+    *
+    * @private
+    * @param {number} ns - time in nanoseconds
+    * @returns {string} time
+    */
+    function formatTime(ns) {
+        if (ns < 1000) {
+            return ns.toFixed(1) + ' ns';
+        }
+        return (ns / 1000).toFixed(2) + ' µs';
+    }
+
+    /**
+    * Returns a number of calls per second as text.
+    *
+    * @private
+    * @param {number} ops - calls per second
+    * @returns {string} calls per second
+    */
+    function formatOps(ops) {
+        if (ops >= 1.0e6) {
+            return (ops / 1.0e6).toFixed(1) + 'M ops/s';
+        }
+        return (ops / 1.0e3).toFixed(1) + 'K ops/s';
+    }
+
+    /**
+    * Returns the verdict of a comparison of the stdlib and native implementations.
+    *
+    * @private
+    * @param {Object} c - comparison (see `lib/bench_harness.js`)
+    * @returns {string} HTML
+    */
+    function benchmarkVerdict(c) {
+        var p = (c.p < 0.001) ? 'p < 0.001' : 'p = ' + c.p.toFixed(3);
+        var impl;
+        if (!c.significant) {
+            return '<span class="bench-verdict verdict-same">no significant difference (' + p + ')</span>';
+        }
+        impl = (c.faster === 'a') ? 'stdlib' : 'native';
+        return '<span class="bench-verdict verdict-' + impl + '">' + impl + ' ' +
+            ((c.ratio > 1) ? c.ratio : 1 / c.ratio).toFixed(2) + '× faster (' + p + ')</span>';
+    }
+
+    /**
+    * Returns the bar of an implementation, with the confidence interval of its median as an error bar.
+    *
+    * @private
+    * @param {string} label - implementation
+    * @param {Object} s - summary (see `lib/bench_harness.js`)
+    * @param {number} scale - time of a full bar (in nanoseconds)
+    * @param {string} cls - bar class
+    * @returns {string} HTML
+    */
+    function benchmarkBar(label, s, scale, cls) {
+        var html = '<div class="bench-row' + ((label === 'native') ? ' bench-native' : '') + '">';
+        html += '<div class="bench-label">' + label + '</div>';
+        html += '<div class="bench-bar-container">';
+        html += '<div class="bench-bar ' + cls + '" style="width: ' + (100 * s.median / scale).toFixed(2) + '%"></div>';
+        html += '<div class="bench-ci" title="95% confidence interval of the median: ' + formatTime(s.ci[0]) + ' to ' + formatTime(s.ci[1]) + '" style="left: ' +
+            (100 * s.ci[0] / scale).toFixed(2) + '%; width: ' + (100 * (s.ci[1] - s.ci[0]) / scale).toFixed(2) + '%"></div>';
+        html += '</div>';
+        html += '<div class="bench-value">' + formatTime(s.median) + ' ± ' + formatTime(s.mad) + ' · ' + formatOps(s.ops) + '</div>';
+        html += '</div>';
+        return html;
+    }
+
+    /**
+    * Shows the results of the last benchmark.
+    *
+    * ## Notes
+    *
+    * -   Shows the functions which have been timed, sorted by the median time of their stdlib implementation. Each function's bars share a scale (the larger upper bound of the confidence intervals), so that the bars of its two implementations can be compared at a glance.
+    *
+    * @private
+    * @param {string} note - note shown below the results
+    */
+    function renderBenchmarks(note) {
         var results = [];
-        var maxTime = 0;
-        var start;
-        var end;
-        var sum;
+        var scale;
         var html;
-        var pct;
+        var r;
         var i;
-        var j;
 
-        for (i = 0; i < benchFns.length; i++) {
-            sum = 0;
-            start = performance.now();
-            for (j = 0; j < iterations; j++) {
-                sum += benchFns[i].fn(j * 0.001);
-            }
-            end = performance.now();
-            results.push({
-                'name': benchFns[i].name,
-                'time': end - start,
-                'class': benchFns[i].class,
-                'sum': sum // prevent dead code elimination
-            });
-            if (end - start > maxTime) {
-                maxTime = end - start;
+        benchmarkDrawn = performance.now();
+        for (i = 0; i < benchmark.results.length; i++) {
+            if (benchmark.results[i].stdlib !== null) {
+                results.push(benchmark.results[i]);
             }
         }
 
-        // Sort by time (fastest first)...
-        results.sort(function cmp(a, b) { return a.time - b.time; });
+        // Sort by stdlib time (fastest first)...
+        results.sort(function cmp(a, b) { return a.stdlib.median - b.stdlib.median; });
 
         html = '';
         for (i = 0; i < results.length; i++) {
-            pct = (results[i].time / maxTime) * 100;
-            html += '<div class="bench-row">';
-            html += '<div class="bench-label">' + results[i].name + '</div>';
-            html += '<div class="bench-bar-container">';
-            html += '<div class="bench-bar ' + results[i].class + '" style="width: ' + pct + '%">';
-            html += results[i].time.toFixed(2) + ' ms';
-            html += '</div></div></div>';
+            r = results[i];
+            scale = Math.max(r.stdlib.ci[1], r.native.ci[1]);
+            html += '<div class="bench-group">';
+            html += '<div class="bench-group-header"><span class="bench-name">' + r.name + '</span>' + benchmarkVerdict(r.comparison) + '</div>';
+            html += benchmarkBar('stdlib', r.stdlib, scale, r.class);
+            html += benchmarkBar('native', r.native, scale, r.class);
+            html += '</div>';
         }
 
         html += '<p style="color: var(--text-muted); font-size: 0.8rem; margin-top: 1rem;">';
-        html += iterations.toLocaleString() + ' iterations per function. ';
-        html += 'Lower is faster. Results may vary by browser and hardware.</p>';
+        html += benchmark.samples + ' interleaved samples per implementation, after warm-up, on randomized inputs from each function\'s test range. ';
+        html += 'Bars show the median time per call (± median absolute deviation), whiskers its 95% confidence interval; ';
+        html += 'verdicts use a two-sided Mann-Whitney U test at α = 0.05. Results may vary by browser and hardware.' + ((note) ? ' ' + note : '') + '</p>';
 
         benchmarkResults.innerHTML = html;
     }
 
-    runBenchmarkBtn.addEventListener('click', function onClick() {
-        runBenchmarkBtn.disabled = true;
-        runBenchmarkBtn.textContent = 'Running...';
-        setTimeout(function doBench() {
-            runBenchmarks();
-            runBenchmarkBtn.disabled = false;
-            runBenchmarkBtn.textContent = 'Run Benchmark';
-        }, 50);
-    });
+    /**
+    * Enables or disables the controls of a running benchmark.
+    *
+    * @private
+    * @param {boolean} running - boolean indicating whether a benchmark is running
+    */
+    function setBenchmarkRunning(running) {
+        runBenchmarkBtn.disabled = running;
+        runBenchmarkBtn.textContent = (running) ? 'Running...' : 'Run Benchmark';
+        cancelBenchmarkBtn.disabled = !running;
+    }
+
+    /**
+    * Runs performance benchmarks for all functions.
+    *
+    * ## Notes
+    *
+    * -   Times the stdlib and native implementations of each function in the background (see `jobRunner` and `lib/bench_harness.js`), showing the results as they are timed.
+    *
+    * @private
+    */
+    function runBenchmarks() {
+        var samples = parseInt(benchSamplesSelect.value, 10);
+
+        benchmark = null;
+        setBenchmarkRunning(true);
+        showProgress(benchmarkProgress, 0, 'Starting...');
+        benchmarkRunner.start({
+            'type': 'benchmark',
+            'samples': samples
+        }, function onMessage(msg) {
+            var r;
+            var i;
+            if (msg.type === 'start') {
+                benchmark = {
+                    'samples': samples,
+                    'done': 0,
+                    'total': msg.total,
+                    'results': []
+                };
+
+                // Cycle through the bar colors...
+                for (i = 0; i < msg.functions.length; i++) {
+                    benchmark.results.push({
+                        'key': msg.functions[i].name,
+                        'name': msg.functions[i].title,
+                        'class': 'bar-' + ((i % 6) + 1),
+                        'stdlib': null,
+                        'native': null,
+                        'comparison': null
+                    });
+                }
+            } else if (msg.type === 'progress') {
+                for (i = 0; i < benchmark.results.length; i++) {
+                    r = benchmark.results[i];
+                    if (r.key === msg.fn) {
+                        r.stdlib = msg.stdlib;
+                        r.native = msg.native;
+                        r.comparison = msg.comparison;
+                    }
+                }
+                benchmark.done = msg.done;
+                showProgress(benchmarkProgress, msg.done / msg.total, msg.done + ' of ' + msg.total + ' functions');
+                if (performance.now() - benchmarkDrawn >= REDRAW_INTERVAL) {
+                    renderBenchmarks('');
+                }
+            } else if (msg.type === 'done') {
+                setBenchmarkRunning(false);
+                benchmarkProgress.box.classList.add('hidden');
+                renderBenchmarks('');
+            } else {
+                setBenchmarkRunning(false);
+                benchmarkProgress.box.classList.add('hidden');
+                benchmarkResults.innerHTML = '<p class="benchmark-placeholder">' + msg.message + '</p>';
+            }
+        });
+    }
+
+    /**
+    * Cancels the running benchmark, keeping the results of the timed implementations.
+    *
+    * @private
+    */
+    function cancelBenchmarks() {
+        benchmarkRunner.cancel();
+        setBenchmarkRunning(false);
+        benchmarkProgress.box.classList.add('hidden');
+        if (benchmark) {
+            renderBenchmarks('Cancelled after ' + benchmark.done + ' of ' + benchmark.total + ' functions.');
+        }
+    }
+
+    runBenchmarkBtn.addEventListener('click', runBenchmarks);
+    cancelBenchmarkBtn.addEventListener('click', cancelBenchmarks);
 
     // ============================================================
     // INITIALIZE
     // ============================================================
 
+    populateFunctionSelect();
+    populateAccuracySelect();
+    populateGeneratorSelect();
+    populateAccuracyRange();
     updateFunctionInfo();
     drawPlot();
     populateEdgeCases();
@@ -0,0 +1,70 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2026 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/**
+* Web Worker running the accuracy and benchmark jobs of the web app (see `analysis.js`).
+*
+* ## Notes
+*
+* -   Messages from the page are jobs (`{ id, type, ... }`) or `{ type: 'cancel' }`. A new job cancels the running one.
+* -   Messages to the page are the job's messages, tagged with the job's `id`. Chunks are scheduled with `setTimeout`, so that cancellations are received between them.
+*/
+
+/* eslint-env worker */
+
+importScripts(
+    'vendor/stdlib.js',
+    '../lib/ulp.js',
+    '../lib/registry.js',
+    '../lib/spec/decode.js',
+    '../lib/generators.js',
+    '../lib/bench_harness.js',
+    'analysis.js'
+);
+
+(function main() {
+    'use strict';
+
+    var analysis = self.mathExplorer.analysis;
+    var cancel = null;
+
+    /**
+    * Schedules a callback after pending messages.
+    *
+    * @private
+    * @param {Function} clbk - callback
+    */
+    function schedule(clbk) {
+        setTimeout(clbk, 0);
+    }
+
+    self.onmessage = function onMessage(e) {
+        var id = e.data.id;
+        if (cancel) {
+            cancel();
+            cancel = null;
+        }
+        if (e.data.type === 'cancel') {
+            return;
+        }
+        cancel = analysis.run(e.data, function post(msg, transfer) {
+            msg.id = id;
+            self.postMessage(msg, transfer);
+        }, schedule);
+    };
+})();